@@ -0,0 +1,63 @@
+/**
+ * ESLINT CONFIG
+ *
+ * Google style with the repo's own conventions: spaced object braces,
+ * 2-space continuation for call arguments, no trailing comma after the
+ * last call argument, and JSDoc left to review.
+ *
+ * RUN:
+ * npm run lint
+ */
+
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true,
+  },
+  extends: [
+    'eslint:recommended',
+    'google',
+  ],
+  ignorePatterns: [
+    'coverage/',
+    'index.js.backup',
+  ],
+  rules: {
+    'object-curly-spacing': ['error', 'always'],
+    'indent': ['error', 2, {
+      SwitchCase: 1,
+      CallExpression: { arguments: 1 },
+      FunctionDeclaration: { parameters: 1 },
+      FunctionExpression: { parameters: 1 },
+      MemberExpression: 1,
+      flatTernaryExpressions: true,
+      ignoredNodes: ['ConditionalExpression'],
+    }],
+    'comma-dangle': ['error', {
+      arrays: 'always-multiline',
+      objects: 'always-multiline',
+      imports: 'always-multiline',
+      exports: 'always-multiline',
+      functions: 'never',
+    }],
+    'max-len': ['error', {
+      code: 140,
+      ignoreComments: true,
+      ignoreStrings: true,
+      ignoreTemplateLiterals: true,
+      ignoreRegExpLiterals: true,
+    }],
+    'no-trailing-spaces': ['error', { skipBlankLines: true, ignoreComments: true }],
+    'no-unused-vars': ['error', { args: 'none' }],
+    'new-cap': ['error', { capIsNewExceptions: ['Router'] }],
+    'require-jsdoc': 'off',
+    'valid-jsdoc': 'off',
+  },
+  overrides: [
+    {
+      files: ['test/**/*.js'],
+      env: { jest: true },
+    },
+  ],
+};
@@ -7,8 +7,10 @@ const admin = require('firebase-admin');
 
 // Initialize only once
 if (!admin.apps.length) {
+  const projectId = process.env.FIREBASE_PROJECT_ID || 'unitwise-83a71';
   admin.initializeApp({
-    projectId: process.env.FIREBASE_PROJECT_ID || 'unitwise-83a71',
+    projectId: projectId,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || `${projectId}.appspot.com`,
   });
   
   console.log('[Shared Admin] Firebase Admin initialized');
@@ -0,0 +1,149 @@
+/**
+ * VERSIONED API CLOUD FUNCTION
+ *
+ * Single Express app serving every client endpoint under /v1. Routes share
+ * the request ID, body checks and error envelope from utils/apiMiddleware,
+ * and reuse the same handler chains as the legacy per-endpoint functions,
+ * which stay deployed until clients have moved over.
+ *
+ * ENDPOINT: /api/v1/...
+ *
+ * ROUTES:
+ * POST /v1/otp/send              (legacy: sendOtp)
+ * POST /v1/otp/verify            (legacy: verifyOtp)
+ * POST /v1/otp/resend            (legacy: resendOtp)
+ * POST /v1/otp/status            (legacy: otpDeliveryStatus)
+ * POST /v1/users                 (legacy: createUserProfile)
+ * POST /v1/password-reset/otp    (legacy: resetPassword, action "request_otp")
+ * POST /v1/password-reset        (legacy: resetPassword, action "reset_password")
+ * POST /v1/password/login        (legacy: passwordLogin)
+ * POST /v1/password              (legacy: setPassword)
+ * GET  /v1/devices               (legacy: listDevices)
+ * POST /v1/phone-change/otp      (legacy: requestPhoneChange)
+ * POST /v1/phone-change          (legacy: confirmPhoneChange)
+ * POST /v1/email-verification/otp (legacy: requestEmailVerification)
+ * POST /v1/email-verification    (legacy: verifyEmail)
+ * POST /v1/account/export        (legacy: exportUserData)
+ * POST /v1/account/delete        (legacy: deleteAccount)
+ * GET  /v1/tariffs/rate          (legacy: getTariffRate)
+ * GET  /v1/locations             (legacy: getLocations)
+ * GET  /v1/locations/areas       (legacy: getLocationAreas)
+ * GET  /v1/locations/disco       (legacy: resolveDisco)
+ * GET  /v1/locations/gps         (legacy: resolveDiscoByLocation)
+ * GET  /v1/locations/band        (legacy: getBandEstimate)
+ * POST /v1/devices/sign-out      (legacy: signOutDevices)
+ * GET  /v1/health                (legacy: healthCheck)
+ *
+ * RESPONSE HEADERS:
+ * X-Request-Id: echoed from the request, or generated
+ *
+ * RESPONSE (Error):
+ * {
+ *   "success": false,
+ *   "code": "NOT_FOUND",
+ *   "message": "No route for GET /v1/unknown",
+ *   "requestId": "7f9c..."
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const express = require('express');
+const cors = require('cors');
+const { requestId, methodGuard, notFound, errorHandler } = require('./utils/apiMiddleware');
+const { sendOtpHandlers } = require('./sendOtp');
+const { verifyOtpHandlers } = require('./verifyOtp');
+const { resendOtpHandlers } = require('./resendOtp');
+const { otpDeliveryStatusHandlers } = require('./deliveryStatus');
+const { createUserProfileHandlers } = require('./createUserProfile');
+const { requestResetOtpHandlers, resetPasswordHandlers } = require('./resetPassword');
+const { passwordLoginHandlers, setPasswordHandlers } = require('./passwordLogin');
+const { listDevicesHandlers, signOutDevicesHandlers } = require('./devices');
+const { requestPhoneChangeHandlers, confirmPhoneChangeHandlers } = require('./phoneChange');
+const { requestEmailVerificationHandlers, verifyEmailHandlers } = require('./emailVerification');
+const { exportUserDataHandlers } = require('./exportUserData');
+const { deleteAccountHandlers } = require('./deleteAccount');
+const { getTariffRateHandlers } = require('./tariffRate');
+const {
+  getLocationsHandlers,
+  getLocationAreasHandlers,
+  resolveDiscoHandlers,
+  resolveDiscoByLocationHandlers,
+  getBandEstimateHandlers,
+} = require('./locations');
+
+/**
+ * Service health
+ */
+function handleHealthCheck(req, res) {
+  return res.status(200).json({
+    status: 'ok',
+    service: 'unitwise-cloud-functions',
+    module: 'authentication',
+    version: '1.0.0',
+    timestamp: new Date().toISOString(),
+    environment: process.env.APP_ENV || 'development',
+    firestore: 'connected',
+  });
+}
+
+const v1 = express.Router();
+
+/**
+ * Mount a handler chain, answering 405 for other methods on the same path
+ *
+ * @param {string} path - Route path under /v1
+ * @param {string} method - Allowed HTTP method
+ * @param {Array<Function>} handlers - Route middleware and handler
+ */
+function route(path, method, handlers) {
+  v1.route(path)[method.toLowerCase()](...handlers).all(methodGuard(method));
+}
+
+route('/otp/send', 'POST', sendOtpHandlers);
+route('/otp/verify', 'POST', verifyOtpHandlers);
+route('/otp/resend', 'POST', resendOtpHandlers);
+route('/otp/status', 'POST', otpDeliveryStatusHandlers);
+route('/users', 'POST', createUserProfileHandlers);
+route('/password-reset/otp', 'POST', requestResetOtpHandlers);
+route('/password-reset', 'POST', resetPasswordHandlers);
+route('/password/login', 'POST', passwordLoginHandlers);
+route('/password', 'POST', setPasswordHandlers);
+route('/devices', 'GET', listDevicesHandlers);
+route('/devices/sign-out', 'POST', signOutDevicesHandlers);
+route('/phone-change/otp', 'POST', requestPhoneChangeHandlers);
+route('/phone-change', 'POST', confirmPhoneChangeHandlers);
+route('/email-verification/otp', 'POST', requestEmailVerificationHandlers);
+route('/email-verification', 'POST', verifyEmailHandlers);
+route('/account/export', 'POST', exportUserDataHandlers);
+route('/account/delete', 'POST', deleteAccountHandlers);
+route('/tariffs/rate', 'GET', getTariffRateHandlers);
+route('/locations', 'GET', getLocationsHandlers);
+route('/locations/areas', 'GET', getLocationAreasHandlers);
+route('/locations/disco', 'GET', resolveDiscoHandlers);
+route('/locations/gps', 'GET', resolveDiscoByLocationHandlers);
+route('/locations/band', 'GET', getBandEstimateHandlers);
+route('/health', 'GET', [handleHealthCheck]);
+
+const app = express();
+app.disable('x-powered-by');
+app.use(cors({ origin: true, exposedHeaders: ['X-Request-Id', 'Retry-After'] }));
+app.use(requestId);
+app.use(express.json());
+app.use('/v1', v1);
+app.use(notFound);
+app.use(errorHandler);
+
+/**
+ * Main api Cloud Function
+ */
+exports.api = onRequest(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  app
+);
+
+exports.app = app;
+exports.handleHealthCheck = handleHealthCheck;
@@ -0,0 +1,109 @@
+/**
+ * SESSION CLEANUP SCHEDULED FUNCTION
+ *
+ * Deletes expired and used OTP sessions so the collections stay small and
+ * bcrypt hashes do not outlive their usefulness. The purgeAt TTL policy on
+ * otp_sessions remains as a backstop if this job stops running.
+ *
+ * SCHEDULE: every 30 minutes (Africa/Lagos)
+ *
+ * SWEEPS:
+ * - otp_sessions: expiresAt in the past, or used == true
+ * - password_reset_sessions: legacy collection from before sessions were
+ *   unified, same rules
+ *
+ * SUMMARY (logged once per run):
+ * {
+ *   "otp_sessions": { "expired": 12, "used": 40 },
+ *   "password_reset_sessions": { "expired": 0, "used": 0 },
+ *   "total": 52,
+ *   "truncated": false
+ * }
+ */
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const admin = require('./admin');
+
+const SESSION_COLLECTIONS = ['otp_sessions', 'password_reset_sessions'];
+
+// Firestore batches are capped at 500 writes
+const BATCH_SIZE = 400;
+
+// Bound a single run; anything left over is picked up by the next run
+const MAX_BATCHES_PER_QUERY = 25;
+
+/**
+ * Delete every document matching a query, one batch at a time
+ *
+ * @param {Object} query - Firestore query (without limit)
+ * @return {Promise<Object>} { deleted, truncated }
+ */
+async function deleteMatching(query) {
+  const db = admin.firestore();
+  let deleted = 0;
+
+  for (let i = 0; i < MAX_BATCHES_PER_QUERY; i++) {
+    const snapshot = await query.limit(BATCH_SIZE).get();
+    if (snapshot.empty) {
+      return { deleted: deleted, truncated: false };
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+
+    if (snapshot.size < BATCH_SIZE) {
+      return { deleted: deleted, truncated: false };
+    }
+  }
+
+  return { deleted: deleted, truncated: true };
+}
+
+/**
+ * Sweep all session collections for expired or used documents
+ *
+ * @param {Date} now - Reference time
+ * @return {Promise<Object>} Summary of counts deleted per collection
+ */
+async function sweepSessions(now = new Date()) {
+  const db = admin.firestore();
+  const summary = { total: 0, truncated: false };
+
+  for (const collection of SESSION_COLLECTIONS) {
+    const sessions = db.collection(collection);
+
+    const expired = await deleteMatching(sessions.where('expiresAt', '<=', now));
+    const used = await deleteMatching(sessions.where('used', '==', true));
+
+    summary[collection] = { expired: expired.deleted, used: used.deleted };
+    summary.total += expired.deleted + used.deleted;
+    summary.truncated = summary.truncated || expired.truncated || used.truncated;
+  }
+
+  return summary;
+}
+
+/**
+ * Scheduled session cleanup
+ */
+exports.cleanupExpiredSessions = onSchedule(
+  {
+    schedule: 'every 30 minutes',
+    timeZone: 'Africa/Lagos',
+    region: 'us-central1',
+    timeoutSeconds: 300,
+    memory: '256MiB',
+  },
+  async () => {
+    const summary = await sweepSessions();
+
+    console.log(`[cleanupExpiredSessions] Deleted ${summary.total} session(s)`, JSON.stringify(summary));
+    if (summary.truncated) {
+      console.warn('[cleanupExpiredSessions] Batch limit reached - remaining sessions will be swept next run');
+    }
+  }
+);
+
+exports.sweepSessions = sweepSessions;
@@ -4,24 +4,31 @@
  * Creates complete user profile in Firestore after OTP verification and password setup
  * 
  * SECURITY FEATURES:
- * - Server-side validation of all fields
+ * - Firebase ID token required; uid comes from the token, never the body
+ * - Token phone number must match the profile phone
+ * - Server-side schema validation of all fields
  * - Duplicate phone number check
- * - Firebase Auth UID verification
  * - No password storage (handled by Firebase Auth)
- * - Automatic welcome email trigger
+ * - Optional email is sent a verification code; the welcome email follows
+ *   once it is verified (see emailVerification.js)
  * - Input sanitization
+ * - Per-IP and per-device rate limiting
  * 
  * ENDPOINT: POST /createUserProfile
  * 
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ * 
  * REQUEST BODY:
  * {
- *   "uid": "firebase_uid_123",        // Required, Firebase Auth UID
- *   "phone": "+2348100000000",        // Required, E.164 format
+ *   "uid": "firebase_uid_123",        // Optional, must match the token if sent
+ *   "phone": "+2348100000000",        // Required, E.164 or local (08100000000), must match the token
  *   "name": "John Doe",                // Required
  *   "email": "user@example.com",      // Optional
  *   "disco": "Ikeja Electric",        // Required
  *   "band": "C",                       // Required (A-E)
- *   "location": "Yaba, Lagos"         // Required
+ *   "location": "Yaba, Lagos",        // Required
+ *   "language": "yo"                   // Optional: en, pcm, yo, ha, ig (default en)
  * }
  * 
  * RESPONSE (Success):
@@ -29,7 +36,8 @@
  *   "success": true,
  *   "uid": "firebase_uid_123",
  *   "message": "User profile created successfully",
- *   "welcomeEmailSent": true
+ *   "emailVerificationSent": true,
+ *   "emailVerificationSessionId": "abc123"   // For POST /verifyEmail, null without email
  * }
  * 
  * RESPONSE (Error):
@@ -38,6 +46,24 @@
  *   "code": "DUPLICATE_PHONE",
  *   "message": "A user with this phone number already exists"
  * }
+ * 
+ * RESPONSE (Duplicate check unavailable - 500, safe to retry):
+ * {
+ *   "success": false,
+ *   "code": "DUPLICATE_CHECK_FAILED",
+ *   "message": "Could not create your profile right now. Please try again.",
+ *   "retryable": true
+ * }
+ * 
+ * RESPONSE (Validation error):
+ * {
+ *   "success": false,
+ *   "code": "VALIDATION_ERROR",
+ *   "message": "band must be A, B, C, D, or E",
+ *   "errors": [
+ *     { "field": "band", "code": "INVALID_BAND", "message": "band must be A, B, C, D, or E" }
+ *   ]
+ * }
  */
 
 const { onRequest } = require('firebase-functions/v2/https');
@@ -45,54 +71,36 @@ const { onDocumentCreated } = require('firebase-functions/v2/firestore');
 const admin = require('./admin');
 const { isValidDisco, isValidBand } = require('./utils/discoLookup');
 const { sendWelcomeEmail, maskEmail } = require('./utils/emailClient');
+const { LOCALES, DEFAULT_LOCALE } = require('./utils/emailTemplates');
+const { getVerifiedEmail, startEmailVerification } = require('./utils/emailVerification');
 const { maskPhoneNumber } = require('./utils/twilioClient');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { authenticate } = require('./utils/authMiddleware');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
 
-/**
- * Validate user profile data
- * 
- * SECURITY: Server-side validation prevents malformed data
- * 
- * @param {Object} data - User profile data
- * @return {Object} { valid: boolean, errors?: Array }
- */
-function validateUserProfile(data) {
-  const errors = [];
-  
-  // Required fields
-  if (!data.uid || typeof data.uid !== 'string') {
-    errors.push('uid is required and must be a string');
-  }
-  
-  if (!data.phone || !/^\+[1-9]\d{1,14}$/.test(data.phone)) {
-    errors.push('phone is required and must be in E.164 format');
-  }
-  
-  if (!data.name || typeof data.name !== 'string' || data.name.trim().length === 0) {
-    errors.push('name is required and cannot be empty');
-  }
-  
-  if (!data.disco || !isValidDisco(data.disco)) {
-    errors.push('disco is required and must be a valid DisCo code');
-  }
-  
-  if (!data.band || !isValidBand(data.band)) {
-    errors.push('band is required and must be A, B, C, D, or E');
-  }
-  
-  if (!data.location || typeof data.location !== 'string' || data.location.trim().length === 0) {
-    errors.push('location is required and cannot be empty');
-  }
-  
-  // Optional email validation
-  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
-    errors.push('email must be a valid email address');
-  }
-  
-  return {
-    valid: errors.length === 0,
-    errors: errors,
-  };
-}
+const createUserProfileSchema = {
+  uid: { type: 'string', maxLength: 128 },
+  phone: { type: 'phone', required: true },
+  name: { type: 'string', required: true, maxLength: 100 },
+  email: { type: 'email', maxLength: 254 },
+  disco: {
+    type: 'string',
+    required: true,
+    check: isValidDisco,
+    code: 'INVALID_DISCO',
+    message: 'disco must be a valid DisCo code',
+  },
+  band: {
+    type: 'string',
+    required: true,
+    check: isValidBand,
+    code: 'INVALID_BAND',
+    message: 'band must be A, B, C, D, or E',
+  },
+  location: { type: 'string', required: true, maxLength: 200 },
+  meter_number: { type: 'string', maxLength: 20 },
+  language: { type: 'string', values: LOCALES },
+};
 
 /**
  * Sanitize user input
@@ -115,30 +123,143 @@ function sanitizeInput(input) {
  * @param {string} phone - Phone number
  * @param {string} currentUid - Current user UID (to exclude from check)
  * @return {Promise<boolean>} True if phone exists for another user
+ * @throws {Error} If Firestore cannot be queried (callers must fail closed)
  */
 async function phoneNumberExists(phone, currentUid) {
   const db = admin.firestore();
   
+  const existingUsers = await db.collection('users')
+    .where('phone', '==', phone)
+    .get();
+  
+  // Check if any existing user has different UID
+  return existingUsers.docs.some((doc) => doc.id !== currentUid);
+}
+
+/**
+ * Create the authenticated user's profile
+ */
+async function handleCreateUserProfile(req, res) {
+  // SECURITY: Identity comes from the verified ID token (authenticate)
+  const user = req.auth;
+  const uid = user.uid;
+  const { phone, name, email, disco, band, location, meter_number: meterNumber, language } = req.body;
+  
+  const maskedPhone = maskPhoneNumber(phone);
+  console.log(`[createUserProfile] Creating profile for ${maskedPhone}. UID: ${uid}`);
+  
+  if (req.body.uid && req.body.uid !== uid) {
+    console.warn(`[createUserProfile] Body uid does not match token. UID: ${uid}`);
+    return res.status(403).json({
+      success: false,
+      code: 'UID_MISMATCH',
+      message: 'uid does not match the authenticated user',
+    });
+  }
+  
+  // SECURITY: Limit profile writes per IP and device
+  const allowed = await enforceRateLimit('createUserProfile', req, res, {
+    message: 'Too many profile requests.',
+  });
+  if (!allowed) {
+    console.warn(`[createUserProfile] Rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+  
+  // SECURITY: The profile phone must be the phone verified by OTP
+  if (user.phone !== phone) {
+    console.warn(`[createUserProfile] Phone does not match token for UID: ${uid}`);
+    return res.status(403).json({
+      success: false,
+      code: 'PHONE_MISMATCH',
+      message: 'Phone number does not match the authenticated user',
+    });
+  }
+  
+  // SECURITY: Check for duplicate phone number - fail closed if it cannot run
+  let phoneExists;
   try {
-    const existingUsers = await db.collection('users')
-      .where('phone', '==', phone)
-      .get();
-    
-    // Check if any existing user has different UID
-    for (const doc of existingUsers.docs) {
-      if (doc.id !== currentUid) {
-        return true;
-      }
-    }
-    
-    return false;
-    
+    phoneExists = await phoneNumberExists(phone, uid);
   } catch (error) {
     console.error('[createUserProfile] Error checking phone number:', error.message);
-    return false; // Fail open to allow creation
+    return res.status(500).json({
+      success: false,
+      code: 'DUPLICATE_CHECK_FAILED',
+      message: 'Could not create your profile right now. Please try again.',
+      retryable: true,
+    });
   }
+  if (phoneExists) {
+    console.warn(`[createUserProfile] Duplicate phone number: ${maskedPhone}`);
+    return res.status(409).json({
+      success: false,
+      code: 'DUPLICATE_PHONE',
+      message: 'A user with this phone number already exists',
+    });
+  }
+  
+  // SECURITY: Sanitize all text inputs
+  const sanitizedData = {
+    uid: uid,
+    phone: phone,
+    name: sanitizeInput(name),
+    email: email ? sanitizeInput(email) : null,
+    disco: disco,
+    band: band,
+    location: sanitizeInput(location),
+    meter_number: meterNumber ? sanitizeInput(meterNumber) : null,
+    language: language || DEFAULT_LOCALE,
+    email_verified: false,
+    theme: 'light', // Default theme
+    created_at: admin.firestore.Timestamp.now(),
+    last_login: admin.firestore.Timestamp.now(),
+    remember_me: false, // Default to false
+  };
+  
+  // Create user profile in Firestore
+  const db = admin.firestore();
+  await db.collection('users').doc(uid).set(sanitizedData);
+  
+  console.log(`[createUserProfile] Profile created successfully for ${maskedPhone}. UID: ${uid}`);
+  
+  // Nothing but a verification code goes to an unverified address
+  let emailVerificationSessionId = null;
+  if (sanitizedData.email) {
+    try {
+      const sent = await startEmailVerification({
+        uid: uid,
+        phone: phone,
+        email: sanitizedData.email,
+        name: sanitizedData.name,
+        locale: sanitizedData.language,
+      });
+      if (sent.success) {
+        emailVerificationSessionId = sent.sessionId;
+        console.log(`[createUserProfile] Verification code sent to ${maskEmail(sanitizedData.email)}`);
+      } else {
+        console.error(`[createUserProfile] Failed to send verification email:`, sent.error);
+      }
+    } catch (error) {
+      // The profile exists either way; the user can ask for a new code
+      console.error(`[createUserProfile] Verification email error:`, error.message);
+    }
+  }
+  
+  return res.status(201).json({
+    success: true,
+    uid: uid,
+    message: 'User profile created successfully',
+    emailVerificationSent: emailVerificationSessionId !== null,
+    emailVerificationSessionId: emailVerificationSessionId,
+  });
 }
 
+const createUserProfileHandlers = [
+  authenticate,
+  validateBody(createUserProfileSchema),
+  asyncHandler('createUserProfile', handleCreateUserProfile),
+];
+
 /**
  * Main createUserProfile Cloud Function
  */
@@ -149,126 +270,17 @@ exports.createUserProfile = onRequest(
     timeoutSeconds: 30,
     memory: '256MiB',
   },
-  async (req, res) => {
-    // SECURITY: Only allow POST requests
-    if (req.method !== 'POST') {
-      return res.status(405).json({
-        success: false,
-        code: 'METHOD_NOT_ALLOWED',
-        message: 'Only POST requests are allowed',
-      });
-    }
-    
-    try {
-      const { uid, phone, name, email, disco, band, location, meter_number } = req.body;
-      
-      const maskedPhone = maskPhoneNumber(phone);
-      console.log(`[createUserProfile] Creating profile for ${maskedPhone}. UID: ${uid}`);
-      
-      // SECURITY: Validate all input data
-      const validation = validateUserProfile({ uid, phone, name, email, disco, band, location });
-      
-      if (!validation.valid) {
-        console.warn(`[createUserProfile] Validation failed for ${maskedPhone}:`, validation.errors);
-        return res.status(400).json({
-          success: false,
-          code: 'VALIDATION_ERROR',
-          message: 'Invalid profile data',
-          errors: validation.errors,
-        });
-      }
-      
-      // SECURITY: Verify user exists in Firebase Auth
-      try {
-        await admin.auth().getUser(uid);
-      } catch (error) {
-        console.error(`[createUserProfile] Firebase Auth user not found: ${uid}`);
-        return res.status(404).json({
-          success: false,
-          code: 'USER_NOT_FOUND',
-          message: 'Firebase Auth user not found',
-        });
-      }
-      
-      // SECURITY: Check for duplicate phone number
-      const phoneExists = await phoneNumberExists(phone, uid);
-      if (phoneExists) {
-        console.warn(`[createUserProfile] Duplicate phone number: ${maskedPhone}`);
-        return res.status(409).json({
-          success: false,
-          code: 'DUPLICATE_PHONE',
-          message: 'A user with this phone number already exists',
-        });
-      }
-      
-      // SECURITY: Sanitize all text inputs
-      const sanitizedData = {
-        uid: uid,
-        phone: phone,
-        name: sanitizeInput(name),
-        email: email ? sanitizeInput(email) : null,
-        disco: disco,
-        band: band,
-        location: sanitizeInput(location),
-        meter_number: meter_number ? sanitizeInput(meter_number) : null,
-        theme: 'light', // Default theme
-        created_at: admin.firestore.Timestamp.now(),
-        last_login: admin.firestore.Timestamp.now(),
-        remember_me: false, // Default to false
-      };
-      
-      // Create user profile in Firestore
-      const db = admin.firestore();
-      await db.collection('users').doc(uid).set(sanitizedData);
-      
-      console.log(`[createUserProfile] Profile created successfully for ${maskedPhone}. UID: ${uid}`);
-      
-      // Trigger welcome email (async, don't wait)
-      let welcomeEmailSent = false;
-      if (email) {
-        sendWelcomeEmail(email, name)
-          .then((result) => {
-            if (result.success) {
-              console.log(`[createUserProfile] Welcome email sent to ${maskEmail(email)}`);
-            } else {
-              console.error(`[createUserProfile] Failed to send welcome email:`, result.error);
-            }
-          })
-          .catch((error) => {
-            console.error(`[createUserProfile] Welcome email error:`, error.message);
-          });
-        welcomeEmailSent = true; // Attempted, actual status logged separately
-      }
-      
-      return res.status(201).json({
-        success: true,
-        uid: uid,
-        message: 'User profile created successfully',
-        welcomeEmailSent: welcomeEmailSent,
-      });
-      
-    } catch (error) {
-      // SECURITY: Sanitize error before logging
-      console.error('[createUserProfile] Unexpected error:', {
-        message: error.message,
-        code: error.code,
-        // NEVER log: passwords, full phone numbers, emails
-      });
-      
-      return res.status(500).json({
-        success: false,
-        code: 'INTERNAL_ERROR',
-        message: 'An unexpected error occurred. Please try again later.',
-      });
-    }
-  }
+  createShim('POST', createUserProfileHandlers)
 );
 
+exports.createUserProfileHandlers = createUserProfileHandlers;
+
 /**
  * Firestore Trigger: Send welcome email when user document is created
  * 
- * ALTERNATIVE APPROACH: Can be used instead of inline email in createUserProfile
- * Provides better separation of concerns and retry logic
+ * Only for documents created with an already verified email (e.g. migrated
+ * accounts). Profiles from createUserProfile start unverified; their
+ * welcome email is sent by verifyEmail.
  */
 exports.sendWelcomeEmailOnCreate = onDocumentCreated(
   {
@@ -278,24 +290,29 @@ exports.sendWelcomeEmailOnCreate = onDocumentCreated(
   async (event) => {
     const userData = event.data.data();
     
-    // Only send email if email address is provided
-    if (!userData.email) {
-      console.log(`[sendWelcomeEmailOnCreate] No email for UID: ${userData.uid}`);
+    // Only send email to a verified address
+    const email = getVerifiedEmail(userData);
+    if (!email || userData.welcome_email_sent_at) {
+      console.log(`[sendWelcomeEmailOnCreate] No verified email for UID: ${event.params.uid}`);
       return;
     }
     
-    const maskedEmail = maskEmail(userData.email);
+    const maskedEmail = maskEmail(email);
     console.log(`[sendWelcomeEmailOnCreate] Sending welcome email to ${maskedEmail}`);
     
     try {
-      const result = await sendWelcomeEmail(userData.email, userData.name);
+      const result = await sendWelcomeEmail(email, userData.name, {
+        locale: userData.language,
+        disco: userData.disco,
+        band: userData.band,
+        uid: event.params.uid,
+      });
       
       if (result.success) {
         console.log(`[sendWelcomeEmailOnCreate] Email sent successfully to ${maskedEmail}`);
       } else {
         console.error(`[sendWelcomeEmailOnCreate] Email send failed:`, result.error);
       }
-      
     } catch (error) {
       console.error(`[sendWelcomeEmailOnCreate] Error:`, error.message);
       // Don't throw - allow user creation to succeed even if email fails
@@ -0,0 +1,153 @@
+/**
+ * ACCOUNT DELETION CLOUD FUNCTIONS
+ *
+ * Lets a user delete their account and erases their data, as required by
+ * the NDPR (Nigeria Data Protection Regulation). See utils/accountErasure
+ * for what is deleted or anonymised.
+ *
+ * deleteAccount erases the data, then deletes the Firebase Auth user.
+ * eraseDeletedUser runs on every Auth deletion (including deletions from the
+ * console), so no account leaves data behind; after deleteAccount it
+ * re-sweeps anything written in between and adds to the same receipt.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token required; uid and phone come from the token
+ * - Recent sign-in required (RECENT_SIGN_IN_MINUTES in utils/authMiddleware)
+ * - Explicit confirmation in the body
+ * - Per-IP and per-device rate limiting
+ *
+ * ENDPOINT: POST /deleteAccount
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "confirm": "DELETE"               // Required, exactly "DELETE"
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "message": "Your account and data have been deleted",
+ *   "receipt": {
+ *     "receiptId": "9b2e...",
+ *     "trigger": "user_request",
+ *     "status": "completed",
+ *     "deleted": { "users": 1, "users/settings": 1, "tokens": 12, ... },
+ *     "anonymised": { "audit_log": 2, ... },
+ *     "requestedAt": "2025-01-01T10:00:00.000Z",
+ *     "completedAt": "2025-01-01T10:00:02.000Z"
+ *   }
+ * }
+ *
+ * RESPONSE (Error):
+ * {
+ *   "success": false,
+ *   "code": "REAUTH_REQUIRED",
+ *   "message": "Please sign in again to delete your account"
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const functionsV1 = require('firebase-functions/v1');
+const admin = require('./admin');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate, isRecentSignIn } = require('./utils/authMiddleware');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { eraseUserData } = require('./utils/accountErasure');
+
+const deleteAccountSchema = {
+  confirm: { type: 'string', required: true, values: ['DELETE'] },
+};
+
+/**
+ * Delete the signed-in user's account and data
+ */
+async function handleDeleteAccount(req, res) {
+  const { uid, phone } = req.auth;
+
+  const allowed = await enforceRateLimit('deleteAccount', req, res, {
+    message: 'Too many deletion requests.',
+  });
+  if (!allowed) {
+    console.warn(`[deleteAccount] Rate limit exceeded for UID: ${uid}`);
+    return;
+  }
+
+  if (!isRecentSignIn(req.auth)) {
+    console.warn(`[deleteAccount] Stale sign-in for UID: ${uid}`);
+    return res.status(401).json({
+      success: false,
+      code: 'REAUTH_REQUIRED',
+      message: 'Please sign in again to delete your account',
+    });
+  }
+
+  console.log(`[deleteAccount] Deleting account. UID: ${uid}`);
+
+  const receipt = await eraseUserData(uid, { phone: phone, trigger: 'user_request' });
+
+  try {
+    await admin.auth().deleteUser(uid);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+
+  console.log(`[deleteAccount] Account deleted. Receipt: ${receipt.receiptId}`);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Your account and data have been deleted',
+    receipt: receipt,
+  });
+}
+
+/**
+ * Erase data for an Auth user deleted by any means
+ *
+ * @param {Object} user - Deleted Auth user record
+ * @return {Promise<Object>} Deletion receipt
+ */
+async function handleAuthUserDeleted(user) {
+  const receipt = await eraseUserData(user.uid, {
+    phone: user.phoneNumber || null,
+    trigger: 'auth_delete',
+  });
+
+  console.log(`[eraseDeletedUser] Data erased. Receipt: ${receipt.receiptId}`);
+  return receipt;
+}
+
+const deleteAccountHandlers = [
+  authenticate,
+  validateBody(deleteAccountSchema),
+  asyncHandler('deleteAccount', handleDeleteAccount),
+];
+
+/**
+ * Main deleteAccount Cloud Function
+ */
+exports.deleteAccount = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 120,
+    memory: '256MiB',
+  },
+  createShim('POST', deleteAccountHandlers)
+);
+
+/**
+ * Auth onDelete trigger (Auth triggers are only available as 1st gen)
+ */
+exports.eraseDeletedUser = functionsV1
+  .region('us-central1')
+  .runWith({ timeoutSeconds: 300, memory: '256MB' })
+  .auth.user()
+  .onDelete(handleAuthUserDeleted);
+
+exports.deleteAccountHandlers = deleteAccountHandlers;
+exports.handleAuthUserDeleted = handleAuthUserDeleted;
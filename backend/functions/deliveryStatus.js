@@ -0,0 +1,253 @@
+/**
+ * OTP DELIVERY STATUS CLOUD FUNCTIONS
+ *
+ * twilioStatusCallback - receives Twilio message status callbacks and stores
+ * the delivery state on the matching OTP session.
+ *
+ * otpDeliveryStatus - lets the app ask whether a code actually reached the
+ * phone, so it can offer a resend instead of waiting out the expiry.
+ *
+ * SECURITY FEATURES:
+ * - Twilio signature validation (X-Twilio-Signature) on every callback
+ * - Session lookup requires the matching phone number
+ * - No OTP or hash ever returned
+ *
+ * ORDERING:
+ * Twilio does not guarantee callback order, so a status is only stored if
+ * it ranks later than the stored one (queued < sending < sent <
+ * delivered/undelivered/failed < read), checked in a transaction. A late
+ * "sent" never replaces "delivered".
+ *
+ * ENDPOINT: POST /otpDeliveryStatus
+ *
+ * REQUEST BODY:
+ * {
+ *   "sessionId": "abc123",            // Required
+ *   "phone": "+2348100000000"         // Required, must match the session
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "sessionId": "abc123",
+ *   "channel": "sms",
+ *   "deliveryStatus": "delivered",    // pending | delivered | failed
+ *   "providerStatus": "delivered",
+ *   "errorCode": null
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const admin = require('./admin');
+const { maskPhoneNumber, validateWebhookSignature } = require('./utils/twilioClient');
+const { getDeliveryStatus, normalizeDeliveryStatus, isLaterDeliveryStatus } = require('./utils/otpDelivery');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+
+/**
+ * Resolve the public URL Twilio signed
+ *
+ * Behind the Cloud Functions front end the host seen by the function can
+ * differ from the one Twilio called, so the configured URL wins.
+ *
+ * @param {Object} req - HTTP request
+ * @return {string} Callback URL
+ */
+function getCallbackUrl(req) {
+  return process.env.TWILIO_STATUS_CALLBACK_URL ||
+    `https://${req.get('host')}${req.originalUrl}`;
+}
+
+/**
+ * Build the delivery fields stored on a session
+ *
+ * @param {string} providerStatus - Raw provider status
+ * @param {string|number|null} errorCode - Provider error code
+ * @return {Object} Firestore update
+ */
+function buildDeliveryUpdate(providerStatus, errorCode) {
+  return {
+    deliveryStatus: normalizeDeliveryStatus(providerStatus),
+    providerStatus: providerStatus,
+    deliveryErrorCode: errorCode ? String(errorCode) : null,
+    deliveryUpdatedAt: new Date(),
+  };
+}
+
+/**
+ * Store a provider status on sessions, unless they already have a later one
+ *
+ * @param {Object} target - Sessions query or a single session reference
+ * @param {string} providerStatus - Raw provider status
+ * @param {string|number|null} errorCode - Provider error code
+ * @return {Promise<Object>} { updated, delivery } - sessions changed and the
+ *   delivery fields of the last session seen (stored or new)
+ */
+async function recordDeliveryStatus(target, providerStatus, errorCode) {
+  const db = admin.firestore();
+  const update = buildDeliveryUpdate(providerStatus, errorCode);
+
+  return db.runTransaction(async (transaction) => {
+    const result = await transaction.get(target);
+    const docs = result.docs || (result.exists ? [result] : []);
+    let updated = 0;
+    let delivery = update;
+
+    docs.forEach((doc) => {
+      const current = doc.data();
+      if (isLaterDeliveryStatus(current.providerStatus, providerStatus)) {
+        transaction.update(doc.ref, update);
+        delivery = update;
+        updated++;
+      } else {
+        delivery = {
+          deliveryStatus: current.deliveryStatus,
+          providerStatus: current.providerStatus,
+          deliveryErrorCode: current.deliveryErrorCode || null,
+        };
+      }
+    });
+
+    return { updated: updated, delivery: delivery };
+  });
+}
+
+/**
+ * Twilio message status callback
+ */
+exports.twilioStatusCallback = onRequest(
+  {
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  async (req, res) => {
+    if (req.method !== 'POST') {
+      return res.status(405).json({
+        success: false,
+        code: 'METHOD_NOT_ALLOWED',
+        message: 'Only POST requests are allowed',
+      });
+    }
+
+    // SECURITY: Reject callbacks that were not signed by Twilio
+    const signature = req.get('X-Twilio-Signature') || '';
+    if (!validateWebhookSignature(signature, getCallbackUrl(req), req.body)) {
+      console.warn('[twilioStatusCallback] Invalid Twilio signature');
+      return res.status(403).json({
+        success: false,
+        code: 'INVALID_SIGNATURE',
+        message: 'Invalid webhook signature',
+      });
+    }
+
+    try {
+      const { MessageSid, MessageStatus, ErrorCode } = req.body;
+
+      if (!MessageSid || !MessageStatus) {
+        return res.status(400).json({
+          success: false,
+          code: 'MISSING_REQUIRED_FIELDS',
+          message: 'MessageSid and MessageStatus are required',
+        });
+      }
+
+      const sessions = admin.firestore().collection('otp_sessions')
+        .where('messageSid', '==', MessageSid);
+      const { updated } = await recordDeliveryStatus(sessions, MessageStatus, ErrorCode);
+
+      console.log(`[twilioStatusCallback] ${MessageSid} → ${MessageStatus} (${updated} session(s) updated)`);
+
+      // Twilio only needs a 2xx; unknown SIDs (e.g. already cleaned up) are not an error
+      return res.status(204).send();
+    } catch (error) {
+      console.error('[twilioStatusCallback] Unexpected error:', {
+        message: error.message,
+        code: error.code,
+      });
+
+      return res.status(500).json({
+        success: false,
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      });
+    }
+  }
+);
+
+const otpDeliveryStatusSchema = {
+  sessionId: { type: 'string', required: true, maxLength: 128 },
+  phone: { type: 'phone', required: true },
+};
+
+/**
+ * Report whether the code for a session reached the phone
+ */
+async function handleOtpDeliveryStatus(req, res) {
+  const { sessionId, phone } = req.body;
+
+  const maskedPhone = maskPhoneNumber(phone);
+  const db = admin.firestore();
+  const sessionDoc = await db.collection('otp_sessions').doc(sessionId).get();
+
+  if (!sessionDoc.exists) {
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      message: 'Invalid or expired session. Please request a new OTP.',
+    });
+  }
+
+  const sessionData = sessionDoc.data();
+
+  if (sessionData.phone !== phone) {
+    console.warn(`[otpDeliveryStatus] Phone mismatch for SessionID: ${sessionId}`);
+    return res.status(403).json({
+      success: false,
+      code: 'PHONE_MISMATCH',
+      message: 'Phone number does not match the session.',
+    });
+  }
+
+  let delivery = {
+    deliveryStatus: sessionData.deliveryStatus || 'pending',
+    providerStatus: sessionData.providerStatus || null,
+    deliveryErrorCode: sessionData.deliveryErrorCode || null,
+  };
+
+  // No callback received yet - ask the provider directly
+  if (!sessionData.deliveryStatus && sessionData.deliveryProvider && sessionData.messageSid) {
+    const polled = await getDeliveryStatus(sessionData.deliveryProvider, sessionData.messageSid);
+    if (polled.success) {
+      // A callback may have landed while polling; keep whichever is later
+      delivery = (await recordDeliveryStatus(sessionDoc.ref, polled.status, polled.errorCode)).delivery;
+    }
+  }
+
+  console.log(`[otpDeliveryStatus] ${maskedPhone} SessionID ${sessionId}: ${delivery.deliveryStatus}`);
+
+  return res.status(200).json({
+    success: true,
+    sessionId: sessionId,
+    channel: sessionData.deliveredChannel || sessionData.source || null,
+    deliveryStatus: delivery.deliveryStatus,
+    providerStatus: delivery.providerStatus,
+    errorCode: delivery.deliveryErrorCode,
+  });
+}
+
+const otpDeliveryStatusHandlers = [
+  validateBody(otpDeliveryStatusSchema),
+  asyncHandler('otpDeliveryStatus', handleOtpDeliveryStatus),
+];
+
+exports.otpDeliveryStatus = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', otpDeliveryStatusHandlers)
+);
+
+exports.otpDeliveryStatusHandlers = otpDeliveryStatusHandlers;
@@ -0,0 +1,175 @@
+/**
+ * SIGNED-IN DEVICES CLOUD FUNCTIONS
+ *
+ * Lets a signed-in user see the devices they are signed in on (recorded by
+ * verifyOtp and passwordLogin) and sign out one of them or all of them.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token required; uid always comes from the token
+ * - Signing out everywhere revokes every refresh token, including the
+ *   caller's own session
+ * - Signing out one device rejects every token issued to it, in the API
+ *   and in firestore.rules, until it signs in again (device claim, see
+ *   utils/devices)
+ * - Per-IP and per-device rate limiting on sign-out
+ *
+ * ENDPOINT: GET /listDevices
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>  // Its device is marked current (none for Phone Auth sessions)
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "devices": [
+ *     {
+ *       "deviceId": "3f1c...",
+ *       "deviceName": "Tecno Spark 10",
+ *       "platform": "android",
+ *       "userAgent": "Dart/3.2 (dart:io)",
+ *       "signInMethod": "otp",          // otp | password
+ *       "firstSeenAt": 1760000000000,
+ *       "lastSeenAt": 1760900000000,
+ *       "current": true
+ *     }
+ *   ]
+ * }
+ *
+ * ENDPOINT: POST /signOutDevices
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY (one device):
+ * {
+ *   "deviceId": "3f1c..."
+ * }
+ *
+ * REQUEST BODY (every device):
+ * {
+ *   "all": true
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "signedOutDevices": 1,
+ *   "message": "Device signed out"
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate } = require('./utils/authMiddleware');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { listActiveDevices, signOutDevice, signOutAllDevices } = require('./utils/devices');
+
+const signOutDevicesSchema = {
+  deviceId: { type: 'string', maxLength: 128 },
+  all: { type: 'boolean' },
+};
+
+/**
+ * List the caller's signed-in devices
+ */
+async function handleListDevices(req, res) {
+  const currentDeviceId = req.auth.deviceId;
+  const devices = await listActiveDevices(req.auth.uid);
+
+  return res.status(200).json({
+    success: true,
+    devices: devices.map((device) => ({ ...device, current: device.deviceId === currentDeviceId })),
+  });
+}
+
+/**
+ * Sign out one device, or every device with { all: true }
+ */
+async function handleSignOutDevices(req, res) {
+  const { uid } = req.auth;
+  const { deviceId, all } = req.body;
+
+  if (!all && !deviceId) {
+    return res.status(400).json({
+      success: false,
+      code: 'MISSING_DEVICE',
+      message: 'Provide a deviceId, or all: true to sign out everywhere',
+    });
+  }
+
+  const allowed = await enforceRateLimit('signOutDevices', req, res, {
+    message: 'Too many sign-out requests.',
+  });
+  if (!allowed) {
+    console.warn(`[signOutDevices] Rate limit exceeded for UID: ${uid}`);
+    return;
+  }
+
+  if (all) {
+    const signedOutDevices = await signOutAllDevices(uid);
+    console.log(`[signOutDevices] Signed out everywhere for UID: ${uid} (${signedOutDevices} device(s))`);
+
+    return res.status(200).json({
+      success: true,
+      signedOutDevices: signedOutDevices,
+      message: 'Signed out of all devices',
+    });
+  }
+
+  const signedOut = await signOutDevice(uid, deviceId);
+  if (!signedOut) {
+    return res.status(404).json({
+      success: false,
+      code: 'DEVICE_NOT_FOUND',
+      message: 'Device not found or already signed out',
+    });
+  }
+
+  console.log(`[signOutDevices] Signed out one device for UID: ${uid}`);
+
+  return res.status(200).json({
+    success: true,
+    signedOutDevices: 1,
+    message: 'Device signed out',
+  });
+}
+
+const listDevicesHandlers = [
+  authenticate,
+  asyncHandler('listDevices', handleListDevices),
+];
+
+const signOutDevicesHandlers = [
+  authenticate,
+  validateBody(signOutDevicesSchema),
+  asyncHandler('signOutDevices', handleSignOutDevices),
+];
+
+/**
+ * Main listDevices Cloud Function
+ */
+exports.listDevices = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', listDevicesHandlers)
+);
+
+/**
+ * Main signOutDevices Cloud Function
+ */
+exports.signOutDevices = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', signOutDevicesHandlers)
+);
+
+exports.listDevicesHandlers = listDevicesHandlers;
+exports.signOutDevicesHandlers = signOutDevicesHandlers;
@@ -0,0 +1,284 @@
+/**
+ * EMAIL VERIFICATION CLOUD FUNCTIONS
+ *
+ * Verifies the optional profile email with a code sent to it. Until the
+ * address is verified UnitWise sends it nothing else: no welcome email and
+ * no password reset codes (see utils/emailVerification).
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token required; uid and phone come from the token
+ * - Codes use the OTP policy (length, expiry, attempts) and are stored as
+ *   bcrypt hashes in email_verification sessions bound to the uid
+ * - A code only verifies the address it was sent to
+ * - An address that belongs to another Auth user is refused
+ * - Per-phone, per-IP and per-device rate limiting
+ *
+ * ENDPOINT: POST /requestEmailVerification
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "sessionId": "abc123",
+ *   "email": "a***e@example.com",
+ *   "message": "Verification code sent to your email",
+ *   "expiresIn": 300
+ * }
+ *
+ * ENDPOINT: POST /verifyEmail
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "sessionId": "abc123",            // Required
+ *   "otp": "123456"                   // Required, code from the email
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "email": "ada@example.com",
+ *   "emailVerified": true,
+ *   "welcomeEmailSent": true,
+ *   "message": "Email address verified"
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const admin = require('./admin');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate } = require('./utils/authMiddleware');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { verifyOtpSession } = require('./utils/otpSessions');
+const { sendWelcomeEmail, maskEmail } = require('./utils/emailClient');
+const {
+  getVerifiedEmail,
+  normalizeEmail,
+  startEmailVerification,
+  markEmailVerified,
+} = require('./utils/emailVerification');
+
+const verifyEmailSchema = {
+  sessionId: { type: 'string', required: true, maxLength: 128 },
+  otp: { type: 'digits', required: true },
+};
+
+/**
+ * Send a verification code to the profile email
+ */
+async function handleRequestEmailVerification(req, res) {
+  const { uid, phone } = req.auth;
+
+  const allowed = await enforceRateLimit('emailVerification', req, res, {
+    phone: phone,
+    message: 'Too many verification emails requested.',
+  });
+  if (!allowed) {
+    console.warn(`[requestEmailVerification] Rate limit exceeded for UID: ${uid}`);
+    return;
+  }
+
+  const userDoc = await admin.firestore().collection('users').doc(uid).get();
+  if (!userDoc.exists) {
+    return res.status(404).json({
+      success: false,
+      code: 'PROFILE_NOT_FOUND',
+      message: 'Create your profile first',
+    });
+  }
+
+  const profile = userDoc.data();
+  if (!profile.email) {
+    return res.status(400).json({
+      success: false,
+      code: 'NO_EMAIL',
+      message: 'Add an email address to your profile first',
+    });
+  }
+
+  if (getVerifiedEmail(profile)) {
+    return res.status(409).json({
+      success: false,
+      code: 'ALREADY_VERIFIED',
+      message: 'Your email address is already verified',
+    });
+  }
+
+  const sent = await startEmailVerification({
+    uid: uid,
+    phone: phone,
+    email: profile.email,
+    name: profile.name,
+    locale: profile.language,
+  });
+  if (!sent.success) {
+    console.error(`[requestEmailVerification] Failed to send code to ${maskEmail(profile.email)}`);
+    return res.status(500).json({
+      success: false,
+      code: sent.error,
+      message: sent.message || 'Failed to send verification email',
+    });
+  }
+
+  console.log(`[requestEmailVerification] Code sent to ${maskEmail(profile.email)}. UID: ${uid}`);
+
+  const response = {
+    success: true,
+    sessionId: sent.sessionId,
+    email: maskEmail(profile.email),
+    message: 'Verification code sent to your email',
+    expiresIn: sent.expiresIn,
+  };
+  if (sent.exposeOtp) {
+    response.testOtp = sent.otp;
+  }
+
+  return res.status(200).json(response);
+}
+
+/**
+ * Send the welcome email once, after the first verification
+ *
+ * @return {Promise<boolean>} True if it was sent
+ */
+async function sendWelcomeOnce(uid, profile, email) {
+  if (profile.welcome_email_sent_at) {
+    return false;
+  }
+
+  try {
+    const result = await sendWelcomeEmail(email, profile.name, {
+      locale: profile.language,
+      disco: profile.disco,
+      band: profile.band,
+      uid: uid,
+    });
+    if (!result.success) {
+      return false;
+    }
+    await admin.firestore().collection('users').doc(uid).update({
+      welcome_email_sent_at: admin.firestore.Timestamp.now(),
+    });
+    return true;
+  } catch (error) {
+    // The address is verified either way
+    console.error(`[verifyEmail] Welcome email error:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Check the code and mark the profile email verified
+ */
+async function handleVerifyEmail(req, res) {
+  const { uid, phone } = req.auth;
+  const { sessionId, otp } = req.body;
+
+  // Code guesses share the verifyOtp budget
+  const allowed = await enforceRateLimit('verifyOtp', req, res, { phone: phone });
+  if (!allowed) {
+    console.warn(`[verifyEmail] Verification rate limit exceeded for UID: ${uid}`);
+    return;
+  }
+
+  const verification = await verifyOtpSession({
+    sessionId: sessionId,
+    phone: phone,
+    otp: otp,
+    purpose: 'email_verification',
+  });
+  if (!verification.success) {
+    console.warn(`[verifyEmail] ${verification.error.code} for UID: ${uid}. SessionID: ${sessionId}`);
+    return res.status(verification.status).json(verification.error);
+  }
+
+  const session = verification.session;
+  if (session.uid !== uid) {
+    console.warn(`[verifyEmail] Session does not belong to UID: ${uid}`);
+    return res.status(404).json({
+      success: false,
+      code: 'SESSION_NOT_FOUND',
+      message: 'Invalid or expired session. Please request a new code.',
+    });
+  }
+
+  const userDoc = await admin.firestore().collection('users').doc(uid).get();
+  const profile = userDoc.exists ? userDoc.data() : null;
+  if (!profile || normalizeEmail(profile.email) !== normalizeEmail(session.email)) {
+    return res.status(409).json({
+      success: false,
+      code: 'EMAIL_CHANGED',
+      message: 'Your email address has changed. Please request a new code.',
+    });
+  }
+
+  try {
+    await markEmailVerified(req, uid, profile.email);
+  } catch (error) {
+    if (error.code === 'auth/email-already-exists') {
+      console.warn(`[verifyEmail] ${maskEmail(profile.email)} belongs to another account`);
+      return res.status(409).json({
+        success: false,
+        code: 'EMAIL_IN_USE',
+        message: 'This email address is already linked to another account',
+      });
+    }
+    throw error;
+  }
+
+  const welcomeEmailSent = await sendWelcomeOnce(uid, profile, profile.email);
+
+  console.log(`[verifyEmail] ${maskEmail(profile.email)} verified. UID: ${uid}`);
+
+  return res.status(200).json({
+    success: true,
+    email: profile.email,
+    emailVerified: true,
+    welcomeEmailSent: welcomeEmailSent,
+    message: 'Email address verified',
+  });
+}
+
+const requestEmailVerificationHandlers = [
+  authenticate,
+  asyncHandler('requestEmailVerification', handleRequestEmailVerification),
+];
+
+const verifyEmailHandlers = [
+  authenticate,
+  validateBody(verifyEmailSchema),
+  asyncHandler('verifyEmail', handleVerifyEmail),
+];
+
+/**
+ * Main requestEmailVerification Cloud Function
+ */
+exports.requestEmailVerification = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', requestEmailVerificationHandlers)
+);
+
+/**
+ * Main verifyEmail Cloud Function
+ */
+exports.verifyEmail = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', verifyEmailHandlers)
+);
+
+exports.requestEmailVerificationHandlers = requestEmailVerificationHandlers;
+exports.verifyEmailHandlers = verifyEmailHandlers;
@@ -0,0 +1,115 @@
+/**
+ * USER DATA EXPORT CLOUD FUNCTION
+ *
+ * "Download my data" for NDPR (Nigeria Data Protection Regulation) subject
+ * access requests. Builds a ZIP with data.json and token_history.csv (see
+ * utils/dataExport), stores it in Cloud Storage and returns a short-lived
+ * download link.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token required; uid comes from the token
+ * - Link expires after EXPORT_LINK_TTL_MINUTES (default 15)
+ * - Other people's contact details in the export are masked
+ * - Per-account, per-IP and per-device rate limiting
+ * - Every export is recorded in the audit log
+ *
+ * ENDPOINT: POST /exportUserData
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "format": "json"  // Optional: "json" or "csv" for just that file
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "exportId": "exp_1a2b3c",
+ *   "url": "https://storage.googleapis.com/...",
+ *   "expiresAt": "2025-01-01T10:15:00.000Z",
+ *   "files": ["README.txt", "data.json", "token_history.csv"],
+ *   "counts": { "tokens": 12, "appliances": 4, ... }
+ * }
+ */
+
+const crypto = require('crypto');
+const { onRequest } = require('firebase-functions/v2/https');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate } = require('./utils/authMiddleware');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { collectUserData, buildExportFiles, storeExport } = require('./utils/dataExport');
+const { createZip } = require('./utils/zipArchive');
+const { buildAuditEntry } = require('./utils/auditLog');
+
+const exportUserDataSchema = {
+  format: { type: 'string', values: ['json', 'csv'] },
+};
+
+/**
+ * Build, store and link the caller's data export
+ */
+async function handleExportUserData(req, res) {
+  const { uid, phone } = req.auth;
+
+  const allowed = await enforceRateLimit('exportUserData', req, res, {
+    phone: phone,
+    message: 'Too many export requests.',
+  });
+  if (!allowed) {
+    console.warn(`[exportUserData] Rate limit exceeded for UID: ${uid}`);
+    return;
+  }
+
+  const exportedAt = new Date();
+  const exportId = `exp_${crypto.randomBytes(8).toString('hex')}`;
+
+  const data = await collectUserData(uid);
+  const files = buildExportFiles(uid, data, exportedAt, req.body.format);
+  const archive = createZip(files, exportedAt);
+  const downloadName = `unitwise-data-${exportedAt.toISOString().slice(0, 10)}.zip`;
+  const stored = await storeExport(uid, exportId, archive, downloadName);
+
+  const counts = {};
+  Object.keys(data).forEach((section) => {
+    if (Array.isArray(data[section])) {
+      counts[section] = data[section].length;
+    }
+  });
+
+  const audit = buildAuditEntry('data_export', uid, { exportId: exportId, bytes: archive.length }, req);
+  await audit.ref.set(audit.data);
+
+  console.log(`[exportUserData] Export ${exportId} ready for UID: ${uid} (${archive.length} bytes)`);
+
+  return res.status(200).json({
+    success: true,
+    exportId: exportId,
+    url: stored.url,
+    expiresAt: stored.expiresAt.toISOString(),
+    files: files.map((file) => file.name),
+    counts: counts,
+  });
+}
+
+const exportUserDataHandlers = [
+  authenticate,
+  validateBody(exportUserDataSchema),
+  asyncHandler('exportUserData', handleExportUserData),
+];
+
+/**
+ * Main exportUserData Cloud Function
+ */
+exports.exportUserData = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 120,
+    memory: '512MiB',
+  },
+  createShim('POST', exportUserDataHandlers)
+);
+
+exports.exportUserDataHandlers = exportUserDataHandlers;
@@ -2,7 +2,7 @@
  * UNITWISE CLOUD FUNCTIONS - MAIN INDEX
  */
 
-const admin = require('./admin'); // Use shared admin instance
+require('./admin'); // Initialise the shared admin instance
 const { onRequest } = require('firebase-functions/v2/https');
 
 console.log('[Firebase Admin] Using shared instance');
@@ -11,14 +11,54 @@ console.log('[Environment]', process.env.APP_ENV || 'development');
 // Export Cloud Functions
 const { sendOtp } = require('./sendOtp');
 const { verifyOtp } = require('./verifyOtp');
+const { resendOtp } = require('./resendOtp');
 const { createUserProfile, sendWelcomeEmailOnCreate } = require('./createUserProfile');
 const { resetPassword } = require('./resetPassword');
+const { passwordLogin, setPassword } = require('./passwordLogin');
+const { listDevices, signOutDevices } = require('./devices');
+const { requestPhoneChange, confirmPhoneChange } = require('./phoneChange');
+const { requestEmailVerification, verifyEmail } = require('./emailVerification');
+const { exportUserData } = require('./exportUserData');
+const { deleteAccount, eraseDeletedUser } = require('./deleteAccount');
+const { getTariffRate } = require('./tariffRate');
+const {
+  getLocations,
+  getLocationAreas,
+  resolveDisco,
+  resolveDiscoByLocation,
+  getBandEstimate,
+} = require('./locations');
+const { twilioStatusCallback, otpDeliveryStatus } = require('./deliveryStatus');
+const { cleanupExpiredSessions } = require('./cleanupSessions');
+const { api, handleHealthCheck } = require('./api');
 
 exports.sendOtp = sendOtp;
 exports.verifyOtp = verifyOtp;
+exports.resendOtp = resendOtp;
 exports.createUserProfile = createUserProfile;
 exports.resetPassword = resetPassword;
+exports.passwordLogin = passwordLogin;
+exports.setPassword = setPassword;
+exports.listDevices = listDevices;
+exports.signOutDevices = signOutDevices;
+exports.requestPhoneChange = requestPhoneChange;
+exports.confirmPhoneChange = confirmPhoneChange;
+exports.requestEmailVerification = requestEmailVerification;
+exports.verifyEmail = verifyEmail;
+exports.exportUserData = exportUserData;
+exports.deleteAccount = deleteAccount;
+exports.eraseDeletedUser = eraseDeletedUser;
+exports.getTariffRate = getTariffRate;
+exports.getLocations = getLocations;
+exports.getLocationAreas = getLocationAreas;
+exports.resolveDisco = resolveDisco;
+exports.resolveDiscoByLocation = resolveDiscoByLocation;
+exports.getBandEstimate = getBandEstimate;
 exports.sendWelcomeEmailOnCreate = sendWelcomeEmailOnCreate;
+exports.twilioStatusCallback = twilioStatusCallback;
+exports.otpDeliveryStatus = otpDeliveryStatus;
+exports.cleanupExpiredSessions = cleanupExpiredSessions;
+exports.api = api;
 
 // Health Check Function
 exports.healthCheck = onRequest(
@@ -28,17 +68,7 @@ exports.healthCheck = onRequest(
     timeoutSeconds: 10,
     memory: '128MiB',
   },
-  async (req, res) => {
-    return res.status(200).json({
-      status: 'ok',
-      service: 'unitwise-cloud-functions',
-      module: 'authentication',
-      version: '1.0.0',
-      timestamp: new Date().toISOString(),
-      environment: process.env.APP_ENV || 'development',
-      firestore: 'connected',
-    });
-  }
+  handleHealthCheck
 );
 
 console.log('[Cloud Functions] Loaded successfully ✓');
@@ -0,0 +1,440 @@
+/**
+ * LOCATION CLOUD FUNCTIONS
+ *
+ * Public read-only lookups from utils/discoLookup: the states and DisCos,
+ * the areas of states served by more than one DisCo, which DisCo serves a
+ * state/area or GPS position, and an estimated tariff band. The app reads
+ * these instead of keeping its own copy of the coverage data.
+ *
+ * SECURITY FEATURES:
+ * - Read-only public data; no token required
+ * - Strict query validation (state, DisCo code, lengths)
+ * - No Firestore rate limit: lookups are static and cacheable, so a
+ *   per-request counter write would cost more than the answer
+ *
+ * CACHING:
+ * Responses only change when the coverage dataset is deployed and carry
+ * Cache-Control: public, max-age=3600 (plus Express's ETag, so a revalidation
+ * answers 304). GPS lookups are cached privately, as coordinates identify
+ * where a user lives, and are never logged.
+ *
+ * ENDPOINT: GET /getLocations
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "coverageVersion": "2026.10.1",    // Coverage dataset version
+ *   "states": [
+ *     { "name": "Lagos", "discos": ["IE", "EKEDP"], "requiresArea": true, "hasAreas": true }
+ *   ],
+ *   "discos": [{ "code": "IE", "name": "Ikeja Electric", "region": "South West" }],
+ *   "bands": [{ "band": "A", "supplyHours": 20, "description": "Minimum 20 hours supply per day" }]
+ * }
+ *
+ * ENDPOINT: GET /getLocationAreas?state=Lagos
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "state": "Lagos",
+ *   "requiresArea": true,
+ *   "areas": [                         // [] if the dataset lists none
+ *     { "name": "Ikeja", "disco": "IE", "lga": "Ikeja", "businessUnit": "Ikeja" }
+ *   ]
+ * }
+ *
+ * ENDPOINT: GET /resolveDisco?state=Lagos&area=VI
+ *
+ * area may be an area, LGA or a full address; aliases and typos are
+ * matched (see utils/discoCoverage).
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "state": "Lagos",
+ *   "area": "Victoria Island",         // Matched area, or null
+ *   "lga": "Eti-Osa",
+ *   "businessUnit": null,              // Where the dataset has it
+ *   "disco": "EKEDP",                  // null while requiresArea is true
+ *   "discoName": "Eko Electricity Distribution Company",
+ *   "confidence": 1,                   // 0-1, how sure the match is
+ *   "matchType": "alias",              // state, exact, alias, lga, contains, fuzzy, default
+ *   "requiresArea": false,             // true: ask for an area from "areas"
+ *   "assumed": false,                  // true: area not recognised, state default used
+ *   "areas": [],
+ *   "suggestions": []                  // Closest areas to an unrecognised one
+ * }
+ *
+ * ENDPOINT: GET /resolveDiscoByLocation?lat=6.4281&lng=3.4219
+ *
+ * Point-in-polygon against the bundled service areas (see utils/serviceAreas).
+ * A point in no service area falls back to its state's outline: single-DisCo
+ * states resolve with matchType "gps_state" (area null, lower confidence),
+ * and states served by several DisCos answer requiresArea: true with the
+ * state's areas, as resolveDisco does.
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "state": "Lagos",
+ *   "area": "Victoria Island",
+ *   "lga": "Eti-Osa",
+ *   "businessUnit": null,
+ *   "disco": "EKEDP",
+ *   "discoName": "Eko Electricity Distribution Company",
+ *   "suggestedBand": null,             // Where the polygon data has a band
+ *   "confidence": 0.7,                 // Precision of the polygon
+ *   "matchType": "gps",                // gps, or gps_state from the state outline
+ *   "requiresArea": false,
+ *   "assumed": false,
+ *   "areas": [],
+ *   "suggestions": []
+ * }
+ *
+ * RESPONSE (Point outside Nigeria - 400):
+ * {
+ *   "success": false,
+ *   "code": "OUTSIDE_NIGERIA",
+ *   "message": "This location is outside Nigeria. UnitWise only covers Nigerian DisCos."
+ * }
+ *
+ * RESPONSE (No state outline contains the point - 404):
+ * {
+ *   "success": false,
+ *   "code": "NO_COVERAGE",
+ *   "message": "No DisCo coverage data for this location. Please select your state and area."
+ * }
+ *
+ * ENDPOINT: GET /getBandEstimate?disco=EKEDP&area=Ikoyi
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "disco": "EKEDP",
+ *   "area": "Ikoyi",
+ *   "band": "B",
+ *   "supplyHours": 16,
+ *   "description": "Minimum 16 hours supply per day",
+ *   "estimated": true                  // Users should confirm from their bill
+ * }
+ *
+ * RESPONSE (Error):
+ * {
+ *   "success": false,
+ *   "code": "VALIDATION_ERROR",
+ *   "message": "state must be a Nigerian state or FCT",
+ *   "errors": [...]
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { validateQuery, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const {
+  lookupDisco,
+  lookupDiscoByLocation,
+  estimateBand,
+  getAllDiscos,
+  getAllBands,
+  getAllStates,
+  getStateAreas,
+  normalizeState,
+  isValidDisco,
+  DISCO_LIST,
+  COVERAGE_VERSION,
+} = require('./utils/discoLookup');
+
+const CACHE_MAX_AGE_SECONDS = 3600;
+
+const stateRule = {
+  type: 'string',
+  required: true,
+  maxLength: 64,
+  check: (value) => normalizeState(value) !== null,
+  code: 'INVALID_STATE',
+  message: 'state must be a Nigerian state or FCT',
+};
+
+const getLocationAreasSchema = {
+  state: stateRule,
+};
+
+const resolveDiscoSchema = {
+  state: stateRule,
+  area: { type: 'string', maxLength: 100 },
+};
+
+/**
+ * Decimal degrees between min and max (query values are strings)
+ */
+function coordinateRule(field, min, max) {
+  return {
+    type: 'string',
+    required: true,
+    maxLength: 20,
+    check: (value) => /^-?\d+(\.\d+)?$/.test(value.trim()) && Number(value) >= min && Number(value) <= max,
+    code: 'INVALID_COORDINATES',
+    message: `${field} must be a number between ${min} and ${max}`,
+  };
+}
+
+const resolveDiscoByLocationSchema = {
+  lat: coordinateRule('lat', -90, 90),
+  lng: coordinateRule('lng', -180, 180),
+};
+
+const getBandEstimateSchema = {
+  disco: {
+    type: 'string',
+    required: true,
+    check: isValidDisco,
+    code: 'INVALID_DISCO',
+    message: 'disco must be a valid DisCo code',
+  },
+  area: { type: 'string', required: true, maxLength: 100 },
+};
+
+/**
+ * Send a cacheable success response
+ */
+function sendCached(res, body) {
+  res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  return res.status(200).json({ success: true, ...body });
+}
+
+/**
+ * States, DisCos and bands in one response
+ */
+function handleGetLocations(req, res) {
+  const bands = getAllBands();
+  return sendCached(res, {
+    coverageVersion: COVERAGE_VERSION,
+    states: getAllStates(),
+    discos: getAllDiscos(),
+    bands: Object.keys(bands).map((band) => ({ band: band, ...bands[band] })),
+  });
+}
+
+/**
+ * Known areas of a state
+ */
+function handleGetLocationAreas(req, res) {
+  const state = normalizeState(req.query.state);
+  return sendCached(res, {
+    state: state,
+    requiresArea: getAllStates().find((entry) => entry.name === state).requiresArea,
+    areas: getStateAreas(state),
+  });
+}
+
+/**
+ * DisCo serving a state, or the area needed to pick one
+ */
+function handleResolveDisco(req, res) {
+  const state = normalizeState(req.query.state);
+  const area = req.query.area ? req.query.area.trim() : null;
+  const result = lookupDisco(req.query.state, area);
+
+  if (!result.success) {
+    return sendCached(res, {
+      state: state,
+      area: area,
+      lga: null,
+      businessUnit: null,
+      disco: null,
+      discoName: null,
+      confidence: 0,
+      matchType: null,
+      requiresArea: true,
+      assumed: false,
+      areas: getStateAreas(state),
+      suggestions: result.suggestions || [],
+    });
+  }
+
+  return sendCached(res, {
+    state: state,
+    area: result.area,
+    lga: result.lga,
+    businessUnit: result.businessUnit,
+    disco: result.disco,
+    discoName: DISCO_LIST.find((entry) => entry.code === result.disco).name,
+    confidence: result.confidence,
+    matchType: result.matchType,
+    requiresArea: false,
+    assumed: result.assumed,
+    areas: [],
+    suggestions: [],
+  });
+}
+
+/**
+ * DisCo serving a GPS position
+ */
+function handleResolveDiscoByLocation(req, res) {
+  const result = lookupDiscoByLocation(Number(req.query.lat), Number(req.query.lng));
+  res.set('Cache-Control', `private, max-age=${CACHE_MAX_AGE_SECONDS}`);
+
+  if (result.code === 'OUTSIDE_NIGERIA') {
+    return res.status(400).json({
+      success: false,
+      code: result.code,
+      message: result.message,
+    });
+  }
+
+  if (result.code === 'AREA_REQUIRED') {
+    return res.status(200).json({
+      success: true,
+      state: result.state,
+      area: null,
+      lga: null,
+      businessUnit: null,
+      disco: null,
+      discoName: null,
+      suggestedBand: null,
+      confidence: 0,
+      matchType: null,
+      requiresArea: true,
+      assumed: false,
+      areas: getStateAreas(result.state),
+      suggestions: [],
+    });
+  }
+
+  if (!result.success) {
+    return res.status(404).json({
+      success: false,
+      code: 'NO_COVERAGE',
+      message: result.message,
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    state: result.state,
+    area: result.area,
+    lga: result.lga,
+    businessUnit: result.businessUnit,
+    disco: result.disco,
+    discoName: result.fullName,
+    suggestedBand: result.suggestedBand,
+    confidence: result.confidence,
+    matchType: result.matchType,
+    requiresArea: false,
+    assumed: result.assumed,
+    areas: [],
+    suggestions: [],
+  });
+}
+
+/**
+ * Estimated band for an area of a DisCo
+ */
+function handleGetBandEstimate(req, res) {
+  const { disco } = req.query;
+  const area = req.query.area.trim();
+  const band = estimateBand(disco, area);
+
+  return sendCached(res, {
+    disco: disco,
+    area: area,
+    band: band,
+    ...getAllBands()[band],
+    estimated: true,
+  });
+}
+
+const getLocationsHandlers = [
+  asyncHandler('getLocations', handleGetLocations),
+];
+
+const getLocationAreasHandlers = [
+  validateQuery(getLocationAreasSchema),
+  asyncHandler('getLocationAreas', handleGetLocationAreas),
+];
+
+const resolveDiscoHandlers = [
+  validateQuery(resolveDiscoSchema),
+  asyncHandler('resolveDisco', handleResolveDisco),
+];
+
+const resolveDiscoByLocationHandlers = [
+  validateQuery(resolveDiscoByLocationSchema),
+  asyncHandler('resolveDiscoByLocation', handleResolveDiscoByLocation),
+];
+
+const getBandEstimateHandlers = [
+  validateQuery(getBandEstimateSchema),
+  asyncHandler('getBandEstimate', handleGetBandEstimate),
+];
+
+/**
+ * Main getLocations Cloud Function
+ */
+exports.getLocations = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', getLocationsHandlers)
+);
+
+/**
+ * Main getLocationAreas Cloud Function
+ */
+exports.getLocationAreas = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', getLocationAreasHandlers)
+);
+
+/**
+ * Main resolveDisco Cloud Function
+ */
+exports.resolveDisco = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', resolveDiscoHandlers)
+);
+
+/**
+ * Main resolveDiscoByLocation Cloud Function
+ */
+exports.resolveDiscoByLocation = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', resolveDiscoByLocationHandlers)
+);
+
+/**
+ * Main getBandEstimate Cloud Function
+ */
+exports.getBandEstimate = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', getBandEstimateHandlers)
+);
+
+exports.getLocationsHandlers = getLocationsHandlers;
+exports.getLocationAreasHandlers = getLocationAreasHandlers;
+exports.resolveDiscoHandlers = resolveDiscoHandlers;
+exports.resolveDiscoByLocationHandlers = resolveDiscoByLocationHandlers;
+exports.getBandEstimateHandlers = getBandEstimateHandlers;
@@ -0,0 +1,277 @@
+/**
+ * PASSWORD LOGIN CLOUD FUNCTIONS
+ *
+ * Phone + password sign-in for users who set a password after signup, and
+ * the endpoint that sets that password. Successful logins get a Firebase
+ * custom token, exactly like verifyOtp.
+ *
+ * SECURITY FEATURES:
+ * - Passwords checked against the server-side policy (utils/passwordPolicy)
+ * - Progressive lockout per phone after repeated wrong passwords
+ * - Per-phone, per-IP and per-device rate limiting
+ * - Same INVALID_CREDENTIALS response for unknown numbers, accounts without
+ *   a password and wrong passwords (no account enumeration)
+ * - Passwords are never logged
+ *
+ * ENDPOINT: POST /passwordLogin
+ *
+ * HEADERS:
+ * X-Device-Id: <per-install ID>      // Optional, recorded in the user's devices
+ *
+ * REQUEST BODY:
+ * {
+ *   "phone": "+2348100000000",        // Required, E.164 or local (08100000000)
+ *   "password": "********"            // Required
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "uid": "firebase_uid_123",
+ *   "customToken": "eyJ...",
+ *   "deviceId": "3f1c...",          // Send as X-Device-Id from now on
+ *   "phone": "+2348100000000",
+ *   "message": "Login successful"
+ * }
+ *
+ * RESPONSE (Error):
+ * {
+ *   "success": false,
+ *   "code": "INVALID_CREDENTIALS",
+ *   "message": "Incorrect phone number or password",
+ *   "attemptsRemaining": 3
+ * }
+ *
+ * RESPONSE (Locked, 429 with Retry-After):
+ * {
+ *   "success": false,
+ *   "code": "ACCOUNT_LOCKED",
+ *   "message": "Too many incorrect passwords. Try again in 5 minutes.",
+ *   "retryAfter": 300
+ * }
+ *
+ * ENDPOINT: POST /setPassword
+ *
+ * Needs a recent sign-in (RECENT_SIGN_IN_MINUTES in utils/authMiddleware),
+ * so a borrowed or stolen unlocked phone cannot take the account over, and
+ * signs out every other device.
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "password": "********"            // Required, must satisfy the password policy
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "signedOutDevices": 2,            // Other devices that were signed out
+ *   "message": "Password set successfully"
+ * }
+ *
+ * RESPONSE (Stale sign-in, 401):
+ * {
+ *   "success": false,
+ *   "code": "REAUTH_REQUIRED",
+ *   "message": "Please sign in again to change your password"
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const admin = require('./admin');
+const { maskPhoneNumber } = require('./utils/phoneNumber');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate, isRecentSignIn } = require('./utils/authMiddleware');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { verifyUserPassword, setUserPassword } = require('./utils/credentials');
+const { getLockout, recordFailure, clearLockout } = require('./utils/loginLockout');
+const { recordDeviceSignIn, createDeviceToken, signOutOtherDevices } = require('./utils/devices');
+
+const passwordLoginSchema = {
+  phone: { type: 'phone', required: true },
+  password: { type: 'string', required: true, maxLength: 128 },
+};
+
+// The password may not contain the caller's own number
+const setPasswordSchema = (req) => ({
+  password: { type: 'password', required: true, phone: req.auth.phone },
+});
+
+/**
+ * Respond 429 for a locked-out number
+ */
+function sendLocked(res, retryAfterSeconds) {
+  const waitMinutes = Math.ceil(retryAfterSeconds / 60);
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many incorrect passwords. Try again in ${waitMinutes} minute${waitMinutes === 1 ? '' : 's'}.`,
+    retryAfter: retryAfterSeconds,
+  });
+}
+
+/**
+ * Find the Auth user for a phone number
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {Promise<Object|null>} Auth user record or null if not registered
+ */
+async function findUserByPhone(phone) {
+  try {
+    return await admin.auth().getUserByPhoneNumber(phone);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sign in with phone number and password
+ */
+async function handlePasswordLogin(req, res) {
+  const { phone, password } = req.body;
+
+  const maskedPhone = maskPhoneNumber(phone);
+  console.log(`[passwordLogin] Login attempt for ${maskedPhone}`);
+
+  const allowed = await enforceRateLimit('passwordLogin', req, res, {
+    phone: phone,
+    message: 'Too many login attempts.',
+  });
+  if (!allowed) {
+    console.warn(`[passwordLogin] Rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+
+  const lockout = await getLockout(phone);
+  if (lockout.locked) {
+    console.warn(`[passwordLogin] Locked out: ${maskedPhone}`);
+    return sendLocked(res, lockout.retryAfterSeconds);
+  }
+
+  const userRecord = await findUserByPhone(phone);
+  const check = await verifyUserPassword(userRecord ? userRecord.uid : null, password);
+
+  if (!check.match) {
+    const failure = await recordFailure(phone);
+    console.warn(`[passwordLogin] Invalid credentials for ${maskedPhone}` +
+      (userRecord && !check.hasPassword ? ' (no password set)' : ''));
+
+    if (failure.locked) {
+      return sendLocked(res, failure.retryAfterSeconds);
+    }
+    return res.status(401).json({
+      success: false,
+      code: 'INVALID_CREDENTIALS',
+      message: 'Incorrect phone number or password',
+      attemptsRemaining: failure.attemptsRemaining,
+    });
+  }
+
+  if (userRecord.disabled) {
+    console.warn(`[passwordLogin] Disabled account: ${maskedPhone}`);
+    return res.status(403).json({
+      success: false,
+      code: 'USER_DISABLED',
+      message: 'This account has been disabled.',
+    });
+  }
+
+  await clearLockout(phone);
+  const deviceId = await recordDeviceSignIn(userRecord.uid, req, 'password');
+  const customToken = await createDeviceToken(userRecord.uid, deviceId);
+
+  console.log(`[passwordLogin] Login successful for ${maskedPhone}. UID: ${userRecord.uid}`);
+
+  return res.status(200).json({
+    success: true,
+    uid: userRecord.uid,
+    customToken: customToken,
+    deviceId: deviceId,
+    phone: phone,
+    message: 'Login successful',
+  });
+}
+
+/**
+ * Set or change the signed-in user's password
+ */
+async function handleSetPassword(req, res) {
+  const user = req.auth;
+  const { password } = req.body;
+
+  const allowed = await enforceRateLimit('setPassword', req, res, {
+    message: 'Too many password changes.',
+  });
+  if (!allowed) {
+    console.warn(`[setPassword] Rate limit exceeded for UID: ${user.uid}`);
+    return;
+  }
+
+  if (!isRecentSignIn(user)) {
+    console.warn(`[setPassword] Stale sign-in for UID: ${user.uid}`);
+    return res.status(401).json({
+      success: false,
+      code: 'REAUTH_REQUIRED',
+      message: 'Please sign in again to change your password',
+    });
+  }
+
+  await setUserPassword(user.uid, password);
+
+  // Anyone else signed in must prove the new password (or an OTP) again
+  const signedOutDevices = await signOutOtherDevices(user.uid, user.deviceId);
+
+  console.log(`[setPassword] Password set for UID: ${user.uid}. Signed out ${signedOutDevices} other device(s)`);
+
+  return res.status(200).json({
+    success: true,
+    signedOutDevices: signedOutDevices,
+    message: 'Password set successfully',
+  });
+}
+
+const passwordLoginHandlers = [
+  validateBody(passwordLoginSchema),
+  asyncHandler('passwordLogin', handlePasswordLogin),
+];
+
+const setPasswordHandlers = [
+  authenticate,
+  validateBody(setPasswordSchema),
+  asyncHandler('setPassword', handleSetPassword),
+];
+
+/**
+ * Main passwordLogin Cloud Function
+ */
+exports.passwordLogin = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', passwordLoginHandlers)
+);
+
+/**
+ * Main setPassword Cloud Function
+ */
+exports.setPassword = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', setPasswordHandlers)
+);
+
+exports.passwordLoginHandlers = passwordLoginHandlers;
+exports.setPasswordHandlers = setPasswordHandlers;
@@ -0,0 +1,411 @@
+/**
+ * PHONE NUMBER CHANGE CLOUD FUNCTIONS
+ *
+ * Moves a signed-in account to a new SIM. The user requests the change,
+ * proves they hold the new number with an OTP (and, optionally, the old
+ * number too), and the Firebase Auth phone number and users/{uid}.phone are
+ * then updated together with an audit entry.
+ *
+ * SECURITY FEATURES:
+ * - Firebase ID token required; uid and current phone come from the token
+ * - OTP sessions use the phone_change purpose and are bound to the uid
+ * - Old- and new-number codes are checked together; neither is used up
+ *   unless both are correct
+ * - Old-number verification on request, or always with
+ *   PHONE_CHANGE_REQUIRE_OLD_PHONE=true (the old SIM is often lost, hence
+ *   optional by default)
+ * - A number that already belongs to another account is refused
+ * - If the Firestore update fails, the Auth phone number is rolled back
+ * - Per-phone, per-IP and per-device rate limiting
+ *
+ * ENDPOINT: POST /requestPhoneChange
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "newPhone": "+2348030000000",     // Required, E.164 or local (08030000000)
+ *   "verifyOldPhone": true            // Optional, also send an OTP to the current number
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "sessionId": "abc123",            // For the OTP sent to the new number
+ *   "oldPhoneSessionId": "def456",    // Only when the old number must be verified
+ *   "message": "OTP sent to your new phone number",
+ *   "expiresIn": 300
+ * }
+ *
+ * ENDPOINT: POST /confirmPhoneChange
+ *
+ * HEADERS:
+ * Authorization: Bearer <Firebase ID token>
+ *
+ * REQUEST BODY:
+ * {
+ *   "newPhone": "+2348030000000",     // Required
+ *   "sessionId": "abc123",            // Required
+ *   "otp": "123456",                  // Required, OTP sent to the new number
+ *   "oldPhoneSessionId": "def456",    // Required if the request returned one
+ *   "oldPhoneOtp": "654321"           // Required with oldPhoneSessionId
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "phone": "+2348030000000",
+ *   "message": "Phone number changed. Refresh your session to continue."
+ * }
+ *
+ * The caller's ID token still carries the old number until it is refreshed
+ * (getIdToken(true) on the client).
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const admin = require('./admin');
+const { maskPhoneNumber } = require('./utils/phoneNumber');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { authenticate } = require('./utils/authMiddleware');
+const { deliverOtpWithFallback } = require('./utils/otpDelivery');
+const { getTestOtp, canExposeOtp, buildTestDeliveryResult } = require('./utils/testMode');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { getOtpPolicy } = require('./utils/otpPolicy');
+const { generateSecureOTP, createOtpSession, verifyOtpSessions } = require('./utils/otpSessions');
+const { buildAuditEntry } = require('./utils/auditLog');
+
+const requestPhoneChangeSchema = {
+  newPhone: { type: 'phone', required: true },
+  verifyOldPhone: { type: 'boolean' },
+};
+
+const confirmPhoneChangeSchema = {
+  newPhone: { type: 'phone', required: true },
+  sessionId: { type: 'string', required: true, maxLength: 128 },
+  otp: { type: 'digits', required: true },
+  oldPhoneSessionId: { type: 'string', maxLength: 128 },
+  oldPhoneOtp: { type: 'digits' },
+};
+
+/**
+ * Whether the old number must always be verified
+ */
+function oldPhoneRequired() {
+  return process.env.PHONE_CHANGE_REQUIRE_OLD_PHONE === 'true';
+}
+
+/**
+ * Check whether a phone number belongs to an Auth user
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {Promise<boolean>} True if registered
+ */
+async function phoneInUse(phone) {
+  try {
+    await admin.auth().getUserByPhoneNumber(phone);
+    return true;
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Generate, deliver and store a phone_change OTP
+ *
+ * @param {string} phone - Number to send the OTP to
+ * @param {Object} fields - Extra session fields
+ * @return {Promise<Object>} { success: true, sessionId, otp, exposeOtp } or
+ *   { success: false, error, message }
+ */
+async function sendPhoneChangeOtp(phone, fields) {
+  // SECURITY: Plaintext OTP only leaves this function for test numbers or the emulator
+  const testOtp = getTestOtp(phone);
+  const policy = await getOtpPolicy();
+  const otp = testOtp || generateSecureOTP(policy.length);
+  const session = await createOtpSession('phone_change', phone, otp, fields);
+
+  // SMS first: a new SIM may not have WhatsApp set up yet
+  const deliveryResult = testOtp ?
+    buildTestDeliveryResult('sms') :
+    await deliverOtpWithFallback(phone, otp, 'sms', { ttlMinutes: policy.ttlMinutes });
+
+  if (!deliveryResult.success) {
+    return { success: false, error: deliveryResult.error, message: deliveryResult.message };
+  }
+
+  await session.ref.set({
+    ...session.data,
+    messageSid: deliveryResult.messageSid,
+    deliveryProvider: deliveryResult.provider,
+    deliveredChannel: deliveryResult.channel,
+    deliveryAttempts: deliveryResult.attempts,
+  });
+
+  return { success: true, sessionId: session.id, otp: otp, exposeOtp: canExposeOtp(phone) };
+}
+
+/**
+ * Start a phone number change: send an OTP to the new (and maybe old) number
+ */
+async function handleRequestPhoneChange(req, res) {
+  const { uid, phone: currentPhone } = req.auth;
+  const { newPhone, verifyOldPhone } = req.body;
+
+  const maskedPhone = maskPhoneNumber(newPhone);
+  console.log(`[requestPhoneChange] Change to ${maskedPhone} requested. UID: ${uid}`);
+
+  if (newPhone === currentPhone) {
+    return res.status(400).json({
+      success: false,
+      code: 'SAME_PHONE',
+      message: 'This is already your phone number',
+    });
+  }
+
+  const allowed = await enforceRateLimit('phoneChange', req, res, {
+    phone: newPhone,
+    message: 'Too many phone change requests.',
+  });
+  if (!allowed) {
+    console.warn(`[requestPhoneChange] Rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+
+  if (await phoneInUse(newPhone)) {
+    console.warn(`[requestPhoneChange] Number already registered: ${maskedPhone}`);
+    return res.status(409).json({
+      success: false,
+      code: 'PHONE_IN_USE',
+      message: 'This phone number is already linked to another account',
+    });
+  }
+
+  const checkOldPhone = Boolean(currentPhone) && (verifyOldPhone === true || oldPhoneRequired());
+  const sessionFields = { uid: uid, oldPhone: currentPhone || null, newPhone: newPhone };
+
+  let oldSent = null;
+  if (checkOldPhone) {
+    oldSent = await sendPhoneChangeOtp(currentPhone, { ...sessionFields, role: 'old' });
+    if (!oldSent.success) {
+      console.error(`[requestPhoneChange] Failed to send OTP to current number for UID: ${uid}`);
+      return res.status(500).json({
+        success: false,
+        code: oldSent.error,
+        message: oldSent.message || 'Failed to send OTP',
+      });
+    }
+  }
+
+  const newSent = await sendPhoneChangeOtp(newPhone, {
+    ...sessionFields,
+    role: 'new',
+    oldPhoneSessionId: oldSent ? oldSent.sessionId : null,
+  });
+  if (!newSent.success) {
+    console.error(`[requestPhoneChange] Failed to send OTP to ${maskedPhone}`);
+    return res.status(500).json({
+      success: false,
+      code: newSent.error,
+      message: newSent.message || 'Failed to send OTP',
+    });
+  }
+
+  console.log(`[requestPhoneChange] OTP sent to ${maskedPhone}${oldSent ? ' and current number' : ''}`);
+
+  const policy = await getOtpPolicy();
+  const response = {
+    success: true,
+    sessionId: newSent.sessionId,
+    message: 'OTP sent to your new phone number',
+    expiresIn: policy.ttlMinutes * 60,
+  };
+  if (oldSent) {
+    response.oldPhoneSessionId = oldSent.sessionId;
+    response.message = 'OTP sent to your new and current phone numbers';
+  }
+  if (newSent.exposeOtp) {
+    response.testOtp = newSent.otp;
+  }
+  if (oldSent && oldSent.exposeOtp) {
+    response.oldPhoneTestOtp = oldSent.otp;
+  }
+
+  return res.status(200).json(response);
+}
+
+// Refusals for a session that is not this user's, or whose old-number
+// check was skipped (see verifyOtpSessions)
+const SESSION_NOT_FOUND = {
+  status: 404,
+  code: 'SESSION_NOT_FOUND',
+  message: 'Invalid or expired session. Please request a new OTP.',
+};
+
+const OLD_PHONE_NOT_VERIFIED = {
+  status: 403,
+  code: 'OLD_PHONE_NOT_VERIFIED',
+  message: 'Your current phone number must also be verified. Please start again.',
+};
+
+/**
+ * Update Auth and users/{uid} together, with an audit entry
+ *
+ * Auth cannot join a Firestore transaction, so Auth is updated first and
+ * rolled back if the Firestore write fails.
+ */
+async function applyPhoneChange(req, uid, oldPhone, newPhone, verifiedOldPhone) {
+  await admin.auth().updateUser(uid, { phoneNumber: newPhone });
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+  const audit = buildAuditEntry('phone_change', uid, {
+    oldPhone: oldPhone,
+    newPhone: newPhone,
+    verifiedOldPhone: verifiedOldPhone,
+  }, req);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      if (userDoc.exists) {
+        transaction.update(userRef, {
+          phone: newPhone,
+          updated_at: admin.firestore.Timestamp.now(),
+        });
+      }
+      transaction.set(audit.ref, audit.data);
+    });
+  } catch (error) {
+    console.error(`[confirmPhoneChange] Firestore update failed, restoring Auth phone for UID: ${uid}`);
+    await admin.auth().updateUser(uid, { phoneNumber: oldPhone });
+    throw error;
+  }
+}
+
+/**
+ * Finish a phone number change after the OTP(s) check out
+ */
+async function handleConfirmPhoneChange(req, res) {
+  const { uid, phone: currentPhone } = req.auth;
+  const { newPhone, sessionId, otp, oldPhoneSessionId, oldPhoneOtp } = req.body;
+
+  const maskedPhone = maskPhoneNumber(newPhone);
+
+  if (oldPhoneSessionId && !oldPhoneOtp) {
+    return res.status(400).json({
+      success: false,
+      code: 'OLD_PHONE_OTP_REQUIRED',
+      message: 'Enter the OTP sent to your current phone number',
+    });
+  }
+
+  // OTP guesses for a phone change share the verifyOtp budget
+  const allowed = await enforceRateLimit('verifyOtp', req, res, { phone: newPhone });
+  if (!allowed) {
+    console.warn(`[confirmPhoneChange] Verification rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+
+  // Both codes are checked in one transaction and neither session is used
+  // up unless both are correct, so a wrong new-number code does not cost
+  // the user their old-number code
+  const checks = [{
+    sessionId: sessionId,
+    phone: newPhone,
+    otp: otp,
+    purpose: 'phone_change',
+    check: (session) => {
+      if (session.uid !== uid || session.role !== 'new' || session.oldPhone !== (currentPhone || null)) {
+        return SESSION_NOT_FOUND;
+      }
+      if (session.oldPhoneSessionId && session.oldPhoneSessionId !== oldPhoneSessionId) {
+        return OLD_PHONE_NOT_VERIFIED;
+      }
+      return null;
+    },
+  }];
+  if (oldPhoneSessionId) {
+    checks.push({
+      sessionId: oldPhoneSessionId,
+      phone: currentPhone,
+      otp: oldPhoneOtp,
+      purpose: 'phone_change',
+      check: (session) => (session.uid !== uid || session.role !== 'old' ? SESSION_NOT_FOUND : null),
+    });
+  }
+
+  const verification = await verifyOtpSessions(checks);
+  if (!verification.success) {
+    const which = verification.sessionId === sessionId ? maskedPhone : 'current number';
+    console.warn(`[confirmPhoneChange] ${verification.error.code} for ${which}. UID: ${uid}`);
+    return res.status(verification.status).json(verification.error);
+  }
+  const verifiedOldPhone = Boolean(oldPhoneSessionId);
+
+  try {
+    await applyPhoneChange(req, uid, currentPhone, newPhone, verifiedOldPhone);
+  } catch (error) {
+    if (error.code === 'auth/phone-number-already-exists') {
+      console.warn(`[confirmPhoneChange] Number taken before confirmation: ${maskedPhone}`);
+      return res.status(409).json({
+        success: false,
+        code: 'PHONE_IN_USE',
+        message: 'This phone number is already linked to another account',
+      });
+    }
+    throw error;
+  }
+
+  console.log(`[confirmPhoneChange] Phone changed to ${maskedPhone}. UID: ${uid}`);
+
+  return res.status(200).json({
+    success: true,
+    phone: newPhone,
+    message: 'Phone number changed. Refresh your session to continue.',
+  });
+}
+
+const requestPhoneChangeHandlers = [
+  authenticate,
+  validateBody(requestPhoneChangeSchema),
+  asyncHandler('requestPhoneChange', handleRequestPhoneChange),
+];
+
+const confirmPhoneChangeHandlers = [
+  authenticate,
+  validateBody(confirmPhoneChangeSchema),
+  asyncHandler('confirmPhoneChange', handleConfirmPhoneChange),
+];
+
+/**
+ * Main requestPhoneChange Cloud Function
+ */
+exports.requestPhoneChange = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', requestPhoneChangeHandlers)
+);
+
+/**
+ * Main confirmPhoneChange Cloud Function
+ */
+exports.confirmPhoneChange = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', confirmPhoneChangeHandlers)
+);
+
+exports.requestPhoneChangeHandlers = requestPhoneChangeHandlers;
+exports.confirmPhoneChangeHandlers = confirmPhoneChangeHandlers;
@@ -0,0 +1,186 @@
+/**
+ * RESEND OTP CLOUD FUNCTION
+ *
+ * Sends a fresh code for an existing OTP session instead of opening a new
+ * one, so a missed message does not eat into the sendOtp limit.
+ *
+ * SECURITY FEATURES:
+ * - Session lookup requires the matching phone number
+ * - Only login, signup and new-number phone_change sessions can be resent;
+ *   other sessions (e.g. email_verification) are treated as not found, so
+ *   a code meant for an email address is never sent to the phone. Email
+ *   codes are sent again through their own flow (requestEmailVerification)
+ * - Cooldown between resends and a cap per session
+ * - Code is rotated on every resend (previous code stops working)
+ * - Attempt counter resets and expiry restarts with the new code
+ * - If the new code cannot be delivered, the previous code and resend
+ *   count are restored
+ * - Expired sessions cannot be resent (SESSION_EXPIRED); start again with
+ *   sendOtp
+ * - Per-phone, per-IP and per-device rate limiting
+ *
+ * ENDPOINT: POST /resendOtp
+ *
+ * REQUEST BODY:
+ * {
+ *   "sessionId": "abc123",            // Required
+ *   "phone": "+2348100000000",        // Required, must match the session
+ *   "channel": "sms"                  // Optional: "sms" or "whatsapp"
+ * }
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "sessionId": "abc123",
+ *   "messageSid": "SM...",
+ *   "channel": "sms",
+ *   "fallbackUsed": false,
+ *   "message": "OTP resent via SMS",
+ *   "expiresIn": 300,
+ *   "resendsRemaining": 2
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const admin = require('./admin');
+const { maskPhoneNumber } = require('./utils/twilioClient');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { deliverOtpWithFallback, CHANNELS } = require('./utils/otpDelivery');
+const { getTestOtp, canExposeOtp, buildTestDeliveryResult } = require('./utils/testMode');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { getOtpPolicy } = require('./utils/otpPolicy');
+const { generateSecureOTP, rotateOtpSession, restoreOtpSession } = require('./utils/otpSessions');
+
+// Sessions whose code goes to the phone in the request
+const RESENDABLE_PURPOSES = ['login', 'signup', 'phone_change'];
+
+const resendOtpSchema = {
+  sessionId: { type: 'string', required: true, maxLength: 128 },
+  phone: { type: 'phone', required: true },
+  channel: { type: 'string', values: CHANNELS },
+};
+
+/**
+ * Refuse the old-number half of a phone change
+ */
+function checkResendable(session) {
+  if (session.purpose === 'phone_change' && session.role !== 'new') {
+    return {
+      status: 404,
+      code: 'SESSION_NOT_FOUND',
+      message: 'Invalid or expired session. Please request a new OTP.',
+    };
+  }
+  return null;
+}
+
+/**
+ * Rotate the code on an existing session and send it again
+ */
+async function handleResendOtp(req, res) {
+  const { sessionId, phone, channel } = req.body;
+
+  const maskedPhone = maskPhoneNumber(phone);
+  console.log(`[resendOtp] Resend request for ${maskedPhone}. SessionID: ${sessionId}`);
+
+  const allowed = await enforceRateLimit('resendOtp', req, res, {
+    phone: phone,
+    message: 'Too many resend requests.',
+  });
+  if (!allowed) {
+    console.warn(`[resendOtp] Rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+
+  // SECURITY: Plaintext OTP only leaves this function for test numbers or the emulator
+  const testOtp = getTestOtp(phone);
+  const exposeOtp = canExposeOtp(phone);
+  const policy = await getOtpPolicy();
+  const otp = testOtp || generateSecureOTP(policy.length);
+
+  const rotation = await rotateOtpSession({
+    sessionId: sessionId,
+    phone: phone,
+    otp: otp,
+    purpose: RESENDABLE_PURPOSES,
+    check: checkResendable,
+  });
+
+  if (!rotation.success) {
+    console.warn(`[resendOtp] ${rotation.error.code} for ${maskedPhone}. SessionID: ${sessionId}`);
+    if (rotation.error.retryAfter) {
+      res.set('Retry-After', String(rotation.error.retryAfter));
+    }
+    return res.status(rotation.status).json(rotation.error);
+  }
+
+  const session = rotation.session;
+  const requestedChannel = channel || session.deliveredChannel || (session.source === 'sms' ? 'sms' : 'whatsapp');
+
+  let deliveryResult;
+  try {
+    deliveryResult = testOtp ?
+      buildTestDeliveryResult(requestedChannel) :
+      await deliverOtpWithFallback(phone, otp, requestedChannel, { ttlMinutes: policy.ttlMinutes });
+  } catch (error) {
+    await restoreOtpSession(sessionId, rotation);
+    throw error;
+  }
+
+  if (!deliveryResult.success) {
+    // The previous code was still valid; keep it and give the resend back
+    await restoreOtpSession(sessionId, rotation);
+    console.error(`[resendOtp] OTP delivery failed for ${maskedPhone} after ${deliveryResult.attempts.length} attempt(s):`, deliveryResult.error);
+    return res.status(500).json({
+      success: false,
+      code: deliveryResult.error,
+      message: deliveryResult.message || 'Failed to send OTP. Please try again.',
+    });
+  }
+
+  const db = admin.firestore();
+  const update = {
+    messageSid: deliveryResult.messageSid,
+    deliveryProvider: deliveryResult.provider,
+    deliveredChannel: deliveryResult.channel,
+  };
+  if (deliveryResult.attempts.length > 0) {
+    update.deliveryAttempts = admin.firestore.FieldValue.arrayUnion(...deliveryResult.attempts);
+  }
+  await db.collection('otp_sessions').doc(sessionId).update(update);
+
+  console.log(`[resendOtp] OTP resent to ${maskedPhone} via ${deliveryResult.channel} (resend ${rotation.resendCount}/${policy.maxResends})`);
+  if (exposeOtp) {
+    console.log(`[resendOtp] TEST MODE - OTP: ${otp}`);
+  }
+
+  const response = {
+    success: true,
+    sessionId: sessionId,
+    messageSid: deliveryResult.messageSid,
+    channel: deliveryResult.channel,
+    fallbackUsed: deliveryResult.channel !== requestedChannel,
+    message: `OTP resent via ${deliveryResult.channel === 'sms' ? 'SMS' : 'WhatsApp'}`,
+    expiresIn: policy.ttlMinutes * 60,
+    resendsRemaining: policy.maxResends - rotation.resendCount,
+  };
+  if (exposeOtp) {
+    response.testOtp = otp;
+  }
+
+  return res.status(200).json(response);
+}
+
+const resendOtpHandlers = [validateBody(resendOtpSchema), asyncHandler('resendOtp', handleResendOtp)];
+
+exports.resendOtp = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('POST', resendOtpHandlers)
+);
+
+exports.resendOtpHandlers = resendOtpHandlers;
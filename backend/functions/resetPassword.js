@@ -1,84 +1,80 @@
 const { onRequest } = require('firebase-functions/v2/https');
 const admin = require('./admin');
-const bcrypt = require('bcrypt');
-const crypto = require('crypto');
-const { sendWhatsAppOTP, sendSMSOTP, maskPhoneNumber } = require('./utils/twilioClient');
+const { maskPhoneNumber } = require('./utils/twilioClient');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { deliverOtpWithFallback } = require('./utils/otpDelivery');
+const { getTestOtp, canExposeOtp, buildTestDeliveryResult } = require('./utils/testMode');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { getOtpPolicy } = require('./utils/otpPolicy');
+const { generateSecureOTP, createOtpSession, verifyOtpSession } = require('./utils/otpSessions');
+const { setUserPassword } = require('./utils/credentials');
+const { clearLockout } = require('./utils/loginLockout');
+const { signOutAllDevices } = require('./utils/devices');
+const { sendPasswordResetEmail } = require('./utils/emailClient');
+const { getVerifiedEmail } = require('./utils/emailVerification');
 
-function generateSecureOTP() {
-  const otp = crypto.randomInt(100000, 1000000);
-  return otp.toString();
-}
+const requestResetOtpSchema = {
+  phone: { type: 'phone', required: true },
+  channel: { type: 'string', values: ['whatsapp', 'sms', 'email'] },
+};
 
-function validatePassword(password) {
-  const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH || '6');
-  
-  if (!password || password.length < minLength) {
-    return {
-      valid: false,
-      message: `Password must be at least ${minLength} characters long`,
-    };
-  }
-  
-  return { valid: true };
+const resetPasswordSchema = {
+  sessionId: { type: 'string', required: true, maxLength: 128 },
+  phone: { type: 'phone', required: true },
+  otp: { type: 'digits', required: true },
+  newPassword: { type: 'password', required: true },
+};
+
+const ACTION_SCHEMAS = {
+  request_otp: requestResetOtpSchema,
+  reset_password: resetPasswordSchema,
+};
+
+/**
+ * Body schema for the legacy endpoint - depends on the action field
+ */
+function resetActionSchema(req) {
+  return {
+    action: { type: 'string', required: true, values: Object.keys(ACTION_SCHEMAS) },
+    ...(ACTION_SCHEMAS[req.body.action] || {}),
+  };
 }
 
-async function checkResetRateLimit(phone) {
-  const db = admin.firestore();
-  const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
-  
-  try {
-    const recentResets = await db.collection('password_reset_sessions')
-      .where('phone', '==', phone)
-      .where('createdAt', '>', fifteenMinutesAgo)
-      .get();
-    
-    if (recentResets.size >= 3) {
-      const oldestReset = recentResets.docs[0];
-      const oldestTime = oldestReset.data().createdAt.toDate().getTime();
-      const waitMillis = (oldestTime + 15 * 60 * 1000) - Date.now();
-      const waitMinutes = Math.ceil(waitMillis / 60000);
-      
-      return {
-        allowed: false,
-        waitMinutes: waitMinutes,
-      };
-    }
-    
-    return { allowed: true };
-    
-  } catch (error) {
-    console.error('[resetPassword] Rate limit check failed:', error.message);
-    return { allowed: true };
-  }
+/**
+ * Email a reset code, shaped like an OTP delivery result
+ */
+async function deliverResetEmail(uid, profile, email, otp, ttlMinutes) {
+  const result = await sendPasswordResetEmail(email, profile.name, otp, {
+    locale: profile.language,
+    uid: uid,
+    ttlMinutes: ttlMinutes,
+  });
+  return {
+    ...result,
+    messageSid: result.messageId || null,
+    channel: 'email',
+    attempts: [],
+  };
 }
 
 async function handleRequestOTP(req, res) {
-  const { phone } = req.body;
-  
-  if (!phone || !/^\+[1-9]\d{1,14}$/.test(phone)) {
-    return res.status(400).json({
-      success: false,
-      code: 'INVALID_PHONE_FORMAT',
-      message: 'Phone number is required and must be in E.164 format',
-    });
-  }
+  const { phone, channel = 'whatsapp' } = req.body;
   
   const maskedPhone = maskPhoneNumber(phone);
   console.log(`[resetPassword] OTP request for password reset: ${maskedPhone}`);
   
-  const rateLimitCheck = await checkResetRateLimit(phone);
-  if (!rateLimitCheck.allowed) {
+  const allowed = await enforceRateLimit('resetPassword', req, res, {
+    phone: phone,
+    message: 'Too many password reset requests.',
+  });
+  if (!allowed) {
     console.warn(`[resetPassword] Rate limit exceeded for ${maskedPhone}`);
-    return res.status(429).json({
-      success: false,
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: `Too many password reset requests. Try again in ${rateLimitCheck.waitMinutes} minutes.`,
-      retryAfter: rateLimitCheck.waitMinutes * 60,
-    });
+    return;
   }
   
+  let userRecord;
   try {
-    await admin.auth().getUserByPhoneNumber(phone);
+    userRecord = await admin.auth().getUserByPhoneNumber(phone);
   } catch (error) {
     if (error.code === 'auth/user-not-found') {
       console.warn(`[resetPassword] User not found: ${maskedPhone}`);
@@ -90,166 +86,117 @@ async function handleRequestOTP(req, res) {
     throw error;
   }
   
-  const otp = generateSecureOTP();
-  const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
-  const otpHash = await bcrypt.hash(otp, saltRounds);
-  
-  const db = admin.firestore();
-  const sessionRef = db.collection('password_reset_sessions').doc();
-  const sessionId = sessionRef.id;
+  // Reset codes only go to a verified email; otherwise they go to the phone
+  let profile = null;
+  let resetEmail = null;
+  if (channel === 'email') {
+    const profileDoc = await admin.firestore().collection('users').doc(userRecord.uid).get();
+    profile = profileDoc.exists ? profileDoc.data() : null;
+    resetEmail = getVerifiedEmail(profile);
+    if (!resetEmail) {
+      console.log(`[resetPassword] No verified email for ${maskedPhone}, sending to phone`);
+    }
+  }
+  const deliveryChannel = resetEmail ? 'email' : (channel === 'sms' ? 'sms' : 'whatsapp');
   
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + 5 * 60 * 1000);
+  // SECURITY: Plaintext OTP only leaves this function for test numbers or the emulator
+  const testOtp = getTestOtp(phone);
+  const exposeOtp = canExposeOtp(phone);
+  const policy = await getOtpPolicy();
+  const otp = testOtp || generateSecureOTP(policy.length);
+  const session = await createOtpSession('password_reset', phone, otp);
+  const sessionId = session.id;
   
-  const sessionData = {
-    phone: phone,
-    otpHash: otpHash,
-    createdAt: now,
-    expiresAt: expiresAt,
-    attempts: 0,
-    used: false,
-  };
-  
-  const twilioResult = await sendWhatsAppOTP(phone, otp);
+  let deliveryResult;
+  if (testOtp) {
+    deliveryResult = buildTestDeliveryResult(deliveryChannel);
+  } else if (resetEmail) {
+    deliveryResult = await deliverResetEmail(userRecord.uid, profile, resetEmail, otp, policy.ttlMinutes);
+  } else {
+    deliveryResult = await deliverOtpWithFallback(phone, otp, deliveryChannel, { ttlMinutes: policy.ttlMinutes });
+  }
   
-  if (!twilioResult.success) {
+  if (!deliveryResult.success) {
     console.error(`[resetPassword] Failed to send OTP to ${maskedPhone}`);
     return res.status(500).json({
       success: false,
-      code: twilioResult.error,
-      message: twilioResult.message || 'Failed to send OTP',
+      code: deliveryResult.error,
+      message: deliveryResult.message || 'Failed to send OTP',
     });
   }
   
-  sessionData.messageSid = twilioResult.messageSid;
-  await sessionRef.set(sessionData);
+  await session.ref.set({
+    ...session.data,
+    messageSid: deliveryResult.messageSid,
+    deliveryProvider: deliveryResult.provider,
+    deliveredChannel: deliveryResult.channel,
+    deliveryAttempts: deliveryResult.attempts,
+  });
   
   console.log(`[resetPassword] OTP sent for password reset: ${maskedPhone}`);
-  console.log(`[resetPassword] TEST MODE - OTP: ${otp}`);
+  if (exposeOtp) {
+    console.log(`[resetPassword] TEST MODE - OTP: ${otp}`);
+  }
   
-  return res.status(200).json({
+  const response = {
     success: true,
     sessionId: sessionId,
-    messageSid: twilioResult.messageSid,
-    message: 'OTP sent to your phone',
-    expiresIn: 300,
-    testOtp: otp,
-  });
+    messageSid: deliveryResult.messageSid,
+    channel: deliveryResult.channel,
+    message: resetEmail ? 'OTP sent to your email' : 'OTP sent to your phone',
+    expiresIn: policy.ttlMinutes * 60,
+  };
+  if (exposeOtp) {
+    response.testOtp = otp;
+  }
+  
+  return res.status(200).json(response);
 }
 
 async function handleResetPassword(req, res) {
   const { sessionId, otp, phone, newPassword } = req.body;
   
-  if (!sessionId || !otp || !phone || !newPassword) {
-    return res.status(400).json({
-      success: false,
-      code: 'MISSING_REQUIRED_FIELDS',
-      message: 'sessionId, otp, phone, and newPassword are required',
-    });
-  }
-  
   const maskedPhone = maskPhoneNumber(phone);
   
-  const passwordValidation = validatePassword(newPassword);
-  if (!passwordValidation.valid) {
-    return res.status(400).json({
-      success: false,
-      code: 'WEAK_PASSWORD',
-      message: passwordValidation.message,
-    });
+  // OTP guesses for a reset share the verifyOtp budget
+  const allowed = await enforceRateLimit('verifyOtp', req, res, { phone: phone });
+  if (!allowed) {
+    console.warn(`[resetPassword] Verification rate limit exceeded for ${maskedPhone}`);
+    return;
   }
   
   console.log(`[resetPassword] Verifying OTP for password reset: ${maskedPhone}`);
   
-  const db = admin.firestore();
-  const sessionRef = db.collection('password_reset_sessions').doc(sessionId);
-  const sessionDoc = await sessionRef.get();
-  
-  if (!sessionDoc.exists) {
-    console.warn(`[resetPassword] Session not found: ${sessionId}`);
-    return res.status(404).json({
-      success: false,
-      code: 'SESSION_NOT_FOUND',
-      message: 'Invalid or expired session',
-    });
-  }
-  
-  const sessionData = sessionDoc.data();
-  
-  if (sessionData.phone !== phone) {
-    console.warn(`[resetPassword] Phone mismatch for session ${sessionId}`);
-    return res.status(403).json({
-      success: false,
-      code: 'PHONE_MISMATCH',
-      message: 'Phone number does not match the session',
-    });
-  }
-  
-  if (sessionData.used) {
-    return res.status(403).json({
-      success: false,
-      code: 'OTP_ALREADY_USED',
-      message: 'This OTP has already been used',
-    });
-  }
-  
-  const now = new Date();
-  const expiresAt = sessionData.expiresAt.toDate();
-  if (now > expiresAt) {
-    await sessionRef.delete();
-    return res.status(403).json({
-      success: false,
-      code: 'EXPIRED_OTP',
-      message: 'OTP has expired',
-    });
-  }
-  
-  if (sessionData.attempts >= 5) {
-    await sessionRef.delete();
-    return res.status(403).json({
-      success: false,
-      code: 'MAX_ATTEMPTS_EXCEEDED',
-      message: 'Too many failed attempts',
-    });
-  }
-  
-  const isValidOTP = await bcrypt.compare(otp, sessionData.otpHash);
+  const verification = await verifyOtpSession({
+    sessionId: sessionId,
+    phone: phone,
+    otp: otp,
+    purpose: 'password_reset',
+  });
   
-  if (!isValidOTP) {
-    const newAttempts = sessionData.attempts + 1;
-    await sessionRef.update({ attempts: newAttempts });
-    
-    return res.status(403).json({
-      success: false,
-      code: 'INVALID_OTP',
-      message: `Incorrect OTP. ${5 - newAttempts} attempts remaining`,
-      attemptsRemaining: 5 - newAttempts,
-    });
+  if (!verification.success) {
+    console.warn(`[resetPassword] ${verification.error.code} for ${maskedPhone}. SessionID: ${sessionId}`);
+    return res.status(verification.status).json(verification.error);
   }
   
   try {
     const userRecord = await admin.auth().getUserByPhoneNumber(phone);
     
-    await admin.auth().updateUser(userRecord.uid, {
-      password: newPassword,
-    });
+    await setUserPassword(userRecord.uid, newPassword);
+    
+    // A reset often follows a lost or stolen phone - end every existing session
+    const signedOutDevices = await signOutAllDevices(userRecord.uid);
     
-    await sessionRef.update({ used: true });
-    setTimeout(async () => {
-      try {
-        await sessionRef.delete();
-      } catch (error) {
-        console.error('[resetPassword] Failed to delete session:', error.message);
-      }
-    }, 5000);
+    // A proven owner should not stay locked out of password login
+    await clearLockout(phone);
     
-    console.log(`[resetPassword] Password reset successfully for ${maskedPhone}`);
+    console.log(`[resetPassword] Password reset successfully for ${maskedPhone}. Signed out ${signedOutDevices} device(s)`);
     
     return res.status(200).json({
       success: true,
-      message: 'Password reset successfully',
+      signedOutDevices: signedOutDevices,
+      message: 'Password reset successfully. Please sign in again on your other devices.',
     });
-    
   } catch (error) {
     console.error(`[resetPassword] Error updating password:`, error.message);
     
@@ -265,6 +212,20 @@ async function handleResetPassword(req, res) {
   }
 }
 
+/**
+ * Legacy single endpoint: dispatch on the action field
+ */
+async function handleAction(req, res) {
+  if (req.body.action === 'request_otp') {
+    return handleRequestOTP(req, res);
+  }
+  
+  return handleResetPassword(req, res);
+}
+
+const requestResetOtpHandlers = [validateBody(requestResetOtpSchema), asyncHandler('resetPassword', handleRequestOTP)];
+const resetPasswordHandlers = [validateBody(resetPasswordSchema), asyncHandler('resetPassword', handleResetPassword)];
+
 exports.resetPassword = onRequest(
   {
     cors: true,
@@ -272,41 +233,8 @@ exports.resetPassword = onRequest(
     timeoutSeconds: 30,
     memory: '256MiB',
   },
-  async (req, res) => {
-    if (req.method !== 'POST') {
-      return res.status(405).json({
-        success: false,
-        code: 'METHOD_NOT_ALLOWED',
-        message: 'Only POST requests are allowed',
-      });
-    }
-    
-    try {
-      const { action } = req.body;
-      
-      if (action === 'request_otp') {
-        return await handleRequestOTP(req, res);
-      } else if (action === 'reset_password') {
-        return await handleResetPassword(req, res);
-      } else {
-        return res.status(400).json({
-          success: false,
-          code: 'INVALID_ACTION',
-          message: 'action must be "request_otp" or "reset_password"',
-        });
-      }
-      
-    } catch (error) {
-      console.error('[resetPassword] Unexpected error:', {
-        message: error.message,
-        code: error.code,
-      });
-      
-      return res.status(500).json({
-        success: false,
-        code: 'INTERNAL_ERROR',
-        message: 'An unexpected error occurred',
-      });
-    }
-  }
+  createShim('POST', [validateBody(resetActionSchema), asyncHandler('resetPassword', handleAction)])
 );
+
+exports.requestResetOtpHandlers = requestResetOtpHandlers;
+exports.resetPasswordHandlers = resetPasswordHandlers;
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * TARIFF IMPORT CLI
+ *
+ * Imports a NERC tariff order from a CSV or JSON schedule into
+ * tariff_rates (see utils/tariffImport for formats and the write flow).
+ * Prints the diff against the current rates; nothing is written without
+ * --apply.
+ *
+ * USAGE:
+ * node scripts/importTariffs.js <schedule.json|schedule.csv> [options]
+ * npm run tariffs:import -- data/tariffs/nerc-2025-07.csv \
+ *   --effective-from 2025-07-01 --order "NERC July 2025 Supplementary Order"
+ *
+ * OPTIONS:
+ * --effective-from YYYY-MM-DD  First day the rates apply (required for CSV)
+ * --order "<name>"             Tariff order name (required for CSV)
+ * --by <name>                  Recorded in the changelog (default: $USER)
+ * --apply                      Write the new version
+ *
+ * CREDENTIALS:
+ * Uses the shared Admin SDK instance (FIREBASE_PROJECT_ID). Point
+ * GOOGLE_APPLICATION_CREDENTIALS at a service account key, or set
+ * FIRESTORE_EMULATOR_HOST to import into the emulator.
+ *
+ * Deployed functions cache rates for up to 5 minutes after an import.
+ *
+ * EXIT CODES: 0 success or dry run, 1 invalid input or import refused
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = 'Usage: node scripts/importTariffs.js <schedule.json|schedule.csv> ' +
+  '[--effective-from YYYY-MM-DD] [--order "<name>"] [--by <name>] [--apply]';
+
+/**
+ * Parse command-line arguments
+ *
+ * @param {Array<string>} argv - Arguments after the script path
+ * @return {Object} { file, effectiveFrom, order, importedBy, apply } or
+ *   { error }
+ */
+function parseArgs(argv) {
+  const options = { file: null, effectiveFrom: null, order: null, importedBy: process.env.USER || null, apply: false };
+  const valued = { '--effective-from': 'effectiveFrom', '--order': 'order', '--by': 'importedBy' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (valued[arg]) {
+      if (argv[i + 1] === undefined) {
+        return { error: `${arg} needs a value` };
+      }
+      options[valued[arg]] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      return { error: `Unknown option: ${arg}` };
+    } else if (!options.file) {
+      options.file = arg;
+    } else {
+      return { error: `Unexpected argument: ${arg}` };
+    }
+  }
+
+  if (!options.file) {
+    return { error: 'Schedule file is required' };
+  }
+  return options;
+}
+
+/**
+ * Format a rate for the diff table
+ */
+function formatRate(rate) {
+  return rate === null ? '-' : rate.toFixed(2);
+}
+
+/**
+ * Run the import
+ *
+ * @param {Array<string>} argv - Arguments after the script path
+ * @param {Object} log - Console-like output (tests pass their own)
+ * @return {Promise<number>} Exit code
+ */
+async function main(argv, log = console) {
+  const options = parseArgs(argv);
+  if (options.error) {
+    log.error(options.error);
+    log.error(USAGE);
+    return 1;
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(options.file, 'utf8');
+  } catch (error) {
+    log.error(`Cannot read ${options.file}: ${error.message}`);
+    return 1;
+  }
+
+  // Loaded after the argument checks so usage errors skip Firebase setup
+  const { parseSchedule, validateSchedule, diffSchedule, applySchedule } = require('../utils/tariffImport');
+
+  const format = path.extname(options.file).toLowerCase() === '.csv' ? 'csv' : 'json';
+  const parsed = parseSchedule(content, format, {
+    effectiveFrom: options.effectiveFrom,
+    order: options.order,
+  });
+  if (!parsed.success) {
+    log.error(`${parsed.code}: ${parsed.message}`);
+    return 1;
+  }
+
+  const schedule = parsed.schedule;
+  const errors = validateSchedule(schedule);
+  if (errors.length > 0) {
+    errors.forEach((error) => {
+      log.error(`${error.row === null ? 'schedule' : `row ${error.row}`}: ${error.code} ${error.message}`);
+    });
+    log.error(`${errors.length} error(s); nothing imported`);
+    return 1;
+  }
+
+  const diff = await diffSchedule(schedule);
+
+  log.log(`${schedule.order}, effective ${schedule.effectiveFrom} (current version ${diff.baseVersion})`);
+  diff.changes.forEach((change) => {
+    const until = change.effectiveTo ? `  until ${change.effectiveTo}` : '';
+    log.log(`  ${change.status.padEnd(9)} ${change.disco.padEnd(6)} ${change.band}  ` +
+      `${formatRate(change.from).padStart(8)} -> ${formatRate(change.to).padStart(8)}${until}`);
+  });
+  const { added, changed, unchanged, carried } = diff.summary;
+  log.log(`${added} added, ${changed} changed, ${unchanged} unchanged, ${carried} carried over`);
+
+  if (!options.apply) {
+    log.log('Dry run; re-run with --apply to write this version');
+    return 0;
+  }
+
+  const result = await applySchedule(schedule, diff, {
+    importedBy: options.importedBy,
+    source: path.basename(options.file),
+    sourceHash: crypto.createHash('sha256').update(content).digest('hex'),
+  });
+  if (!result.success) {
+    log.error(`${result.code}: ${result.message}`);
+    return result.code === 'NO_CHANGES' ? 0 : 1;
+  }
+
+  log.log(`Imported version ${result.version}: ${result.written} rate(s) written`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => {
+      process.exit(code);
+    })
+    .catch((error) => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { main, parseArgs };
@@ -1,50 +1,101 @@
 const { onRequest } = require('firebase-functions/v2/https');
-const admin = require('./admin');
-const bcrypt = require('bcrypt');
-const crypto = require('crypto');
-const { sendWhatsAppOTP, sendSMSOTP, maskPhoneNumber } = require('./utils/twilioClient');
+const { maskPhoneNumber } = require('./utils/twilioClient');
+const { validateBody, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { deliverOtpWithFallback } = require('./utils/otpDelivery');
+const { getTestOtp, canExposeOtp, buildTestDeliveryResult } = require('./utils/testMode');
+const { enforceRateLimit } = require('./utils/rateLimiter');
+const { getOtpPolicy } = require('./utils/otpPolicy');
+const { generateSecureOTP, createOtpSession } = require('./utils/otpSessions');
 
-function generateSecureOTP() {
-  const otp = crypto.randomInt(100000, 1000000);
-  return otp.toString();
-}
+const sendOtpSchema = {
+  phone: { type: 'phone', required: true },
+  name: { type: 'string', maxLength: 100 },
+  email: { type: 'email' },
+  source: { type: 'string', maxLength: 20 },
+  purpose: { type: 'string', values: ['login', 'signup'] },
+};
 
-async function checkRateLimit(phone) {
-  const db = admin.firestore();
-  const fifteenMinutesAgo = new Date(Date.now() - 15 * 60 * 1000);
+/**
+ * Send an OTP and open a login/signup session
+ */
+async function handleSendOtp(req, res) {
+  const { phone, name, email, source, purpose } = req.body;
+  
+  const maskedPhone = maskPhoneNumber(phone);
+  console.log(`[sendOtp] OTP request for ${maskedPhone}`);
   
-  try {
-    const recentSessions = await db.collection('otp_sessions')
-      .where('phone', '==', phone)
-      .where('createdAt', '>', fifteenMinutesAgo)
-      .get();
-    
-    const sessionCount = recentSessions.size;
-    
-    if (sessionCount >= 3) {
-      const oldestSession = recentSessions.docs[0];
-      const oldestTime = oldestSession.data().createdAt.toDate().getTime();
-      const waitMillis = (oldestTime + 15 * 60 * 1000) - Date.now();
-      const waitMinutes = Math.ceil(waitMillis / 60000);
-      
-      return {
-        allowed: false,
-        waitMinutes: waitMinutes,
-      };
+  const allowed = await enforceRateLimit('sendOtp', req, res, {
+    phone: phone,
+    message: 'Too many OTP requests.',
+  });
+  if (!allowed) {
+    console.warn(`[sendOtp] Rate limit exceeded for ${maskedPhone}`);
+    return;
+  }
+  
+  // SECURITY: Plaintext OTP only leaves this function for test numbers or the emulator
+  const testOtp = getTestOtp(phone);
+  const exposeOtp = canExposeOtp(phone);
+  const policy = await getOtpPolicy();
+  const otp = testOtp || generateSecureOTP(policy.length);
+  console.log(`[sendOtp] Generated OTP for ${maskedPhone}`);
+  if (exposeOtp) {
+    console.log(`[sendOtp] TEST MODE - OTP: ${otp}`);
+  }
+  
+  const session = await createOtpSession(
+    purpose === 'signup' ? 'signup' : 'login',
+    phone,
+    otp,
+    {
+      source: source || 'whatsapp',
+      name: name || null,
+      email: email || null,
     }
-    
-    return { allowed: true };
-    
-  } catch (error) {
-    console.error('[sendOtp] Rate limit check failed:', error.message);
-    return { allowed: true };
+  );
+  const sessionId = session.id;
+  
+  const channel = source === 'sms' ? 'sms' : 'whatsapp';
+  const deliveryResult = testOtp ?
+    buildTestDeliveryResult(channel) :
+    await deliverOtpWithFallback(phone, otp, channel, { ttlMinutes: policy.ttlMinutes });
+  
+  if (!deliveryResult.success) {
+    console.error(`[sendOtp] OTP delivery failed for ${maskedPhone} after ${deliveryResult.attempts.length} attempt(s):`, deliveryResult.error);
+    return res.status(500).json({
+      success: false,
+      code: deliveryResult.error,
+      message: deliveryResult.message || 'Failed to send OTP. Please try again.',
+    });
+  }
+  
+  await session.ref.set({
+    ...session.data,
+    messageSid: deliveryResult.messageSid,
+    deliveryProvider: deliveryResult.provider,
+    deliveredChannel: deliveryResult.channel,
+    deliveryAttempts: deliveryResult.attempts,
+  });
+  
+  console.log(`[sendOtp] OTP session created for ${maskedPhone} via ${deliveryResult.channel}. SessionID: ${sessionId}`);
+  
+  const response = {
+    success: true,
+    sessionId: sessionId,
+    messageSid: deliveryResult.messageSid,
+    channel: deliveryResult.channel,
+    fallbackUsed: deliveryResult.channel !== channel,
+    message: `OTP sent via ${deliveryResult.channel === 'sms' ? 'SMS' : 'WhatsApp'}`,
+    expiresIn: policy.ttlMinutes * 60,
+  };
+  if (exposeOtp) {
+    response.testOtp = otp;
   }
+  
+  return res.status(200).json(response);
 }
 
-function isValidPhoneNumber(phone) {
-  const e164Regex = /^\+[1-9]\d{1,14}$/;
-  return e164Regex.test(phone);
-}
+const sendOtpHandlers = [validateBody(sendOtpSchema), asyncHandler('sendOtp', handleSendOtp)];
 
 exports.sendOtp = onRequest(
   {
@@ -53,115 +104,7 @@ exports.sendOtp = onRequest(
     timeoutSeconds: 30,
     memory: '256MiB',
   },
-  async (req, res) => {
-    if (req.method !== 'POST') {
-      return res.status(405).json({
-        success: false,
-        code: 'METHOD_NOT_ALLOWED',
-        message: 'Only POST requests are allowed',
-      });
-    }
-    
-    try {
-      const { phone, name, email, source } = req.body;
-      
-      if (!phone) {
-        return res.status(400).json({
-          success: false,
-          code: 'MISSING_PHONE',
-          message: 'Phone number is required',
-        });
-      }
-      
-      if (!isValidPhoneNumber(phone)) {
-        return res.status(400).json({
-          success: false,
-          code: 'INVALID_PHONE_FORMAT',
-          message: 'Phone number must be in E.164 format (e.g., +2348100000000)',
-        });
-      }
-      
-      const maskedPhone = maskPhoneNumber(phone);
-      console.log(`[sendOtp] OTP request for ${maskedPhone}`);
-      
-      const rateLimitCheck = await checkRateLimit(phone);
-      if (!rateLimitCheck.allowed) {
-        console.warn(`[sendOtp] Rate limit exceeded for ${maskedPhone}`);
-        return res.status(429).json({
-          success: false,
-          code: 'RATE_LIMIT_EXCEEDED',
-          message: `Too many OTP requests. Please try again in ${rateLimitCheck.waitMinutes} minutes.`,
-          retryAfter: rateLimitCheck.waitMinutes * 60,
-        });
-      }
-      
-      const otp = generateSecureOTP();
-      console.log(`[sendOtp] Generated OTP for ${maskedPhone}`);
-      console.log(`[sendOtp] TEST MODE - OTP: ${otp}`);
-      
-      const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS || '10');
-      const otpHash = await bcrypt.hash(otp, saltRounds);
-      
-      const db = admin.firestore();
-      const sessionRef = db.collection('otp_sessions').doc();
-      const sessionId = sessionRef.id;
-      
-      const now = new Date();
-      const expiresAt = new Date(now.getTime() + 5 * 60 * 1000);
-      
-      const sessionData = {
-        phone: phone,
-        otpHash: otpHash,
-        createdAt: now,
-        expiresAt: expiresAt,
-        attempts: 0,
-        source: source || 'whatsapp',
-        used: false,
-        name: name || null,
-        email: email || null,
-      };
-      
-      let twilioResult;
-      if (source === 'sms') {
-        twilioResult = await sendSMSOTP(phone, otp);
-      } else {
-        twilioResult = await sendWhatsAppOTP(phone, otp);
-      }
-      
-      if (!twilioResult.success) {
-        console.error(`[sendOtp] Twilio send failed for ${maskedPhone}:`, twilioResult.error);
-        return res.status(500).json({
-          success: false,
-          code: twilioResult.error,
-          message: twilioResult.message || 'Failed to send OTP. Please try again.',
-        });
-      }
-      
-      sessionData.messageSid = twilioResult.messageSid;
-      await sessionRef.set(sessionData);
-      
-      console.log(`[sendOtp] OTP session created for ${maskedPhone}. SessionID: ${sessionId}`);
-      
-      return res.status(200).json({
-        success: true,
-        sessionId: sessionId,
-        messageSid: twilioResult.messageSid,
-        message: `OTP sent via ${source || 'WhatsApp'}`,
-        expiresIn: 300,
-        testOtp: otp,
-      });
-      
-    } catch (error) {
-      console.error('[sendOtp] Unexpected error:', {
-        message: error.message,
-        code: error.code,
-      });
-      
-      return res.status(500).json({
-        success: false,
-        code: 'INTERNAL_ERROR',
-        message: 'An unexpected error occurred. Please try again later.',
-      });
-    }
-  }
+  createShim('POST', sendOtpHandlers)
 );
+
+exports.sendOtpHandlers = sendOtpHandlers;
@@ -0,0 +1,118 @@
+/**
+ * TARIFF RATE CLOUD FUNCTION
+ *
+ * Returns the NERC ₦/kWh rate for a DisCo and band on a given day, from the
+ * effective-dated records in tariff_rates (see utils/tariffs). Pass the
+ * purchase date of a logged token to price it with the rate that applied
+ * then.
+ *
+ * SECURITY FEATURES:
+ * - Read-only public data; no token required
+ * - Strict query validation (DisCo code, band, date)
+ * - No Firestore rate limit: rates are cached in memory and by HTTP
+ *   caches, so repeat requests cost no reads
+ *
+ * ENDPOINT: GET /getTariffRate?disco=IE&band=A&date=2025-08-01
+ *
+ * QUERY:
+ * disco  Required, DisCo code (e.g. IE, EKEDP, AEDC)
+ * band   Required, A-E
+ * date   Optional, 'YYYY-MM-DD' or ISO timestamp (default: today in Nigeria)
+ *
+ * RESPONSE (Success):
+ * {
+ *   "success": true,
+ *   "disco": "IE",
+ *   "discoName": "Ikeja Electric",
+ *   "band": "A",
+ *   "date": "2025-08-01",
+ *   "ratePerKwh": 209.5,
+ *   "currency": "NGN",
+ *   "effectiveFrom": "2025-07-01",
+ *   "effectiveTo": null,               // Day the next rate took effect, if any
+ *   "order": "NERC July 2025 Supplementary Order"
+ * }
+ *
+ * RESPONSE (Error):
+ * {
+ *   "success": false,
+ *   "code": "RATE_NOT_FOUND",
+ *   "message": "No tariff rate for EEDC Band E on 2025-08-01"
+ * }
+ */
+
+const { onRequest } = require('firebase-functions/v2/https');
+const { validateQuery, asyncHandler, createShim } = require('./utils/apiMiddleware');
+const { isValidDisco, DISCO_LIST, TARIFF_BANDS } = require('./utils/discoLookup');
+const { getRate, toTariffDate } = require('./utils/tariffs');
+
+// Matches the tariff_rates cache in utils/tariffs
+const CACHE_MAX_AGE_SECONDS = 300;
+
+const getTariffRateSchema = {
+  disco: {
+    type: 'string',
+    required: true,
+    check: isValidDisco,
+    code: 'INVALID_DISCO',
+    message: 'disco must be a valid DisCo code',
+  },
+  band: { type: 'string', required: true, values: Object.keys(TARIFF_BANDS) },
+  date: {
+    type: 'string',
+    check: (value) => toTariffDate(value) !== null,
+    code: 'INVALID_DATE',
+    message: 'date must be a valid date (YYYY-MM-DD)',
+  },
+};
+
+/**
+ * Look up the rate for the requested DisCo, band and day
+ */
+async function handleGetTariffRate(req, res) {
+  const { disco, band } = req.query;
+  const date = req.query.date ? toTariffDate(req.query.date) : toTariffDate(new Date());
+
+  const rate = await getRate(disco, band, date);
+  if (!rate) {
+    return res.status(404).json({
+      success: false,
+      code: 'RATE_NOT_FOUND',
+      message: `No tariff rate for ${disco} Band ${band} on ${date}`,
+    });
+  }
+
+  res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+  return res.status(200).json({
+    success: true,
+    disco: disco,
+    discoName: DISCO_LIST.find((entry) => entry.code === disco).name,
+    band: band,
+    date: date,
+    ratePerKwh: rate.ratePerKwh,
+    currency: 'NGN',
+    effectiveFrom: rate.effectiveFrom,
+    effectiveTo: rate.effectiveTo,
+    order: rate.order,
+  });
+}
+
+const getTariffRateHandlers = [
+  validateQuery(getTariffRateSchema),
+  asyncHandler('getTariffRate', handleGetTariffRate),
+];
+
+/**
+ * Main getTariffRate Cloud Function
+ */
+exports.getTariffRate = onRequest(
+  {
+    cors: true,
+    region: 'us-central1',
+    timeoutSeconds: 30,
+    memory: '256MiB',
+  },
+  createShim('GET', getTariffRateHandlers)
+);
+
+exports.getTariffRateHandlers = getTariffRateHandlers;
@@ -0,0 +1,188 @@
+/**
+ * UNIT TESTS: Versioned API
+ *
+ * Tests /v1 routing, request IDs, method handling, the shared error
+ * envelope and parity with the legacy per-endpoint functions
+ *
+ * RUN TESTS:
+ * npm test -- api.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+  CHANNELS: ['sms', 'whatsapp'],
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { app } = require('../api');
+const { sendOtp } = require('../sendOtp');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('Versioned API', () => {
+  const originalEnv = { ...process.env };
+  let sentOtps;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    sentOtps = [];
+    deliverOtpWithFallback.mockImplementation(async (phone, otp, channel) => {
+      sentOtps.push(otp);
+      return {
+        success: true,
+        messageSid: `SM${sentOtps.length}`,
+        channel: channel,
+        provider: 'twilio_sms',
+        attempts: [{ channel: channel, provider: 'twilio_sms', messageSid: `SM${sentOtps.length}`, errorCode: null }],
+      };
+    });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('Routing', () => {
+    test('should serve the health check', async () => {
+      const response = await request(app).get('/v1/health');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('ok');
+    });
+
+    test('should send and verify an OTP', async () => {
+      const sent = await request(app).post('/v1/otp/send').send({ phone: PHONE, channel: 'sms' });
+
+      expect(sent.status).toBe(200);
+      expect(sent.body.sessionId).toBeDefined();
+
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1' });
+      admin.__auth.createCustomToken.mockResolvedValue('custom-token');
+
+      const verified = await request(app)
+        .post('/v1/otp/verify')
+        .send({ sessionId: sent.body.sessionId, phone: PHONE, otp: sentOtps[0] });
+
+      expect(verified.status).toBe(200);
+      expect(verified.body).toMatchObject({ success: true, uid: 'user_1', customToken: 'custom-token' });
+    });
+
+    test('should return 405 with Allow for the wrong method', async () => {
+      const response = await request(app).get('/v1/otp/send');
+
+      expect(response.status).toBe(405);
+      expect(response.headers.allow).toBe('POST');
+      expect(response.body.code).toBe('METHOD_NOT_ALLOWED');
+    });
+
+    test('should return 404 for unknown routes', async () => {
+      const response = await request(app).post('/v1/otp/unknown').send({});
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({ success: false, code: 'NOT_FOUND' });
+    });
+
+    test('should not serve routes without a version', async () => {
+      const response = await request(app).post('/otp/send').send({ phone: PHONE });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Request IDs', () => {
+    test('should generate a request ID', async () => {
+      const response = await request(app).get('/v1/health');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    test('should echo a supplied request ID', async () => {
+      const response = await request(app).get('/v1/health').set('X-Request-Id', 'client-req-123');
+
+      expect(response.headers['x-request-id']).toBe('client-req-123');
+    });
+
+    test('should replace a malformed request ID', async () => {
+      const response = await request(app).get('/v1/health').set('X-Request-Id', 'bad id <script>');
+
+      expect(response.headers['x-request-id']).not.toBe('bad id <script>');
+    });
+
+    test('should include the request ID in error envelopes', async () => {
+      const response = await request(app).post('/v1/otp/send').set('X-Request-Id', 'client-req-123').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ success: false, code: 'VALIDATION_ERROR', requestId: 'client-req-123' });
+    });
+  });
+
+  describe('Errors', () => {
+    test('should reject malformed JSON', async () => {
+      const response = await request(app)
+        .post('/v1/otp/send')
+        .set('Content-Type', 'application/json')
+        .send('{"phone":');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_JSON');
+    });
+
+    test('should reject non-object bodies', async () => {
+      const response = await request(app).post('/v1/otp/send').send([PHONE]);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('INVALID_BODY');
+    });
+
+    test('should turn unexpected errors into a 500 envelope without request data', async () => {
+      deliverOtpWithFallback.mockRejectedValue(new Error('provider exploded'));
+
+      const response = await request(app).post('/v1/otp/send').send({ phone: PHONE });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({
+        success: false,
+        code: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred. Please try again later.',
+        requestId: response.headers['x-request-id'],
+      });
+      expect(JSON.stringify(console.error.mock.calls)).not.toContain(PHONE);
+    });
+  });
+
+  describe('Legacy functions', () => {
+    test('should behave like the versioned route', async () => {
+      const legacy = functionApp(sendOtp);
+
+      const response = await request(legacy).post('/').send({ phone: PHONE, channel: 'sms' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionId).toBeDefined();
+      expect(response.headers['x-request-id']).toBeDefined();
+    });
+
+    test('should keep returning 405 for non-POST requests', async () => {
+      const response = await request(functionApp(sendOtp)).get('/');
+
+      expect(response.status).toBe(405);
+      expect(response.body).toMatchObject({ success: false, code: 'METHOD_NOT_ALLOWED' });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * UNIT TESTS: Auth Middleware
+ *
+ * Tests ID token verification, error mapping and the authenticated
+ * createUserProfile endpoint
+ *
+ * RUN TESTS:
+ * npm test -- authMiddleware.test.js
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { authenticate, getBearerToken, verifyRequestToken } = require('../utils/authMiddleware');
+const { createUserProfile } = require('../createUserProfile');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+function tokenError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('Auth Middleware', () => {
+  beforeEach(() => {
+    admin.__db.reset();
+    jest.clearAllMocks();
+    admin.__auth.verifyIdToken.mockImplementation(async (token) => {
+      if (token !== 'valid-token') {
+        throw tokenError('auth/argument-error');
+      }
+      return { uid: 'user_1', phone_number: PHONE, deviceId: 'device-a' };
+    });
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('authenticate', () => {
+    const app = express();
+    app.get('/me', authenticate, (req, res) => res.json({ uid: req.auth.uid, phone: req.auth.phone }));
+
+    test('should expose the verified user', async () => {
+      const response = await request(app).get('/me').set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ uid: 'user_1', phone: PHONE });
+      expect(admin.__auth.verifyIdToken).toHaveBeenCalledWith('valid-token', true);
+    });
+
+    test('should reject requests without a token', async () => {
+      const response = await request(app).get('/me');
+
+      expect(response.status).toBe(401);
+      expect(response.body).toMatchObject({ success: false, code: 'MISSING_AUTH_TOKEN' });
+    });
+
+    test('should reject invalid tokens', async () => {
+      const response = await request(app).get('/me').set('Authorization', 'Bearer forged');
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_AUTH_TOKEN');
+    });
+
+    test('should report revoked tokens', async () => {
+      admin.__auth.verifyIdToken.mockRejectedValue(tokenError('auth/id-token-revoked'));
+
+      const response = await request(app).get('/me').set('Authorization', 'Bearer valid-token');
+
+      expect(response.body.code).toBe('AUTH_TOKEN_REVOKED');
+    });
+
+    test('should accept Phone Auth tokens as an unbound device', async () => {
+      admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_1', phone_number: PHONE });
+
+      const response = await request(app).get('/me').set('Authorization', 'Bearer valid-token');
+
+      expect(response.status).toBe(200);
+      expect(await verifyRequestToken({ headers: { authorization: 'Bearer valid-token' } })).toMatchObject({
+        success: true,
+        user: { uid: 'user_1', deviceId: null },
+      });
+    });
+
+    test('should only accept the Bearer scheme', () => {
+      expect(getBearerToken({ headers: { authorization: 'Basic abc' } })).toBeNull();
+      expect(getBearerToken({ headers: { authorization: 'bearer abc' } })).toBe('abc');
+    });
+  });
+
+  describe('createUserProfile', () => {
+    const app = functionApp(createUserProfile);
+    const profile = {
+      phone: PHONE,
+      name: 'Ada Obi',
+      disco: 'IE',
+      band: 'C',
+      location: 'Yaba, Lagos',
+    };
+
+    test('should create the profile for the token uid', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send(profile);
+
+      expect(response.status).toBe(201);
+      expect(response.body.uid).toBe('user_1');
+      const doc = await admin.firestore().collection('users').doc('user_1').get();
+      expect(doc.data()).toMatchObject({ uid: 'user_1', phone: PHONE });
+    });
+
+    test('should require a token', async () => {
+      const response = await request(app).post('/').send({ ...profile, uid: 'user_1' });
+
+      expect(response.status).toBe(401);
+      expect(await admin.firestore().collection('users').doc('user_1').get()).toHaveProperty('exists', false);
+    });
+
+    test('should reject a body uid that differs from the token', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...profile, uid: 'someone_else' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('UID_MISMATCH');
+    });
+
+    test('should refuse to create the profile when the duplicate check fails', async () => {
+      const collection = admin.__db.collection;
+      jest.spyOn(admin.__db, 'collection').mockImplementation((name) => {
+        if (name === 'users') {
+          return { where: () => ({ get: () => Promise.reject(new Error('unavailable')) }) };
+        }
+        return collection(name);
+      });
+
+      const response = await request(app)
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send(profile);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ code: 'DUPLICATE_CHECK_FAILED', retryable: true });
+      admin.__db.collection.mockRestore();
+      expect(await admin.firestore().collection('users').doc('user_1').get()).toHaveProperty('exists', false);
+    });
+
+    test('should reject a phone that differs from the token', async () => {
+      const response = await request(app)
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ ...profile, phone: '+2348100000001' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('PHONE_MISMATCH');
+    });
+  });
+});
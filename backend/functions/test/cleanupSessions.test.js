@@ -0,0 +1,79 @@
+/**
+ * UNIT TESTS: Session Cleanup
+ *
+ * Tests the scheduled sweep of expired and used OTP sessions
+ *
+ * RUN TESTS:
+ * npm test -- cleanupSessions.test.js
+ */
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { sweepSessions, cleanupExpiredSessions } = require('../cleanupSessions');
+
+describe('Session Cleanup', () => {
+  const now = new Date('2026-01-15T12:00:00Z');
+  const past = new Date(now.getTime() - 60 * 1000);
+  const future = new Date(now.getTime() + 60 * 1000);
+
+  beforeEach(() => {
+    admin.__db.reset();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  async function seed(collection, id, data) {
+    await admin.firestore().collection(collection).doc(id).set(data);
+  }
+
+  async function exists(collection, id) {
+    return (await admin.firestore().collection(collection).doc(id).get()).exists;
+  }
+
+  test('should delete expired and used sessions and keep active ones', async () => {
+    await seed('otp_sessions', 'expired', { expiresAt: past, used: false });
+    await seed('otp_sessions', 'used', { expiresAt: future, used: true });
+    await seed('otp_sessions', 'active', { expiresAt: future, used: false });
+    await seed('password_reset_sessions', 'legacy', { expiresAt: past, used: false });
+
+    const summary = await sweepSessions(now);
+
+    expect(summary).toEqual({
+      otp_sessions: { expired: 1, used: 1 },
+      password_reset_sessions: { expired: 1, used: 0 },
+      total: 3,
+      truncated: false,
+    });
+    expect(await exists('otp_sessions', 'active')).toBe(true);
+    expect(await exists('otp_sessions', 'expired')).toBe(false);
+    expect(await exists('otp_sessions', 'used')).toBe(false);
+  });
+
+  test('should delete in batches', async () => {
+    const batchSpy = jest.spyOn(admin.__db, 'batch');
+    for (let i = 0; i < 450; i++) {
+      await seed('otp_sessions', `s${i}`, { expiresAt: past, used: false });
+    }
+
+    const summary = await sweepSessions(now);
+
+    expect(summary.otp_sessions.expired).toBe(450);
+    expect(batchSpy).toHaveBeenCalledTimes(2);
+  });
+
+  test('should log a summary when run on schedule', async () => {
+    await seed('otp_sessions', 'expired', { expiresAt: new Date(Date.now() - 1000), used: false });
+
+    await cleanupExpiredSessions.run({});
+
+    expect(console.log).toHaveBeenCalledWith(
+      '[cleanupExpiredSessions] Deleted 1 session(s)',
+      expect.stringContaining('"total":1')
+    );
+  });
+});
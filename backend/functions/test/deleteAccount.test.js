@@ -0,0 +1,204 @@
+/**
+ * UNIT TESTS: Account Deletion
+ *
+ * Tests the deleteAccount endpoint, the Auth onDelete erasure, what is
+ * deleted or anonymised, and the deletion receipt
+ *
+ * RUN TESTS:
+ * npm test -- deleteAccount.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { deleteAccount, handleAuthUserDeleted } = require('../deleteAccount');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('Account Deletion', () => {
+  const originalEnv = { ...process.env };
+  const deleteApp = functionApp(deleteAccount);
+  let db;
+
+  beforeEach(async () => {
+    process.env = { ...originalEnv };
+    admin.__db.reset();
+    admin.__storage.reset();
+    jest.clearAllMocks();
+    db = admin.firestore();
+
+    admin.__auth.verifyIdToken.mockImplementation(async () => ({
+      uid: 'user_1',
+      phone_number: PHONE,
+      deviceId: 'device-a',
+      auth_time: Math.floor(Date.now() / 1000) - 60,
+    }));
+    admin.__auth.deleteUser.mockResolvedValue();
+
+    await seedUserData();
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  async function seedUserData() {
+    const userRef = db.collection('users').doc('user_1');
+    await userRef.set({ uid: 'user_1', phone: PHONE, name: 'Ada' });
+    await userRef.collection('settings').doc('preferences').set({ theme: 'dark' });
+    await userRef.collection('dashboard').doc('summary').set({ units: 40 });
+    await userRef.collection('profile').doc('location').set({ area: 'Yaba' });
+    await userRef.collection('tokens').doc('t1').set({ units: 20 });
+    await userRef.collection('tokens').doc('t2').set({ units: 20 });
+
+    await db.collection('tokens').doc('top_1').set({ uid: 'user_1' });
+    await db.collection('appliances').doc('a1').set({ uid: 'user_1', name: 'Fridge' });
+    await db.collection('budgets').doc('b1').set({ uid: 'user_1', amount: 10000 });
+    await db.collection('user_credentials').doc('user_1').set({ passwordHash: 'hash' });
+    await db.collection('otp_sessions').doc('s1').set({ phone: PHONE, purpose: 'login' });
+    await db.collection('otp_sessions').doc('s2').set({ phone: '+2348030000000', uid: 'user_1', purpose: 'phone_change' });
+    await db.collection('audit_log').doc('e1').set({ type: 'phone_change', uid: 'user_1', details: { oldPhone: PHONE } });
+
+    // Someone else's data must survive
+    await db.collection('users').doc('user_2').set({ uid: 'user_2', phone: '+2348100000001' });
+    await db.collection('appliances').doc('a2').set({ uid: 'user_2', name: 'TV' });
+  }
+
+  async function exists(path) {
+    return (await db.doc(path).get()).exists;
+  }
+
+  function deleteRequest(body = { confirm: 'DELETE' }) {
+    return request(deleteApp).post('/').set('Authorization', 'Bearer valid-token').send(body);
+  }
+
+  describe('deleteAccount', () => {
+    test('should erase the user data, delete the Auth user and return a receipt', async () => {
+      const response = await deleteRequest();
+
+      expect(response.status).toBe(200);
+      expect(admin.__auth.deleteUser).toHaveBeenCalledWith('user_1');
+      expect(response.body.receipt).toMatchObject({
+        trigger: 'user_request',
+        status: 'completed',
+        deleted: {
+          'users': 1,
+          'users/settings': 1,
+          'users/dashboard': 1,
+          'users/profile': 1,
+          'users/tokens': 2,
+          'tokens': 1,
+          'appliances': 1,
+          'budgets': 1,
+          'user_credentials': 1,
+          'otp_sessions': 2,
+        },
+        anonymised: { audit_log: 1 },
+      });
+
+      for (const path of [
+        'users/user_1',
+        'users/user_1/settings/preferences',
+        'users/user_1/tokens/t1',
+        'tokens/top_1',
+        'appliances/a1',
+        'budgets/b1',
+        'user_credentials/user_1',
+        'otp_sessions/s1',
+        'otp_sessions/s2',
+      ]) {
+        expect(await exists(path)).toBe(false);
+      }
+      expect(await exists('users/user_2')).toBe(true);
+      expect(await exists('appliances/a2')).toBe(true);
+    });
+
+    test('should delete stored data exports', async () => {
+      await admin.storage().bucket().file('exports/user_1/exp_1.zip').save('zip');
+      await admin.storage().bucket().file('exports/user_2/exp_2.zip').save('zip');
+
+      const response = await deleteRequest();
+
+      expect(response.body.receipt.deleted.exports).toBe(1);
+      expect(Array.from(admin.__storage.dump().keys())).toEqual(['test-bucket/exports/user_2/exp_2.zip']);
+    });
+
+    test('should keep audit entries without personal data', async () => {
+      await deleteRequest();
+
+      const entry = (await db.collection('audit_log').doc('e1').get()).data();
+      expect(entry).toMatchObject({ type: 'phone_change', uid: null, details: null });
+    });
+
+    test('should store a receipt without personal data', async () => {
+      const response = await deleteRequest();
+
+      const receipt = await db.collection('deletion_receipts').doc(response.body.receipt.receiptId).get();
+      expect(receipt.exists).toBe(true);
+      expect(JSON.stringify(receipt.data())).not.toContain('user_1');
+      expect(JSON.stringify(receipt.data())).not.toContain('8100000000');
+    });
+
+    test('should require confirmation', async () => {
+      const response = await deleteRequest({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0]).toMatchObject({ field: 'confirm', code: 'REQUIRED' });
+      expect(await exists('users/user_1')).toBe(true);
+    });
+
+    test('should require a recent sign-in', async () => {
+      admin.__auth.verifyIdToken.mockResolvedValue({
+        uid: 'user_1',
+        phone_number: PHONE,
+        deviceId: 'device-a',
+        auth_time: Math.floor(Date.now() / 1000) - 24 * 60 * 60,
+      });
+
+      const response = await deleteRequest();
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('REAUTH_REQUIRED');
+      expect(admin.__auth.deleteUser).not.toHaveBeenCalled();
+    });
+
+    test('should require a token', async () => {
+      const response = await request(deleteApp).post('/').send({ confirm: 'DELETE' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('eraseDeletedUser', () => {
+    test('should erase data for accounts deleted outside the app', async () => {
+      const receipt = await handleAuthUserDeleted({ uid: 'user_1', phoneNumber: PHONE });
+
+      expect(receipt).toMatchObject({ trigger: 'auth_delete', deleted: { users: 1, appliances: 1 } });
+      expect(await exists('users/user_1')).toBe(false);
+      expect(await exists('otp_sessions/s1')).toBe(false);
+    });
+
+    test('should add a later sweep to the same receipt', async () => {
+      const first = await deleteRequest();
+      await db.collection('users').doc('user_1').collection('settings').doc('late').set({ theme: 'light' });
+
+      const receipt = await handleAuthUserDeleted({ uid: 'user_1', phoneNumber: PHONE });
+
+      expect(receipt.receiptId).toBe(first.body.receipt.receiptId);
+      expect(receipt).toMatchObject({ trigger: 'user_request', sweptBy: 'auth_delete' });
+      expect(receipt.deleted['users/settings']).toBe(2);
+      expect(await exists('users/user_1/settings/late')).toBe(false);
+    });
+  });
+});
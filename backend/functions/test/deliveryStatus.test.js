@@ -0,0 +1,265 @@
+/**
+ * UNIT TESTS: OTP Delivery Status
+ *
+ * Tests the Twilio status callback (signature check, fail-closed
+ * validation without credentials, required fields, status mapping,
+ * out-of-order callbacks) and the otpDeliveryStatus query (session
+ * ownership, provider polling)
+ *
+ * RUN TESTS:
+ * npm test -- deliveryStatus.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/twilioClient', () => ({
+  ...jest.requireActual('../utils/twilioClient'),
+  validateWebhookSignature: jest.fn(),
+}));
+
+jest.mock('../utils/otpDelivery', () => ({
+  ...jest.requireActual('../utils/otpDelivery'),
+  getDeliveryStatus: jest.fn(),
+}));
+
+const admin = require('../admin');
+const { validateWebhookSignature } = require('../utils/twilioClient');
+const { getDeliveryStatus, isLaterDeliveryStatus } = require('../utils/otpDelivery');
+const { twilioStatusCallback, otpDeliveryStatus } = require('../deliveryStatus');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('OTP Delivery Status', () => {
+  const callbackApp = functionApp(twilioStatusCallback);
+  const statusApp = functionApp(otpDeliveryStatus);
+
+  beforeEach(() => {
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    validateWebhookSignature.mockReturnValue(true);
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    delete process.env.TWILIO_STATUS_CALLBACK_URL;
+    jest.restoreAllMocks();
+  });
+
+  async function storeSession(id, fields = {}) {
+    await admin.firestore().collection('otp_sessions').doc(id).set({
+      phone: PHONE,
+      purpose: 'login',
+      messageSid: 'SM1',
+      deliveryProvider: 'twilio_sms',
+      deliveredChannel: 'sms',
+      ...fields,
+    });
+  }
+
+  async function getSession(id) {
+    return (await admin.firestore().collection('otp_sessions').doc(id).get()).data();
+  }
+
+  function callback(fields) {
+    return request(callbackApp)
+      .post('/')
+      .set('X-Twilio-Signature', 'signature')
+      .type('form')
+      .send(fields);
+  }
+
+  describe('isLaterDeliveryStatus', () => {
+    test('should only move forward', () => {
+      expect(isLaterDeliveryStatus(null, 'queued')).toBe(true);
+      expect(isLaterDeliveryStatus('queued', 'sent')).toBe(true);
+      expect(isLaterDeliveryStatus('sent', 'queued')).toBe(false);
+      expect(isLaterDeliveryStatus('delivered', 'failed')).toBe(false);
+      expect(isLaterDeliveryStatus('delivered', 'read')).toBe(true);
+      expect(isLaterDeliveryStatus('sent', 'something_new')).toBe(false);
+    });
+  });
+
+  describe('validateWebhookSignature', () => {
+    const { validateWebhookSignature: validateSignature } = jest.requireActual('../utils/twilioClient');
+
+    afterEach(() => {
+      delete process.env.APP_ENV;
+      delete process.env.FUNCTIONS_EMULATOR;
+    });
+
+    test.each(['staging', 'development', undefined])('should reject callbacks without credentials when APP_ENV is %s', (appEnv) => {
+      if (appEnv) {
+        process.env.APP_ENV = appEnv;
+      }
+
+      expect(validateSignature('forged', 'https://example.com/twilioStatusCallback', {})).toBe(false);
+    });
+
+    test('should skip the check in the emulator', () => {
+      process.env.FUNCTIONS_EMULATOR = 'true';
+
+      expect(validateSignature('forged', 'https://example.com/twilioStatusCallback', {})).toBe(true);
+    });
+  });
+
+  describe('twilioStatusCallback', () => {
+    test('should reject callbacks without a valid Twilio signature', async () => {
+      validateWebhookSignature.mockReturnValue(false);
+      await storeSession('s1');
+
+      const response = await callback({ MessageSid: 'SM1', MessageStatus: 'delivered' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INVALID_SIGNATURE');
+      expect(await getSession('s1')).not.toHaveProperty('deliveryStatus');
+    });
+
+    test('should check the signature against the configured URL and form fields', async () => {
+      process.env.TWILIO_STATUS_CALLBACK_URL = 'https://example.com/twilioStatusCallback';
+
+      await callback({ MessageSid: 'SM1', MessageStatus: 'sent' });
+
+      expect(validateWebhookSignature).toHaveBeenCalledWith(
+        'signature',
+        'https://example.com/twilioStatusCallback',
+        { MessageSid: 'SM1', MessageStatus: 'sent' }
+      );
+    });
+
+    test('should require MessageSid and MessageStatus', async () => {
+      const response = await callback({ MessageSid: 'SM1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('MISSING_REQUIRED_FIELDS');
+    });
+
+    test('should reject other methods', async () => {
+      const response = await request(callbackApp).get('/');
+
+      expect(response.status).toBe(405);
+    });
+
+    test.each([
+      ['delivered', 'delivered'],
+      ['read', 'delivered'],
+      ['undelivered', 'failed'],
+      ['failed', 'failed'],
+      ['sent', 'pending'],
+    ])('should store %s as %s', async (providerStatus, deliveryStatus) => {
+      await storeSession('s1');
+
+      const response = await callback({ MessageSid: 'SM1', MessageStatus: providerStatus, ErrorCode: providerStatus === 'undelivered' ? '30003' : '' });
+
+      expect(response.status).toBe(204);
+      expect(await getSession('s1')).toMatchObject({
+        deliveryStatus: deliveryStatus,
+        providerStatus: providerStatus,
+        deliveryErrorCode: providerStatus === 'undelivered' ? '30003' : null,
+      });
+    });
+
+    test('should not let a late callback replace a final status', async () => {
+      await storeSession('s1');
+
+      await callback({ MessageSid: 'SM1', MessageStatus: 'delivered' });
+      await callback({ MessageSid: 'SM1', MessageStatus: 'sent' });
+      await callback({ MessageSid: 'SM1', MessageStatus: 'queued' });
+      await callback({ MessageSid: 'SM1', MessageStatus: 'failed', ErrorCode: '30008' });
+
+      expect(await getSession('s1')).toMatchObject({
+        deliveryStatus: 'delivered',
+        providerStatus: 'delivered',
+        deliveryErrorCode: null,
+      });
+    });
+
+    test('should update every session with the message and ignore others', async () => {
+      await storeSession('s1');
+      await storeSession('s2');
+      await storeSession('s3', { messageSid: 'SM2' });
+
+      const response = await callback({ MessageSid: 'SM1', MessageStatus: 'delivered' });
+
+      expect(response.status).toBe(204);
+      expect(await getSession('s1')).toMatchObject({ deliveryStatus: 'delivered' });
+      expect(await getSession('s2')).toMatchObject({ deliveryStatus: 'delivered' });
+      expect(await getSession('s3')).not.toHaveProperty('deliveryStatus');
+    });
+
+    test('should accept callbacks for unknown messages', async () => {
+      const response = await callback({ MessageSid: 'SM404', MessageStatus: 'delivered' });
+
+      expect(response.status).toBe(204);
+    });
+  });
+
+  describe('otpDeliveryStatus', () => {
+    test('should return the stored status to the session owner', async () => {
+      await storeSession('s1', { deliveryStatus: 'failed', providerStatus: 'undelivered', deliveryErrorCode: '30003' });
+
+      const response = await request(statusApp).post('/').send({ sessionId: 's1', phone: PHONE });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        sessionId: 's1',
+        channel: 'sms',
+        deliveryStatus: 'failed',
+        providerStatus: 'undelivered',
+        errorCode: '30003',
+      });
+      expect(getDeliveryStatus).not.toHaveBeenCalled();
+    });
+
+    test('should refuse another phone number', async () => {
+      await storeSession('s1', { deliveryStatus: 'delivered', providerStatus: 'delivered' });
+
+      const response = await request(statusApp).post('/').send({ sessionId: 's1', phone: '+2348111111111' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('PHONE_MISMATCH');
+      expect(response.body).not.toHaveProperty('deliveryStatus');
+    });
+
+    test('should answer 404 for an unknown session', async () => {
+      const response = await request(statusApp).post('/').send({ sessionId: 'nope', phone: PHONE });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    });
+
+    test('should validate the body', async () => {
+      const response = await request(statusApp).post('/').send({ phone: PHONE });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ field: 'sessionId', code: 'REQUIRED' })]);
+    });
+
+    test('should poll the provider before any callback and store the result', async () => {
+      await storeSession('s1');
+      getDeliveryStatus.mockResolvedValue({ success: true, status: 'delivered', errorCode: null });
+
+      const response = await request(statusApp).post('/').send({ sessionId: 's1', phone: PHONE });
+
+      expect(getDeliveryStatus).toHaveBeenCalledWith('twilio_sms', 'SM1');
+      expect(response.body).toMatchObject({ deliveryStatus: 'delivered', providerStatus: 'delivered' });
+      expect(await getSession('s1')).toMatchObject({ deliveryStatus: 'delivered' });
+    });
+
+    test('should report pending when polling fails', async () => {
+      await storeSession('s1');
+      getDeliveryStatus.mockResolvedValue({ success: false, error: 'NOT_FOUND' });
+
+      const response = await request(statusApp).post('/').send({ sessionId: 's1', phone: PHONE });
+
+      expect(response.body).toMatchObject({ deliveryStatus: 'pending', providerStatus: null });
+    });
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * UNIT TESTS: Signed-In Devices
+ *
+ * Tests device recording at sign-in, listing devices, signing out one
+ * device or every device, and session revocation on password reset
+ *
+ * RUN TESTS:
+ * npm test -- devices.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { setUserPassword } = require('../utils/credentials');
+const { createOtpSession } = require('../utils/otpSessions');
+const { passwordLogin, setPassword } = require('../passwordLogin');
+const { listDevices, signOutDevices } = require('../devices');
+const { resetPassword } = require('../resetPassword');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+const PASSWORD = 'Okra-soup-42';
+
+describe('Signed-In Devices', () => {
+  const originalEnv = { ...process.env };
+  const loginApp = functionApp(passwordLogin);
+  const listApp = functionApp(listDevices);
+  const signOutApp = functionApp(signOutDevices);
+  let now;
+
+  beforeEach(async () => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1', phoneNumber: PHONE, disabled: false });
+    admin.__auth.updateUser.mockResolvedValue({});
+    admin.__auth.createCustomToken.mockResolvedValue('custom-token');
+    admin.__auth.revokeRefreshTokens.mockResolvedValue();
+    // The test token is the device ID its session was issued to
+    admin.__auth.verifyIdToken.mockImplementation(async (token) => ({
+      uid: 'user_1',
+      phone_number: PHONE,
+      deviceId: token,
+      auth_time: Math.floor(now / 1000) - 60,
+    }));
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+
+    await setUserPassword('user_1', PASSWORD);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function loginFrom(deviceId, deviceName) {
+    const req = request(loginApp).post('/').set('X-Device-Name', deviceName || 'Phone');
+    if (deviceId) {
+      req.set('X-Device-Id', deviceId);
+    }
+    return req.send({ phone: PHONE, password: PASSWORD });
+  }
+
+  function list(deviceId = 'device-a') {
+    return request(listApp).get('/').set('Authorization', `Bearer ${deviceId}`);
+  }
+
+  function signOut(body, deviceId = 'device-a') {
+    return request(signOutApp)
+      .post('/')
+      .set('Authorization', `Bearer ${deviceId}`)
+      .send(body);
+  }
+
+  test('should record the device at login and mark the current one', async () => {
+    await loginFrom('device-a', 'Tecno Spark 10');
+    now += 1000;
+    await loginFrom('device-b', 'Infinix Hot 30');
+
+    const response = await list('device-a');
+
+    expect(response.status).toBe(200);
+    expect(response.body.devices).toHaveLength(2);
+    expect(response.body.devices[0]).toMatchObject({ deviceId: 'device-b', deviceName: 'Infinix Hot 30', current: false });
+    expect(response.body.devices[1]).toMatchObject({ deviceId: 'device-a', signInMethod: 'password', current: true });
+  });
+
+  test('should issue a device ID when the app sends none', async () => {
+    const response = await loginFrom(null);
+
+    expect(response.status).toBe(200);
+    expect(response.body.deviceId).toEqual(expect.any(String));
+    expect((await list(response.body.deviceId)).body.devices[0].current).toBe(true);
+  });
+
+  test('should sign out one device and reject its older tokens', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-b');
+
+    const response = await signOut({ deviceId: 'device-b' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.signedOutDevices).toBe(1);
+    expect(admin.__auth.revokeRefreshTokens).not.toHaveBeenCalled();
+    expect((await list('device-a')).body.devices.map((device) => device.deviceId)).toEqual(['device-a']);
+
+    const rejected = await list('device-b');
+    expect(rejected.status).toBe(401);
+    expect(rejected.body.code).toBe('DEVICE_SIGNED_OUT');
+  });
+
+  test('should record sign-outs for the Firestore rules', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-b');
+    await loginFrom('device-c');
+
+    await signOut({ deviceId: 'device-b' });
+    now += 1000;
+    await signOut({ deviceId: 'device-c' });
+
+    const doc = await admin.firestore().collection('device_sign_outs').doc('user_1').get();
+    expect(doc.data()).toEqual({ uid: 'user_1', devices: { 'device-b': now - 1000, 'device-c': now } });
+  });
+
+  test('should bind the sign-in token to its device', async () => {
+    const response = await loginFrom('device-a');
+
+    expect(admin.__auth.createCustomToken).toHaveBeenCalledWith('user_1', { deviceId: 'device-a' });
+    expect(response.body.deviceId).toBe('device-a');
+  });
+
+  test('should reject a signed-out device whatever X-Device-Id it sends', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-b');
+    await signOut({ deviceId: 'device-b' });
+
+    const response = await request(listApp)
+      .get('/')
+      .set('Authorization', 'Bearer device-b')
+      .set('X-Device-Id', 'device-a');
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('DEVICE_SIGNED_OUT');
+  });
+
+  test('should accept a device again after it signs back in', async () => {
+    await loginFrom('device-b');
+    await signOut({ deviceId: 'device-b' });
+
+    now += 5 * 60 * 1000;
+    await loginFrom('device-b');
+
+    expect((await list('device-b')).status).toBe(200);
+  });
+
+  test('should report unknown devices', async () => {
+    const response = await signOut({ deviceId: 'device-z' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('DEVICE_NOT_FOUND');
+  });
+
+  test('should require a device or all', async () => {
+    const response = await signOut({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('MISSING_DEVICE');
+  });
+
+  test('should sign out everywhere by revoking refresh tokens', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-b');
+
+    const response = await signOut({ all: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.signedOutDevices).toBe(2);
+    expect(admin.__auth.revokeRefreshTokens).toHaveBeenCalledWith('user_1');
+    expect((await list('device-c')).body.devices).toEqual([]);
+  });
+
+  test('should require a token', async () => {
+    expect((await request(listApp).get('/')).status).toBe(401);
+    expect((await request(signOutApp).post('/').send({ all: true })).status).toBe(401);
+  });
+
+  test('should not let an unrelated endpoint through from a signed-out device', async () => {
+    await loginFrom('device-b');
+    await signOut({ deviceId: 'device-b' });
+
+    const response = await request(functionApp(setPassword))
+      .post('/')
+      .set('Authorization', 'Bearer device-b')
+      .send({ password: 'Jollof-rice-77' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should sign out the other devices when the password is changed', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-b');
+
+    const response = await request(functionApp(setPassword))
+      .post('/')
+      .set('Authorization', 'Bearer device-a')
+      .send({ password: 'Jollof-rice-77' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.signedOutDevices).toBe(1);
+    expect(admin.__auth.revokeRefreshTokens).not.toHaveBeenCalled();
+    expect((await list('device-a')).body.devices.map((device) => device.deviceId)).toEqual(['device-a']);
+    expect((await list('device-b')).body.code).toBe('DEVICE_SIGNED_OUT');
+  });
+
+  test('should sign out every device when the password is reset', async () => {
+    await loginFrom('device-a');
+    await loginFrom('device-thief');
+
+    const session = await createOtpSession('password_reset', PHONE, '123456');
+    await session.ref.set(session.data);
+    const app = functionApp(resetPassword);
+
+    const response = await request(app).post('/').send({
+      action: 'reset_password',
+      sessionId: session.id,
+      otp: '123456',
+      phone: PHONE,
+      newPassword: 'Jollof-rice-77',
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.signedOutDevices).toBe(2);
+    expect(admin.__auth.revokeRefreshTokens).toHaveBeenCalledWith('user_1');
+    expect((await list('device-thief')).body.code).toBe('DEVICE_SIGNED_OUT');
+  });
+});
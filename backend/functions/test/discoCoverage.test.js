@@ -0,0 +1,124 @@
+/**
+ * UNIT TESTS: DisCo Coverage
+ *
+ * Tests the coverage dataset (every state and FCT, valid DisCo codes) and
+ * state/area matching: aliases, LGAs, addresses, typos, state defaults and
+ * confidence scores
+ *
+ * RUN TESTS:
+ * npm test -- discoCoverage.test.js
+ */
+
+const dataset = require('../data/locations/discoCoverage.json');
+const { resolveCoverage, findState, buildIndex, similarity } = require('../utils/discoCoverage');
+const { lookupDisco, isValidDisco, normalizeState } = require('../utils/discoLookup');
+
+describe('DisCo Coverage', () => {
+  describe('Dataset', () => {
+    test('should cover the 36 states and FCT with valid DisCo codes', () => {
+      expect(dataset.states).toHaveLength(37);
+      expect(dataset.states.map((state) => state.name)).toEqual(expect.arrayContaining(['FCT', 'Lagos', 'Ogun']));
+
+      dataset.states.forEach((state) => {
+        if (state.defaultDisco) {
+          expect(isValidDisco(state.defaultDisco)).toBe(true);
+        }
+        state.lgas.forEach((lga) => lga.areas.forEach((area) => {
+          expect(isValidDisco(area.disco)).toBe(true);
+        }));
+      });
+    });
+
+    test('should refuse a malformed dataset', () => {
+      expect(() => buildIndex({ states: [] })).toThrow('version');
+      expect(() => buildIndex({ version: '1', states: [{ name: 'Oyo', defaultDisco: 'IBEDC' }, { name: 'oyo', defaultDisco: 'IBEDC' }] }))
+        .toThrow('duplicate state');
+      expect(() => buildIndex({ version: '1', states: [{ name: 'Oyo', requiresArea: false, lgas: [] }] }))
+        .toThrow('defaultDisco');
+    });
+  });
+
+  describe('States', () => {
+    test('should match names, aliases and typos', () => {
+      expect(findState('lagos state')).toMatchObject({ state: { name: 'Lagos' }, confidence: 1, matchType: 'exact' });
+      expect(findState('Abuja')).toMatchObject({ state: { name: 'FCT' }, confidence: 1, matchType: 'alias' });
+      expect(findState('Lagso')).toMatchObject({ state: { name: 'Lagos' }, matchType: 'fuzzy' });
+      expect(findState('Nigeria')).toBeNull();
+      expect(normalizeState('akwa-ibom')).toBe('Akwa Ibom');
+    });
+
+    test('should count a swap of adjacent letters as one edit', () => {
+      expect(similarity('lagso', 'lagos')).toBe(0.8);
+    });
+  });
+
+  describe('Areas', () => {
+    test('should resolve aliases with full confidence', () => {
+      expect(lookupDisco('Lagos', 'VI')).toMatchObject({
+        success: true,
+        disco: 'EKEDP',
+        fullName: 'Eko Electricity Distribution Company',
+        area: 'Victoria Island',
+        lga: 'Eti-Osa',
+        confidence: 1,
+        matchType: 'alias',
+        assumed: false,
+      });
+    });
+
+    test('should return the business unit where the dataset has it', () => {
+      expect(resolveCoverage('Lagos', 'Ikeja GRA')).toMatchObject({ disco: 'IE', businessUnit: 'Ikeja' });
+    });
+
+    test('should resolve LGAs served by one DisCo', () => {
+      expect(resolveCoverage('Lagos', 'Eti-Osa LGA')).toMatchObject({ disco: 'EKEDP', area: null, lga: 'Eti-Osa', confidence: 0.9, matchType: 'lga' });
+    });
+
+    test('should not resolve an LGA split between DisCos by name', () => {
+      expect(resolveCoverage('Ogun', 'Ado-Odo/Ota')).toMatchObject({ disco: 'IBEDC', matchType: 'default', assumed: true });
+      expect(resolveCoverage('Ogun', 'Agbara')).toMatchObject({ disco: 'EKEDP', matchType: 'exact' });
+    });
+
+    test('should find a known area inside an address', () => {
+      expect(resolveCoverage('Lagos', '12 Adeola Odeku Street, Victoria Island')).toMatchObject({
+        disco: 'EKEDP',
+        area: 'Victoria Island',
+        confidence: 0.85,
+        matchType: 'contains',
+      });
+      expect(resolveCoverage('Lagos', 'Ojodu Road')).toMatchObject({ area: 'Ojodu', disco: 'IE' });
+    });
+
+    test('should match misspelt areas with lower confidence', () => {
+      const result = resolveCoverage('Lagos', 'Surulerre');
+
+      expect(result).toMatchObject({ disco: 'IE', area: 'Surulere', matchType: 'fuzzy' });
+      expect(result.confidence).toBeLessThan(0.9);
+    });
+
+    test('should combine state and area confidence', () => {
+      expect(resolveCoverage('Lagso', 'Yaba')).toMatchObject({ disco: 'IE', confidence: 0.8 });
+    });
+  });
+
+  describe('Defaults', () => {
+    test('should ask for an area instead of defaulting unknown Lagos areas', () => {
+      const result = lookupDisco('Lagos', 'Marinna Road');
+
+      expect(result).toMatchObject({ success: false, requiresArea: true });
+      expect(result.suggestions).toContain('Marina');
+      expect(lookupDisco('Lagos')).toMatchObject({ success: false, requiresArea: true, suggestions: [] });
+    });
+
+    test('should use the state default with its confidence', () => {
+      expect(resolveCoverage('Niger', 'Wushishi')).toMatchObject({ disco: 'AEDC', confidence: 0.6, matchType: 'default', assumed: true });
+      expect(resolveCoverage('Ekiti')).toMatchObject({ disco: 'BEDC', confidence: 0.9, assumed: true });
+      expect(resolveCoverage('Niger')).toMatchObject({ success: false, requiresArea: true });
+    });
+
+    test('should resolve single-DisCo states whatever the area', () => {
+      expect(resolveCoverage('Kano', 'Sabon Gari')).toMatchObject({ disco: 'KEDCO', confidence: 1, matchType: 'state', assumed: false });
+      expect(resolveCoverage('Atlantis')).toMatchObject({ success: false });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * UNIT TESTS: Email Client
+ *
+ * Tests template rendering per locale, provider selection, the SendGrid
+ * adapter, the local stand-in and the mail_log record of each send
+ *
+ * RUN TESTS:
+ * npm test -- emailClient.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+jest.mock('@sendgrid/mail', () => ({
+  setApiKey: jest.fn(),
+  send: jest.fn(),
+}));
+
+const sgMail = require('@sendgrid/mail');
+const admin = require('../admin');
+const {
+  sendEmail,
+  sendWelcomeEmail,
+  sendPasswordResetEmail,
+  resolveProvider,
+  maskEmail,
+} = require('../utils/emailClient');
+const { renderTemplate, normalizeLocale, EMAIL_TEMPLATES, LOCALES } = require('../utils/emailTemplates');
+const { getSentEmails, clearSentEmails } = require('../utils/localEmailProvider');
+
+describe('Email Client', () => {
+  const originalEnv = { ...process.env };
+  const outboxPath = path.join(os.tmpdir(), `email-outbox-${process.pid}.jsonl`);
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, EMAIL_LOCAL_OUTBOX: outboxPath };
+    delete process.env.EMAIL_PROVIDER;
+    delete process.env.SENDGRID_API_KEY;
+    delete process.env.EMAIL_FROM;
+    delete process.env.APP_ENV;
+    admin.__db.reset();
+    clearSentEmails();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (fs.existsSync(outboxPath)) {
+      fs.unlinkSync(outboxPath);
+    }
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  async function mailLog() {
+    const snapshot = await admin.firestore().collection('mail_log').get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  describe('Templates', () => {
+    test('should have every template in every locale', () => {
+      Object.keys(EMAIL_TEMPLATES).forEach((name) => {
+        expect(Object.keys(EMAIL_TEMPLATES[name]).sort()).toEqual([...LOCALES].sort());
+      });
+    });
+
+    test('should render the welcome email with name, DisCo and band', () => {
+      const rendered = renderTemplate('welcome', 'en', { name: 'Ada', disco: 'Ikeja Electric', band: 'A' });
+
+      expect(rendered.subject).toBe('Welcome to UnitWise, Ada');
+      expect(rendered.text).toContain('Your meter is set up for Ikeja Electric, Band A.');
+      expect(rendered.html).toContain('<html lang="en">');
+      expect(rendered.html).toContain('Ikeja Electric, Band A');
+    });
+
+    test('should render in the requested language', () => {
+      const rendered = renderTemplate('welcome', 'yo-NG', { name: 'Ada', disco: 'Ikeja Electric', band: 'A' });
+
+      expect(rendered.locale).toBe('yo');
+      expect(rendered.subject).toBe('Ẹ kú àbọ̀ sí UnitWise, Ada');
+      expect(rendered.html).toContain('<html lang="yo">');
+    });
+
+    test('should fall back to English for unknown locales', () => {
+      expect(normalizeLocale('fr')).toBe('en');
+      expect(normalizeLocale(undefined)).toBe('en');
+      expect(normalizeLocale('PCM')).toBe('pcm');
+    });
+
+    test('should leave out paragraphs whose variables are missing', () => {
+      const rendered = renderTemplate('welcome', 'en', { name: 'Ada' });
+
+      expect(rendered.text).not.toContain('Your meter is set up');
+      expect(rendered.text).toContain('Thanks for joining UnitWise.');
+    });
+
+    test('should escape variables in the HTML body', () => {
+      const rendered = renderTemplate('welcome', 'en', { name: '<script>alert(1)</script>' });
+
+      expect(rendered.html).not.toContain('<script>');
+      expect(rendered.html).toContain('&lt;script&gt;');
+    });
+
+    test('should show the reset code in both bodies', () => {
+      const rendered = renderTemplate('password_reset', 'ha', { name: 'Musa', otp: '123456', ttlMinutes: 5 });
+
+      expect(rendered.text).toContain('123456');
+      expect(rendered.text).toContain('minti 5');
+      expect(rendered.html).toContain('123456');
+    });
+  });
+
+  describe('Provider Selection', () => {
+    test('should not resolve SendGrid without credentials', () => {
+      expect(resolveProvider()).toBeNull();
+    });
+
+    test('should resolve SendGrid when configured', () => {
+      process.env.SENDGRID_API_KEY = 'SG.test';
+      process.env.EMAIL_FROM = 'noreply@unitwise.app';
+
+      expect(resolveProvider().name).toBe('sendgrid');
+    });
+
+    test('should refuse the local provider in production', async () => {
+      process.env.APP_ENV = 'production';
+      process.env.EMAIL_PROVIDER = 'local';
+
+      expect(resolveProvider()).toBeNull();
+
+      const result = await sendWelcomeEmail('ada@example.com', 'Ada');
+      expect(result).toMatchObject({ success: false, error: 'PROVIDER_NOT_CONFIGURED' });
+      expect(getSentEmails()).toHaveLength(0);
+    });
+  });
+
+  describe('Local Provider', () => {
+    test('should write the email to the outbox and log the send', async () => {
+      const result = await sendWelcomeEmail('ada@example.com', 'Ada', {
+        locale: 'ig',
+        disco: 'IE',
+        band: 'B',
+        uid: 'user_1',
+      });
+
+      expect(result).toMatchObject({ success: true, provider: 'local', locale: 'ig' });
+
+      const [email] = getSentEmails();
+      expect(email.subject).toBe('Nnọọ na UnitWise, Ada');
+      expect(email.text).toContain('Ikeja Electric, Band B');
+      expect(fs.readFileSync(outboxPath, 'utf8')).toContain(result.messageId);
+
+      expect(await mailLog()).toEqual([expect.objectContaining({
+        uid: 'user_1',
+        to: maskEmail('ada@example.com'),
+        template: 'welcome',
+        locale: 'ig',
+        provider: 'local',
+        messageId: result.messageId,
+        status: 'sent',
+      })]);
+    });
+
+    test('should never store the email body in the mail log', async () => {
+      await sendPasswordResetEmail('ada@example.com', 'Ada', '654321', { uid: 'user_1' });
+
+      expect(JSON.stringify(await mailLog())).not.toContain('654321');
+      expect(JSON.stringify(await mailLog())).not.toContain('ada@example.com');
+    });
+  });
+
+  describe('SendGrid Provider', () => {
+    beforeEach(() => {
+      process.env.SENDGRID_API_KEY = 'SG.test';
+      process.env.EMAIL_FROM = 'noreply@unitwise.app';
+      process.env.EMAIL_REPLY_TO = 'support@unitwise.app';
+    });
+
+    test('should send HTML and text and record the SendGrid message ID', async () => {
+      sgMail.send.mockResolvedValue([{ statusCode: 202, headers: { 'x-message-id': 'sg_msg_1' } }, {}]);
+
+      const result = await sendEmail('ada@example.com', 'welcome', { locale: 'pcm', variables: { name: 'Ada' } });
+
+      expect(result).toMatchObject({ success: true, provider: 'sendgrid', messageId: 'sg_msg_1' });
+      expect(sgMail.setApiKey).toHaveBeenCalledWith('SG.test');
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'ada@example.com',
+        from: { email: 'noreply@unitwise.app', name: 'UnitWise' },
+        replyTo: 'support@unitwise.app',
+        subject: 'Welcome to UnitWise, Ada',
+        categories: ['welcome'],
+        text: expect.stringContaining('Thank you say you join UnitWise.'),
+        html: expect.stringContaining('<html lang="pcm">'),
+      }));
+      expect((await mailLog())[0]).toMatchObject({ messageId: 'sg_msg_1', status: 'sent' });
+    });
+
+    test('should log failed sends without SendGrid details', async () => {
+      const error = new Error('Unauthorized');
+      error.code = 401;
+      sgMail.send.mockRejectedValue(error);
+
+      const result = await sendWelcomeEmail('ada@example.com', 'Ada');
+
+      expect(result).toMatchObject({ success: false, error: 'EMAIL_AUTH_FAILED', provider: 'sendgrid' });
+      expect((await mailLog())[0]).toMatchObject({ messageId: null, status: 'failed', error: 'EMAIL_AUTH_FAILED' });
+    });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * UNIT TESTS: Email Verification
+ *
+ * Tests sending and checking verification codes, the Auth + Firestore
+ * update, and that welcome and reset emails only go to verified addresses
+ *
+ * RUN TESTS:
+ * npm test -- emailVerification.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { requestEmailVerification, verifyEmail } = require('../emailVerification');
+const { createUserProfile } = require('../createUserProfile');
+const { resetPassword } = require('../resetPassword');
+const { getVerifiedEmail } = require('../utils/emailVerification');
+const { getSentEmails, clearSentEmails } = require('../utils/localEmailProvider');
+const { clearSentMessages } = require('../utils/localOtpProvider');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+const EMAIL = 'ada@example.com';
+
+function authError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('Email Verification', () => {
+  const originalEnv = { ...process.env };
+  const outboxPath = path.join(os.tmpdir(), `email-verification-outbox-${process.pid}.jsonl`);
+  const requestApp = functionApp(requestEmailVerification);
+  const verifyApp = functionApp(verifyEmail);
+  let db;
+
+  beforeEach(async () => {
+    process.env = {
+      ...originalEnv,
+      BCRYPT_SALT_ROUNDS: '4',
+      EMAIL_PROVIDER: 'local',
+      OTP_DELIVERY_PROVIDER: 'local',
+      EMAIL_LOCAL_OUTBOX: outboxPath,
+      OTP_LOCAL_OUTBOX: outboxPath,
+    };
+    delete process.env.OTP_TEST_MODE;
+    delete process.env.FUNCTIONS_EMULATOR;
+    admin.__db.reset();
+    clearSentEmails();
+    clearSentMessages();
+    jest.clearAllMocks();
+    db = admin.firestore();
+
+    admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_1', phone_number: PHONE, deviceId: 'device-a' });
+    admin.__auth.getUser.mockResolvedValue({ uid: 'user_1', emailVerified: false });
+    admin.__auth.updateUser.mockResolvedValue({});
+
+    await db.collection('users').doc('user_1').set({
+      uid: 'user_1',
+      phone: PHONE,
+      name: 'Ada',
+      email: EMAIL,
+      email_verified: false,
+      disco: 'IE',
+      band: 'A',
+      language: 'pcm',
+    });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (fs.existsSync(outboxPath)) {
+      fs.unlinkSync(outboxPath);
+    }
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function requestCode() {
+    return request(requestApp).post('/').set('Authorization', 'Bearer valid-token').send({});
+  }
+
+  function verify(body) {
+    return request(verifyApp).post('/').set('Authorization', 'Bearer valid-token').send(body);
+  }
+
+  function lastCode() {
+    const emails = getSentEmails();
+    return emails[emails.length - 1].text.match(/^\s+(\d+)$/m)[1];
+  }
+
+  async function profile() {
+    return (await db.collection('users').doc('user_1').get()).data();
+  }
+
+  describe('requestEmailVerification', () => {
+    test('should email a code in the profile language', async () => {
+      const response = await requestCode();
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, sessionId: expect.any(String), email: 'a*a@example.com' });
+      expect(getSentEmails()).toEqual([expect.objectContaining({
+        to: EMAIL,
+        template: 'email_verification',
+        locale: 'pcm',
+      })]);
+
+      const session = (await db.collection('otp_sessions').doc(response.body.sessionId).get()).data();
+      expect(session).toMatchObject({ purpose: 'email_verification', uid: 'user_1', email: EMAIL });
+      expect(session.otpHash).not.toBe(lastCode());
+    });
+
+    test('should refuse a profile without email', async () => {
+      await db.collection('users').doc('user_1').update({ email: null });
+
+      const response = await requestCode();
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('NO_EMAIL');
+    });
+
+    test('should refuse an address that is already verified', async () => {
+      await db.collection('users').doc('user_1').update({ email_verified: true, email_verified_address: EMAIL });
+
+      const response = await requestCode();
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('ALREADY_VERIFIED');
+    });
+  });
+
+  describe('verifyEmail', () => {
+    test('should mark the email verified in Auth and the profile, then welcome the user', async () => {
+      const { body } = await requestCode();
+
+      const response = await verify({ sessionId: body.sessionId, otp: lastCode() });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, email: EMAIL, emailVerified: true, welcomeEmailSent: true });
+      expect(admin.__auth.updateUser).toHaveBeenCalledWith('user_1', { email: EMAIL, emailVerified: true });
+      expect(await profile()).toMatchObject({ email_verified: true, email_verified_address: EMAIL });
+      expect(getSentEmails().map((email) => email.template)).toEqual(['email_verification', 'welcome']);
+
+      const audit = await db.collection('audit_log').where('type', '==', 'email_verified').get();
+      expect(audit.docs).toHaveLength(1);
+    });
+
+    test('should only send the welcome email once', async () => {
+      await db.collection('users').doc('user_1').update({ welcome_email_sent_at: new Date() });
+      const { body } = await requestCode();
+
+      const response = await verify({ sessionId: body.sessionId, otp: lastCode() });
+
+      expect(response.body.welcomeEmailSent).toBe(false);
+      expect(getSentEmails()).toHaveLength(1);
+    });
+
+    test('should reject a wrong code', async () => {
+      const { body } = await requestCode();
+      const wrong = lastCode() === '111111' ? '222222' : '111111';
+
+      const response = await verify({ sessionId: body.sessionId, otp: wrong });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INVALID_OTP');
+      expect((await profile()).email_verified).toBe(false);
+    });
+
+    test('should not verify an address changed after the code was sent', async () => {
+      const { body } = await requestCode();
+      await db.collection('users').doc('user_1').update({ email: 'other@example.com' });
+
+      const response = await verify({ sessionId: body.sessionId, otp: lastCode() });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('EMAIL_CHANGED');
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an address used by another account', async () => {
+      admin.__auth.updateUser.mockRejectedValue(authError('auth/email-already-exists'));
+      const { body } = await requestCode();
+
+      const response = await verify({ sessionId: body.sessionId, otp: lastCode() });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('EMAIL_IN_USE');
+      expect((await profile()).email_verified).toBe(false);
+    });
+
+    test('should not accept another user\'s session', async () => {
+      const { body } = await requestCode();
+      const otp = lastCode();
+      await db.collection('otp_sessions').doc(body.sessionId).update({ uid: 'user_2' });
+
+      const response = await verify({ sessionId: body.sessionId, otp: otp });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    });
+  });
+
+  describe('Gating', () => {
+    test('should treat an edited address as unverified', () => {
+      expect(getVerifiedEmail({ email: EMAIL, email_verified: true, email_verified_address: 'ADA@example.com' })).toBe(EMAIL);
+      expect(getVerifiedEmail({ email: 'new@example.com', email_verified: true, email_verified_address: EMAIL })).toBeNull();
+      expect(getVerifiedEmail({ email: EMAIL, email_verified: false })).toBeNull();
+    });
+
+    test('should send a verification code instead of a welcome email on profile creation', async () => {
+      admin.__db.reset();
+
+      const response = await request(functionApp(createUserProfile))
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ phone: PHONE, name: 'Ada', email: EMAIL, disco: 'IE', band: 'A', location: 'Yaba', language: 'yo' });
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ emailVerificationSent: true, emailVerificationSessionId: expect.any(String) });
+      expect(getSentEmails().map((email) => email.template)).toEqual(['email_verification']);
+      expect(await profile()).toMatchObject({ email_verified: false, language: 'yo' });
+    });
+
+    describe('Password reset by email', () => {
+      const resetApp = functionApp(resetPassword);
+
+      beforeEach(() => {
+        admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1', phoneNumber: PHONE });
+      });
+
+      function requestReset() {
+        return request(resetApp).post('/').send({ action: 'request_otp', phone: PHONE, channel: 'email' });
+      }
+
+      test('should email the reset code to a verified address', async () => {
+        await db.collection('users').doc('user_1').update({ email_verified: true, email_verified_address: EMAIL });
+
+        const response = await requestReset();
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ channel: 'email', message: 'OTP sent to your email' });
+        expect(getSentEmails()).toEqual([expect.objectContaining({ to: EMAIL, template: 'password_reset' })]);
+      });
+
+      test('should send the reset code to the phone when the email is unverified', async () => {
+        const response = await requestReset();
+
+        expect(response.status).toBe(200);
+        expect(response.body.channel).not.toBe('email');
+        expect(getSentEmails()).toHaveLength(0);
+      });
+    });
+  });
+});
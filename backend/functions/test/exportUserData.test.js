@@ -0,0 +1,191 @@
+/**
+ * UNIT TESTS: User Data Export
+ *
+ * Tests data collection, the ZIP contents (JSON + token CSV), masking of
+ * third-party details, the stored object and its short-lived link
+ *
+ * RUN TESTS:
+ * npm test -- exportUserData.test.js
+ */
+
+const zlib = require('zlib');
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { exportUserData } = require('../exportUserData');
+const { buildTokenHistoryCsv } = require('../utils/dataExport');
+const { crc32 } = require('../utils/zipArchive');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+/**
+ * Read the entries of a ZIP built by createZip
+ */
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const crc = buffer.readUInt32LE(offset + 14);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    expect(crc32(data)).toBe(crc);
+    entries[name] = data.toString('utf8');
+    offset = start + compressedSize;
+  }
+  return entries;
+}
+
+describe('User Data Export', () => {
+  const originalEnv = { ...process.env };
+  const exportApp = functionApp(exportUserData);
+  let db;
+
+  beforeEach(async () => {
+    process.env = { ...originalEnv };
+    delete process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+    admin.__db.reset();
+    admin.__storage.reset();
+    jest.clearAllMocks();
+    db = admin.firestore();
+
+    admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_1', phone_number: PHONE, deviceId: 'device-a' });
+
+    const userRef = db.collection('users').doc('user_1');
+    await userRef.set({ uid: 'user_1', phone: PHONE, name: 'Ada', created_at: admin.firestore.Timestamp.fromMillis(0) });
+    await userRef.collection('settings').doc('preferences').set({ theme: 'dark' });
+    await userRef.collection('tokens').doc('t1').set({
+      purchase_date: '2025-01-02T00:00:00.000Z',
+      amount_paid: 5000,
+      units_purchased: 24.5,
+      disco: 'Ikeja Electric, Plc',
+      band: 'A',
+      token_code: '=1234',
+      recipient_phone: '+2348030000000',
+    });
+    await db.collection('tokens').doc('t0').set({ uid: 'user_1', purchase_date: '2024-12-01T00:00:00.000Z', amount_paid: 2000 });
+    await db.collection('appliances').doc('a1').set({ uid: 'user_1', name: 'Fridge' });
+    await db.collection('appliances').doc('a2').set({ uid: 'user_2', name: 'TV' });
+    await db.collection('audit_log').doc('e1').set({ type: 'phone_change', uid: 'user_1', details: {} });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function exportRequest(body = {}) {
+    return request(exportApp).post('/').set('Authorization', 'Bearer valid-token').send(body);
+  }
+
+  function storedArchive() {
+    const [key, file] = Array.from(admin.__storage.dump().entries())[0];
+    return { key, file, entries: readZip(file.data) };
+  }
+
+  test('should store a ZIP and return a short-lived signed link', async () => {
+    const response = await exportRequest();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      exportId: expect.stringMatching(/^exp_/),
+      url: expect.stringContaining('https://storage.googleapis.com/'),
+      files: ['README.txt', 'data.json', 'token_history.csv'],
+      counts: { tokens: 2, appliances: 1, settings: 1, auditLog: 1 },
+    });
+
+    const expiresIn = new Date(response.body.expiresAt).getTime() - Date.now();
+    expect(expiresIn).toBeGreaterThan(14 * 60 * 1000);
+    expect(expiresIn).toBeLessThanOrEqual(15 * 60 * 1000);
+
+    const { key, file } = storedArchive();
+    expect(key).toBe(`test-bucket/exports/user_1/${response.body.exportId}.zip`);
+    expect(file.options.contentType).toBe('application/zip');
+  });
+
+  test('should include every section as JSON with only the user data', async () => {
+    await exportRequest();
+
+    const data = JSON.parse(storedArchive().entries['data.json']);
+    expect(data.profile).toMatchObject({ name: 'Ada', created_at: '1970-01-01T00:00:00.000Z' });
+    expect(data.tokens.map((token) => token.id)).toEqual(['t1', 't0']);
+    expect(data.appliances.map((appliance) => appliance.name)).toEqual(['Fridge']);
+    expect(data.auditLog).toHaveLength(1);
+  });
+
+  test('should mask third-party contact details', async () => {
+    await exportRequest();
+
+    const data = JSON.parse(storedArchive().entries['data.json']);
+    expect(data.tokens[0].recipient_phone).toBe('+234803****000');
+  });
+
+  test('should write the token history as CSV', async () => {
+    await exportRequest();
+
+    const lines = storedArchive().entries['token_history.csv'].trim().split('\r\n');
+    expect(lines[0]).toBe('purchase_date,amount_paid,units_purchased,unit_rate,disco,band,token_code,' +
+      'estimated_units_remaining_at_log,estimation_method,created_at');
+    expect(lines[1]).toBe('2025-01-02T00:00:00.000Z,5000,24.5,,"Ikeja Electric, Plc",A,\'=1234,,,');
+    expect(lines).toHaveLength(3);
+  });
+
+  test('should record the export in the audit log', async () => {
+    const response = await exportRequest();
+
+    const snapshot = await db.collection('audit_log').where('type', '==', 'data_export').get();
+    expect(snapshot.docs[0].data()).toMatchObject({ uid: 'user_1', details: { exportId: response.body.exportId } });
+  });
+
+  test('should link to the Storage emulator when running locally', async () => {
+    process.env.FUNCTIONS_EMULATOR = 'true';
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST = '127.0.0.1:9199';
+
+    const response = await exportRequest();
+
+    expect(response.body.url).toMatch(/^http:\/\/127\.0\.0\.1:9199\/v0\/b\/test-bucket\/o\/exports%2Fuser_1%2F/);
+  });
+
+  test('should limit the archive to the requested format', async () => {
+    const response = await exportRequest({ format: 'csv' });
+
+    expect(response.body.files).toEqual(['README.txt', 'token_history.csv']);
+    expect(Object.keys(storedArchive().entries).sort()).toEqual(['README.txt', 'token_history.csv']);
+  });
+
+  test('should reject an unknown format', async () => {
+    const response = await exportRequest({ format: 'pdf' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      errors: [expect.objectContaining({ field: 'format', code: 'INVALID_VALUE' })],
+    });
+    expect(admin.__storage.dump().size).toBe(0);
+  });
+
+  test('should require a token', async () => {
+    const response = await request(exportApp).post('/').send({});
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should quote CSV cells safely', () => {
+    expect(buildTokenHistoryCsv([{ disco: 'Say "hi"', band: '+A' }]).split('\r\n')[1])
+      .toBe(',,,,"Say ""hi""",\'+A,,,,');
+  });
+});
@@ -0,0 +1,22 @@
+/**
+ * TEST HELPER: Mount an onRequest function on an Express app
+ *
+ * Gives the handler a real request/response pair (body parsing, headers,
+ * res.on) so it can be exercised with supertest.
+ *
+ * USAGE:
+ * const request = require('supertest');
+ * const res = await request(functionApp(sendOtp)).post('/').send({ phone });
+ */
+
+const express = require('express');
+
+function functionApp(handler) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.all('*', (req, res) => handler(req, res));
+  return app;
+}
+
+module.exports = { functionApp };
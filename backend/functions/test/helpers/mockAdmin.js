@@ -0,0 +1,414 @@
+/**
+ * TEST HELPER: In-memory Firebase Admin
+ *
+ * Minimal Firestore + Auth + Storage stand-in for endpoint tests. Supports
+ * the subset of the Admin SDK used by the functions: documents, queries,
+ * transactions, batches, Timestamp, FieldValue and bucket files.
+ *
+ * USAGE:
+ * jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+ * const admin = require('../admin');
+ * admin.__db.reset();
+ */
+
+let autoIdCounter = 0;
+
+class Timestamp {
+  constructor(millis) {
+    this._millis = millis;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  toDate() {
+    return new Date(this._millis);
+  }
+
+  toMillis() {
+    return this._millis;
+  }
+
+  valueOf() {
+    return this._millis;
+  }
+}
+
+const FieldValue = {
+  increment: (n) => ({ __op: 'increment', n }),
+  serverTimestamp: () => ({ __op: 'serverTimestamp' }),
+  delete: () => ({ __op: 'delete' }),
+  arrayUnion: (...items) => ({ __op: 'arrayUnion', items }),
+};
+
+/**
+ * Convert Dates to Timestamps like Firestore does on write
+ */
+function toStored(value) {
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStored);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Timestamp) && !value.__op) {
+    const out = {};
+    Object.keys(value).forEach((key) => {
+      if (value[key] !== undefined) {
+        out[key] = toStored(value[key]);
+      }
+    });
+    return out;
+  }
+  return value;
+}
+
+function applyFieldValue(current, value) {
+  if (!value || !value.__op) {
+    return toStored(value);
+  }
+  switch (value.__op) {
+    case 'increment':
+      return (current || 0) + value.n;
+    case 'serverTimestamp':
+      return Timestamp.now();
+    case 'arrayUnion': {
+      const existing = Array.isArray(current) ? current.slice() : [];
+      value.items.map(toStored).forEach((item) => existing.push(item));
+      return existing;
+    }
+    default:
+      return value;
+  }
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), data);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  let target = data;
+  keys.slice(0, -1).forEach((key) => {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  });
+  const last = keys[keys.length - 1];
+  if (value && value.__op === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = applyFieldValue(target[last], value);
+  }
+}
+
+function comparable(value) {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function matches(data, { field, op, value }) {
+  const actual = comparable(getField(data, field));
+  const expected = comparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case 'in': return expected.map(comparable).includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(expected);
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+}
+
+function createFirestore() {
+  const store = new Map();
+
+  function snapshot(ref) {
+    const data = store.get(ref.path);
+    return {
+      id: ref.id,
+      ref: ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : JSON.parse(JSON.stringify(data), reviveTimestamps)),
+      get: (field) => (data === undefined ? undefined : getField(data, field)),
+    };
+  }
+
+  function reviveTimestamps(key, value) {
+    if (value && typeof value === 'object' && typeof value._millis === 'number') {
+      return new Timestamp(value._millis);
+    }
+    return value;
+  }
+
+  function docRef(path) {
+    const id = path.split('/').pop();
+    const ref = {
+      id: id,
+      path: path,
+      get: async () => snapshot(ref),
+      set: async (data, options = {}) => {
+        const base = options.merge && store.has(path) ? store.get(path) : {};
+        const next = { ...base };
+        Object.keys(data).forEach((key) => setField(next, key, data[key]));
+        store.set(path, next);
+      },
+      create: async (data) => {
+        if (store.has(path)) {
+          const error = new Error('Document already exists');
+          error.code = 6;
+          throw error;
+        }
+        await ref.set(data);
+      },
+      update: async (data) => {
+        if (!store.has(path)) {
+          const error = new Error(`No document to update: ${path}`);
+          error.code = 5;
+          throw error;
+        }
+        const next = { ...store.get(path) };
+        Object.keys(data).forEach((key) => setField(next, key, data[key]));
+        store.set(path, next);
+      },
+      delete: async () => {
+        store.delete(path);
+      },
+      collection: (name) => collectionRef(`${path}/${name}`),
+      listCollections: async () => {
+        const names = new Set();
+        store.forEach((value, key) => {
+          if (key.startsWith(`${path}/`)) {
+            names.add(key.slice(path.length + 1).split('/')[0]);
+          }
+        });
+        return Array.from(names).map((name) => collectionRef(`${path}/${name}`));
+      },
+    };
+    return ref;
+  }
+
+  function query(collectionPath, filters = [], order = null, max = null) {
+    return {
+      where: (field, op, value) => query(collectionPath, [...filters, { field, op, value }], order, max),
+      orderBy: (field, direction = 'asc') => query(collectionPath, filters, { field, direction }, max),
+      limit: (n) => query(collectionPath, filters, order, n),
+      get: async () => {
+        const depth = collectionPath.split('/').length + 1;
+        let docs = Array.from(store.keys())
+          .filter((key) => key.startsWith(`${collectionPath}/`) && key.split('/').length === depth)
+          .map((key) => snapshot(docRef(key)))
+          .filter((snap) => filters.every((filter) => matches(snap.data(), filter)));
+
+        if (order) {
+          docs.sort((a, b) => {
+            const x = comparable(getField(a.data(), order.field));
+            const y = comparable(getField(b.data(), order.field));
+            const result = x < y ? -1 : x > y ? 1 : 0;
+            return order.direction === 'desc' ? -result : result;
+          });
+        }
+        if (max !== null) {
+          docs = docs.slice(0, max);
+        }
+
+        return {
+          docs: docs,
+          size: docs.length,
+          empty: docs.length === 0,
+          forEach: (fn) => docs.forEach(fn),
+        };
+      },
+    };
+  }
+
+  function collectionRef(path) {
+    return {
+      id: path.split('/').pop(),
+      path: path,
+      doc: (id) => docRef(`${path}/${id || `auto_${++autoIdCounter}`}`),
+      add: async (data) => {
+        const ref = docRef(`${path}/auto_${++autoIdCounter}`);
+        await ref.set(data);
+        return ref;
+      },
+      ...query(path),
+    };
+  }
+
+  function writeBatch() {
+    const ops = [];
+    const batch = {
+      set: (ref, data, options) => {
+        ops.push(() => ref.set(data, options));
+        return batch;
+      },
+      create: (ref, data) => {
+        ops.push(() => ref.create(data));
+        return batch;
+      },
+      update: (ref, data) => {
+        ops.push(() => ref.update(data));
+        return batch;
+      },
+      delete: (ref) => {
+        ops.push(() => ref.delete());
+        return batch;
+      },
+      commit: async () => {
+        for (const op of ops) {
+          await op();
+        }
+      },
+    };
+    return batch;
+  }
+
+  // Transactions run one at a time, like the Admin SDK's pessimistic locking
+  let transactionQueue = Promise.resolve();
+
+  async function runTransaction(fn) {
+    const batch = writeBatch();
+    const tx = {
+      get: (target) => target.get(),
+      set: (ref, data, options) => {
+        batch.set(ref, data, options);
+        return tx;
+      },
+      create: (ref, data) => {
+        batch.create(ref, data);
+        return tx;
+      },
+      update: (ref, data) => {
+        batch.update(ref, data);
+        return tx;
+      },
+      delete: (ref) => {
+        batch.delete(ref);
+        return tx;
+      },
+    };
+    const result = await fn(tx);
+    await batch.commit();
+    return result;
+  }
+
+  const db = {
+    collection: collectionRef,
+    doc: docRef,
+    batch: writeBatch,
+    settings: () => {},
+    runTransaction: (fn) => {
+      const run = transactionQueue.then(() => runTransaction(fn));
+      transactionQueue = run.catch(() => {});
+      return run;
+    },
+    recursiveDelete: async (ref) => {
+      Array.from(store.keys())
+        .filter((key) => key === ref.path || key.startsWith(`${ref.path}/`))
+        .forEach((key) => store.delete(key));
+    },
+    reset: () => store.clear(),
+    dump: () => store,
+  };
+
+  return db;
+}
+
+function createMockAuth() {
+  return {
+    getUser: jest.fn(),
+    getUserByPhoneNumber: jest.fn(),
+    getUserByEmail: jest.fn(),
+    createUser: jest.fn(),
+    updateUser: jest.fn(),
+    deleteUser: jest.fn(),
+    createCustomToken: jest.fn(),
+    verifyIdToken: jest.fn(),
+    revokeRefreshTokens: jest.fn(),
+  };
+}
+
+function createMockStorage() {
+  const files = new Map();
+
+  function fileRef(bucketName, path) {
+    return {
+      name: path,
+      bucket: { name: bucketName },
+      save: jest.fn(async (data, options = {}) => {
+        files.set(`${bucketName}/${path}`, { data: Buffer.from(data), options: options });
+      }),
+      download: async () => [files.get(`${bucketName}/${path}`).data],
+      exists: async () => [files.has(`${bucketName}/${path}`)],
+      delete: async () => {
+        files.delete(`${bucketName}/${path}`);
+      },
+      getSignedUrl: jest.fn(async ({ expires }) => [
+        `https://storage.googleapis.com/${bucketName}/${path}?X-Goog-Expires=${new Date(expires).getTime()}`,
+      ]),
+    };
+  }
+
+  function bucket(name = 'test-bucket') {
+    return {
+      name: name,
+      file: (path) => fileRef(name, path),
+      getFiles: async ({ prefix = '' } = {}) => [
+        Array.from(files.keys())
+          .filter((key) => key.startsWith(`${name}/${prefix}`))
+          .map((key) => fileRef(name, key.slice(name.length + 1))),
+      ],
+    };
+  }
+
+  return {
+    bucket: bucket,
+    reset: () => files.clear(),
+    dump: () => files,
+  };
+}
+
+/**
+ * Create a firebase-admin stand-in
+ *
+ * @return {Object} admin-like object with __db, __auth and __storage handles
+ */
+function createMockAdmin() {
+  const db = createFirestore();
+  const auth = createMockAuth();
+  const storage = createMockStorage();
+
+  const firestore = () => db;
+  firestore.Timestamp = Timestamp;
+  firestore.FieldValue = FieldValue;
+
+  return {
+    apps: [{}],
+    firestore: firestore,
+    auth: () => auth,
+    storage: () => storage,
+    __db: db,
+    __auth: auth,
+    __storage: storage,
+  };
+}
+
+module.exports = {
+  createMockAdmin,
+  Timestamp,
+};
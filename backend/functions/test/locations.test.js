@@ -0,0 +1,172 @@
+/**
+ * UNIT TESTS: Locations
+ *
+ * Tests the public state, area, DisCo resolution and band estimate
+ * endpoints, their validation and cache headers
+ *
+ * RUN TESTS:
+ * npm test -- locations.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { getLocations, getLocationAreas, resolveDisco, getBandEstimate } = require('../locations');
+const { app } = require('../api');
+const { functionApp } = require('./helpers/functionApp');
+
+describe('Locations', () => {
+  beforeEach(() => {
+    admin.__db.reset();
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getLocations', () => {
+    test('should list every state with its DisCos, plus DisCos and bands', async () => {
+      const response = await request(functionApp(getLocations)).get('/');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('public, max-age=3600');
+      expect(response.body.coverageVersion).toEqual(expect.any(String));
+      expect(response.body.states).toHaveLength(37);
+      expect(response.body.states).toEqual(expect.arrayContaining([
+        { name: 'Lagos', discos: ['IE', 'EKEDP'], requiresArea: true, hasAreas: true },
+        { name: 'Ogun', discos: ['IBEDC', 'EKEDP'], requiresArea: false, hasAreas: true },
+        { name: 'FCT', discos: ['AEDC'], requiresArea: false, hasAreas: false },
+      ]));
+      expect(response.body.discos).toHaveLength(11);
+      expect(response.body.bands[0]).toEqual({ band: 'A', supplyHours: 20, description: 'Minimum 20 hours supply per day' });
+    });
+
+    test('should not write rate-limit counters', async () => {
+      await request(functionApp(getLocations)).get('/');
+      await request(functionApp(getLocations)).get('/');
+
+      expect((await admin.firestore().collection('rate_limits').get()).size).toBe(0);
+    });
+  });
+
+  describe('getLocationAreas', () => {
+    const areasApp = functionApp(getLocationAreas);
+
+    test('should list the areas of an overlap state', async () => {
+      const response = await request(areasApp).get('/').query({ state: 'lagos state' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ state: 'Lagos', requiresArea: true });
+      expect(response.body.areas).toEqual(expect.arrayContaining([
+        { name: 'Yaba', disco: 'IE', lga: 'Lagos Mainland', businessUnit: null },
+        { name: 'Ikeja', disco: 'IE', lga: 'Ikeja', businessUnit: 'Ikeja' },
+        { name: 'Ikoyi', disco: 'EKEDP', lga: 'Eti-Osa', businessUnit: null },
+      ]));
+    });
+
+    test('should return no areas for a single-DisCo state', async () => {
+      const response = await request(areasApp).get('/').query({ state: 'Kano' });
+
+      expect(response.body).toEqual({ success: true, state: 'Kano', requiresArea: false, areas: [] });
+    });
+
+    test('should reject an unknown state', async () => {
+      const response = await request(areasApp).get('/').query({ state: 'Atlantis' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].code).toBe('INVALID_STATE');
+    });
+  });
+
+  describe('resolveDisco', () => {
+    const resolveApp = functionApp(resolveDisco);
+
+    test('should resolve an area of an overlap state', async () => {
+      const response = await request(resolveApp).get('/').query({ state: 'Lagos', area: ' VI ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        state: 'Lagos',
+        area: 'Victoria Island',
+        lga: 'Eti-Osa',
+        businessUnit: null,
+        disco: 'EKEDP',
+        discoName: 'Eko Electricity Distribution Company',
+        confidence: 1,
+        matchType: 'alias',
+        requiresArea: false,
+        assumed: false,
+        areas: [],
+        suggestions: [],
+      });
+    });
+
+    test('should suggest areas instead of guessing an unknown Lagos area', async () => {
+      const response = await request(resolveApp).get('/').query({ state: 'Lagos', area: 'Marinna Road' });
+
+      expect(response.body).toMatchObject({ disco: null, requiresArea: true, confidence: 0 });
+      expect(response.body.suggestions).toContain('Marina');
+    });
+
+    test('should ask for an area when the state has several DisCos', async () => {
+      const response = await request(resolveApp).get('/').query({ state: 'Niger' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ disco: null, requiresArea: true });
+      expect(response.body.areas).toContainEqual(expect.objectContaining({ name: 'Minna', disco: 'AEDC' }));
+    });
+
+    test('should flag the state default for an unknown area', async () => {
+      const response = await request(resolveApp).get('/').query({ state: 'Kogi', area: 'Nowhere' });
+
+      expect(response.body).toMatchObject({ disco: 'AEDC', requiresArea: false, assumed: true, confidence: 0.6, matchType: 'default' });
+    });
+
+    test('should resolve single-DisCo states without an area', async () => {
+      const response = await request(resolveApp).get('/').query({ state: 'Rivers' });
+
+      expect(response.body).toMatchObject({ disco: 'PHED', discoName: 'Port Harcourt Electricity Distribution Company' });
+    });
+  });
+
+  describe('getBandEstimate', () => {
+    const bandApp = functionApp(getBandEstimate);
+
+    test('should estimate the band for an area', async () => {
+      const response = await request(bandApp).get('/').query({ disco: 'EKEDP', area: 'Ikoyi' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('public, max-age=3600');
+      expect(response.body).toEqual({
+        success: true,
+        disco: 'EKEDP',
+        area: 'Ikoyi',
+        band: 'B',
+        supplyHours: 16,
+        description: 'Minimum 16 hours supply per day',
+        estimated: true,
+      });
+    });
+
+    test('should validate the query', async () => {
+      const response = await request(bandApp).get('/').query({ disco: 'NOPE' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.code)).toEqual(['INVALID_DISCO', 'REQUIRED']);
+    });
+  });
+
+  test('should be served under /v1', async () => {
+    const response = await request(app).get('/v1/locations/disco').query({ state: 'Ogun', area: 'Agbara' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.disco).toBe('EKEDP');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * UNIT TESTS: OTP Delivery Layer
+ *
+ * Tests provider selection, WhatsApp → SMS fallback and the local stand-in
+ *
+ * RUN TESTS:
+ * npm test -- otpDelivery.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  deliverOtp,
+  deliverOtpWithFallback,
+  getDeliveryStatus,
+  normalizeDeliveryStatus,
+  registerProvider,
+  resolveProvider,
+} = require('../utils/otpDelivery');
+const { getSentMessages, clearSentMessages } = require('../utils/localOtpProvider');
+
+describe('OTP Delivery Layer', () => {
+  const originalEnv = { ...process.env };
+  const outboxPath = path.join(os.tmpdir(), `otp-outbox-${process.pid}.jsonl`);
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, OTP_LOCAL_OUTBOX: outboxPath };
+    delete process.env.OTP_DELIVERY_PROVIDER;
+    delete process.env.OTP_SMS_PROVIDER;
+    delete process.env.OTP_WHATSAPP_PROVIDER;
+    clearSentMessages();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (fs.existsSync(outboxPath)) {
+      fs.unlinkSync(outboxPath);
+    }
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('Provider Selection', () => {
+    test('should not resolve Twilio providers without credentials', () => {
+      expect(resolveProvider('sms')).toBeNull();
+      expect(resolveProvider('whatsapp')).toBeNull();
+    });
+
+    test('should honour OTP_DELIVERY_PROVIDER override', () => {
+      process.env.OTP_DELIVERY_PROVIDER = 'local';
+
+      expect(resolveProvider('sms').name).toBe('local');
+      expect(resolveProvider('whatsapp').name).toBe('local');
+    });
+
+    test('should use a registered custom provider per channel', async () => {
+      const customProvider = {
+        name: 'test_aggregator',
+        capabilities: { channels: ['sms'], deliveryReceipts: false },
+        isConfigured: () => true,
+        send: jest.fn().mockResolvedValue({
+          success: true,
+          messageSid: 'AGG_1',
+          channel: 'sms',
+          provider: 'test_aggregator',
+        }),
+        status: jest.fn(),
+      };
+      registerProvider(customProvider);
+      process.env.OTP_SMS_PROVIDER = 'test_aggregator';
+
+      const result = await deliverOtp('+2348100000000', '123456', 'sms');
+
+      expect(result).toMatchObject({ success: true, provider: 'test_aggregator' });
+      expect(customProvider.send).toHaveBeenCalledWith(
+        '+2348100000000',
+        '123456',
+        expect.objectContaining({ channel: 'sms', body: expect.stringContaining('123456') })
+      );
+    });
+
+    test('should reject providers missing send() or status()', () => {
+      expect(() => registerProvider({ name: 'broken' })).toThrow();
+    });
+  });
+
+  describe('deliverOtp', () => {
+    test('should reject unknown channels', async () => {
+      const result = await deliverOtp('+2348100000000', '123456', 'email');
+
+      expect(result).toMatchObject({ success: false, error: 'INVALID_CHANNEL' });
+    });
+
+    test('should fall back to the local provider in the emulator', async () => {
+      process.env.FUNCTIONS_EMULATOR = 'true';
+
+      const result = await deliverOtp('+2348100000000', '123456', 'sms');
+
+      expect(result).toMatchObject({ success: true, provider: 'local', channel: 'sms' });
+      expect(getSentMessages()).toHaveLength(1);
+    });
+
+    test.each(['development', 'staging'])('should fail in %s when no provider is configured', async (appEnv) => {
+      process.env.APP_ENV = appEnv;
+
+      const result = await deliverOtp('+2348100000000', '123456', 'sms');
+
+      expect(result).toMatchObject({ success: false, error: 'PROVIDER_NOT_CONFIGURED' });
+      expect(getSentMessages()).toHaveLength(0);
+      expect(fs.existsSync(outboxPath)).toBe(false);
+    });
+
+    test('should use the local provider outside the emulator only when chosen', async () => {
+      process.env.APP_ENV = 'development';
+      process.env.OTP_DELIVERY_PROVIDER = 'local';
+
+      const result = await deliverOtp('+2348100000000', '123456', 'sms');
+
+      expect(result).toMatchObject({ success: true, provider: 'local' });
+    });
+
+    test('should send unconfigured WhatsApp over SMS', async () => {
+      process.env.FUNCTIONS_EMULATOR = 'true';
+
+      const result = await deliverOtp('+2348100000000', '123456', 'whatsapp');
+
+      expect(result.channel).toBe('sms');
+    });
+
+    test('should fail in production when no provider is configured', async () => {
+      process.env.APP_ENV = 'production';
+
+      const result = await deliverOtp('+2348100000000', '123456', 'sms');
+
+      expect(result).toMatchObject({ success: false, error: 'PROVIDER_NOT_CONFIGURED' });
+      expect(getSentMessages()).toHaveLength(0);
+    });
+  });
+
+  describe('deliverOtpWithFallback', () => {
+    const whatsappProvider = {
+      name: 'fake_whatsapp',
+      capabilities: { channels: ['whatsapp'], deliveryReceipts: true },
+      isConfigured: () => true,
+      send: jest.fn(),
+      status: jest.fn(),
+    };
+
+    beforeAll(() => {
+      registerProvider(whatsappProvider);
+    });
+
+    beforeEach(() => {
+      process.env.OTP_WHATSAPP_PROVIDER = 'fake_whatsapp';
+      process.env.OTP_SMS_PROVIDER = 'local';
+    });
+
+    test('should not retry when WhatsApp succeeds', async () => {
+      whatsappProvider.send.mockResolvedValue({
+        success: true,
+        messageSid: 'WA_1',
+        channel: 'whatsapp',
+        provider: 'fake_whatsapp',
+      });
+
+      const result = await deliverOtpWithFallback('+2348100000000', '123456', 'whatsapp');
+
+      expect(result.channel).toBe('whatsapp');
+      expect(result.attempts).toHaveLength(1);
+      expect(getSentMessages()).toHaveLength(0);
+    });
+
+    test('should retry over SMS and record both attempts', async () => {
+      whatsappProvider.send.mockResolvedValue({
+        success: false,
+        error: 21408,
+        message: 'Phone number not eligible for WhatsApp. Try SMS instead.',
+        channel: 'whatsapp',
+        provider: 'fake_whatsapp',
+      });
+
+      const result = await deliverOtpWithFallback('+2348100000000', '123456', 'whatsapp');
+
+      expect(result).toMatchObject({ success: true, channel: 'sms', provider: 'local' });
+      expect(result.attempts).toEqual([
+        expect.objectContaining({ channel: 'whatsapp', errorCode: '21408', messageSid: null }),
+        expect.objectContaining({ channel: 'sms', errorCode: null, messageSid: result.messageSid }),
+      ]);
+      expect(result.attempts[0].timestamp).toBeInstanceOf(Date);
+    });
+
+    test('should not fall back when SMS was requested', async () => {
+      process.env.APP_ENV = 'production';
+      process.env.OTP_SMS_PROVIDER = 'twilio_sms';
+
+      const result = await deliverOtpWithFallback('+2348100000000', '123456', 'sms');
+
+      expect(result.success).toBe(false);
+      expect(result.attempts).toHaveLength(1);
+    });
+  });
+
+  describe('normalizeDeliveryStatus', () => {
+    test('should map provider statuses to app states', () => {
+      expect(normalizeDeliveryStatus('queued')).toBe('pending');
+      expect(normalizeDeliveryStatus('sent')).toBe('pending');
+      expect(normalizeDeliveryStatus('delivered')).toBe('delivered');
+      expect(normalizeDeliveryStatus('read')).toBe('delivered');
+      expect(normalizeDeliveryStatus('undelivered')).toBe('failed');
+      expect(normalizeDeliveryStatus('failed')).toBe('failed');
+    });
+  });
+
+  describe('Local Provider', () => {
+    test('should record sent messages to the outbox file', async () => {
+      process.env.OTP_DELIVERY_PROVIDER = 'local';
+
+      const result = await deliverOtp('+2348100000000', '654321', 'whatsapp');
+
+      const lines = fs.readFileSync(outboxPath, 'utf8').trim().split('\n');
+      const record = JSON.parse(lines[0]);
+      expect(record).toMatchObject({
+        messageSid: result.messageSid,
+        to: '+2348100000000',
+        channel: 'whatsapp',
+        otp: '654321',
+      });
+    });
+
+    test('should report delivered status for sent messages', async () => {
+      process.env.OTP_DELIVERY_PROVIDER = 'local';
+      const result = await deliverOtp('+2348100000000', '654321', 'sms');
+
+      const status = await getDeliveryStatus('local', result.messageSid);
+
+      expect(status).toMatchObject({ success: true, status: 'delivered' });
+    });
+
+    test('should report unknown providers', async () => {
+      const status = await getDeliveryStatus('nope', 'SM1');
+
+      expect(status).toMatchObject({ success: false, error: 'UNKNOWN_PROVIDER' });
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * UNIT TESTS: OTP Policy
+ *
+ * Tests policy precedence (defaults, environment, Firestore), validation
+ * and that endpoints and message templates follow the policy
+ *
+ * RUN TESTS:
+ * npm test -- otpPolicy.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { getOtpPolicy, clearOtpPolicyCache, DEFAULT_OTP_POLICY } = require('../utils/otpPolicy');
+const { buildOtpMessage, deliverOtp } = require('../utils/otpDelivery');
+const { checkRateLimit } = require('../utils/rateLimiter');
+const { createOtpSession } = require('../utils/otpSessions');
+const { getSentMessages, clearSentMessages } = require('../utils/localOtpProvider');
+const { verifyOtp } = require('../verifyOtp');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('OTP Policy', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4', OTP_DELIVERY_PROVIDER: 'local' };
+    Object.keys(process.env)
+      .filter((key) => key.startsWith('OTP_') && !['OTP_DELIVERY_PROVIDER'].includes(key))
+      .forEach((key) => delete process.env[key]);
+    admin.__db.reset();
+    clearOtpPolicyCache();
+    clearSentMessages();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  async function setPolicyDoc(data) {
+    await admin.firestore().collection('config').doc('otp_policy').set(data);
+  }
+
+  describe('getOtpPolicy', () => {
+    test('should return defaults when nothing is configured', async () => {
+      expect(await getOtpPolicy()).toEqual({ ...DEFAULT_OTP_POLICY, bcryptRounds: 4 });
+    });
+
+    test('should apply environment overrides', async () => {
+      process.env.OTP_LENGTH = '8';
+      process.env.OTP_EXPIRY_MINUTES = '10';
+      process.env.OTP_MAX_ATTEMPTS = '3';
+
+      expect(await getOtpPolicy()).toMatchObject({ length: 8, ttlMinutes: 10, maxAttempts: 3 });
+    });
+
+    test('should let the Firestore document override the environment', async () => {
+      process.env.OTP_EXPIRY_MINUTES = '10';
+      await setPolicyDoc({ ttlMinutes: 3, maxResends: 1 });
+
+      expect(await getOtpPolicy()).toMatchObject({ ttlMinutes: 3, maxResends: 1 });
+    });
+
+    test('should ignore out-of-range values', async () => {
+      process.env.OTP_LENGTH = '2';
+      await setPolicyDoc({ maxAttempts: 1000, ttlMinutes: 'soon' });
+
+      expect(await getOtpPolicy()).toMatchObject({
+        length: DEFAULT_OTP_POLICY.length,
+        maxAttempts: DEFAULT_OTP_POLICY.maxAttempts,
+        ttlMinutes: DEFAULT_OTP_POLICY.ttlMinutes,
+      });
+    });
+
+    test('should cache the Firestore document', async () => {
+      await setPolicyDoc({ ttlMinutes: 3 });
+      await getOtpPolicy();
+      await setPolicyDoc({ ttlMinutes: 7 });
+
+      expect((await getOtpPolicy()).ttlMinutes).toBe(3);
+      clearOtpPolicyCache();
+      expect((await getOtpPolicy()).ttlMinutes).toBe(7);
+    });
+
+    test('should fall back to the environment when Firestore is unavailable', async () => {
+      process.env.OTP_MAX_ATTEMPTS = '4';
+      jest.spyOn(admin.__db, 'collection').mockImplementation(() => {
+        throw new Error('unavailable');
+      });
+
+      expect((await getOtpPolicy()).maxAttempts).toBe(4);
+    });
+  });
+
+  describe('Consumers', () => {
+    test('should state the policy TTL in the message body', async () => {
+      expect(buildOtpMessage('123456', 10)).toContain('Valid for 10 minutes');
+      expect(buildOtpMessage('123456', 1)).toContain('Valid for 1 minute.');
+
+      await deliverOtp(PHONE, '123456', 'sms', { ttlMinutes: 2 });
+      expect(getSentMessages()[0].body).toContain('Valid for 2 minutes');
+    });
+
+    test('should set session expiry from the policy', async () => {
+      await setPolicyDoc({ ttlMinutes: 2 });
+
+      const session = await createOtpSession('login', PHONE, '123456');
+
+      expect(session.data.expiresAt.getTime() - session.data.createdAt.getTime()).toBe(2 * 60 * 1000);
+    });
+
+    test('should use the policy request limit for sendOtp', async () => {
+      await setPolicyDoc({ requestLimitMax: 1 });
+
+      await checkRateLimit('sendOtp', { phone: PHONE });
+      const result = await checkRateLimit('sendOtp', { phone: PHONE });
+
+      expect(result).toMatchObject({ allowed: false, limitedBy: ['phone'] });
+    });
+
+    test('should validate OTP length in verifyOtp', async () => {
+      await setPolicyDoc({ length: 8 });
+
+      const response = await request(functionApp(verifyOtp))
+        .post('/')
+        .send({ sessionId: 'abc', otp: '123456', phone: PHONE });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        errors: [{ field: 'otp', code: 'INVALID_LENGTH', message: 'otp must be 8 digits' }],
+      });
+    });
+  });
+});
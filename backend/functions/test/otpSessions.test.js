@@ -0,0 +1,248 @@
+/**
+ * UNIT TESTS: OTP Session Service
+ *
+ * Tests session creation, purpose scoping, transactional verification,
+ * attempt limiting, expiry and post-use cleanup
+ *
+ * RUN TESTS:
+ * npm test -- otpSessions.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { createOtpSession, verifyOtpSession, verifyOtpSessions } = require('../utils/otpSessions');
+const { DEFAULT_OTP_POLICY } = require('../utils/otpPolicy');
+const { resetPassword } = require('../resetPassword');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('OTP Session Service', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Create and store a session
+   */
+  async function storeSession(purpose, otp = '123456', fields = {}) {
+    const session = await createOtpSession(purpose, PHONE, otp);
+    await session.ref.set({ ...session.data, ...fields });
+    return session.id;
+  }
+
+  async function getSession(sessionId) {
+    const doc = await admin.firestore().collection('otp_sessions').doc(sessionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  describe('createOtpSession', () => {
+    test('should store a hashed OTP with its purpose', async () => {
+      const sessionId = await storeSession('login');
+
+      const session = await getSession(sessionId);
+      expect(session).toMatchObject({ purpose: 'login', phone: PHONE, attempts: 0, used: false });
+      expect(session.otpHash).toMatch(/^\$2[aby]\$/);
+      expect(session.purgeAt.toMillis()).toBeGreaterThan(session.expiresAt.toMillis());
+    });
+
+    test('should reject unknown purposes', async () => {
+      await expect(createOtpSession('unknown', PHONE, '123456')).rejects.toThrow('Invalid OTP session purpose');
+    });
+  });
+
+  describe('verifyOtpSession', () => {
+    test('should verify and mark the session used without keeping the hash', async () => {
+      const sessionId = await storeSession('login');
+
+      const result = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+
+      expect(result.success).toBe(true);
+      const session = await getSession(sessionId);
+      expect(session.used).toBe(true);
+      expect(session).not.toHaveProperty('otpHash');
+      expect(session.usedAt).toBeDefined();
+    });
+
+    test('should accept any of several purposes', async () => {
+      const sessionId = await storeSession('signup');
+
+      const result = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: ['login', 'signup'] });
+
+      expect(result.success).toBe(true);
+    });
+
+    test('should treat a session for another purpose as not found', async () => {
+      const sessionId = await storeSession('password_reset');
+
+      const result = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+
+      expect(result).toMatchObject({ success: false, status: 404, error: { code: 'SESSION_NOT_FOUND' } });
+      expect((await getSession(sessionId)).used).toBe(false);
+    });
+
+    test('should reject a phone mismatch', async () => {
+      const sessionId = await storeSession('login');
+
+      const result = await verifyOtpSession({ sessionId, phone: '+2348100000001', otp: '123456', purpose: 'login' });
+
+      expect(result).toMatchObject({ status: 403, error: { code: 'PHONE_MISMATCH' } });
+    });
+
+    test('should count failed attempts and then lock the session', async () => {
+      const sessionId = await storeSession('login');
+
+      const first = await verifyOtpSession({ sessionId, phone: PHONE, otp: '000000', purpose: 'login' });
+      expect(first).toMatchObject({
+        status: 403,
+        error: { code: 'INVALID_OTP', attemptsRemaining: DEFAULT_OTP_POLICY.maxAttempts - 1 },
+      });
+
+      for (let i = 1; i < DEFAULT_OTP_POLICY.maxAttempts; i++) {
+        await verifyOtpSession({ sessionId, phone: PHONE, otp: '000000', purpose: 'login' });
+      }
+
+      const locked = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+      expect(locked).toMatchObject({ status: 403, error: { code: 'MAX_ATTEMPTS_EXCEEDED' } });
+      expect(await getSession(sessionId)).toBeNull();
+    });
+
+    test('should reject and delete expired sessions', async () => {
+      const sessionId = await storeSession('login', '123456', { expiresAt: new Date(Date.now() - 1000) });
+
+      const result = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+
+      expect(result).toMatchObject({ status: 403, error: { code: 'EXPIRED_OTP' } });
+      expect(await getSession(sessionId)).toBeNull();
+    });
+
+    test('should reject reuse of a verified session', async () => {
+      const sessionId = await storeSession('login');
+      await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+
+      const result = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+
+      expect(result).toMatchObject({ status: 403, error: { code: 'OTP_ALREADY_USED' } });
+    });
+
+    test('should let only one of two concurrent verifies succeed', async () => {
+      const sessionId = await storeSession('login');
+
+      const results = await Promise.all([
+        verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' }),
+        verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' }),
+      ]);
+
+      expect(results.filter((result) => result.success)).toHaveLength(1);
+      expect(results.find((result) => !result.success).error.code).toBe('OTP_ALREADY_USED');
+    });
+  });
+
+  describe('verifyOtpSessions', () => {
+    test('should use every session only when all codes are correct', async () => {
+      const first = await storeSession('phone_change', '111111');
+      const second = await storeSession('phone_change', '222222');
+
+      const failed = await verifyOtpSessions([
+        { sessionId: first, phone: PHONE, otp: '111111', purpose: 'phone_change' },
+        { sessionId: second, phone: PHONE, otp: '999999', purpose: 'phone_change' },
+      ]);
+
+      expect(failed).toMatchObject({ success: false, sessionId: second, error: { code: 'INVALID_OTP' } });
+      expect(await getSession(first)).toMatchObject({ used: false, attempts: 0 });
+      expect(await getSession(second)).toMatchObject({ used: false, attempts: 1 });
+
+      const result = await verifyOtpSessions([
+        { sessionId: first, phone: PHONE, otp: '111111', purpose: 'phone_change' },
+        { sessionId: second, phone: PHONE, otp: '222222', purpose: 'phone_change' },
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(result.sessions).toHaveLength(2);
+      expect((await getSession(first)).used).toBe(true);
+      expect((await getSession(second)).used).toBe(true);
+    });
+
+    test('should refuse a session its check rejects without spending an attempt', async () => {
+      const sessionId = await storeSession('phone_change', '123456', { uid: 'user_2' });
+
+      const result = await verifyOtpSessions([{
+        sessionId: sessionId,
+        phone: PHONE,
+        otp: '000000',
+        purpose: 'phone_change',
+        check: (session) => (session.uid !== 'user_1' ? { status: 404, code: 'SESSION_NOT_FOUND', message: 'No' } : null),
+      }]);
+
+      expect(result).toMatchObject({ status: 404, error: { code: 'SESSION_NOT_FOUND' } });
+      expect(await getSession(sessionId)).toMatchObject({ used: false, attempts: 0 });
+    });
+  });
+
+  describe('resetPassword', () => {
+    test('should reset the password through a password_reset session', async () => {
+      let sentOtp;
+      deliverOtpWithFallback.mockImplementation(async (phone, otp, channel) => {
+        sentOtp = otp;
+        return { success: true, messageSid: 'SM123', channel: channel, provider: 'twilio_sms', attempts: [] };
+      });
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1' });
+      admin.__auth.updateUser.mockResolvedValue({});
+      const app = functionApp(resetPassword);
+
+      const requested = await request(app).post('/').send({ action: 'request_otp', phone: PHONE });
+      expect((await getSession(requested.body.sessionId)).purpose).toBe('password_reset');
+
+      const response = await request(app).post('/').send({
+        action: 'reset_password',
+        sessionId: requested.body.sessionId,
+        otp: sentOtp,
+        phone: PHONE,
+        newPassword: 'new-password',
+      });
+
+      expect(response.status).toBe(200);
+      expect(admin.__auth.updateUser).toHaveBeenCalledWith('user_1', { password: 'new-password' });
+      expect((await getSession(requested.body.sessionId)).used).toBe(true);
+    });
+
+    test('should not accept a login session for a password reset', async () => {
+      const sessionId = await storeSession('login');
+
+      const response = await request(functionApp(resetPassword)).post('/').send({
+        action: 'reset_password',
+        sessionId: sessionId,
+        otp: '123456',
+        phone: PHONE,
+        newPassword: 'new-password',
+      });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('SESSION_NOT_FOUND');
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,255 @@
+/**
+ * UNIT TESTS: Password Policy and Password Login
+ *
+ * Tests the strength policy, setting a password, phone + password login
+ * and progressive lockout
+ *
+ * RUN TESTS:
+ * npm test -- passwordLogin.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { checkPassword, isCommonPassword } = require('../utils/passwordPolicy');
+const { setUserPassword } = require('../utils/credentials');
+const { LOCKOUT_STEPS_MINUTES } = require('../utils/loginLockout');
+const { passwordLogin, setPassword } = require('../passwordLogin');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+const PASSWORD = 'Okra-soup-42';
+
+function authError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('Password Login', () => {
+  const originalEnv = { ...process.env };
+  const loginApp = functionApp(passwordLogin);
+  let now;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    Object.keys(process.env)
+      .filter((key) => key.startsWith('PASSWORD_') || key.startsWith('LOGIN_'))
+      .forEach((key) => delete process.env[key]);
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    admin.__auth.getUserByPhoneNumber.mockImplementation(async (phone) => {
+      if (phone !== PHONE) {
+        throw authError('auth/user-not-found');
+      }
+      return { uid: 'user_1', phoneNumber: PHONE, disabled: false };
+    });
+    admin.__auth.updateUser.mockResolvedValue({});
+    admin.__auth.createCustomToken.mockResolvedValue('custom-token');
+    admin.__auth.verifyIdToken.mockResolvedValue({
+      uid: 'user_1',
+      phone_number: PHONE,
+      deviceId: 'device-a',
+      auth_time: Math.floor(now / 1000) - 60,
+    });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function login(password, phone = PHONE) {
+    return request(loginApp).post('/').send({ phone, password });
+  }
+
+  describe('checkPassword', () => {
+    test('should accept a strong password', () => {
+      expect(checkPassword(PASSWORD, { phone: PHONE })).toEqual({ valid: true, errors: [] });
+    });
+
+    test.each([
+      ['short1', 'PASSWORD_TOO_SHORT'],
+      ['abcdefghij', 'PASSWORD_TOO_SIMPLE'],
+      ['Password123!', 'PASSWORD_TOO_COMMON'],
+      ['x08100000000', 'PASSWORD_CONTAINS_PHONE'],
+      ['a'.repeat(129), 'PASSWORD_TOO_LONG'],
+    ])('should reject %s', (password, code) => {
+      const result = checkPassword(password, { phone: PHONE });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((error) => error.code)).toContain(code);
+    });
+
+    test('should apply required character classes from the environment', () => {
+      process.env.PASSWORD_REQUIRE_UPPERCASE = 'true';
+      process.env.PASSWORD_REQUIRE_SPECIAL_CHARS = 'true';
+
+      expect(checkPassword('okra-soup-42').errors.map((error) => error.code)).toEqual(['PASSWORD_MISSING_UPPERCASE']);
+      expect(checkPassword('OkraSoup42').errors.map((error) => error.code)).toEqual(['PASSWORD_MISSING_SPECIAL']);
+    });
+
+    test('should match common passwords ignoring case and trailing digits', () => {
+      expect(isCommonPassword('NIGERIA2030')).toBe(true);
+      expect(isCommonPassword('Qwerty!!')).toBe(true);
+      expect(isCommonPassword(PASSWORD)).toBe(false);
+    });
+  });
+
+  describe('setPassword', () => {
+    test('should store a hash for the token user', async () => {
+      const response = await request(functionApp(setPassword))
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ password: PASSWORD });
+
+      expect(response.status).toBe(200);
+      const doc = await admin.firestore().collection('user_credentials').doc('user_1').get();
+      expect(doc.data().passwordHash).toMatch(/^\$2[aby]\$/);
+      expect(doc.data().passwordHash).not.toContain(PASSWORD);
+      expect(admin.__auth.updateUser).toHaveBeenCalledWith('user_1', { password: PASSWORD });
+    });
+
+    test('should hash with the OTP policy bcrypt cost', async () => {
+      process.env.BCRYPT_SALT_ROUNDS = '5';
+
+      await setUserPassword('user_1', PASSWORD);
+
+      const doc = await admin.firestore().collection('user_credentials').doc('user_1').get();
+      expect(doc.data().passwordHash).toMatch(/^\$2[aby]\$05\$/);
+    });
+
+    test('should reject weak passwords with field errors', async () => {
+      const response = await request(functionApp(setPassword))
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ password: '08100000000a' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        code: 'VALIDATION_ERROR',
+        errors: [{ field: 'password', code: 'PASSWORD_CONTAINS_PHONE' }],
+      });
+    });
+
+    test('should require a recent sign-in', async () => {
+      admin.__auth.verifyIdToken.mockResolvedValue({
+        uid: 'user_1',
+        phone_number: PHONE,
+        deviceId: 'device-a',
+        auth_time: Math.floor(now / 1000) - 24 * 60 * 60,
+      });
+
+      const response = await request(functionApp(setPassword))
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ password: PASSWORD });
+
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('REAUTH_REQUIRED');
+      expect((await admin.firestore().collection('user_credentials').doc('user_1').get()).exists).toBe(false);
+    });
+
+    test('should require a token', async () => {
+      const response = await request(functionApp(setPassword)).post('/').send({ password: PASSWORD });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('passwordLogin', () => {
+    beforeEach(async () => {
+      await setUserPassword('user_1', PASSWORD);
+    });
+
+    test('should return a custom token for the right password', async () => {
+      const response = await login(PASSWORD);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, uid: 'user_1', customToken: 'custom-token', phone: PHONE });
+      expect(admin.__auth.createCustomToken).toHaveBeenCalledWith('user_1', { deviceId: response.body.deviceId });
+    });
+
+    test('should accept local phone formats', async () => {
+      const response = await login(PASSWORD, '0810 000 0000');
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should give the same answer for wrong passwords and unknown numbers', async () => {
+      const wrong = await login('Wrong-pass-1');
+      const unknown = await login(PASSWORD, '+2348100000001');
+
+      expect(wrong.status).toBe(401);
+      expect(unknown.status).toBe(401);
+      expect(wrong.body.code).toBe('INVALID_CREDENTIALS');
+      expect(unknown.body.code).toBe('INVALID_CREDENTIALS');
+      expect(admin.__auth.createCustomToken).not.toHaveBeenCalled();
+    });
+
+    test('should reject disabled accounts', async () => {
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1', disabled: true });
+
+      const response = await login(PASSWORD);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('USER_DISABLED');
+    });
+
+    test('should lock the number after repeated failures, longer each time', async () => {
+      process.env.RATE_LIMIT_PASSWORDLOGIN_PHONE = '100/900';
+
+      for (let i = 1; i < 5; i++) {
+        const response = await login('Wrong-pass-1');
+        expect(response.body.attemptsRemaining).toBe(5 - i);
+      }
+
+      const locked = await login('Wrong-pass-1');
+      expect(locked.status).toBe(429);
+      expect(locked.body).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: LOCKOUT_STEPS_MINUTES[0] * 60 });
+      expect(locked.headers['retry-after']).toBe(String(LOCKOUT_STEPS_MINUTES[0] * 60));
+
+      // Even the right password is refused while locked
+      expect((await login(PASSWORD)).status).toBe(429);
+
+      now += LOCKOUT_STEPS_MINUTES[0] * 60 * 1000 + 1000;
+      for (let i = 0; i < 4; i++) {
+        await login('Wrong-pass-1');
+      }
+      const lockedAgain = await login('Wrong-pass-1');
+      expect(lockedAgain.body.retryAfter).toBe(LOCKOUT_STEPS_MINUTES[1] * 60);
+    });
+
+    test('should reset failures after a successful login', async () => {
+      await login('Wrong-pass-1');
+      await login('Wrong-pass-1');
+      await login(PASSWORD);
+
+      const response = await login('Wrong-pass-1');
+
+      expect(response.body.attemptsRemaining).toBe(4);
+    });
+
+    test('should not store the phone number in lockout documents', async () => {
+      await login('Wrong-pass-1');
+
+      const snapshot = await admin.firestore().collection('login_lockouts').get();
+      expect(snapshot.docs).toHaveLength(1);
+      expect(snapshot.docs[0].id).not.toContain('8100000000');
+      expect(JSON.stringify(snapshot.docs[0].data())).not.toContain('8100000000');
+    });
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * UNIT TESTS: Phone Number Change
+ *
+ * Tests requesting a change, single and dual OTP confirmation, the Auth +
+ * Firestore update with its audit entry, and rollback on failure
+ *
+ * RUN TESTS:
+ * npm test -- phoneChange.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { requestPhoneChange, confirmPhoneChange } = require('../phoneChange');
+const { functionApp } = require('./helpers/functionApp');
+
+const OLD_PHONE = '+2348100000000';
+const NEW_PHONE = '+2348030000000';
+
+function authError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe('Phone Number Change', () => {
+  const originalEnv = { ...process.env };
+  const requestApp = functionApp(requestPhoneChange);
+  const confirmApp = functionApp(confirmPhoneChange);
+  let sentOtps;
+
+  beforeEach(async () => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    delete process.env.PHONE_CHANGE_REQUIRE_OLD_PHONE;
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    sentOtps = {};
+    deliverOtpWithFallback.mockImplementation(async (phone, otp, channel) => {
+      sentOtps[phone] = otp;
+      return { success: true, messageSid: 'SM123', channel: channel, provider: 'twilio_sms', attempts: [] };
+    });
+
+    admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_1', phone_number: OLD_PHONE, deviceId: 'device-a' });
+    admin.__auth.getUserByPhoneNumber.mockRejectedValue(authError('auth/user-not-found'));
+    admin.__auth.updateUser.mockResolvedValue({});
+
+    await admin.firestore().collection('users').doc('user_1').set({ uid: 'user_1', phone: OLD_PHONE, name: 'Ada' });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  function requestChange(body) {
+    return request(requestApp).post('/').set('Authorization', 'Bearer valid-token').send(body);
+  }
+
+  function confirmChange(body) {
+    return request(confirmApp).post('/').set('Authorization', 'Bearer valid-token').send(body);
+  }
+
+  async function auditEntries() {
+    const snapshot = await admin.firestore().collection('audit_log').get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  describe('requestPhoneChange', () => {
+    test('should send an OTP to the new number only by default', async () => {
+      const response = await requestChange({ newPhone: '0803 000 0000' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessionId).toEqual(expect.any(String));
+      expect(response.body.oldPhoneSessionId).toBeUndefined();
+      expect(Object.keys(sentOtps)).toEqual([NEW_PHONE]);
+    });
+
+    test('should also send an OTP to the old number when asked', async () => {
+      const response = await requestChange({ newPhone: NEW_PHONE, verifyOldPhone: true });
+
+      expect(response.body.oldPhoneSessionId).toEqual(expect.any(String));
+      expect(Object.keys(sentOtps).sort()).toEqual([NEW_PHONE, OLD_PHONE].sort());
+    });
+
+    test('should always verify the old number when configured', async () => {
+      process.env.PHONE_CHANGE_REQUIRE_OLD_PHONE = 'true';
+
+      const response = await requestChange({ newPhone: NEW_PHONE });
+
+      expect(response.body.oldPhoneSessionId).toEqual(expect.any(String));
+    });
+
+    test('should refuse the current number', async () => {
+      const response = await requestChange({ newPhone: OLD_PHONE });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('SAME_PHONE');
+    });
+
+    test('should refuse a number linked to another account', async () => {
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_2' });
+
+      const response = await requestChange({ newPhone: NEW_PHONE });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('PHONE_IN_USE');
+      expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+    });
+
+    test('should require a token', async () => {
+      const response = await request(requestApp).post('/').send({ newPhone: NEW_PHONE });
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('confirmPhoneChange', () => {
+    test('should update Auth and the profile and write an audit entry', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE });
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, phone: NEW_PHONE });
+      expect(admin.__auth.updateUser).toHaveBeenCalledWith('user_1', { phoneNumber: NEW_PHONE });
+
+      const profile = await admin.firestore().collection('users').doc('user_1').get();
+      expect(profile.data().phone).toBe(NEW_PHONE);
+
+      const entries = await auditEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        type: 'phone_change',
+        uid: 'user_1',
+        details: { oldPhone: OLD_PHONE, newPhone: NEW_PHONE, verifiedOldPhone: false },
+      });
+    });
+
+    test('should require both OTPs when the old number was included', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE, verifyOldPhone: true });
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+        oldPhoneSessionId: requested.body.oldPhoneSessionId,
+        oldPhoneOtp: sentOtps[OLD_PHONE],
+      });
+
+      expect(response.status).toBe(200);
+      expect((await auditEntries())[0].details.verifiedOldPhone).toBe(true);
+    });
+
+    test('should not change the number without the old OTP when it was requested', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE, verifyOldPhone: true });
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+      });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('OLD_PHONE_NOT_VERIFIED');
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should keep both codes usable when one of them is wrong', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE, verifyOldPhone: true });
+      const body = {
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+        oldPhoneSessionId: requested.body.oldPhoneSessionId,
+        oldPhoneOtp: sentOtps[OLD_PHONE],
+      };
+      const wrongOtp = (code) => (code === '000000' ? '111111' : '000000');
+
+      const wrongNew = await confirmChange({ ...body, otp: wrongOtp(body.otp) });
+      const wrongOld = await confirmChange({ ...body, oldPhoneOtp: wrongOtp(body.oldPhoneOtp) });
+
+      expect(wrongNew.body.code).toBe('INVALID_OTP');
+      expect(wrongOld.body.code).toBe('INVALID_OTP');
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+
+      const sessions = admin.firestore().collection('otp_sessions');
+      expect((await sessions.doc(body.sessionId).get()).data()).toMatchObject({ used: false, attempts: 1 });
+      expect((await sessions.doc(body.oldPhoneSessionId).get()).data()).toMatchObject({ used: false, attempts: 1 });
+
+      const response = await confirmChange(body);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should reject a wrong OTP', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE });
+      const wrongOtp = sentOtps[NEW_PHONE] === '000000' ? '111111' : '000000';
+
+      const response = await confirmChange({ newPhone: NEW_PHONE, sessionId: requested.body.sessionId, otp: wrongOtp });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('INVALID_OTP');
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should not accept a session started by another user', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE });
+      admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_2', phone_number: '+2348100000009', deviceId: 'device-b' });
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+      });
+
+      expect(response.status).toBe(404);
+      expect(admin.__auth.updateUser).not.toHaveBeenCalled();
+    });
+
+    test('should map a number taken in the meantime to PHONE_IN_USE', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE });
+      admin.__auth.updateUser.mockRejectedValue(authError('auth/phone-number-already-exists'));
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('PHONE_IN_USE');
+      expect(await auditEntries()).toEqual([]);
+    });
+
+    test('should restore the Auth number if the profile update fails', async () => {
+      const requested = await requestChange({ newPhone: NEW_PHONE });
+      const db = admin.firestore();
+      const runTransaction = db.runTransaction;
+      jest.spyOn(db, 'runTransaction').mockImplementation((fn) => runTransaction((transaction) => fn({
+        ...transaction,
+        set: (ref, data, options) => {
+          if (ref.path.startsWith('audit_log/')) {
+            throw new Error('unavailable');
+          }
+          return transaction.set(ref, data, options);
+        },
+      })));
+
+      const response = await confirmChange({
+        newPhone: NEW_PHONE,
+        sessionId: requested.body.sessionId,
+        otp: sentOtps[NEW_PHONE],
+      });
+
+      expect(response.status).toBe(500);
+      expect(admin.__auth.updateUser).toHaveBeenLastCalledWith('user_1', { phoneNumber: OLD_PHONE });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * UNIT TESTS: Phone Number Utility
+ *
+ * Tests Nigerian number normalisation, network detection, prefix-aware
+ * masking and that endpoints store normalised numbers with the carrier
+ *
+ * RUN TESTS:
+ * npm test -- phoneNumber.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+  CHANNELS: ['sms', 'whatsapp'],
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { normalizePhoneNumber, detectCarrier, maskPhoneNumber } = require('../utils/phoneNumber');
+const { sendOtp } = require('../sendOtp');
+const { functionApp } = require('./helpers/functionApp');
+
+describe('Phone Number Utility', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    delete process.env.OTP_TEST_NUMBERS;
+    admin.__db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('normalizePhoneNumber', () => {
+    test.each([
+      '08031234567',
+      '8031234567',
+      '2348031234567',
+      '+2348031234567',
+      '+234 0803 123 4567',
+      '0803-123-4567',
+      '(0803) 123 4567',
+      '002348031234567',
+    ])('should normalise %s', (input) => {
+      expect(normalizePhoneNumber(input)).toEqual({
+        success: true,
+        phone: '+2348031234567',
+        country: 'NG',
+        carrier: 'MTN',
+        prefix: '803',
+      });
+    });
+
+    test.each([
+      ['08021234567', 'Airtel'],
+      ['08051234567', 'Glo'],
+      ['09091234567', '9mobile'],
+      ['07025123456', 'MTN'],
+    ])('should detect the network of %s', (input, carrier) => {
+      expect(normalizePhoneNumber(input).carrier).toBe(carrier);
+    });
+
+    test('should reject unallocated Nigerian prefixes', () => {
+      expect(normalizePhoneNumber('08001234567')).toMatchObject({ success: false, code: 'UNSUPPORTED_NETWORK' });
+    });
+
+    test('should allow listed test numbers in unallocated ranges', () => {
+      process.env.OTP_TEST_NUMBERS = '+2348000000001:123456';
+
+      expect(normalizePhoneNumber('08000000001')).toMatchObject({ success: true, phone: '+2348000000001', carrier: null });
+    });
+
+    test.each(['0803123456', '080312345678', 'phone', '+234803', '', 8031234567])('should reject %p', (input) => {
+      expect(normalizePhoneNumber(input)).toMatchObject({ success: false, code: 'INVALID_PHONE' });
+    });
+
+    test('should accept other countries in E.164', () => {
+      expect(normalizePhoneNumber('+44 7700 900123')).toEqual({
+        success: true,
+        phone: '+447700900123',
+        country: null,
+        carrier: null,
+        prefix: null,
+      });
+    });
+  });
+
+  describe('detectCarrier', () => {
+    test('should read the network from an E.164 number', () => {
+      expect(detectCarrier('+2348121234567')).toBe('Airtel');
+      expect(detectCarrier('+2348001234567')).toBeNull();
+      expect(detectCarrier('+447700900123')).toBeNull();
+    });
+  });
+
+  describe('maskPhoneNumber', () => {
+    test('should keep the network prefix visible for Nigerian numbers', () => {
+      expect(maskPhoneNumber('+2348031234567')).toBe('+234803****567');
+      expect(maskPhoneNumber('+2347025123456')).toBe('+2347025***456');
+    });
+
+    test('should mask other numbers after the country code', () => {
+      expect(maskPhoneNumber('+447700900123')).toBe('+447******123');
+      expect(maskPhoneNumber('123')).toBe('***INVALID***');
+    });
+  });
+
+  describe('Endpoints', () => {
+    test('should store the normalised number and carrier on the session', async () => {
+      deliverOtpWithFallback.mockResolvedValue({
+        success: true,
+        messageSid: 'SM1',
+        channel: 'whatsapp',
+        provider: 'twilio_whatsapp',
+        attempts: [],
+      });
+
+      const response = await request(functionApp(sendOtp)).post('/').send({ phone: '0803 123 4567' });
+
+      expect(response.status).toBe(200);
+      expect(deliverOtpWithFallback.mock.calls[0][0]).toBe('+2348031234567');
+      const session = await admin.firestore().collection('otp_sessions').doc(response.body.sessionId).get();
+      expect(session.data()).toMatchObject({ phone: '+2348031234567', carrier: 'MTN' });
+    });
+
+    test('should report unsupported networks as a field error', async () => {
+      const response = await request(functionApp(sendOtp)).post('/').send({ phone: '08001234567' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        {
+          field: 'phone',
+          code: 'UNSUPPORTED_NETWORK',
+          message: 'phone must be a Nigerian mobile number (MTN, Airtel, Glo or 9mobile)',
+        },
+      ]);
+    });
+  });
+});
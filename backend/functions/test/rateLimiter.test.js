@@ -0,0 +1,168 @@
+/**
+ * UNIT TESTS: Rate Limiter
+ *
+ * Tests sliding windows, per-key limits (phone, IP, device), overrides,
+ * Retry-After headers and fail-closed behaviour
+ *
+ * RUN TESTS:
+ * npm test -- rateLimiter.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { checkRateLimit, enforceRateLimit } = require('../utils/rateLimiter');
+const { functionApp } = require('./helpers/functionApp');
+
+describe('Rate Limiter', () => {
+  const originalEnv = { ...process.env };
+  let now;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    admin.__db.reset();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('checkRateLimit', () => {
+    test('should allow requests under the limit', async () => {
+      for (let i = 0; i < 3; i++) {
+        const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+        expect(result.allowed).toBe(true);
+      }
+    });
+
+    test('should block the request over the limit with retry time', async () => {
+      for (let i = 0; i < 3; i++) {
+        await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+      }
+      now += 60 * 1000;
+
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+
+      expect(result).toMatchObject({ allowed: false, limitedBy: ['phone'] });
+      expect(result.retryAfterSeconds).toBe(14 * 60);
+    });
+
+    test('should slide the window as old hits expire', async () => {
+      for (let i = 0; i < 3; i++) {
+        await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+      }
+      now += 15 * 60 * 1000 + 1;
+
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should block phone rotation from a single IP', async () => {
+      for (let i = 0; i < 10; i++) {
+        const result = await checkRateLimit('sendOtp', { phone: `+23481000000${10 + i}`, ip: '10.0.0.1' });
+        expect(result.allowed).toBe(true);
+      }
+
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000099', ip: '10.0.0.1' });
+
+      expect(result).toMatchObject({ allowed: false, limitedBy: ['ip'] });
+    });
+
+    test('should not record hits for blocked requests', async () => {
+      for (let i = 0; i < 5; i++) {
+        await checkRateLimit('sendOtp', { device: 'device-1' });
+      }
+      await checkRateLimit('sendOtp', { device: 'device-1', phone: '+2348100000000' });
+
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+
+      expect(result.allowed).toBe(true);
+    });
+
+    test('should not store raw keys', async () => {
+      await checkRateLimit('sendOtp', { phone: '+2348100000000', ip: '10.0.0.1' });
+
+      const stored = JSON.stringify(Array.from(admin.__db.dump().entries()));
+      expect(stored).not.toContain('+2348100000000');
+      expect(stored).not.toContain('10.0.0.1');
+    });
+
+    test('should apply environment overrides', async () => {
+      process.env.RATE_LIMIT_SENDOTP_PHONE = '1/60';
+
+      await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+
+      expect(result).toMatchObject({ allowed: false, retryAfterSeconds: 60 });
+    });
+
+    test('should fail closed when counters are unavailable', async () => {
+      jest.spyOn(admin.__db, 'runTransaction').mockRejectedValue(new Error('unavailable'));
+
+      const result = await checkRateLimit('sendOtp', { phone: '+2348100000000' });
+
+      expect(result).toMatchObject({ allowed: false, error: 'RATE_LIMIT_UNAVAILABLE' });
+    });
+  });
+
+  describe('enforceRateLimit', () => {
+    const app = functionApp(async (req, res) => {
+      const allowed = await enforceRateLimit('resetPassword', req, res, {
+        phone: req.body.phone,
+        message: 'Too many password reset requests.',
+      });
+      if (allowed) {
+        res.status(200).json({ success: true });
+      }
+    });
+
+    test('should return 429 with Retry-After header when limited', async () => {
+      for (let i = 0; i < 3; i++) {
+        await request(app).post('/').send({ phone: '+2348100000000' });
+      }
+
+      const response = await request(app).post('/').send({ phone: '+2348100000000' });
+
+      expect(response.status).toBe(429);
+      expect(response.headers['retry-after']).toBe('900');
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter: 900,
+      });
+    });
+
+    test('should key on the X-Device-Id header', async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app).post('/').set('X-Device-Id', 'device-1').send({ phone: `+23481000000${10 + i}` });
+      }
+
+      const response = await request(app)
+        .post('/')
+        .set('X-Device-Id', 'device-1')
+        .send({ phone: '+2348100000099' });
+
+      expect(response.status).toBe(429);
+    });
+
+    test('should return 503 when counters are unavailable', async () => {
+      jest.spyOn(admin.__db, 'runTransaction').mockRejectedValue(new Error('unavailable'));
+
+      const response = await request(app).post('/').send({ phone: '+2348100000000' });
+
+      expect(response.status).toBe(503);
+      expect(response.headers['retry-after']).toBe('60');
+    });
+  });
+});
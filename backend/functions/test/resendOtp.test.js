@@ -0,0 +1,209 @@
+/**
+ * UNIT TESTS: resendOtp Cloud Function
+ *
+ * Tests code rotation, cooldown, resend cap, channel switching, expiry
+ * extension and the purposes that can be resent on an existing session
+ *
+ * RUN TESTS:
+ * npm test -- resendOtp.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+  CHANNELS: ['sms', 'whatsapp'],
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { createOtpSession, verifyOtpSession } = require('../utils/otpSessions');
+const { DEFAULT_OTP_POLICY } = require('../utils/otpPolicy');
+const { resendOtp } = require('../resendOtp');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('resendOtp Function', () => {
+  const originalEnv = { ...process.env };
+  const app = functionApp(resendOtp);
+  let now;
+  let sentOtps;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    sentOtps = [];
+    deliverOtpWithFallback.mockImplementation(async (phone, otp, channel) => {
+      sentOtps.push(otp);
+      return {
+        success: true,
+        messageSid: `SM${sentOtps.length}`,
+        channel: channel,
+        provider: 'twilio_sms',
+        attempts: [{ channel: channel, provider: 'twilio_sms', messageSid: `SM${sentOtps.length}`, errorCode: null }],
+      };
+    });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  async function storeSession(fields = {}, purpose = 'login') {
+    const session = await createOtpSession(purpose, PHONE, '123456');
+    await session.ref.set({
+      ...session.data,
+      createdAt: new Date(now - 2 * 60 * 1000),
+      deliveredChannel: 'whatsapp',
+      deliveryStatus: 'failed',
+      ...fields,
+    });
+    return session.id;
+  }
+
+  async function getSession(sessionId) {
+    return (await admin.firestore().collection('otp_sessions').doc(sessionId).get()).data();
+  }
+
+  test('should rotate the code on the same session', async () => {
+    const sessionId = await storeSession({ attempts: 3 });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      sessionId: sessionId,
+      channel: 'whatsapp',
+      resendsRemaining: DEFAULT_OTP_POLICY.maxResends - 1,
+    });
+
+    const session = await getSession(sessionId);
+    expect(session).toMatchObject({ attempts: 0, resendCount: 1, messageSid: 'SM1' });
+    expect(session).not.toHaveProperty('deliveryStatus');
+    expect(Math.abs(session.expiresAt.toMillis() - (now + 5 * 60 * 1000))).toBeLessThan(5000);
+
+    const oldCode = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+    expect(oldCode.error.code).toBe('INVALID_OTP');
+    const newCode = await verifyOtpSession({ sessionId, phone: PHONE, otp: sentOtps[0], purpose: 'login' });
+    expect(newCode.success).toBe(true);
+  });
+
+  test('should switch channel when requested', async () => {
+    const sessionId = await storeSession();
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE, channel: 'sms' });
+
+    expect(response.body.channel).toBe('sms');
+    expect(deliverOtpWithFallback).toHaveBeenCalledWith(PHONE, expect.any(String), 'sms', { ttlMinutes: 5 });
+  });
+
+  test('should enforce the cooldown', async () => {
+    const sessionId = await storeSession({ createdAt: new Date(now - 20 * 1000) });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({ code: 'RESEND_COOLDOWN', retryAfter: 40 });
+    expect(response.headers['retry-after']).toBe('40');
+    expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+  });
+
+  test('should cap resends per session', async () => {
+    const sessionId = await storeSession({ resendCount: DEFAULT_OTP_POLICY.maxResends });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('MAX_RESENDS_EXCEEDED');
+  });
+
+  test('should reject a phone mismatch', async () => {
+    const sessionId = await storeSession();
+
+    const response = await request(app).post('/').send({ sessionId, phone: '+2348100000001' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('PHONE_MISMATCH');
+  });
+
+  test('should reject used sessions', async () => {
+    const sessionId = await storeSession({ used: true });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.body.code).toBe('OTP_ALREADY_USED');
+  });
+
+  test('should keep the previous code when the new one cannot be delivered', async () => {
+    const sessionId = await storeSession({ attempts: 2 });
+    const before = await getSession(sessionId);
+    deliverOtpWithFallback.mockResolvedValueOnce({ success: false, error: 'DELIVERY_FAILED', attempts: [] });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.status).toBe(500);
+    expect(await getSession(sessionId)).toEqual(before);
+    const oldCode = await verifyOtpSession({ sessionId, phone: PHONE, otp: '123456', purpose: 'login' });
+    expect(oldCode.success).toBe(true);
+  });
+
+  test('should not revive an expired session', async () => {
+    const sessionId = await storeSession({ expiresAt: new Date(now - 1000) });
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('SESSION_EXPIRED');
+    expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+  });
+
+  test('should not resend an email verification code to the phone', async () => {
+    const sessionId = await storeSession({ uid: 'user_1', email: 'ada@example.com' }, 'email_verification');
+
+    const response = await request(app).post('/').send({ sessionId, phone: PHONE, channel: 'sms' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('SESSION_NOT_FOUND');
+    expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+    expect(await getSession(sessionId)).not.toHaveProperty('resendCount');
+  });
+
+  test('should only resend the new-number half of a phone change', async () => {
+    const oldSessionId = await storeSession({ uid: 'user_1', role: 'old' }, 'phone_change');
+    const newSessionId = await storeSession({ uid: 'user_1', role: 'new' }, 'phone_change');
+
+    const oldResponse = await request(app).post('/').send({ sessionId: oldSessionId, phone: PHONE });
+    const newResponse = await request(app).post('/').send({ sessionId: newSessionId, phone: PHONE });
+
+    expect(oldResponse.status).toBe(404);
+    expect(newResponse.status).toBe(200);
+    expect(deliverOtpWithFallback).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject unknown channels', async () => {
+    const response = await request(app).post('/').send({ sessionId: 'abc', phone: PHONE, channel: 'email' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'channel', code: 'INVALID_VALUE', message: 'channel must be one of: sms, whatsapp' }],
+    });
+  });
+});
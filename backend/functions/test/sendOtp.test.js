@@ -1,362 +1,332 @@
 /**
  * UNIT TESTS: sendOtp Cloud Function
- * 
+ *
  * Tests OTP generation, hashing, rate limiting, and Twilio integration
- * 
+ *
  * RUN TESTS:
  * npm test -- sendOtp.test.js
- * 
+ *
  * COVERAGE:
  * npm test -- --coverage sendOtp.test.js
  */
 
-const admin = require('firebase-admin');
-const { sendOtp } = require('../sendOtp');
+const request = require('supertest');
 
-// Mock Firebase Admin
-jest.mock('firebase-admin', () => {
-  const mockFirestore = {
-    collection: jest.fn(() => mockFirestore),
-    doc: jest.fn(() => mockFirestore),
-    get: jest.fn(),
-    set: jest.fn(),
-    where: jest.fn(() => mockFirestore),
-    Timestamp: {
-      now: jest.fn(() => ({ toMillis: () => Date.now() })),
-      fromDate: jest.fn((date) => ({ toMillis: () => date.getTime() })),
-    },
-  };
-  
-  return {
-    firestore: jest.fn(() => mockFirestore),
-    Timestamp: mockFirestore.Timestamp,
-    initializeApp: jest.fn(),
-  };
-});
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
 
 // Mock Twilio Client
 jest.mock('../utils/twilioClient', () => ({
-  sendWhatsAppOTP: jest.fn(),
-  sendSMSOTP: jest.fn(),
   maskPhoneNumber: jest.fn((phone) => phone.replace(/\d{4}$/, '****')),
 }));
 
-const { sendWhatsAppOTP, sendSMSOTP } = require('../utils/twilioClient');
+// Mock OTP Delivery Layer
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+}));
+
+// Mock Rate Limiter
+jest.mock('../utils/rateLimiter', () => ({
+  ...jest.requireActual('../utils/rateLimiter'),
+  enforceRateLimit: jest.fn(),
+}));
+
+const admin = require('../admin');
+const { sendOtp } = require('../sendOtp');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { enforceRateLimit } = require('../utils/rateLimiter');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
 
 describe('sendOtp Function', () => {
-  let mockReq, mockRes;
-  
+  const originalEnv = { ...process.env };
+  const app = functionApp(sendOtp);
+
   beforeEach(() => {
-    // Reset mocks
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
     jest.clearAllMocks();
-    
-    // Mock request object
-    mockReq = {
-      method: 'POST',
-      body: {},
-    };
-    
-    // Mock response object
-    mockRes = {
-      status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis(),
-    };
-    
-    // Setup default Twilio success response
-    sendWhatsAppOTP.mockResolvedValue({
+
+    // Allow requests through the rate limiter by default
+    enforceRateLimit.mockResolvedValue(true);
+
+    // Setup default delivery success response
+    deliverOtpWithFallback.mockResolvedValue({
       success: true,
       messageSid: 'SM123456789',
       status: 'queued',
+      channel: 'whatsapp',
+      provider: 'twilio_whatsapp',
+      attempts: [
+        { channel: 'whatsapp', provider: 'twilio_whatsapp', messageSid: 'SM123456789', errorCode: null },
+      ],
     });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
   });
-  
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Stored OTP sessions
+   */
+  async function storedSessions() {
+    const snapshot = await admin.firestore().collection('otp_sessions').get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  }
+
   describe('Request Validation', () => {
     test('should reject non-POST requests', async () => {
-      mockReq.method = 'GET';
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(405);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'METHOD_NOT_ALLOWED',
-        })
-      );
+      const response = await request(app).get('/');
+
+      expect(response.status).toBe(405);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'METHOD_NOT_ALLOWED',
+      });
     });
-    
+
     test('should reject missing phone number', async () => {
-      mockReq.body = {};
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'MISSING_PHONE',
-        })
-      );
+      const response = await request(app).post('/').send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        errors: [expect.objectContaining({ field: 'phone', code: 'REQUIRED' })],
+      });
     });
-    
+
     test('should reject invalid phone number format', async () => {
-      mockReq.body = { phone: '08100000000' }; // Not E.164
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'INVALID_PHONE_FORMAT',
-        })
-      );
+      const response = await request(app).post('/').send({ phone: '0810000' }); // Too short
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        errors: [expect.objectContaining({ field: 'phone', code: 'INVALID_PHONE' })],
+      });
     });
-    
+
     test('should accept valid E.164 phone number', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      // Mock Firestore rate limit check
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(200);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: true,
-        })
-      );
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should normalise local numbers to E.164', async () => {
+      const response = await request(app).post('/').send({ phone: '08100000000' });
+
+      expect(response.status).toBe(200);
+      expect((await storedSessions())[0].phone).toBe(PHONE);
     });
   });
-  
+
   describe('Rate Limiting', () => {
     test('should enforce rate limit (max 3 requests per 15 minutes)', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      // Mock 3 recent OTP sessions
-      const db = admin.firestore();
-      db.get.mockResolvedValue({
-        size: 3,
-        docs: [
-          {
-            data: () => ({
-              createdAt: {
-                toMillis: () => Date.now() - 5 * 60 * 1000, // 5 minutes ago
-              },
-            }),
-          },
-        ],
-      });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(429);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
+      // Limiter responds with 429 and blocks the request
+      enforceRateLimit.mockImplementation(async (scope, req, res) => {
+        res.status(429).json({
           success: false,
           code: 'RATE_LIMIT_EXCEEDED',
-        })
+          retryAfter: 600,
+        });
+        return false;
+      });
+
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      expect(enforceRateLimit).toHaveBeenCalledWith(
+        'sendOtp',
+        expect.anything(),
+        expect.anything(),
+        expect.objectContaining({ phone: PHONE })
       );
+      expect(response.status).toBe(429);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'RATE_LIMIT_EXCEEDED',
+      });
+      expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+      expect(await storedSessions()).toHaveLength(0);
     });
-    
+
     test('should allow request within rate limit', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      // Mock only 2 recent sessions (below limit)
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 2, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(200);
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      expect(response.status).toBe(200);
     });
   });
-  
+
   describe('OTP Generation and Storage', () => {
     test('should generate 6-digit OTP', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      // Verify Firestore set was called
-      expect(db.set).toHaveBeenCalled();
-      
-      // Verify set was called with proper structure
-      const setCall = db.set.mock.calls[0][0];
-      expect(setCall).toHaveProperty('otpHash');
-      expect(setCall).toHaveProperty('phone', '+2348100000000');
-      expect(setCall).toHaveProperty('attempts', 0);
-      expect(setCall).toHaveProperty('used', false);
+      await request(app).post('/').send({ phone: PHONE });
+
+      expect(deliverOtpWithFallback.mock.calls[0][1]).toMatch(/^\d{6}$/);
+
+      const sessions = await storedSessions();
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toHaveProperty('otpHash');
+      expect(sessions[0]).toHaveProperty('phone', PHONE);
+      expect(sessions[0]).toHaveProperty('attempts', 0);
+      expect(sessions[0]).toHaveProperty('used', false);
+      expect(sessions[0]).toHaveProperty('purpose', 'login');
     });
-    
+
     test('should hash OTP with bcrypt before storage', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      const setCall = db.set.mock.calls[0][0];
-      
+      await request(app).post('/').send({ phone: PHONE });
+
+      const [session] = await storedSessions();
+
       // OTP hash should start with bcrypt prefix
-      expect(setCall.otpHash).toMatch(/^\$2[aby]\$/);
-      
+      expect(session.otpHash).toMatch(/^\$2[aby]\$/);
+
       // Hash should not be the plaintext OTP
-      expect(setCall.otpHash).not.toMatch(/^\d{6}$/);
+      expect(session.otpHash).not.toBe(deliverOtpWithFallback.mock.calls[0][1]);
     });
-    
+
     test('should set expiry to 5 minutes', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      const setCall = db.set.mock.calls[0][0];
-      
-      expect(setCall).toHaveProperty('expiresAt');
-      
+      await request(app).post('/').send({ phone: PHONE });
+
+      const [session] = await storedSessions();
+
       // Verify expiry is approximately 5 minutes from now
-      const expiryMillis = setCall.expiresAt.toMillis();
+      const expiryMillis = session.expiresAt.toMillis();
       const expectedExpiry = Date.now() + 5 * 60 * 1000;
       const diff = Math.abs(expiryMillis - expectedExpiry);
-      
+
       expect(diff).toBeLessThan(10000); // Within 10 seconds tolerance
     });
   });
-  
+
   describe('Twilio Integration', () => {
     test('should send OTP via WhatsApp by default', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(sendWhatsAppOTP).toHaveBeenCalledWith(
-        '+2348100000000',
-        expect.stringMatching(/^\d{6}$/)
+      await request(app).post('/').send({ phone: PHONE });
+
+      expect(deliverOtpWithFallback).toHaveBeenCalledWith(
+        PHONE,
+        expect.stringMatching(/^\d{6}$/),
+        'whatsapp',
+        { ttlMinutes: 5 }
       );
     });
-    
+
     test('should send OTP via SMS when source=sms', async () => {
-      mockReq.body = {
-        phone: '+2348100000000',
-        source: 'sms',
-      };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      sendSMSOTP.mockResolvedValue({
+      deliverOtpWithFallback.mockResolvedValue({
         success: true,
         messageSid: 'SM987654321',
+        channel: 'sms',
+        provider: 'twilio_sms',
+        attempts: [
+          { channel: 'sms', provider: 'twilio_sms', messageSid: 'SM987654321', errorCode: null },
+        ],
       });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(sendSMSOTP).toHaveBeenCalledWith(
-        '+2348100000000',
-        expect.stringMatching(/^\d{6}$/)
+
+      await request(app).post('/').send({ phone: PHONE, source: 'sms' });
+
+      expect(deliverOtpWithFallback).toHaveBeenCalledWith(
+        PHONE,
+        expect.stringMatching(/^\d{6}$/),
+        'sms',
+        { ttlMinutes: 5 }
       );
     });
-    
+
     test('should handle Twilio send failure', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      sendWhatsAppOTP.mockResolvedValue({
+      deliverOtpWithFallback.mockResolvedValue({
         success: false,
         error: 'TWILIO_ERROR',
         message: 'Failed to send message',
+        channel: 'sms',
+        attempts: [
+          { channel: 'whatsapp', provider: 'twilio_whatsapp', messageSid: null, errorCode: '21614' },
+          { channel: 'sms', provider: 'twilio_sms', messageSid: null, errorCode: 'TWILIO_ERROR' },
+        ],
+      });
+
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'TWILIO_ERROR',
+      });
+    });
+
+    test('should record delivery attempts when falling back to SMS', async () => {
+      deliverOtpWithFallback.mockResolvedValue({
+        success: true,
+        messageSid: 'SM555',
+        channel: 'sms',
+        provider: 'twilio_sms',
+        attempts: [
+          { channel: 'whatsapp', provider: 'twilio_whatsapp', messageSid: null, errorCode: '21408' },
+          { channel: 'sms', provider: 'twilio_sms', messageSid: 'SM555', errorCode: null },
+        ],
+      });
+
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      const [session] = await storedSessions();
+      expect(session.deliveryAttempts).toHaveLength(2);
+      expect(session).toHaveProperty('deliveredChannel', 'sms');
+      expect(response.body).toMatchObject({
+        success: true,
+        channel: 'sms',
+        fallbackUsed: true,
       });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'TWILIO_ERROR',
-        })
-      );
     });
-    
+
     test('should store Twilio messageSid for traceability', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      const setCall = db.set.mock.calls[0][0];
-      expect(setCall).toHaveProperty('messageSid', 'SM123456789');
+      await request(app).post('/').send({ phone: PHONE });
+
+      const [session] = await storedSessions();
+      expect(session).toHaveProperty('messageSid', 'SM123456789');
     });
   });
-  
+
   describe('Response Format', () => {
     test('should return sessionId on success', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      db.doc.mockReturnValue({ id: 'otp_sess_test123' });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: true,
-          sessionId: expect.any(String),
-          messageSid: 'SM123456789',
-          expiresIn: 300,
-        })
-      );
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      const [session] = await storedSessions();
+      expect(response.body).toMatchObject({
+        success: true,
+        sessionId: session.id,
+        messageSid: 'SM123456789',
+        expiresIn: 300,
+      });
     });
-    
+
     test('should never expose OTP in response', async () => {
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
-      const responseBody = mockRes.json.mock.calls[0][0];
-      
-      // Ensure no 6-digit number in response
-      const responseString = JSON.stringify(responseBody);
-      expect(responseString).not.toMatch(/\b\d{6}\b/);
+      const response = await request(app).post('/').send({ phone: PHONE });
+
+      // Ensure the delivered code is not in the response
+      const otp = deliverOtpWithFallback.mock.calls[0][1];
+      expect(response.body).not.toHaveProperty('testOtp');
+      expect(JSON.stringify(response.body)).not.toContain(otp);
     });
   });
-  
+
   describe('Security - No PII Exposure', () => {
     test('should mask phone number in logs', async () => {
-      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      
-      mockReq.body = { phone: '+2348100000000' };
-      
-      const db = admin.firestore();
-      db.get.mockResolvedValue({ size: 0, docs: [] });
-      
-      await sendOtp(mockReq, mockRes);
-      
+      await request(app).post('/').send({ phone: PHONE });
+
       // Verify maskPhoneNumber was called
       const { maskPhoneNumber } = require('../utils/twilioClient');
-      expect(maskPhoneNumber).toHaveBeenCalledWith('+2348100000000');
-      
-      consoleSpy.mockRestore();
+      expect(maskPhoneNumber).toHaveBeenCalledWith(PHONE);
+
+      const logged = console.log.mock.calls.flat().join('\n');
+      expect(logged).not.toContain(PHONE);
     });
   });
 });
@@ -0,0 +1,283 @@
+/**
+ * UNIT TESTS: Service Areas
+ *
+ * Tests GPS resolution against the service-area polygons (bundled dataset,
+ * holes, multipolygons, overlaps, bands), the state outline fallback, points
+ * outside Nigeria and the resolveDiscoByLocation endpoint
+ *
+ * RUN TESTS:
+ * npm test -- serviceAreas.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'locations', 'discoServiceAreas.geojson'), 'utf8'));
+const boundaries = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'locations', 'stateBoundaries.geojson'), 'utf8'));
+const { resolveServiceArea, findServiceArea, buildServiceAreaIndex, buildBoundaryIndex } = require('../utils/serviceAreas');
+const { lookupDiscoByLocation, isValidDisco, getAllStates } = require('../utils/discoLookup');
+const { resolveDiscoByLocation } = require('../locations');
+const { app } = require('../api');
+const { functionApp } = require('./helpers/functionApp');
+
+const VICTORIA_ISLAND = { lat: 6.4281, lng: 3.4219 };
+const IKEJA = { lat: 6.6018, lng: 3.3515 };
+const GULF_OF_GUINEA = { lat: 4.5, lng: 3.4 };
+const KANO = { lat: 12.0, lng: 8.52 };
+const ABEOKUTA = { lat: 7.15, lng: 3.35 };
+const EPE = { lat: 6.58, lng: 3.98 };
+
+function square(minLng, minLat, maxLng, maxLat) {
+  return [[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]];
+}
+
+function feature(properties, geometry) {
+  return { type: 'Feature', properties: properties, geometry: geometry };
+}
+
+describe('Service Areas', () => {
+  describe('Dataset', () => {
+    test('should only use valid DisCo codes', () => {
+      expect(dataset.features.length).toBeGreaterThan(0);
+      dataset.features.forEach((entry) => {
+        expect(isValidDisco(entry.properties.disco)).toBe(true);
+      });
+    });
+
+    test('should refuse features that are not polygons', () => {
+      expect(() => buildServiceAreaIndex({ features: [] })).toThrow('FeatureCollection');
+      expect(() => buildServiceAreaIndex({
+        type: 'FeatureCollection',
+        features: [feature({ state: 'Lagos', disco: 'IE' }, { type: 'Point', coordinates: [3.35, 6.6] })],
+      })).toThrow('Polygon');
+      expect(() => buildServiceAreaIndex({
+        type: 'FeatureCollection',
+        features: [feature({ state: 'Lagos' }, { type: 'Polygon', coordinates: [square(3, 6, 4, 7)] })],
+      })).toThrow('state and disco');
+    });
+
+    test('should outline every state in the coverage dataset once', () => {
+      const states = boundaries.features.filter((entry) => entry.properties.state).map((entry) => entry.properties.state);
+
+      expect(states.sort()).toEqual(getAllStates().map((entry) => entry.name).sort());
+      expect(boundaries.features.filter((entry) => entry.properties.country)).toHaveLength(1);
+    });
+
+    test('should refuse boundaries without a country outline', () => {
+      expect(() => buildBoundaryIndex({
+        type: 'FeatureCollection',
+        features: [feature({ state: 'Lagos' }, { type: 'Polygon', coordinates: [square(3, 6, 4, 7)] })],
+      })).toThrow('country outline');
+      expect(() => buildBoundaryIndex({
+        type: 'FeatureCollection',
+        features: [feature({}, { type: 'Polygon', coordinates: [square(3, 6, 4, 7)] })],
+      })).toThrow('country or state');
+    });
+  });
+
+  describe('Bundled dataset', () => {
+    test('should resolve a point in Victoria Island to EKEDP', () => {
+      expect(lookupDiscoByLocation(VICTORIA_ISLAND.lat, VICTORIA_ISLAND.lng)).toMatchObject({
+        success: true,
+        state: 'Lagos',
+        disco: 'EKEDP',
+        fullName: 'Eko Electricity Distribution Company',
+        area: 'Victoria Island',
+        lga: 'Eti-Osa',
+        confidence: 0.7,
+        matchType: 'gps',
+        assumed: false,
+      });
+    });
+
+    test('should take the business unit from the coverage dataset', () => {
+      expect(resolveServiceArea(IKEJA.lat, IKEJA.lng)).toMatchObject({ disco: 'IE', area: 'Ikeja', businessUnit: 'Ikeja' });
+    });
+
+    test('should refuse points outside Nigeria', () => {
+      expect(resolveServiceArea(GULF_OF_GUINEA.lat, GULF_OF_GUINEA.lng)).toMatchObject({ success: false, code: 'OUTSIDE_NIGERIA' });
+      expect(resolveServiceArea(6.13, 1.22)).toMatchObject({ success: false, code: 'OUTSIDE_NIGERIA' });
+    });
+  });
+
+  describe('State outline fallback', () => {
+    test('should use the DisCo of a single-DisCo state', () => {
+      expect(resolveServiceArea(KANO.lat, KANO.lng)).toEqual({
+        success: true,
+        state: 'Kano',
+        disco: 'KEDCO',
+        area: null,
+        lga: null,
+        businessUnit: null,
+        suggestedBand: null,
+        confidence: 0.6,
+        matchType: 'gps_state',
+        assumed: false,
+      });
+    });
+
+    test('should mark a state default as assumed', () => {
+      expect(resolveServiceArea(ABEOKUTA.lat, ABEOKUTA.lng)).toMatchObject({
+        success: true,
+        state: 'Ogun',
+        disco: 'IBEDC',
+        matchType: 'gps_state',
+        assumed: true,
+      });
+    });
+
+    test('should ask for an area in a state with several DisCos', () => {
+      expect(resolveServiceArea(EPE.lat, EPE.lng)).toMatchObject({ success: false, code: 'AREA_REQUIRED', state: 'Lagos' });
+    });
+
+    test('should report no coverage inside the country but outside every state', () => {
+      const index = buildServiceAreaIndex({ type: 'FeatureCollection', features: [] });
+      const outlines = buildBoundaryIndex({
+        type: 'FeatureCollection',
+        features: [
+          feature({ country: 'Nigeria' }, { type: 'Polygon', coordinates: [square(2, 4, 15, 14)] }),
+          feature({ state: 'Kano', confidence: 0.6 }, { type: 'Polygon', coordinates: [square(8, 11, 9, 12.5)] }),
+        ],
+      });
+
+      expect(resolveServiceArea(KANO.lat, KANO.lng, index, outlines)).toMatchObject({ success: true, disco: 'KEDCO' });
+      expect(resolveServiceArea(6.5, 3.4, index, outlines)).toMatchObject({ success: false, code: 'NO_COVERAGE' });
+    });
+  });
+
+  describe('Polygons', () => {
+    const index = buildServiceAreaIndex({
+      type: 'FeatureCollection',
+      features: [
+        feature(
+          { state: 'Lagos', disco: 'IE', area: 'Outer', businessUnit: 'Outer BU' },
+          { type: 'Polygon', coordinates: [square(3, 6, 4, 7), square(3.4, 6.4, 3.6, 6.6)] }
+        ),
+        feature(
+          { state: 'Lagos', disco: 'EKEDP', area: 'Feeder 12', band: 'A', confidence: 0.95 },
+          { type: 'Polygon', coordinates: [square(3.1, 6.1, 3.2, 6.2)] }
+        ),
+        feature(
+          { state: 'Ogun', disco: 'IBEDC' },
+          { type: 'MultiPolygon', coordinates: [[square(2, 6, 2.5, 6.5)], [square(2.6, 6, 2.9, 6.5)]] }
+        ),
+      ],
+    });
+
+    test('should exclude holes', () => {
+      expect(findServiceArea(6.3, 3.3, index)).toMatchObject({ area: 'Outer' });
+      expect(findServiceArea(6.5, 3.5, index)).toBeNull();
+    });
+
+    test('should match any part of a multipolygon', () => {
+      expect(findServiceArea(6.25, 2.25, index)).toMatchObject({ disco: 'IBEDC' });
+      expect(findServiceArea(6.25, 2.75, index)).toMatchObject({ disco: 'IBEDC' });
+      expect(findServiceArea(6.25, 2.55, index)).toBeNull();
+    });
+
+    test('should prefer the smallest overlapping polygon and return its band', () => {
+      expect(resolveServiceArea(6.15, 3.15, index)).toEqual({
+        success: true,
+        state: 'Lagos',
+        disco: 'EKEDP',
+        area: 'Feeder 12',
+        lga: null,
+        businessUnit: null,
+        suggestedBand: 'A',
+        confidence: 0.95,
+        matchType: 'gps',
+        assumed: false,
+      });
+    });
+
+    test('should default confidence to 1 and keep the polygon business unit', () => {
+      expect(resolveServiceArea(6.8, 3.8, index)).toMatchObject({ businessUnit: 'Outer BU', suggestedBand: null, confidence: 1 });
+    });
+  });
+
+  describe('resolveDiscoByLocation', () => {
+    const gpsApp = functionApp(resolveDiscoByLocation);
+
+    beforeEach(() => {
+      admin.__db.reset();
+
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+      jest.spyOn(console, 'error').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should resolve coordinates in lookupDisco format', async () => {
+      const response = await request(gpsApp).get('/').query(VICTORIA_ISLAND);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('private, max-age=3600');
+      expect(response.body).toEqual({
+        success: true,
+        state: 'Lagos',
+        area: 'Victoria Island',
+        lga: 'Eti-Osa',
+        businessUnit: null,
+        disco: 'EKEDP',
+        discoName: 'Eko Electricity Distribution Company',
+        suggestedBand: null,
+        confidence: 0.7,
+        matchType: 'gps',
+        requiresArea: false,
+        assumed: false,
+        areas: [],
+        suggestions: [],
+      });
+    });
+
+    test('should answer 400 outside Nigeria', async () => {
+      const response = await request(gpsApp).get('/').query(GULF_OF_GUINEA);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ success: false, code: 'OUTSIDE_NIGERIA' });
+    });
+
+    test('should fall back to the state DisCo outside known service areas', async () => {
+      const response = await request(gpsApp).get('/').query(KANO);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        state: 'Kano',
+        area: null,
+        disco: 'KEDCO',
+        discoName: 'Kano Electricity Distribution Company',
+        matchType: 'gps_state',
+        requiresArea: false,
+      });
+    });
+
+    test('should ask for an area where the state has several DisCos', async () => {
+      const response = await request(gpsApp).get('/').query(EPE);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, state: 'Lagos', disco: null, requiresArea: true });
+      expect(response.body.areas.map((area) => area.name)).toEqual(expect.arrayContaining(['Ikeja', 'Victoria Island']));
+    });
+
+    test('should validate the coordinates', async () => {
+      const response = await request(gpsApp).get('/').query({ lat: '91', lng: '3.4e1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.code)).toEqual(['INVALID_COORDINATES', 'INVALID_COORDINATES']);
+    });
+
+    test('should be served under /v1', async () => {
+      const response = await request(app).get('/v1/locations/gps').query(IKEJA);
+
+      expect(response.status).toBe(200);
+      expect(response.body.disco).toBe('IE');
+    });
+  });
+});
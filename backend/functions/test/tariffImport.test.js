@@ -0,0 +1,218 @@
+/**
+ * UNIT TESTS: Tariff Import
+ *
+ * Tests parsing and validating CSV/JSON tariff schedules, the diff against
+ * the current rates, versioned writes with a changelog entry and the
+ * import CLI
+ *
+ * RUN TESTS:
+ * npm test -- tariffImport.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const {
+  parseSchedule,
+  validateSchedule,
+  diffSchedule,
+  applySchedule,
+  getScheduleVersion,
+} = require('../utils/tariffImport');
+const { getRate, rateDocId, clearTariffCache } = require('../utils/tariffs');
+const { isValidBand } = require('../utils/discoLookup');
+const { main } = require('../scripts/importTariffs');
+
+const JULY_ORDER = 'NERC July 2025 Supplementary Order';
+
+const CSV = [
+  '# Band A and B only',
+  'disco,band,rate_per_kwh',
+  'IE,A,215',
+  'IE,B,63.35',
+  'EKEDP,A,215',
+].join('\n');
+
+describe('Tariff Import', () => {
+  let db;
+
+  beforeEach(async () => {
+    admin.__db.reset();
+    clearTariffCache();
+    db = admin.firestore();
+
+    await db.collection('tariff_rates').doc(rateDocId('IE', 'A', '2025-07-01'))
+      .set({ disco: 'IE', band: 'A', ratePerKwh: 209.5, effectiveFrom: '2025-07-01', order: JULY_ORDER });
+    await db.collection('tariff_rates').doc(rateDocId('IE', 'B', '2025-07-01'))
+      .set({ disco: 'IE', band: 'B', ratePerKwh: 63.35, effectiveFrom: '2025-07-01', order: JULY_ORDER });
+    await db.collection('tariff_rates').doc(rateDocId('IE', 'C', '2025-07-01'))
+      .set({ disco: 'IE', band: 'C', ratePerKwh: 51.79, effectiveFrom: '2025-07-01', order: JULY_ORDER });
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function csvSchedule(content = CSV) {
+    return parseSchedule(content, 'csv', { effectiveFrom: '2025-10-01', order: 'NERC October 2025 Order' }).schedule;
+  }
+
+  describe('Parsing and Validation', () => {
+    test('should read CSV rows with the date and order passed in', () => {
+      expect(csvSchedule()).toEqual({
+        effectiveFrom: '2025-10-01',
+        order: 'NERC October 2025 Order',
+        rates: [
+          { disco: 'IE', band: 'A', ratePerKwh: 215 },
+          { disco: 'IE', band: 'B', ratePerKwh: 63.35 },
+          { disco: 'EKEDP', band: 'A', ratePerKwh: 215 },
+        ],
+      });
+    });
+
+    test('should read JSON schedules', () => {
+      const json = JSON.stringify({ effectiveFrom: '2025-10-01', order: 'NERC October 2025 Order', rates: [{ disco: 'IE', band: 'A', ratePerKwh: 215 }] });
+
+      const parsed = parseSchedule(json, 'json');
+
+      expect(parsed.success).toBe(true);
+      expect(validateSchedule(parsed.schedule)).toEqual([]);
+      expect(parseSchedule('{', 'json').code).toBe('INVALID_JSON');
+      expect(parseSchedule('name,rate\nIE,1', 'csv').code).toBe('INVALID_SCHEDULE');
+    });
+
+    test('should report every invalid row', () => {
+      const schedule = csvSchedule('disco,band,rate_per_kwh\nNOPE,A,215\nIE,toString,50\nIE,C,abc\nIE,D,0\nIE,A,215\nIE,A,216');
+      schedule.effectiveFrom = '2025-02-30';
+
+      expect(validateSchedule(schedule).map((error) => [error.row, error.code])).toEqual([
+        [null, 'INVALID_DATE'],
+        [1, 'INVALID_DISCO'],
+        [2, 'INVALID_BAND'],
+        [3, 'INVALID_RATE'],
+        [4, 'INVALID_RATE'],
+        [6, 'DUPLICATE_RATE'],
+      ]);
+    });
+
+    test('should not accept object prototype keys as bands', () => {
+      expect(isValidBand('A')).toBe(true);
+      expect(isValidBand('constructor')).toBe(false);
+    });
+  });
+
+  describe('Diff and Apply', () => {
+    test('should diff against the rates in force on the effective date', async () => {
+      const diff = await diffSchedule(csvSchedule());
+
+      expect(diff.baseVersion).toBe(0);
+      expect(diff.summary).toEqual({ added: 1, changed: 1, unchanged: 1, carried: 1 });
+      expect(diff.changes).toEqual(expect.arrayContaining([
+        { disco: 'IE', band: 'A', status: 'changed', from: 209.5, to: 215, effectiveTo: null },
+        { disco: 'IE', band: 'B', status: 'unchanged', from: 63.35, to: 63.35, effectiveTo: null },
+        { disco: 'IE', band: 'C', status: 'carried', from: 51.79, to: 51.79, effectiveTo: null },
+        { disco: 'EKEDP', band: 'A', status: 'added', from: null, to: 215, effectiveTo: null },
+      ]));
+    });
+
+    test('should write the new version with a changelog entry', async () => {
+      const schedule = csvSchedule();
+      const diff = await diffSchedule(schedule);
+
+      const result = await applySchedule(schedule, diff, { importedBy: 'ops', source: 'october.csv' });
+
+      expect(result).toEqual({ success: true, version: 1, written: 2 });
+      expect(await getScheduleVersion()).toBe(1);
+      expect(await getRate('IE', 'A', '2025-09-30')).toMatchObject({ ratePerKwh: 209.5, effectiveTo: '2025-10-01' });
+      expect(await getRate('IE', 'A', '2025-10-01')).toMatchObject({ ratePerKwh: 215, order: 'NERC October 2025 Order' });
+      expect((await db.collection('tariff_rates').doc('IE_B_2025-10-01').get()).exists).toBe(false);
+
+      const entry = (await db.collection('tariff_changelog').doc('1').get()).data();
+      expect(entry).toMatchObject({
+        version: 1,
+        effectiveFrom: '2025-10-01',
+        importedBy: 'ops',
+        source: 'october.csv',
+        summary: diff.summary,
+        changes: [
+          { disco: 'EKEDP', band: 'A', status: 'added', from: null, to: 215 },
+          { disco: 'IE', band: 'A', status: 'changed', from: 209.5, to: 215 },
+        ],
+      });
+    });
+
+    test('should write nothing if another import landed after the diff', async () => {
+      const schedule = csvSchedule();
+      const diff = await diffSchedule(schedule);
+      await db.collection('config').doc('tariff_schedule').set({ version: 1 });
+
+      const result = await applySchedule(schedule, diff);
+
+      expect(result.code).toBe('SCHEDULE_CHANGED');
+      expect((await db.collection('tariff_rates').doc('IE_A_2025-10-01').get()).exists).toBe(false);
+      expect((await db.collection('tariff_changelog').get()).docs).toHaveLength(0);
+    });
+
+    test('should refuse a schedule with no changes', async () => {
+      const schedule = csvSchedule('disco,band,rate_per_kwh\nIE,B,63.35');
+
+      const result = await applySchedule(schedule, await diffSchedule(schedule));
+
+      expect(result.code).toBe('NO_CHANGES');
+      expect(await getScheduleVersion()).toBe(0);
+    });
+  });
+
+  describe('CLI', () => {
+    const file = path.join(os.tmpdir(), `tariff-import-${process.pid}.csv`);
+    const log = { log: jest.fn(), error: jest.fn() };
+
+    beforeEach(() => {
+      fs.writeFileSync(file, CSV);
+      log.log.mockClear();
+      log.error.mockClear();
+    });
+
+    afterAll(() => {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+
+    const args = ['--effective-from', '2025-10-01', '--order', 'NERC October 2025 Order'];
+
+    test('should only print the diff without --apply', async () => {
+      expect(await main([file, ...args], log)).toBe(0);
+
+      expect(log.log).toHaveBeenCalledWith('1 added, 1 changed, 1 unchanged, 1 carried over');
+      expect(await getScheduleVersion()).toBe(0);
+    });
+
+    test('should import with --apply', async () => {
+      expect(await main([file, ...args, '--by', 'ops', '--apply'], log)).toBe(0);
+
+      expect(log.log).toHaveBeenCalledWith('Imported version 1: 2 rate(s) written');
+      expect((await db.collection('tariff_changelog').doc('1').get()).data()).toMatchObject({
+        importedBy: 'ops',
+        source: path.basename(file),
+        sourceHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      });
+    });
+
+    test('should fail on invalid input without writing', async () => {
+      expect(await main([file, '--apply'], log)).toBe(1);
+      expect(await main(['--order'], log)).toBe(1);
+
+      expect(log.error).toHaveBeenCalledWith('schedule: INVALID_DATE effectiveFrom must be a date (YYYY-MM-DD)');
+      expect(await getScheduleVersion()).toBe(0);
+    });
+  });
+});
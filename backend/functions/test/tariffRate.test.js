@@ -0,0 +1,150 @@
+/**
+ * UNIT TESTS: Tariff Rates
+ *
+ * Tests picking the rate in force on a date from effective-dated records,
+ * Nigerian calendar dates, the getTariffRate endpoint and its validation
+ *
+ * RUN TESTS:
+ * npm test -- tariffRate.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { getTariffRate } = require('../tariffRate');
+const { app } = require('../api');
+const {
+  getRate,
+  getRateHistory,
+  findRateAt,
+  toTariffDate,
+  rateDocId,
+  clearTariffCache,
+} = require('../utils/tariffs');
+const { functionApp } = require('./helpers/functionApp');
+
+const RECORDS = [
+  { disco: 'IE', band: 'A', ratePerKwh: 206.8, effectiveFrom: '2024-05-06', order: 'NERC May 2024 Order' },
+  { disco: 'IE', band: 'A', ratePerKwh: 209.5, effectiveFrom: '2025-07-01', order: 'NERC July 2025 Supplementary Order' },
+  { disco: 'IE', band: 'B', ratePerKwh: 63.35, effectiveFrom: '2025-07-01', order: 'NERC July 2025 Supplementary Order' },
+  { disco: 'EKEDP', band: 'A', ratePerKwh: 209.5, effectiveFrom: '2025-07-01', order: 'NERC July 2025 Supplementary Order' },
+];
+
+describe('Tariff Rates', () => {
+  const rateApp = functionApp(getTariffRate);
+
+  beforeEach(async () => {
+    admin.__db.reset();
+    clearTariffCache();
+
+    const db = admin.firestore();
+    for (const record of RECORDS) {
+      await db.collection('tariff_rates').doc(rateDocId(record.disco, record.band, record.effectiveFrom)).set(record);
+    }
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Rate Service', () => {
+    test('should return the rate in force on the date', async () => {
+      expect(await getRate('IE', 'A', '2025-06-30')).toMatchObject({ ratePerKwh: 206.8, effectiveTo: '2025-07-01' });
+      expect(await getRate('IE', 'A', '2025-07-01')).toMatchObject({ ratePerKwh: 209.5, effectiveTo: null });
+    });
+
+    test('should return null before the first order or for a band with no records', async () => {
+      expect(await getRate('IE', 'A', '2024-01-01')).toBeNull();
+      expect(await getRate('IE', 'E', '2025-08-01')).toBeNull();
+    });
+
+    test('should re-price token logs from one history read', async () => {
+      const history = await getRateHistory('IE', 'A');
+      const logs = [
+        { purchase_date: '2025-06-15T10:00:00.000Z' },
+        { purchase_date: '2025-08-15T10:00:00.000Z' },
+      ];
+
+      expect(logs.map((log) => findRateAt(history, log.purchase_date).ratePerKwh)).toEqual([206.8, 209.5]);
+    });
+
+    test('should use the Nigerian calendar date', () => {
+      expect(toTariffDate('2025-06-30T23:30:00.000Z')).toBe('2025-07-01');
+      expect(toTariffDate(admin.firestore.Timestamp.fromDate(new Date('2025-06-30T22:59:00.000Z')))).toBe('2025-06-30');
+      expect(toTariffDate('2025-02-30')).toBeNull();
+      expect(toTariffDate('not a date')).toBeNull();
+    });
+
+    test('should cache histories until cleared', async () => {
+      await getRateHistory('IE', 'A');
+      await admin.firestore().collection('tariff_rates').doc('IE_A_2025-09-01')
+        .set({ disco: 'IE', band: 'A', ratePerKwh: 215, effectiveFrom: '2025-09-01' });
+
+      expect((await getRate('IE', 'A', '2025-09-02')).ratePerKwh).toBe(209.5);
+
+      clearTariffCache();
+      expect((await getRate('IE', 'A', '2025-09-02')).ratePerKwh).toBe(215);
+    });
+  });
+
+  describe('getTariffRate', () => {
+    test('should return the rate for a DisCo, band and date', async () => {
+      const response = await request(rateApp).get('/').query({ disco: 'IE', band: 'A', date: '2025-06-01' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['cache-control']).toBe('public, max-age=300');
+      expect(response.body).toEqual({
+        success: true,
+        disco: 'IE',
+        discoName: 'Ikeja Electric',
+        band: 'A',
+        date: '2025-06-01',
+        ratePerKwh: 206.8,
+        currency: 'NGN',
+        effectiveFrom: '2024-05-06',
+        effectiveTo: '2025-07-01',
+        order: 'NERC May 2024 Order',
+      });
+    });
+
+    test('should default to today', async () => {
+      const response = await request(rateApp).get('/').query({ disco: 'IE', band: 'B' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ date: toTariffDate(new Date()), ratePerKwh: 63.35 });
+    });
+
+    test('should not write rate-limit counters', async () => {
+      await request(rateApp).get('/').query({ disco: 'IE', band: 'A' });
+
+      expect((await admin.firestore().collection('rate_limits').get()).size).toBe(0);
+    });
+
+    test('should answer 404 when no rate applies', async () => {
+      const response = await request(rateApp).get('/').query({ disco: 'IE', band: 'E' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('RATE_NOT_FOUND');
+    });
+
+    test('should validate the query', async () => {
+      const response = await request(rateApp).get('/').query({ disco: 'NOPE', band: 'F', date: '2025-13-01' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors.map((error) => error.code)).toEqual(['INVALID_DISCO', 'INVALID_VALUE', 'INVALID_DATE']);
+    });
+
+    test('should be served under /v1', async () => {
+      const response = await request(app).get('/v1/tariffs/rate').query({ disco: 'EKEDP', band: 'A', date: '2025-07-02' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.ratePerKwh).toBe(209.5);
+    });
+  });
+});
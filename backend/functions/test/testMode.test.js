@@ -0,0 +1,205 @@
+/**
+ * UNIT TESTS: OTP Test Mode
+ *
+ * Tests the test-mode contract and asserts that production responses and
+ * logs never contain a plaintext OTP for any OTP-issuing endpoint
+ *
+ * RUN TESTS:
+ * npm test -- testMode.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+jest.mock('../utils/otpDelivery', () => ({
+  deliverOtpWithFallback: jest.fn(),
+}));
+
+const admin = require('../admin');
+const { deliverOtpWithFallback } = require('../utils/otpDelivery');
+const { getTestOtp, canExposeOtp, isTestModeEnabled } = require('../utils/testMode');
+const { sendOtp } = require('../sendOtp');
+const { resetPassword } = require('../resetPassword');
+const { verifyOtp } = require('../verifyOtp');
+const { functionApp } = require('./helpers/functionApp');
+
+const TEST_PHONE = '+2348000000001';
+const REAL_PHONE = '+2348100000000';
+
+describe('OTP Test Mode', () => {
+  const originalEnv = { ...process.env };
+  let logSpy;
+  let sentOtps;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      BCRYPT_SALT_ROUNDS: '4',
+      OTP_TEST_NUMBERS: `${TEST_PHONE}:123456`,
+    };
+    delete process.env.FUNCTIONS_EMULATOR;
+    delete process.env.OTP_TEST_MODE;
+    admin.__db.reset();
+    jest.clearAllMocks();
+
+    sentOtps = [];
+    deliverOtpWithFallback.mockImplementation(async (phone, otp, channel) => {
+      sentOtps.push(otp);
+      return {
+        success: true,
+        messageSid: 'SM123',
+        channel: channel,
+        provider: 'twilio_sms',
+        attempts: [],
+      };
+    });
+
+    logSpy = jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Assert an OTP appears in neither the response nor any log line
+   */
+  function expectOtpNotExposed(response, otp) {
+    expect(response.body).not.toHaveProperty('testOtp');
+    expect(JSON.stringify(response.body)).not.toContain(otp);
+    const logged = logSpy.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(logged).not.toContain(otp);
+  }
+
+  describe('Configuration', () => {
+    test('should be disabled in production even when requested', () => {
+      process.env.APP_ENV = 'production';
+      process.env.OTP_TEST_MODE = 'true';
+      process.env.FUNCTIONS_EMULATOR = 'true';
+
+      expect(isTestModeEnabled()).toBe(false);
+      expect(getTestOtp(TEST_PHONE)).toBeNull();
+      expect(canExposeOtp(TEST_PHONE)).toBe(false);
+    });
+
+    test('should return fixed codes only for allowlisted numbers', () => {
+      process.env.APP_ENV = 'staging';
+      process.env.OTP_TEST_MODE = 'true';
+
+      expect(getTestOtp(TEST_PHONE)).toBe('123456');
+      expect(getTestOtp(REAL_PHONE)).toBeNull();
+      expect(canExposeOtp(REAL_PHONE)).toBe(false);
+    });
+
+    test('should expose OTPs in the emulator', () => {
+      process.env.APP_ENV = 'development';
+      process.env.FUNCTIONS_EMULATOR = 'true';
+
+      expect(canExposeOtp(REAL_PHONE)).toBe(true);
+    });
+
+    test('should ignore malformed allowlist entries', () => {
+      process.env.OTP_TEST_MODE = 'true';
+      process.env.OTP_TEST_NUMBERS = `${TEST_PHONE}, +2348000000002:abc, :111111`;
+
+      expect(getTestOtp(TEST_PHONE)).toBeNull();
+      expect(getTestOtp('+2348000000002')).toBeNull();
+    });
+  });
+
+  describe('Production responses', () => {
+    beforeEach(() => {
+      process.env.APP_ENV = 'production';
+      process.env.OTP_TEST_MODE = 'true';
+    });
+
+    test('sendOtp should not expose the OTP', async () => {
+      const response = await request(functionApp(sendOtp))
+        .post('/')
+        .send({ phone: REAL_PHONE });
+
+      expect(response.status).toBe(200);
+      expectOtpNotExposed(response, sentOtps[0]);
+    });
+
+    test('sendOtp should not honour test numbers', async () => {
+      const response = await request(functionApp(sendOtp))
+        .post('/')
+        .send({ phone: TEST_PHONE });
+
+      expect(response.status).toBe(200);
+      expect(deliverOtpWithFallback).toHaveBeenCalled();
+      expectOtpNotExposed(response, sentOtps[0]);
+    });
+
+    test('resetPassword request_otp should not expose the OTP', async () => {
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1' });
+
+      const response = await request(functionApp(resetPassword))
+        .post('/')
+        .send({ action: 'request_otp', phone: REAL_PHONE });
+
+      expect(response.status).toBe(200);
+      expectOtpNotExposed(response, sentOtps[0]);
+    });
+
+    test('verifyOtp should not expose the OTP', async () => {
+      const sent = await request(functionApp(sendOtp))
+        .post('/')
+        .send({ phone: REAL_PHONE });
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1' });
+      admin.__auth.createCustomToken.mockResolvedValue('token_abc');
+
+      const response = await request(functionApp(verifyOtp))
+        .post('/')
+        .send({ sessionId: sent.body.sessionId, otp: sentOtps[0], phone: REAL_PHONE });
+
+      expect(response.status).toBe(200);
+      expectOtpNotExposed(response, sentOtps[0]);
+    });
+  });
+
+  describe('Test numbers', () => {
+    beforeEach(() => {
+      process.env.APP_ENV = 'staging';
+      process.env.OTP_TEST_MODE = 'true';
+    });
+
+    test('should use the fixed code without sending a message', async () => {
+      const response = await request(functionApp(sendOtp))
+        .post('/')
+        .send({ phone: TEST_PHONE });
+
+      expect(response.status).toBe(200);
+      expect(response.body.testOtp).toBe('123456');
+      expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+    });
+
+    test('should not expose codes for other numbers outside the emulator', async () => {
+      const response = await request(functionApp(sendOtp))
+        .post('/')
+        .send({ phone: REAL_PHONE });
+
+      expect(response.status).toBe(200);
+      expectOtpNotExposed(response, sentOtps[0]);
+    });
+
+    test('should return testOtp for password reset of a test number', async () => {
+      admin.__auth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_1' });
+
+      const response = await request(functionApp(resetPassword))
+        .post('/')
+        .send({ action: 'request_otp', phone: TEST_PHONE });
+
+      expect(response.body.testOtp).toBe('123456');
+      expect(deliverOtpWithFallback).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * UNIT TESTS: Request Validation
+ *
+ * Tests schema rules, field-level error codes and the VALIDATION_ERROR
+ * envelope returned by the endpoints
+ *
+ * RUN TESTS:
+ * npm test -- validation.test.js
+ */
+
+const request = require('supertest');
+
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
+
+const admin = require('../admin');
+const { validate } = require('../utils/validation');
+const { createUserProfile } = require('../createUserProfile');
+const { resetPassword } = require('../resetPassword');
+const { app } = require('../api');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+
+describe('Request Validation', () => {
+  beforeEach(() => {
+    admin.__db.reset();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validate', () => {
+    const schema = {
+      phone: { type: 'phone', required: true },
+      name: { type: 'string', required: true, maxLength: 5 },
+      email: { type: 'email' },
+      otp: { type: 'digits', length: 4 },
+      channel: { type: 'string', values: ['sms', 'whatsapp'] },
+      band: { type: 'string', check: (value) => value === 'A', code: 'INVALID_BAND', message: 'bad band' },
+    };
+
+    test('should accept a valid body and skip absent optional fields', () => {
+      expect(validate(schema, { phone: PHONE, name: 'Ada', email: '' })).toMatchObject({ valid: true, errors: [] });
+    });
+
+    test('should report every failing field in schema order', () => {
+      const result = validate(schema, {
+        phone: '0810000',
+        name: '   ',
+        email: 'not-an-email',
+        otp: '12a4',
+        channel: 'email',
+        band: 'Z',
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((error) => [error.field, error.code])).toEqual([
+        ['phone', 'INVALID_PHONE'],
+        ['name', 'REQUIRED'],
+        ['email', 'INVALID_EMAIL'],
+        ['otp', 'INVALID_FORMAT'],
+        ['channel', 'INVALID_VALUE'],
+        ['band', 'INVALID_BAND'],
+      ]);
+    });
+
+    test('should check lengths', () => {
+      const result = validate(schema, { phone: PHONE, name: 'Adaeze', otp: '123' });
+
+      expect(result.errors).toEqual([
+        { field: 'name', code: 'TOO_LONG', message: 'name must be at most 5 characters long' },
+        { field: 'otp', code: 'INVALID_LENGTH', message: 'otp must be 4 digits' },
+      ]);
+    });
+
+    test('should reject values of the wrong type', () => {
+      const result = validate(schema, { phone: PHONE, name: 42 });
+
+      expect(result.errors).toEqual([{ field: 'name', code: 'INVALID_TYPE', message: 'name must be a string' }]);
+    });
+
+    test('should return normalised values', () => {
+      const result = validate(schema, { phone: '0810 000 0000', name: 'Ada' });
+
+      expect(result.values).toEqual({ phone: PHONE, name: 'Ada' });
+    });
+  });
+
+  describe('Endpoints', () => {
+    test('should return field errors for a profile', async () => {
+      admin.__auth.verifyIdToken.mockResolvedValue({ uid: 'user_1', phone_number: PHONE, deviceId: 'device-a' });
+
+      const response = await request(functionApp(createUserProfile))
+        .post('/')
+        .set('Authorization', 'Bearer valid-token')
+        .send({ phone: PHONE, name: 'Ada Obi', disco: 'NEPA', band: 'F', location: 'Yaba, Lagos' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: 'disco must be a valid DisCo code',
+        errors: [
+          { field: 'disco', code: 'INVALID_DISCO', message: 'disco must be a valid DisCo code' },
+          { field: 'band', code: 'INVALID_BAND', message: 'band must be A, B, C, D, or E' },
+        ],
+      });
+    });
+
+    test('should authenticate before validating a profile', async () => {
+      const response = await request(functionApp(createUserProfile)).post('/').send({});
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should validate the legacy reset action and its fields', async () => {
+      const legacy = functionApp(resetPassword);
+
+      const unknown = await request(legacy).post('/').send({ action: 'delete', phone: PHONE });
+      expect(unknown.body.errors).toEqual([
+        { field: 'action', code: 'INVALID_VALUE', message: 'action must be one of: request_otp, reset_password' },
+      ]);
+
+      const weak = await request(legacy)
+        .post('/')
+        .send({ action: 'reset_password', sessionId: 'abc', phone: PHONE, otp: '123456', newPassword: '123' });
+      expect(weak.body.errors).toEqual([
+        { field: 'newPassword', code: 'PASSWORD_TOO_SHORT', message: 'Password must be at least 8 characters long' },
+      ]);
+    });
+
+    test('should validate versioned routes with the same schema', async () => {
+      const response = await request(app).post('/v1/password-reset/otp').send({ phone: '0810' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { field: 'phone', code: 'INVALID_PHONE', message: 'phone must be a valid phone number (e.g., 08031234567 or +2348031234567)' },
+      ]);
+    });
+  });
+});
@@ -1,547 +1,339 @@
 /**
  * UNIT TESTS: verifyOtp Cloud Function
- * 
+ *
  * Tests OTP verification, attempt limiting, expiry, and Firebase Auth integration
- * 
+ *
  * RUN TESTS:
  * npm test -- verifyOtp.test.js
  */
 
-const admin = require('firebase-admin');
+const request = require('supertest');
 const bcrypt = require('bcrypt');
-const { verifyOtp } = require('../verifyOtp');
 
-// Mock Firebase Admin
-jest.mock('firebase-admin', () => {
-  const mockAuth = {
-    getUserByPhoneNumber: jest.fn(),
-    createUser: jest.fn(),
-    createCustomToken: jest.fn(),
-  };
-  
-  const mockFirestore = {
-    collection: jest.fn(() => mockFirestore),
-    doc: jest.fn(() => mockFirestore),
-    get: jest.fn(),
-    set: jest.fn(),
-    update: jest.fn(),
-    delete: jest.fn(),
-    Timestamp: {
-      now: jest.fn(() => ({ toMillis: () => Date.now() })),
-    },
-  };
-  
-  return {
-    auth: jest.fn(() => mockAuth),
-    firestore: jest.fn(() => mockFirestore),
-    Timestamp: mockFirestore.Timestamp,
-    initializeApp: jest.fn(),
-  };
-});
+jest.mock('../admin', () => require('./helpers/mockAdmin').createMockAdmin());
 
 // Mock utilities
 jest.mock('../utils/twilioClient', () => ({
   maskPhoneNumber: jest.fn((phone) => phone.replace(/\d{4}$/, '****')),
 }));
 
+jest.mock('../utils/rateLimiter', () => ({
+  ...jest.requireActual('../utils/rateLimiter'),
+  enforceRateLimit: jest.fn(() => Promise.resolve(true)),
+}));
+
+const admin = require('../admin');
+const { verifyOtp } = require('../verifyOtp');
+const { createOtpSession } = require('../utils/otpSessions');
+const { functionApp } = require('./helpers/functionApp');
+
+const PHONE = '+2348100000000';
+const TEST_OTP = '123456';
+
 describe('verifyOtp Function', () => {
-  let mockReq, mockRes, mockAuth, mockDb;
-  const testOTP = '123456';
-  let testOTPHash;
-  
-  beforeAll(async () => {
-    // Generate test OTP hash
-    testOTPHash = await bcrypt.hash(testOTP, 10);
-  });
-  
+  const originalEnv = { ...process.env };
+  const app = functionApp(verifyOtp);
+  const mockAuth = admin.auth();
+
   beforeEach(() => {
+    process.env = { ...originalEnv, BCRYPT_SALT_ROUNDS: '4' };
+    admin.__db.reset();
     jest.clearAllMocks();
-    
-    mockReq = {
-      method: 'POST',
-      body: {},
-    };
-    
-    mockRes = {
-      status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis(),
-    };
-    
-    mockAuth = admin.auth();
-    mockDb = admin.firestore();
+
+    jest.spyOn(console, 'log').mockImplementation();
+    jest.spyOn(console, 'warn').mockImplementation();
+    jest.spyOn(console, 'error').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
   });
-  
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Store a login session for TEST_OTP
+   *
+   * @return {Promise<string>} Session ID
+   */
+  async function storeSession(fields = {}) {
+    const session = await createOtpSession('login', PHONE, TEST_OTP);
+    await session.ref.set({ ...session.data, ...fields });
+    return session.id;
+  }
+
+  async function getSession(sessionId) {
+    const doc = await admin.firestore().collection('otp_sessions').doc(sessionId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  function verify(body) {
+    return request(app).post('/').send(body);
+  }
+
   describe('Request Validation', () => {
     test('should reject non-POST requests', async () => {
-      mockReq.method = 'GET';
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(405);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'METHOD_NOT_ALLOWED',
-        })
-      );
+      const response = await request(app).get('/');
+
+      expect(response.status).toBe(405);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'METHOD_NOT_ALLOWED',
+      });
     });
-    
+
     test('should reject missing required fields', async () => {
-      mockReq.body = { sessionId: 'test123' }; // Missing otp and phone
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'MISSING_REQUIRED_FIELDS',
-        })
-      );
+      const response = await verify({ sessionId: 'test123' }); // Missing otp and phone
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        errors: [
+          expect.objectContaining({ field: 'phone', code: 'REQUIRED' }),
+          expect.objectContaining({ field: 'otp', code: 'REQUIRED' }),
+        ],
+      });
     });
-    
+
     test('should reject invalid OTP format', async () => {
-      mockReq.body = {
+      const response = await verify({
         sessionId: 'test123',
         otp: '12345', // Only 5 digits
-        phone: '+2348100000000',
-      };
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'INVALID_OTP_FORMAT',
-        })
-      );
+        phone: PHONE,
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'VALIDATION_ERROR',
+        errors: [expect.objectContaining({ field: 'otp', code: 'INVALID_LENGTH' })],
+      });
     });
   });
-  
+
   describe('Session Validation', () => {
     test('should reject non-existent session', async () => {
-      mockReq.body = {
-        sessionId: 'invalid_session',
-        otp: '123456',
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({ exists: false });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(404);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'SESSION_NOT_FOUND',
-        })
-      );
+      const response = await verify({ sessionId: 'invalid_session', otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'SESSION_NOT_FOUND',
+      });
     });
-    
+
     test('should reject phone number mismatch', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: '123456',
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348111111111', // Different phone
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
+      const sessionId = await storeSession({ phone: '+2348111111111' }); // Different phone
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'PHONE_MISMATCH',
       });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'PHONE_MISMATCH',
-        })
-      );
     });
-    
+
     test('should reject already used OTP', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: '123456',
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: true, // Already used
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
+      const sessionId = await storeSession({ used: true }); // Already used
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'OTP_ALREADY_USED',
       });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'OTP_ALREADY_USED',
-        })
-      );
     });
-    
+
     test('should reject expired OTP', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: '123456',
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() - 1000 }, // Expired
-        }),
+      const sessionId = await storeSession({ expiresAt: new Date(Date.now() - 1000) }); // Expired
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'EXPIRED_OTP',
       });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'EXPIRED_OTP',
-        })
-      );
-      
+
       // Should delete expired session
-      expect(mockDb.delete).toHaveBeenCalled();
+      expect(await getSession(sessionId)).toBeNull();
     });
   });
-  
+
   describe('Attempt Limiting', () => {
     test('should reject when max attempts exceeded', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: '123456',
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 5, // Max attempts
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
+      const sessionId = await storeSession({ attempts: 5 }); // Max attempts
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'MAX_ATTEMPTS_EXCEEDED',
       });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'MAX_ATTEMPTS_EXCEEDED',
-        })
-      );
-      
+
       // Should delete session after max attempts
-      expect(mockDb.delete).toHaveBeenCalled();
+      expect(await getSession(sessionId)).toBeNull();
     });
-    
+
     test('should increment attempts on invalid OTP', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: '999999', // Wrong OTP
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 2,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
+      const sessionId = await storeSession({ attempts: 2 });
+
+      const response = await verify({ sessionId: sessionId, otp: '999999', phone: PHONE }); // Wrong OTP
+
+      expect(response.status).toBe(403);
+      expect(response.body).toMatchObject({
+        success: false,
+        code: 'INVALID_OTP',
+        attemptsRemaining: 2, // 5 - 3 = 2
       });
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: false,
-          code: 'INVALID_OTP',
-          attemptsRemaining: 2, // 5 - 3 = 2
-        })
-      );
-      
+
       // Should update attempts counter
-      expect(mockDb.update).toHaveBeenCalledWith({ attempts: 3 });
+      expect(await getSession(sessionId)).toMatchObject({ attempts: 3, used: false });
     });
   });
-  
+
   describe('OTP Verification (Timing-Safe)', () => {
     test('should verify correct OTP with bcrypt.compare', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP, // Correct OTP
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+
       // Mock new user
       mockAuth.getUserByPhoneNumber.mockRejectedValue({ code: 'auth/user-not-found' });
       mockAuth.createUser.mockResolvedValue({ uid: 'new_user_123' });
       mockAuth.createCustomToken.mockResolvedValue('custom_token_abc');
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(200);
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: true,
-          newUser: true,
-          uid: 'new_user_123',
-          customToken: 'custom_token_abc',
-        })
-      );
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        newUser: true,
+        uid: 'new_user_123',
+        customToken: 'custom_token_abc',
+      });
     });
-    
+
     test('should use timing-safe comparison (bcrypt)', async () => {
-      // This test verifies that bcrypt.compare is used
-      // Bcrypt automatically uses timing-safe comparison
-      
+      // bcrypt.compare is constant-time over the hash
       const bcryptSpy = jest.spyOn(bcrypt, 'compare');
-      
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+      const { otpHash } = await getSession(sessionId);
+
       mockAuth.getUserByPhoneNumber.mockRejectedValue({ code: 'auth/user-not-found' });
       mockAuth.createUser.mockResolvedValue({ uid: 'new_user_123' });
       mockAuth.createCustomToken.mockResolvedValue('custom_token_abc');
-      
-      await verifyOtp(mockReq, mockRes);
-      
+
+      await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
       // Verify bcrypt.compare was called (timing-safe)
-      expect(bcryptSpy).toHaveBeenCalledWith(testOTP, testOTPHash);
-      
-      bcryptSpy.mockRestore();
+      expect(bcryptSpy).toHaveBeenCalledWith(TEST_OTP, otpHash);
     });
   });
-  
+
   describe('User Authentication', () => {
     test('should create new user when not exists', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-          name: 'John Doe',
-          email: 'john@example.com',
-        }),
-      });
-      
+      const sessionId = await storeSession({ name: 'John Doe', email: 'john@example.com' });
+
       // Mock new user
       mockAuth.getUserByPhoneNumber.mockRejectedValue({ code: 'auth/user-not-found' });
       mockAuth.createUser.mockResolvedValue({ uid: 'new_user_123' });
       mockAuth.createCustomToken.mockResolvedValue('custom_token_abc');
-      
-      await verifyOtp(mockReq, mockRes);
-      
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
       expect(mockAuth.createUser).toHaveBeenCalledWith({
-        phoneNumber: '+2348100000000',
+        phoneNumber: PHONE,
         emailVerified: false,
       });
-      
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: true,
-          newUser: true,
-          uid: 'new_user_123',
-          name: 'John Doe',
-          email: 'john@example.com',
-        })
-      );
+
+      expect(response.body).toMatchObject({
+        success: true,
+        newUser: true,
+        uid: 'new_user_123',
+        name: 'John Doe',
+        email: 'john@example.com',
+      });
     });
-    
+
     test('should authenticate existing user', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+
       // Mock existing user
       mockAuth.getUserByPhoneNumber.mockResolvedValue({ uid: 'existing_user_456' });
       mockAuth.createCustomToken.mockResolvedValue('custom_token_xyz');
-      
-      await verifyOtp(mockReq, mockRes);
-      
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
       expect(mockAuth.createUser).not.toHaveBeenCalled();
-      
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          success: true,
-          newUser: false,
-          uid: 'existing_user_456',
-          customToken: 'custom_token_xyz',
-        })
-      );
+
+      expect(response.body).toMatchObject({
+        success: true,
+        newUser: false,
+        uid: 'existing_user_456',
+        customToken: 'custom_token_xyz',
+      });
     });
-    
+
     test('should generate custom token for authentication', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+
       mockAuth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_789' });
       mockAuth.createCustomToken.mockResolvedValue('firebase_token_123');
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      expect(mockAuth.createCustomToken).toHaveBeenCalledWith('user_789');
-      
-      expect(mockRes.json).toHaveBeenCalledWith(
-        expect.objectContaining({
-          customToken: 'firebase_token_123',
-        })
-      );
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(mockAuth.createCustomToken).toHaveBeenCalledWith('user_789', { deviceId: response.body.deviceId });
+      expect(response.body).toMatchObject({
+        customToken: 'firebase_token_123',
+      });
     });
   });
-  
+
   describe('Session Cleanup', () => {
     test('should mark session as used after successful verification', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+
+      mockAuth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_123' });
+      mockAuth.createCustomToken.mockResolvedValue('token_123');
+
+      await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      // Session is marked used and the hash removed
+      const session = await getSession(sessionId);
+      expect(session).toMatchObject({ used: true });
+      expect(session).not.toHaveProperty('otpHash');
+    });
+
+    test('should not accept the same code twice', async () => {
+      const sessionId = await storeSession();
+
       mockAuth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_123' });
       mockAuth.createCustomToken.mockResolvedValue('token_123');
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      // Should update session to mark as used
-      expect(mockDb.update).toHaveBeenCalledWith({ used: true });
+
+      await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('OTP_ALREADY_USED');
     });
   });
-  
+
   describe('Security - No OTP Exposure', () => {
     test('should never expose OTP in response', async () => {
-      mockReq.body = {
-        sessionId: 'test_session',
-        otp: testOTP,
-        phone: '+2348100000000',
-      };
-      
-      mockDb.get.mockResolvedValue({
-        exists: true,
-        data: () => ({
-          phone: '+2348100000000',
-          otpHash: testOTPHash,
-          attempts: 0,
-          used: false,
-          expiresAt: { toMillis: () => Date.now() + 5 * 60 * 1000 },
-        }),
-      });
-      
+      const sessionId = await storeSession();
+
       mockAuth.getUserByPhoneNumber.mockResolvedValue({ uid: 'user_123' });
       mockAuth.createCustomToken.mockResolvedValue('token_123');
-      
-      await verifyOtp(mockReq, mockRes);
-      
-      const responseBody = mockRes.json.mock.calls[0][0];
-      const responseString = JSON.stringify(responseBody);
-      
-      // Should not contain any 6-digit number (OTP)
-      expect(responseString).not.toMatch(/\b\d{6}\b/);
+
+      const response = await verify({ sessionId: sessionId, otp: TEST_OTP, phone: PHONE });
+
+      // Should not contain the OTP
+      expect(JSON.stringify(response.body)).not.toContain(TEST_OTP);
     });
   });
 });
@@ -0,0 +1,214 @@
+/**
+ * ACCOUNT ERASURE
+ *
+ * Removes or anonymises everything stored about a user, for account
+ * deletion under the NDPR (Nigeria Data Protection Regulation). Used by the
+ * deleteAccount endpoint and by the Auth onDelete trigger, so data is also
+ * cleaned up when an account is deleted from the console or Admin SDK.
+ *
+ * DELETED:
+ * - users/{uid} and every subcollection (settings, dashboard, profile, tokens)
+ * - tokens, appliances, budgets, user_devices, device_sign_outs and
+ *   mail_log documents owned by the uid
+ * - user_credentials/{uid} and the phone's login lockout
+ * - OTP sessions for the phone (any purpose) or started by the uid
+ * - Data exports in Cloud Storage (exports/{uid}/)
+ *
+ * ANONYMISED (kept for aggregate statistics, identifying fields cleared):
+ * - audit_log, audit_logs and pending_locations entries about the uid
+ *
+ * RECEIPT:
+ * - Collection: deletion_receipts (backend-only, see firestore.rules)
+ * - Document ID: sha256(uid), so a second run (endpoint, then trigger)
+ *   adds to the same receipt
+ * - Fields: receiptId, trigger, status, counts per collection, requestedAt,
+ *   completedAt; no uid, phone or other personal data
+ *
+ * Every step is idempotent; a failed run can simply be repeated.
+ */
+
+const crypto = require('crypto');
+const admin = require('../admin');
+const { clearLockout } = require('./loginLockout');
+const { deleteExports } = require('./dataExport');
+
+const RECEIPTS_COLLECTION = 'deletion_receipts';
+
+// Firestore batches are capped at 500 writes
+const BATCH_SIZE = 400;
+
+// Top-level collections whose documents belong to one user
+const OWNED_COLLECTIONS = [
+  { collection: 'tokens', field: 'uid' },
+  { collection: 'appliances', field: 'uid' },
+  { collection: 'budgets', field: 'uid' },
+  { collection: 'user_devices', field: 'uid' },
+  { collection: 'device_sign_outs', field: 'uid' },
+  { collection: 'mail_log', field: 'uid' },
+];
+
+// Records kept in anonymised form, with the fields to clear
+const ANONYMISED_COLLECTIONS = [
+  { collection: 'audit_log', field: 'uid', clear: ['uid', 'details', 'deviceId', 'ipHash'] },
+  { collection: 'audit_logs', field: 'userId', clear: ['userId', 'data'] },
+  { collection: 'pending_locations', field: 'userId', clear: ['userId', 'submittedBy'] },
+];
+
+// Session collections swept by phone number
+const SESSION_COLLECTIONS = ['otp_sessions', 'password_reset_sessions'];
+
+/**
+ * Receipt document for a uid
+ */
+function receiptRef(uid) {
+  const digest = crypto.createHash('sha256').update(uid).digest('hex').slice(0, 32);
+  return admin.firestore().collection(RECEIPTS_COLLECTION).doc(digest);
+}
+
+/**
+ * Apply a write to every document of a query, one batch at a time
+ *
+ * The write must take the document out of the query (delete it, or clear
+ * the field the query filters on), so each page starts from the top.
+ *
+ * @param {Object} query - Firestore query (without limit)
+ * @param {Function} write - (batch, doc) => void
+ * @return {Promise<number>} Documents written
+ */
+async function forEachBatch(query, write) {
+  const db = admin.firestore();
+  let written = 0;
+
+  for (;;) {
+    const snapshot = await query.limit(BATCH_SIZE).get();
+    if (snapshot.empty) {
+      return written;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => write(batch, doc));
+    await batch.commit();
+    written += snapshot.size;
+
+    if (snapshot.size < BATCH_SIZE) {
+      return written;
+    }
+  }
+}
+
+/**
+ * Delete every document matching a query
+ */
+function deleteMatching(query) {
+  return forEachBatch(query, (batch, doc) => batch.delete(doc.ref));
+}
+
+/**
+ * Delete users/{uid} and all of its subcollections
+ *
+ * @return {Promise<Object>} Counts keyed 'users' and 'users/<subcollection>'
+ */
+async function deleteUserDocument(uid) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+  const counts = {};
+
+  const userDoc = await userRef.get();
+  counts.users = userDoc.exists ? 1 : 0;
+
+  const subcollections = await userRef.listCollections();
+  for (const subcollection of subcollections) {
+    const snapshot = await subcollection.get();
+    counts[`users/${subcollection.id}`] = snapshot.size;
+  }
+
+  await db.recursiveDelete(userRef);
+  return counts;
+}
+
+/**
+ * Erase a user's data and record a deletion receipt
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {Object} options - { phone: E.164 number or null, trigger: 'user_request' | 'auth_delete' }
+ * @return {Promise<Object>} Receipt { receiptId, trigger, status, deleted, anonymised, completedAt }
+ */
+async function eraseUserData(uid, { phone = null, trigger }) {
+  const db = admin.firestore();
+  const requestedAt = new Date();
+  const deleted = await deleteUserDocument(uid);
+  const anonymised = {};
+
+  for (const { collection, field } of OWNED_COLLECTIONS) {
+    deleted[collection] = await deleteMatching(db.collection(collection).where(field, '==', uid));
+  }
+
+  const credentials = db.collection('user_credentials').doc(uid);
+  deleted.user_credentials = (await credentials.get()).exists ? 1 : 0;
+  await credentials.delete();
+
+  for (const collection of SESSION_COLLECTIONS) {
+    deleted[collection] = phone ? await deleteMatching(db.collection(collection).where('phone', '==', phone)) : 0;
+  }
+  // phone_change sessions for the new number carry the uid instead
+  deleted.otp_sessions += await deleteMatching(db.collection('otp_sessions').where('uid', '==', uid));
+
+  if (phone) {
+    await clearLockout(phone);
+  }
+
+  deleted.exports = await deleteExports(uid);
+
+  for (const { collection, field, clear } of ANONYMISED_COLLECTIONS) {
+    const fields = { anonymisedAt: admin.firestore.FieldValue.serverTimestamp() };
+    clear.forEach((name) => {
+      fields[name] = null;
+    });
+    anonymised[collection] = await forEachBatch(
+      db.collection(collection).where(field, '==', uid),
+      (batch, doc) => batch.update(doc.ref, fields)
+    );
+  }
+
+  return recordReceipt(uid, { trigger, requestedAt, deleted, anonymised });
+}
+
+/**
+ * Write the receipt, adding to the counts of an earlier run for the same uid
+ */
+async function recordReceipt(uid, { trigger, requestedAt, deleted, anonymised }) {
+  const db = admin.firestore();
+  const ref = receiptRef(uid);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const previous = doc.exists ? doc.data() : null;
+    const sum = (counts, earlier = {}) => {
+      const total = { ...earlier };
+      Object.keys(counts).forEach((key) => {
+        total[key] = (total[key] || 0) + counts[key];
+      });
+      return total;
+    };
+
+    const receipt = {
+      receiptId: ref.id,
+      trigger: previous ? previous.trigger : trigger,
+      status: 'completed',
+      deleted: sum(deleted, previous && previous.deleted),
+      anonymised: sum(anonymised, previous && previous.anonymised),
+      requestedAt: previous ? previous.requestedAt : requestedAt.toISOString(),
+      completedAt: new Date().toISOString(),
+    };
+    if (previous && previous.trigger !== trigger) {
+      receipt.sweptBy = trigger;
+    }
+
+    transaction.set(ref, receipt);
+    return receipt;
+  });
+}
+
+module.exports = {
+  eraseUserData,
+};
@@ -0,0 +1,221 @@
+/**
+ * API MIDDLEWARE
+ *
+ * Shared Express middleware for the /v1 API and the legacy per-endpoint
+ * functions, so every route gets the same request ID, method handling,
+ * body checks and error envelope.
+ *
+ * ERROR ENVELOPE:
+ * {
+ *   "success": false,
+ *   "code": "UPPER_SNAKE_CODE",
+ *   "message": "Human readable message",
+ *   "requestId": "7f9c..."
+ * }
+ *
+ * Schema failures use code VALIDATION_ERROR and add
+ * "errors": [{ "field", "code", "message" }]
+ *
+ * USAGE:
+ * const handlers = [validateBody(sendOtpSchema), asyncHandler('sendOtp', handleSendOtp)];
+ * router.post('/otp/send', ...handlers);                            // /v1 API
+ * exports.sendOtp = onRequest(options, createShim('POST', handlers)); // legacy
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { validate, validationErrorBody } = require('./validation');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Attach a request ID (client-supplied if sane, otherwise generated)
+ *
+ * Error envelopes sent through res.json get the ID added so support can
+ * match an app error report to the function logs.
+ */
+function requestId(req, res, next) {
+  const supplied = req.get(REQUEST_ID_HEADER);
+  req.id = supplied && /^[A-Za-z0-9._-]{8,64}$/.test(supplied) ? supplied : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.success === false && !body.requestId) {
+      return json({ ...body, requestId: req.id });
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+/**
+ * Reject requests whose method is not allowed
+ *
+ * @param {string|Array<string>} methods - Allowed HTTP method(s)
+ * @return {Function} Middleware
+ */
+function methodGuard(methods) {
+  const allowed = [].concat(methods);
+
+  return (req, res, next) => {
+    if (!allowed.includes(req.method)) {
+      res.set('Allow', allowed.join(', '));
+      return res.status(405).json({
+        success: false,
+        code: 'METHOD_NOT_ALLOWED',
+        message: `Only ${allowed.join(', ')} requests are allowed`,
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Require a JSON object body, optionally matching a schema
+ *
+ * The schema may be a function of the request when a rule depends on
+ * runtime configuration (e.g. the OTP length from the policy). Normalised
+ * values (e.g. phone numbers in E.164) replace the originals in req.body.
+ *
+ * @param {Object|Function} [schema] - Field rules (see utils/validation) or (req) => rules
+ * @return {Function} Middleware
+ */
+function validateBody(schema) {
+  return async (req, res, next) => {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_BODY',
+        message: 'Request body must be a JSON object',
+      });
+    }
+
+    if (!schema) {
+      return next();
+    }
+
+    try {
+      const rules = typeof schema === 'function' ? await schema(req) : schema;
+      const result = validate(rules, req.body);
+      if (!result.valid) {
+        return res.status(400).json(validationErrorBody(result.errors));
+      }
+      req.body = { ...req.body, ...result.values };
+    } catch (error) {
+      return next(error);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Validate query parameters against a schema (GET routes)
+ *
+ * Same rules and error envelope as validateBody; validated values replace
+ * the originals in req.query.
+ *
+ * @param {Object} schema - Field rules (see utils/validation)
+ * @return {Function} Middleware
+ */
+function validateQuery(schema) {
+  return (req, res, next) => {
+    const result = validate(schema, req.query || {});
+    if (!result.valid) {
+      return res.status(400).json(validationErrorBody(result.errors));
+    }
+    req.query = { ...req.query, ...result.values };
+    next();
+  };
+}
+
+/**
+ * Forward async handler failures to the error handler
+ *
+ * @param {string} scope - Log prefix for unexpected errors (e.g. 'sendOtp')
+ * @param {Function} handler - async (req, res) handler
+ * @return {Function} Middleware
+ */
+function asyncHandler(scope, handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch((error) => {
+      error.scope = error.scope || scope;
+      next(error);
+    });
+  };
+}
+
+/**
+ * 404 for unknown routes
+ */
+function notFound(req, res) {
+  res.status(404).json({
+    success: false,
+    code: 'NOT_FOUND',
+    message: `No route for ${req.method} ${req.path}`,
+  });
+}
+
+/**
+ * Final error handler - logs without request data and sends the envelope
+ *
+ * Express only treats four-argument middleware as an error handler, so
+ * next stays in the signature.
+ */
+function errorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_JSON',
+      message: 'Request body is not valid JSON',
+    });
+  }
+
+  // SECURITY: Never log the request body (phones, OTPs, passwords)
+  console.error(`[${error.scope || 'api'}] Unexpected error:`, {
+    message: error.message,
+    code: error.code,
+    requestId: req.id,
+  });
+
+  if (res.headersSent) {
+    return;
+  }
+
+  res.status(500).json({
+    success: false,
+    code: 'INTERNAL_ERROR',
+    message: 'An unexpected error occurred. Please try again later.',
+  });
+}
+
+/**
+ * Build a legacy single-endpoint function from a route's handler chain
+ *
+ * @param {string|Array<string>} methods - Allowed HTTP method(s)
+ * @param {Array<Function>} handlers - Route middleware and handler
+ * @return {Function} Express app usable as an onRequest handler
+ */
+function createShim(methods, handlers) {
+  const app = express();
+  app.disable('x-powered-by');
+  app.use(requestId);
+  app.use(express.json());
+  app.all('*', methodGuard(methods), ...handlers);
+  app.use(errorHandler);
+  return app;
+}
+
+module.exports = {
+  requestId,
+  methodGuard,
+  validateBody,
+  validateQuery,
+  asyncHandler,
+  notFound,
+  errorHandler,
+  createShim,
+  REQUEST_ID_HEADER,
+};
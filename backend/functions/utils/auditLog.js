@@ -0,0 +1,50 @@
+/**
+ * ACCOUNT AUDIT LOG
+ *
+ * Append-only record of security-relevant account changes (e.g. a phone
+ * number change), for support and dispute handling.
+ *
+ * STORAGE:
+ * - Collection: audit_log (backend-only, see firestore.rules)
+ * - Fields: type, uid, details, deviceId, ipHash (sha256, truncated),
+ *   createdAt
+ *
+ * USAGE (inside a transaction, so the entry commits with the change):
+ * const entry = buildAuditEntry('phone_change', uid, { oldPhone, newPhone }, req);
+ * transaction.set(entry.ref, entry.data);
+ */
+
+const crypto = require('crypto');
+const admin = require('../admin');
+const { getClientIp, getDeviceId } = require('./rateLimiter');
+
+const COLLECTION = 'audit_log';
+
+/**
+ * Prepare an audit entry (not written here)
+ *
+ * @param {string} type - Event type, e.g. 'phone_change'
+ * @param {string} uid - Firebase Auth uid the event is about
+ * @param {Object} details - Event-specific fields
+ * @param {Object} req - HTTP request the change came from
+ * @return {Object} { ref, data }
+ */
+function buildAuditEntry(type, uid, details, req) {
+  const ip = req ? getClientIp(req) : null;
+
+  return {
+    ref: admin.firestore().collection(COLLECTION).doc(),
+    data: {
+      type: type,
+      uid: uid,
+      details: details,
+      deviceId: req ? getDeviceId(req) : null,
+      ipHash: ip ? crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16) : null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  };
+}
+
+module.exports = {
+  buildAuditEntry,
+};
@@ -0,0 +1,178 @@
+/**
+ * AUTH MIDDLEWARE
+ *
+ * Verifies the Firebase ID token sent as "Authorization: Bearer <token>"
+ * and exposes the caller's identity. Endpoints must take uid (and phone,
+ * where relevant) from the token, never from the request body.
+ *
+ * USAGE (onRequest handler):
+ * const user = await requireAuth(req, res);
+ * if (!user) return;
+ *
+ * USAGE (Express):
+ * router.post('/profile', authenticate, handler); // req.auth = user
+ *
+ * SECURITY:
+ * - Revoked tokens are rejected (checkRevoked)
+ * - Tokens from verifyOtp / passwordLogin name their device (DEVICE_CLAIM);
+ *   tokens from a device the user signed out are rejected (see utils/devices)
+ * - Tokens without the claim (Firebase Phone Auth sign-ins) are accepted as
+ *   an unbound legacy device: req.auth.deviceId is null and only signing
+ *   out everywhere (refresh token revocation) ends them
+ * - Disabled accounts are rejected
+ * - Token contents are never logged
+ */
+
+const admin = require('../admin');
+const { isDeviceSignedOut, DEVICE_CLAIM } = require('./devices');
+
+// Sensitive changes need a fresh sign-in, not a weeks-old session on a shared phone
+const RECENT_SIGN_IN_MINUTES = 15;
+
+/**
+ * Map Firebase Auth verification errors to response codes
+ */
+const TOKEN_ERRORS = {
+  'auth/id-token-expired': { code: 'AUTH_TOKEN_EXPIRED', message: 'Session expired. Please sign in again.' },
+  'auth/id-token-revoked': { code: 'AUTH_TOKEN_REVOKED', message: 'Session revoked. Please sign in again.' },
+  'auth/user-disabled': { code: 'USER_DISABLED', message: 'This account has been disabled.' },
+  'auth/user-not-found': { code: 'USER_NOT_FOUND', message: 'Firebase Auth user not found' },
+};
+
+/**
+ * Extract the bearer token from a request
+ *
+ * @param {Object} req - HTTP request
+ * @return {string|null} ID token
+ */
+function getBearerToken(req) {
+  const header = (req.get ? req.get('Authorization') : req.headers && req.headers.authorization) || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verify a request's ID token
+ *
+ * @param {Object} req - HTTP request
+ * @return {Promise<Object>} { success: true, user } or { success: false, status, code, message }
+ */
+async function verifyRequestToken(req) {
+  const idToken = getBearerToken(req);
+
+  if (!idToken) {
+    return {
+      success: false,
+      status: 401,
+      code: 'MISSING_AUTH_TOKEN',
+      message: 'Authorization header with a Firebase ID token is required',
+    };
+  }
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(idToken, true);
+  } catch (error) {
+    const mapped = TOKEN_ERRORS[error.code] || {
+      code: 'INVALID_AUTH_TOKEN',
+      message: 'Invalid authentication token',
+    };
+
+    console.warn(`[auth] Token rejected: ${error.code || error.message}`);
+
+    return {
+      success: false,
+      status: 401,
+      code: mapped.code,
+      message: mapped.message,
+    };
+  }
+
+  // Phone Auth sessions carry no device claim; the revocation check above
+  // is all that can end them
+  const deviceId = decoded[DEVICE_CLAIM] || null;
+
+  if (deviceId && await isDeviceSignedOut(decoded.uid, deviceId, decoded.auth_time)) {
+    console.warn(`[auth] Token rejected: device signed out for UID ${decoded.uid}`);
+    return {
+      success: false,
+      status: 401,
+      code: 'DEVICE_SIGNED_OUT',
+      message: 'This device was signed out. Please sign in again.',
+    };
+  }
+
+  return {
+    success: true,
+    user: {
+      uid: decoded.uid,
+      phone: decoded.phone_number || null,
+      email: decoded.email || null,
+      emailVerified: decoded.email_verified === true,
+      authTime: decoded.auth_time || null,
+      deviceId: deviceId, // null for legacy (unbound) sessions
+      token: decoded,
+    },
+  };
+}
+
+/**
+ * Require a valid ID token, responding with 401 when missing or invalid
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @return {Promise<Object|null>} Authenticated user, or null if a response was sent
+ */
+async function requireAuth(req, res) {
+  const result = await verifyRequestToken(req);
+
+  if (!result.success) {
+    res.status(result.status).json({
+      success: false,
+      code: result.code,
+      message: result.message,
+    });
+    return null;
+  }
+
+  req.auth = result.user;
+  return result.user;
+}
+
+/**
+ * Express middleware form of requireAuth
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Function} next - Next middleware
+ */
+async function authenticate(req, res, next) {
+  try {
+    const user = await requireAuth(req, res);
+    if (user) {
+      next();
+    }
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Whether the caller signed in (OTP or password) within RECENT_SIGN_IN_MINUTES
+ *
+ * @param {Object} user - Authenticated user (req.auth)
+ * @return {boolean} True if the sign-in is recent
+ */
+function isRecentSignIn(user) {
+  const signedInSeconds = Date.now() / 1000 - (user.authTime || 0);
+  return signedInSeconds <= RECENT_SIGN_IN_MINUTES * 60;
+}
+
+module.exports = {
+  requireAuth,
+  authenticate,
+  verifyRequestToken,
+  getBearerToken,
+  isRecentSignIn,
+  RECENT_SIGN_IN_MINUTES,
+};
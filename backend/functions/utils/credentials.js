@@ -0,0 +1,85 @@
+/**
+ * PASSWORD CREDENTIALS
+ *
+ * Firebase Auth can only check passwords for email accounts, and UnitWise
+ * accounts are phone-only. Password hashes therefore live in a
+ * backend-only collection and are checked here.
+ *
+ * STORAGE:
+ * - Collection: user_credentials (backend-only, see firestore.rules)
+ * - Document ID: Firebase Auth uid
+ * - Fields: passwordHash (bcrypt), passwordUpdatedAt
+ *
+ * SECURITY:
+ * - Only bcrypt hashes are stored, at the OTP policy's bcryptRounds cost
+ *   (one hashing-cost setting for OTPs and passwords)
+ * - Unknown accounts still cost one bcrypt comparison, so response time
+ *   does not reveal whether a phone number is registered
+ */
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const admin = require('../admin');
+const { getOtpPolicy } = require('./otpPolicy');
+
+const COLLECTION = 'user_credentials';
+
+// Compared against when there is no real hash (created on first use)
+let dummyHash = null;
+
+/**
+ * bcrypt cost for new hashes
+ */
+async function getSaltRounds() {
+  return (await getOtpPolicy()).bcryptRounds;
+}
+
+/**
+ * Store a new password for a user
+ *
+ * Also sets the Firebase Auth password so the Auth record stays in step.
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} password - Plaintext password (already checked against the policy)
+ * @return {Promise<void>}
+ */
+async function setUserPassword(uid, password) {
+  const passwordHash = await bcrypt.hash(password, await getSaltRounds());
+
+  await admin.auth().updateUser(uid, { password: password });
+  await admin.firestore().collection(COLLECTION).doc(uid).set({
+    passwordHash: passwordHash,
+    passwordUpdatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+}
+
+/**
+ * Check a password for a user
+ *
+ * @param {string|null} uid - Firebase Auth uid, or null if the phone is unknown
+ * @param {string} password - Plaintext password
+ * @return {Promise<Object>} { match: boolean, hasPassword: boolean }
+ */
+async function verifyUserPassword(uid, password) {
+  let passwordHash = null;
+
+  if (uid) {
+    const doc = await admin.firestore().collection(COLLECTION).doc(uid).get();
+    passwordHash = doc.exists ? doc.data().passwordHash || null : null;
+  }
+
+  if (!passwordHash && !dummyHash) {
+    dummyHash = await bcrypt.hash(crypto.randomUUID(), await getSaltRounds());
+  }
+  const match = await bcrypt.compare(password, passwordHash || dummyHash);
+
+  return {
+    match: Boolean(passwordHash) && match,
+    hasPassword: Boolean(passwordHash),
+  };
+}
+
+module.exports = {
+  setUserPassword,
+  verifyUserPassword,
+};
@@ -0,0 +1,273 @@
+/**
+ * USER DATA EXPORT
+ *
+ * Collects everything UnitWise holds about a user for an NDPR subject
+ * access request, packs it as a ZIP and stores it in Cloud Storage behind
+ * a short-lived link.
+ *
+ * ARCHIVE (unitwise-data-<date>.zip):
+ * - data.json          Every section below, for machines
+ * - token_history.csv  Token purchases, for spreadsheets
+ * - README.txt         What each file contains
+ *
+ * A format of 'json' or 'csv' limits the archive to that file (plus the
+ * README); without one, both are included.
+ *
+ * SECTIONS:
+ * profile, settings, dashboard, locationProfile, tokens, appliances,
+ * budgets, locationSubmissions, auditLog
+ *
+ * Values that identify other people (e.g. the recipient of a token bought
+ * for someone else) are masked with maskPhoneNumber / maskEmail.
+ *
+ * STORAGE:
+ * - Bucket: EXPORT_BUCKET, or the project's default bucket
+ * - Object: exports/{uid}/{exportId}.zip (removed by accountErasure; set a
+ *   bucket lifecycle rule to delete exports/ objects after a day)
+ * - Link: V4 signed URL valid for EXPORT_LINK_TTL_MINUTES (default 15);
+ *   against the Storage emulator, a plain emulator download URL
+ */
+
+const admin = require('../admin');
+const { maskPhoneNumber } = require('./phoneNumber');
+const { maskEmail } = require('./emailClient');
+const { isEmulator } = require('./testMode');
+
+const EXPORT_PREFIX = 'exports';
+
+// Fields on exported records that hold someone else's contact details
+const THIRD_PARTY_FIELDS = ['recipient_phone', 'recipient_email', 'reviewedBy'];
+
+const TOKEN_CSV_COLUMNS = [
+  'purchase_date',
+  'amount_paid',
+  'units_purchased',
+  'unit_rate',
+  'disco',
+  'band',
+  'token_code',
+  'estimated_units_remaining_at_log',
+  'estimation_method',
+  'created_at',
+];
+
+const README = [
+  'UnitWise - your data',
+  '',
+  'data.json          Everything stored about your account: profile, settings,',
+  '                   dashboard, location, token purchases, appliances, budgets,',
+  '                   location submissions and account activity (audit log).',
+  'token_history.csv  Your token purchases, one per line, for spreadsheets.',
+  '',
+  'Contact details of other people (for example the recipient of a token you',
+  'bought for someone else) are partly hidden.',
+  '',
+].join('\n');
+
+/**
+ * Export link lifetime in minutes
+ */
+function getLinkTtlMinutes() {
+  const minutes = parseInt(process.env.EXPORT_LINK_TTL_MINUTES || '15', 10);
+  return minutes > 0 && minutes <= 24 * 60 ? minutes : 15;
+}
+
+/**
+ * Convert Firestore values (Timestamps, nested maps) to plain JSON values
+ */
+function toPlain(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toDate === 'function') {
+    return value.toDate().toISOString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (typeof value === 'object') {
+    const plain = {};
+    Object.keys(value).forEach((key) => {
+      plain[key] = toPlain(value[key]);
+    });
+    return plain;
+  }
+  return value;
+}
+
+/**
+ * Mask another person's phone number or email address
+ */
+function maskThirdParty(value) {
+  if (typeof value !== 'string' || value === '') {
+    return value;
+  }
+  return value.includes('@') ? maskEmail(value) : maskPhoneNumber(value);
+}
+
+/**
+ * Turn a document into an exported record
+ */
+function toRecord(doc) {
+  const record = { id: doc.id, ...toPlain(doc.data()) };
+  THIRD_PARTY_FIELDS.forEach((field) => {
+    if (field in record) {
+      record[field] = maskThirdParty(record[field]);
+    }
+  });
+  return record;
+}
+
+/**
+ * Records of a query or collection
+ */
+async function records(query) {
+  const snapshot = await query.get();
+  return snapshot.docs.map(toRecord);
+}
+
+/**
+ * Collect every section of a user's data
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @return {Promise<Object>} Sections keyed by name
+ */
+async function collectUserData(uid) {
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+  const profileDoc = await userRef.get();
+
+  // Older builds logged tokens at the top level, newer ones under users/{uid}
+  const tokens = [
+    ...await records(userRef.collection('tokens')),
+    ...await records(db.collection('tokens').where('uid', '==', uid)),
+  ].sort((a, b) => String(b.purchase_date || '').localeCompare(String(a.purchase_date || '')));
+
+  return {
+    profile: profileDoc.exists ? toRecord(profileDoc) : null,
+    settings: await records(userRef.collection('settings')),
+    dashboard: await records(userRef.collection('dashboard')),
+    locationProfile: await records(userRef.collection('profile')),
+    tokens: tokens,
+    appliances: await records(db.collection('appliances').where('uid', '==', uid)),
+    budgets: await records(db.collection('budgets').where('uid', '==', uid)),
+    locationSubmissions: await records(db.collection('pending_locations').where('userId', '==', uid)),
+    auditLog: await records(db.collection('audit_log').where('uid', '==', uid)),
+  };
+}
+
+/**
+ * Quote a CSV cell; cells that spreadsheets would run as formulas are
+ * prefixed with an apostrophe
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Token purchases as CSV
+ *
+ * @param {Array<Object>} tokens - Exported token records
+ * @return {string} CSV with a header row
+ */
+function buildTokenHistoryCsv(tokens) {
+  const rows = [TOKEN_CSV_COLUMNS.join(',')];
+  tokens.forEach((token) => {
+    rows.push(TOKEN_CSV_COLUMNS.map((column) => csvCell(token[column])).join(','));
+  });
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+/**
+ * Archive file entries for a user's data
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {Object} data - Output of collectUserData
+ * @param {Date} exportedAt - Export time
+ * @param {string} [format] - 'json' or 'csv' for just that file; both when omitted
+ * @return {Array<Object>} { name, content } entries for createZip
+ */
+function buildExportFiles(uid, data, exportedAt, format) {
+  const files = [{ name: 'README.txt', content: README }];
+
+  if (format !== 'csv') {
+    files.push({
+      name: 'data.json',
+      content: JSON.stringify({ uid: uid, exportedAt: exportedAt.toISOString(), ...data }, null, 2),
+    });
+  }
+  if (format !== 'json') {
+    files.push({ name: 'token_history.csv', content: buildTokenHistoryCsv(data.tokens) });
+  }
+
+  return files;
+}
+
+/**
+ * Upload an export and return a short-lived download link
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} exportId - Export ID
+ * @param {Buffer} archive - ZIP file
+ * @param {string} downloadName - File name offered to the browser
+ * @return {Promise<Object>} { path, url, expiresAt }
+ */
+async function storeExport(uid, exportId, archive, downloadName) {
+  const bucket = admin.storage().bucket(process.env.EXPORT_BUCKET || undefined);
+  const path = `${EXPORT_PREFIX}/${uid}/${exportId}.zip`;
+  const file = bucket.file(path);
+  const expiresAt = new Date(Date.now() + getLinkTtlMinutes() * 60 * 1000);
+
+  await file.save(archive, {
+    resumable: false,
+    contentType: 'application/zip',
+    metadata: {
+      contentDisposition: `attachment; filename="${downloadName}"`,
+      metadata: { exportId: exportId },
+    },
+  });
+
+  // The Storage emulator cannot sign URLs
+  const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+  if (emulatorHost && isEmulator()) {
+    return {
+      path: path,
+      url: `http://${emulatorHost}/v0/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media`,
+      expiresAt: expiresAt,
+    };
+  }
+
+  const [url] = await file.getSignedUrl({ version: 'v4', action: 'read', expires: expiresAt });
+  return { path: path, url: url, expiresAt: expiresAt };
+}
+
+/**
+ * Delete every stored export for a user
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @return {Promise<number>} Files deleted
+ */
+async function deleteExports(uid) {
+  const bucket = admin.storage().bucket(process.env.EXPORT_BUCKET || undefined);
+  const [files] = await bucket.getFiles({ prefix: `${EXPORT_PREFIX}/${uid}/` });
+  await Promise.all(files.map((file) => file.delete({ ignoreNotFound: true })));
+  return files.length;
+}
+
+module.exports = {
+  collectUserData,
+  buildTokenHistoryCsv,
+  buildExportFiles,
+  storeExport,
+  deleteExports,
+};
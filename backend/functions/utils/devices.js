@@ -0,0 +1,279 @@
+/**
+ * SIGNED-IN DEVICES
+ *
+ * Records the devices a user signs in from (verifyOtp, passwordLogin) so
+ * they can see where they are signed in and sign devices out.
+ *
+ * Every sign-in's custom token carries the device ID as the DEVICE_CLAIM
+ * developer claim, so every ID token - including ones later minted from
+ * that session's refresh token, which keep the original auth_time - names
+ * the device it belongs to. utils/authMiddleware checks that device on
+ * every request. Firebase Phone Auth sessions have no claim; they are an
+ * unbound legacy device that only signing out everywhere can end.
+ *
+ * Firebase Auth can only revoke all of a user's refresh tokens at once, so:
+ * - Signing out everywhere revokes every refresh token (enforced by
+ *   verifyIdToken's revocation check) and marks every device signed out
+ * - Signing out one device marks it signed out; its tokens are rejected
+ *   from then on (DEVICE_SIGNED_OUT) until it signs in again. Its refresh
+ *   token still exists, so the sign-out is also recorded in
+ *   device_sign_outs/{uid}, which firestore.rules check before any direct
+ *   client read or write
+ *
+ * STORAGE:
+ * - Collection: user_devices (backend-only, see firestore.rules)
+ * - Document ID: sha256(uid:deviceId)
+ * - Fields: uid, deviceId, deviceName, platform, userAgent, signInMethod,
+ *   status ('active' | 'signed_out'), firstSeenAt, lastSeenAt,
+ *   signedOutAt (epoch millis), purgeAt (Firestore TTL, signed out only)
+ * - Collection: device_sign_outs (backend-only, read by firestore.rules)
+ * - Document ID: uid
+ * - Fields: uid, devices ({ [deviceId]: signedOutAt epoch millis }); kept
+ *   while the account exists, since a signed-out refresh token never expires
+ *
+ * DEVICE ID:
+ * Apps send a stable per-install ID as X-Device-Id (the header the rate
+ * limiter already uses). Requests without one get a generated ID, returned
+ * in the sign-in response for the app to send from then on.
+ */
+
+const crypto = require('crypto');
+const admin = require('../admin');
+const { getDeviceId } = require('./rateLimiter');
+
+const COLLECTION = 'user_devices';
+const SIGN_OUTS_COLLECTION = 'device_sign_outs';
+
+// Developer claim naming the device a session was issued to
+const DEVICE_CLAIM = 'deviceId';
+
+// Signed-out devices are kept this long for the user's device history
+const SIGNED_OUT_RETENTION_DAYS = 30;
+
+/**
+ * Device document for a user's device
+ */
+function deviceRef(uid, deviceId) {
+  const digest = crypto.createHash('sha256').update(`${uid}:${deviceId}`).digest('hex').slice(0, 32);
+  return admin.firestore().collection(COLLECTION).doc(digest);
+}
+
+/**
+ * Read a header, truncated for storage
+ */
+function headerValue(req, name, maxLength) {
+  const value = req.get ? req.get(name) : req.headers && req.headers[name.toLowerCase()];
+  return value ? String(value).slice(0, maxLength) : null;
+}
+
+/**
+ * Convert a stored timestamp to epoch millis
+ */
+function toMillis(value) {
+  if (!value) {
+    return null;
+  }
+  return value.toMillis ? value.toMillis() : new Date(value).getTime();
+}
+
+/**
+ * Record a successful sign-in from the request's device
+ *
+ * Never throws: a failure to record must not block the sign-in.
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {Object} req - HTTP request (X-Device-Id, X-Device-Name, X-Platform, User-Agent)
+ * @param {string} signInMethod - 'otp' or 'password'
+ * @return {Promise<string>} Device ID the app should send as X-Device-Id
+ */
+async function recordDeviceSignIn(uid, req, signInMethod) {
+  const deviceId = getDeviceId(req) || crypto.randomUUID();
+
+  try {
+    const ref = deviceRef(uid, deviceId);
+    const doc = await ref.get();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+
+    await ref.set({
+      uid: uid,
+      deviceId: deviceId,
+      deviceName: headerValue(req, 'X-Device-Name', 100),
+      platform: headerValue(req, 'X-Platform', 20),
+      userAgent: headerValue(req, 'User-Agent', 256),
+      signInMethod: signInMethod,
+      status: 'active',
+      firstSeenAt: doc.exists ? doc.data().firstSeenAt : now,
+      lastSeenAt: now,
+      signedOutAt: null,
+      purgeAt: null,
+    });
+  } catch (error) {
+    console.error(`[devices] Failed to record device for UID ${uid}:`, error.message);
+  }
+
+  return deviceId;
+}
+
+/**
+ * List a user's signed-in devices, most recently used first
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @return {Promise<Array<Object>>} Devices
+ */
+async function listActiveDevices(uid) {
+  const snapshot = await admin.firestore().collection(COLLECTION).where('uid', '==', uid).get();
+
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter((device) => device.status === 'active')
+    .map((device) => ({
+      deviceId: device.deviceId,
+      deviceName: device.deviceName || null,
+      platform: device.platform || null,
+      userAgent: device.userAgent || null,
+      signInMethod: device.signInMethod || null,
+      firstSeenAt: toMillis(device.firstSeenAt),
+      lastSeenAt: toMillis(device.lastSeenAt),
+    }))
+    .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+}
+
+/**
+ * Fields written when a device is signed out
+ */
+function signedOutFields(now) {
+  return {
+    status: 'signed_out',
+    signedOutAt: now,
+    purgeAt: new Date(now + SIGNED_OUT_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+/**
+ * Record sign-outs where firestore.rules can check them
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {Array<string>} deviceIds - Devices signed out
+ * @param {number} signedOutAt - Epoch millis
+ */
+async function recordSignOuts(uid, deviceIds, signedOutAt) {
+  const db = admin.firestore();
+  const ref = db.collection(SIGN_OUTS_COLLECTION).doc(uid);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const devices = doc.exists ? { ...doc.data().devices } : {};
+    deviceIds.forEach((deviceId) => {
+      devices[deviceId] = signedOutAt;
+    });
+    transaction.set(ref, { uid: uid, devices: devices });
+  });
+}
+
+/**
+ * Sign out one of a user's devices
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} deviceId - Device ID from listActiveDevices
+ * @return {Promise<boolean>} False if the device is unknown or already signed out
+ */
+async function signOutDevice(uid, deviceId) {
+  const ref = deviceRef(uid, deviceId);
+  const doc = await ref.get();
+
+  if (!doc.exists || doc.data().status !== 'active') {
+    return false;
+  }
+
+  const now = Date.now();
+  await ref.update(signedOutFields(now));
+  await recordSignOuts(uid, [deviceId], now);
+  return true;
+}
+
+/**
+ * Mark a user's active devices signed out, optionally keeping one
+ *
+ * @return {Promise<number>} Number of devices signed out
+ */
+async function markDevicesSignedOut(uid, keepDeviceId) {
+  const db = admin.firestore();
+  const snapshot = await db.collection(COLLECTION).where('uid', '==', uid).get();
+  const active = snapshot.docs.filter((doc) => doc.data().status === 'active' && doc.data().deviceId !== keepDeviceId);
+
+  if (active.length > 0) {
+    const now = Date.now();
+    const batch = db.batch();
+    const fields = signedOutFields(now);
+    active.forEach((doc) => batch.update(doc.ref, fields));
+    await batch.commit();
+    await recordSignOuts(uid, active.map((doc) => doc.data().deviceId), now);
+  }
+
+  return active.length;
+}
+
+/**
+ * Sign out every device: revoke all refresh tokens and mark devices signed out
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @return {Promise<number>} Number of devices that were signed in
+ */
+async function signOutAllDevices(uid) {
+  await admin.auth().revokeRefreshTokens(uid);
+  return markDevicesSignedOut(uid, null);
+}
+
+/**
+ * Sign out every device except the caller's
+ *
+ * Refresh tokens are left alone (revoking them would end the caller's own
+ * session too); the other devices' tokens are refused by their device claim.
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} currentDeviceId - Device to keep signed in
+ * @return {Promise<number>} Number of devices signed out
+ */
+function signOutOtherDevices(uid, currentDeviceId) {
+  return markDevicesSignedOut(uid, currentDeviceId);
+}
+
+/**
+ * Check whether a token was issued to a device before it was signed out
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} deviceId - Device ID from the request
+ * @param {number|null} authTime - Token auth_time (epoch seconds)
+ * @return {Promise<boolean>} True if the token must be rejected
+ */
+async function isDeviceSignedOut(uid, deviceId, authTime) {
+  const doc = await deviceRef(uid, deviceId).get();
+
+  if (!doc.exists || doc.data().status !== 'signed_out') {
+    return false;
+  }
+  return !authTime || authTime * 1000 <= doc.data().signedOutAt;
+}
+
+/**
+ * Custom token for a sign-in, bound to the device it was recorded for
+ *
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} deviceId - Device ID from recordDeviceSignIn
+ * @return {Promise<string>} Custom token
+ */
+function createDeviceToken(uid, deviceId) {
+  return admin.auth().createCustomToken(uid, { [DEVICE_CLAIM]: deviceId });
+}
+
+module.exports = {
+  recordDeviceSignIn,
+  createDeviceToken,
+  listActiveDevices,
+  signOutDevice,
+  signOutAllDevices,
+  signOutOtherDevices,
+  isDeviceSignedOut,
+  DEVICE_CLAIM,
+  SIGN_OUTS_COLLECTION,
+};
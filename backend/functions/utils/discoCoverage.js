@@ -0,0 +1,365 @@
+/**
+ * DISCO COVERAGE
+ *
+ * Which DisCo serves a place, from the versioned dataset in
+ * data/locations/discoCoverage.json (state → LGA → area → DisCo and business
+ * unit). Updating coverage means editing the dataset and bumping its
+ * version; no code changes.
+ *
+ * DATASET:
+ * {
+ *   "version": "2026.10.1",
+ *   "states": [{
+ *     "name": "Lagos",
+ *     "aliases": ["Eko"],
+ *     "defaultDisco": null,          // DisCo when the area is unknown (null: ask)
+ *     "defaultConfidence": 0.6,      // Optional, how sure that default is
+ *     "requiresArea": true,          // No DisCo without an area
+ *     "lgas": [{
+ *       "name": "Eti-Osa",
+ *       "areas": [{ "name": "Victoria Island", "disco": "EKEDP", "businessUnit": "...", "aliases": ["VI"] }]
+ *     }]
+ *   }]
+ * }
+ * Single-DisCo states only need defaultDisco; every state and FCT is listed.
+ *
+ * MATCHING (case, punctuation and accents ignored):
+ * - States: name or alias, then fuzzy (typos); a trailing "State" is dropped
+ * - Areas: name or alias (confidence 1), LGA name when the whole LGA has one
+ *   DisCo (0.9), a known area inside a longer address (0.85), then fuzzy
+ *   by edit distance (0.9 × similarity)
+ * - Unknown area: the state's defaultDisco at defaultConfidence, or no
+ *   DisCo plus suggestions if the state has no default
+ * The state match confidence multiplies the area confidence.
+ *
+ * USAGE:
+ * const result = resolveCoverage('Lagos', 'VI');
+ * // { success: true, disco: 'EKEDP', area: 'Victoria Island', lga: 'Eti-Osa',
+ * //   confidence: 1, matchType: 'alias', ... }
+ */
+
+const dataset = require('../data/locations/discoCoverage.json');
+
+const CONFIDENCE = {
+  exact: 1,
+  alias: 1,
+  lga: 0.9,
+  contains: 0.85,
+  fuzzy: 0.9,
+};
+
+// Used when a state with several DisCos sets no defaultConfidence
+const DEFAULT_CONFIDENCE = 0.5;
+
+const FUZZY_MIN_SIMILARITY = 0.8;
+const SUGGESTION_MIN_SIMILARITY = 0.5;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Lowercase, strip accents and punctuation, collapse spaces
+ */
+function normalizeName(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two normalised names, 0-1 (1 - edit distance / length)
+ *
+ * Edit distance counts a swap of adjacent letters ("Lagso") as one edit.
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a || !b) {
+    return 0;
+  }
+
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return 1 - d[a.length][b.length] / Math.max(a.length, b.length);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Check the dataset and build lookup keys per state
+ *
+ * @throws {Error} If the dataset is malformed (fails at cold start, not per request)
+ */
+function buildIndex(data) {
+  if (!data || typeof data.version !== 'string' || !Array.isArray(data.states)) {
+    throw new Error('[discoCoverage] Dataset needs a version and a states array');
+  }
+
+  const seen = new Set();
+  const states = data.states.map((state) => {
+    const key = normalizeName(state.name);
+    if (!key || seen.has(key)) {
+      throw new Error(`[discoCoverage] Missing or duplicate state: ${state.name}`);
+    }
+    seen.add(key);
+
+    const areas = [];
+    const lgaKeys = [];
+    (state.lgas || []).forEach((lga) => {
+      const lgaAreas = (lga.areas || []).map((area) => {
+        if (!area.name || !area.disco) {
+          throw new Error(`[discoCoverage] Area without name or DisCo in ${state.name}/${lga.name}`);
+        }
+        return {
+          name: area.name,
+          disco: area.disco,
+          lga: lga.name,
+          businessUnit: area.businessUnit || null,
+          keys: [normalizeName(area.name), ...(area.aliases || []).map(normalizeName)],
+        };
+      });
+      areas.push(...lgaAreas);
+
+      // An LGA name only identifies a DisCo if all its areas share one
+      const discos = new Set(lgaAreas.map((area) => area.disco));
+      lgaKeys.push({ key: normalizeName(lga.name), lga: lga.name, disco: discos.size === 1 ? lgaAreas[0].disco : null });
+    });
+
+    const discos = [...new Set([state.defaultDisco, ...areas.map((area) => area.disco)].filter(Boolean))];
+    if (discos.length === 0 || (!state.requiresArea && !state.defaultDisco)) {
+      throw new Error(`[discoCoverage] ${state.name} needs a defaultDisco or requiresArea`);
+    }
+
+    return {
+      name: state.name,
+      keys: [key, ...(state.aliases || []).map(normalizeName)],
+      defaultDisco: state.defaultDisco || null,
+      defaultConfidence: discos.length === 1 ? 1 : (state.defaultConfidence || DEFAULT_CONFIDENCE),
+      requiresArea: state.requiresArea === true,
+      discos: discos,
+      areas: areas,
+      lgaKeys: lgaKeys,
+    };
+  });
+
+  return { version: data.version, states: states };
+}
+
+const index = buildIndex(dataset);
+
+/**
+ * Match a state name or alias, allowing typos
+ *
+ * @param {string} input - e.g. 'lagos state', 'Abuja', 'Lagso'
+ * @return {Object|null} { state, confidence, matchType }
+ */
+function findState(input) {
+  const wanted = normalizeName(input).replace(/ state$/, '');
+  if (!wanted) {
+    return null;
+  }
+
+  for (const state of index.states) {
+    const position = state.keys.indexOf(wanted);
+    if (position !== -1) {
+      return { state: state, confidence: 1, matchType: position === 0 ? 'exact' : 'alias' };
+    }
+  }
+
+  let best = null;
+  index.states.forEach((state) => {
+    const score = Math.max(...state.keys.map((key) => similarity(wanted, key)));
+    if (score >= FUZZY_MIN_SIMILARITY && (!best || score > best.score)) {
+      best = { state: state, score: score };
+    }
+  });
+
+  return best ? { state: best.state, confidence: round(best.score), matchType: 'fuzzy' } : null;
+}
+
+/**
+ * Match an area, LGA or address within a state
+ *
+ * @return {Object|null} { disco, area, lga, businessUnit, confidence, matchType }
+ */
+function matchArea(state, input) {
+  const wanted = normalizeName(input).replace(/ (lga|local government( area)?)$/, '');
+  if (!wanted) {
+    return null;
+  }
+
+  const fromArea = (area, confidence, matchType) => ({
+    disco: area.disco,
+    area: area.name,
+    lga: area.lga,
+    businessUnit: area.businessUnit,
+    confidence: confidence,
+    matchType: matchType,
+  });
+  const fromLga = (lga, confidence, matchType) => ({
+    disco: lga.disco,
+    area: null,
+    lga: lga.lga,
+    businessUnit: null,
+    confidence: confidence,
+    matchType: matchType,
+  });
+
+  for (const area of state.areas) {
+    const position = area.keys.indexOf(wanted);
+    if (position !== -1) {
+      return fromArea(area, position === 0 ? CONFIDENCE.exact : CONFIDENCE.alias, position === 0 ? 'exact' : 'alias');
+    }
+  }
+
+  // An LGA split between DisCos says nothing on its own
+  const lga = state.lgaKeys.find((entry) => entry.key === wanted);
+  if (lga) {
+    return lga.disco ? fromLga(lga, CONFIDENCE.lga, 'lga') : null;
+  }
+
+  // A known name inside a longer address ("12 Adeola Odeku St, VI"), longest first
+  const padded = ` ${wanted} `;
+  const contained = [
+    ...state.areas.flatMap((area) => area.keys.map((key) => ({ key: key, area: area }))),
+    ...state.lgaKeys.filter((entry) => entry.disco).map((entry) => ({ key: entry.key, lga: entry })),
+  ]
+    .filter((entry) => padded.includes(` ${entry.key} `))
+    .sort((a, b) => b.key.length - a.key.length)[0];
+  if (contained) {
+    return contained.area ?
+      fromArea(contained.area, CONFIDENCE.contains, 'contains') :
+      fromLga(contained.lga, CONFIDENCE.contains, 'contains');
+  }
+
+  let best = null;
+  state.areas.forEach((area) => {
+    const score = Math.max(...area.keys.map((key) => similarity(wanted, key)));
+    if (score >= FUZZY_MIN_SIMILARITY && (!best || score > best.score)) {
+      best = { area: area, score: score };
+    }
+  });
+
+  return best ? fromArea(best.area, round(CONFIDENCE.fuzzy * best.score), 'fuzzy') : null;
+}
+
+/**
+ * Closest area names, for asking the user to pick one
+ */
+function suggestAreas(state, input) {
+  const wanted = normalizeName(input);
+  return state.areas
+    .map((area) => ({ name: area.name, score: Math.max(...area.keys.map((key) => similarity(wanted, key))) }))
+    .filter((entry) => entry.score >= SUGGESTION_MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((entry) => entry.name);
+}
+
+/**
+ * Resolve the DisCo for a state and optional area
+ *
+ * @param {string} stateInput - State name or alias
+ * @param {string|null} areaInput - Area, LGA or address
+ * @return {Object} Success: { success: true, state, disco, area, lga,
+ *   businessUnit, confidence, matchType, assumed } (assumed: the state
+ *   default was used). Failure: { success: false, message } plus
+ *   requiresArea, areas and suggestions when the state needs an area.
+ */
+function resolveCoverage(stateInput, areaInput = null) {
+  const stateMatch = findState(stateInput);
+  if (!stateMatch) {
+    return {
+      success: false,
+      message: 'State not found. Please check spelling or select manually.',
+    };
+  }
+
+  const state = stateMatch.state;
+  const hasArea = normalizeName(areaInput) !== '';
+  const match = hasArea ? matchArea(state, areaInput) : null;
+
+  if (match) {
+    return {
+      success: true,
+      state: state.name,
+      ...match,
+      confidence: round(stateMatch.confidence * match.confidence),
+      assumed: false,
+    };
+  }
+
+  if (state.discos.length === 1 || (state.defaultDisco && !(state.requiresArea && !hasArea))) {
+    const single = state.discos.length === 1;
+    return {
+      success: true,
+      state: state.name,
+      disco: single ? state.discos[0] : state.defaultDisco,
+      area: null,
+      lga: null,
+      businessUnit: null,
+      confidence: round(stateMatch.confidence * state.defaultConfidence),
+      matchType: single ? 'state' : 'default',
+      assumed: !single,
+    };
+  }
+
+  return {
+    success: false,
+    state: state.name,
+    requiresArea: true,
+    message: hasArea ?
+      `We could not find that area in ${state.name}. Please pick your area.` :
+      `${state.name} has multiple DisCos. Please specify your area.`,
+    areas: state.areas.map((area) => area.name),
+    suggestions: hasArea ? suggestAreas(state, areaInput) : [],
+  };
+}
+
+/**
+ * All states with their DisCos and areas
+ *
+ * @return {Array} { name, discos, requiresArea, areas: [{ name, disco, lga, businessUnit }] }
+ */
+function getCoverageStates() {
+  return index.states.map((state) => ({
+    name: state.name,
+    discos: state.discos,
+    requiresArea: state.requiresArea,
+    areas: state.areas.map((area) => ({
+      name: area.name,
+      disco: area.disco,
+      lga: area.lga,
+      businessUnit: area.businessUnit,
+    })),
+  }));
+}
+
+module.exports = {
+  resolveCoverage,
+  findState,
+  getCoverageStates,
+  normalizeName,
+  similarity,
+  buildIndex,
+  COVERAGE_VERSION: index.version,
+};
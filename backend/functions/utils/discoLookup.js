@@ -7,12 +7,18 @@
  * DATA SOURCE: Nigerian Electricity Regulatory Commission (NERC)
  * LAST UPDATED: November 2025
  * 
+ * COVERAGE: data/locations/discoCoverage.json (see utils/discoCoverage)
+ * SERVICE AREAS: data/locations/discoServiceAreas.geojson (see utils/serviceAreas)
+ * 
  * SECURITY NOTES:
  * - Static lookup data (no database queries)
  * - Input validation and sanitization
  * - No sensitive user data processed
  */
 
+const { resolveCoverage, findState, getCoverageStates, COVERAGE_VERSION } = require('./discoCoverage');
+const { resolveServiceArea } = require('./serviceAreas');
+
 /**
  * Nigeria Distribution Companies (DisCos)
  * Complete list of all 11 electricity distribution companies
@@ -43,271 +49,52 @@ const TARIFF_BANDS = {
   E: { supplyHours: 4, description: 'Minimum 4 hours supply per day' },
 };
 
-/**
- * State to DisCo mapping
- * Handles states with single DisCo coverage
- */
-const STATE_TO_DISCO = {
-  // AEDC Coverage
-  'FCT': 'AEDC',
-  'Nasarawa': 'AEDC',
-  'Kogi': 'AEDC', // Note: Some parts IBEDC (overlap state)
-  'Niger': 'AEDC', // Note: Some parts IBEDC (overlap state)
-  
-  // BEDC Coverage
-  'Edo': 'BEDC',
-  'Delta': 'BEDC',
-  'Ondo': 'BEDC',
-  'Ekiti': 'BEDC', // Note: Some parts IE (overlap state)
-  
-  // EEDC Coverage
-  'Enugu': 'EEDC',
-  'Anambra': 'EEDC',
-  'Abia': 'EEDC',
-  'Imo': 'EEDC',
-  'Ebonyi': 'EEDC',
-  
-  // EKEDP Coverage (Lagos Island, Lekki, VI, Ajah, etc.)
-  // Note: Lagos is split between IE and EKEDP
-  
-  // IBEDC Coverage
-  'Oyo': 'IBEDC',
-  'Osun': 'IBEDC',
-  'Kwara': 'IBEDC',
-  
-  // IE Coverage (Lagos Mainland - Ikeja, Agege, Oshodi, etc.)
-  // Note: Lagos is split between IE and EKEDP
-  
-  // JED Coverage
-  'Plateau': 'JED',
-  'Benue': 'JED',
-  'Bauchi': 'JED',
-  'Gombe': 'JED',
-  
-  // KAEDC Coverage
-  'Kaduna': 'KAEDC',
-  'Kebbi': 'KAEDC',
-  'Sokoto': 'KAEDC',
-  'Zamfara': 'KAEDC',
-  
-  // KEDCO Coverage
-  'Kano': 'KEDCO',
-  'Katsina': 'KEDCO',
-  'Jigawa': 'KEDCO',
-  
-  // PHED Coverage
-  'Rivers': 'PHED',
-  'Bayelsa': 'PHED',
-  'Cross River': 'PHED',
-  'Akwa Ibom': 'PHED',
-  
-  // YEDC Coverage
-  'Adamawa': 'YEDC',
-  'Borno': 'YEDC',
-  'Taraba': 'YEDC',
-  'Yobe': 'YEDC',
-};
-
-/**
- * Lagos-specific area mapping (overlap state)
- * Lagos is split between Ikeja Electric and Eko Electricity
- */
-const LAGOS_AREAS = {
-  IE: [
-    'Ikeja', 'Agege', 'Oshodi', 'Ikorodu', 'Shomolu', 'Mushin',
-    'Surulere', 'Yaba', 'Abule Egba', 'Akowonjo', 'Ogba', 'Ojodu',
-    'Berger', 'Ketu', 'Maryland', 'Anthony', 'Gbagada', 'Bariga',
-    'Fadeyi', 'Jibowu', 'Palmgrove', 'Onipanu', 'Ilupeju', 'Isolo',
-    'Ejigbo', 'Iju', 'Ifako', 'Alakuko', 'Alagbado', 'Meiran',
-  ],
-  EKEDP: [
-    'Lagos Island', 'Victoria Island', 'Ikoyi', 'Lekki', 'Ajah',
-    'Apapa', 'Festac', 'Amuwo Odofin', 'Ojo', 'Satellite Town',
-    'Trade Fair', 'Mile 2', 'Badagry', 'Ibeju-Lekki', 'Epe',
-    'Marina', 'CMS', 'Obalende', 'Falomo', 'Onikan', 'Dolphin',
-  ],
-};
-
-/**
- * Niger State area mapping (overlap state)
- * Split between AEDC and IBEDC
- */
-const NIGER_AREAS = {
-  AEDC: [
-    'Minna', 'Suleja', 'Bida', 'Kontagora', 'New Bussa',
-  ],
-  IBEDC: [
-    'Borgu', // Near Kwara border
-  ],
-};
-
-/**
- * Kogi State area mapping (overlap state)
- * Split between AEDC and IBEDC
- */
-const KOGI_AREAS = {
-  AEDC: [
-    'Lokoja', 'Okene', 'Ajaokuta', 'Ankpa', 'Idah', 'Dekina',
-  ],
-  IBEDC: [
-    'Kabba', 'Ijumu', 'Yagba East', 'Yagba West',
-  ],
-};
-
-/**
- * Ekiti State area mapping (overlap state)
- * Primarily BEDC with some IE coverage
- */
-const EKITI_AREAS = {
-  BEDC: [
-    'Ado-Ekiti', 'Ikere', 'Efon', 'Ijero', 'Ikole', 'Emure',
-  ],
-  IE: [
-    'Ise-Orun', // Near Ondo/Ekiti border
-  ],
-};
-
-/**
- * Ogun State area mapping (overlap state)
- * Primarily IBEDC with EKEDP in Agbara Industrial Estate
- */
-const OGUN_AREAS = {
-  IBEDC: [
-    'Abeokuta', 'Sagamu', 'Ijebu-Ode', 'Ota', 'Ifo', 'Ilaro',
-  ],
-  EKEDP: [
-    'Agbara', // Industrial Estate
-  ],
-};
-
 /**
  * Lookup DisCo based on state and optional area
  * 
- * @param {string} state - State name
- * @param {string} area - Optional area/city name for overlap states
- * @return {Object} { success: boolean, disco?: string, requiresArea?: boolean }
+ * Coverage comes from the versioned dataset behind utils/discoCoverage,
+ * with alias and fuzzy matching (e.g. "VI" → Victoria Island).
+ * 
+ * @param {string} state - State name or alias (e.g. 'Lagos', 'Abuja')
+ * @param {string} area - Optional area, LGA or address
+ * @return {Object} { success: true, disco, fullName, state, area, lga,
+ *   businessUnit, confidence (0-1), matchType, assumed } or
+ *   { success: false, message, requiresArea?, areas?, suggestions? }
  */
 function lookupDisco(state, area = null) {
-  // Normalize input
-  const normalizedState = state.trim();
-  
-  // Handle overlap states
-  if (normalizedState === 'Lagos') {
-    if (!area) {
-      return {
-        success: false,
-        requiresArea: true,
-        message: 'Lagos has multiple DisCos. Please specify your area.',
-        areas: [...LAGOS_AREAS.IE, ...LAGOS_AREAS.EKEDP],
-      };
-    }
-    
-    // Check which DisCo serves this area
-    const normalizedArea = area.trim();
-    
-    if (LAGOS_AREAS.IE.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'IE', fullName: 'Ikeja Electric' };
-    }
-    
-    if (LAGOS_AREAS.EKEDP.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'EKEDP', fullName: 'Eko Electricity Distribution Company' };
-    }
-    
-    // Default to IE for unknown Lagos areas
-    return { success: true, disco: 'IE', fullName: 'Ikeja Electric', assumed: true };
-  }
-  
-  if (normalizedState === 'Niger') {
-    if (!area) {
-      return {
-        success: false,
-        requiresArea: true,
-        message: 'Niger State has multiple DisCos. Please specify your area.',
-        areas: [...NIGER_AREAS.AEDC, ...NIGER_AREAS.IBEDC],
-      };
-    }
-    
-    const normalizedArea = area.trim();
-    
-    if (NIGER_AREAS.AEDC.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'AEDC', fullName: 'Abuja Electricity Distribution Company' };
-    }
-    
-    if (NIGER_AREAS.IBEDC.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'IBEDC', fullName: 'Ibadan Electricity Distribution Company' };
-    }
-    
-    // Default to AEDC for unknown Niger areas
-    return { success: true, disco: 'AEDC', fullName: 'Abuja Electricity Distribution Company', assumed: true };
-  }
-  
-  if (normalizedState === 'Kogi') {
-    if (!area) {
-      return {
-        success: false,
-        requiresArea: true,
-        message: 'Kogi State has multiple DisCos. Please specify your area.',
-        areas: [...KOGI_AREAS.AEDC, ...KOGI_AREAS.IBEDC],
-      };
-    }
-    
-    const normalizedArea = area.trim();
-    
-    if (KOGI_AREAS.AEDC.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'AEDC', fullName: 'Abuja Electricity Distribution Company' };
-    }
-    
-    if (KOGI_AREAS.IBEDC.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'IBEDC', fullName: 'Ibadan Electricity Distribution Company' };
-    }
-    
-    // Default to AEDC
-    return { success: true, disco: 'AEDC', fullName: 'Abuja Electricity Distribution Company', assumed: true };
-  }
-  
-  if (normalizedState === 'Ekiti') {
-    if (!area) {
-      return { success: true, disco: 'BEDC', fullName: 'Benin Electricity Distribution Company' };
-    }
-    
-    const normalizedArea = area.trim();
-    
-    if (EKITI_AREAS.IE.some(a => normalizedArea.toLowerCase().includes(a.toLowerCase()))) {
-      return { success: true, disco: 'IE', fullName: 'Ikeja Electric' };
-    }
-    
-    return { success: true, disco: 'BEDC', fullName: 'Benin Electricity Distribution Company' };
-  }
-  
-  if (normalizedState === 'Ogun') {
-    if (!area) {
-      return { success: true, disco: 'IBEDC', fullName: 'Ibadan Electricity Distribution Company' };
-    }
-    
-    const normalizedArea = area.trim();
-    
-    if (normalizedArea.toLowerCase().includes('agbara')) {
-      return { success: true, disco: 'EKEDP', fullName: 'Eko Electricity Distribution Company' };
-    }
-    
-    return { success: true, disco: 'IBEDC', fullName: 'Ibadan Electricity Distribution Company' };
+  const result = resolveCoverage(state, area);
+  if (!result.success) {
+    return result;
   }
-  
-  // Single-DisCo states
-  const disco = STATE_TO_DISCO[normalizedState];
-  
-  if (disco) {
-    const discoInfo = DISCO_LIST.find(d => d.code === disco);
-    return {
-      success: true,
-      disco: disco,
-      fullName: discoInfo ? discoInfo.name : disco,
-    };
+
+  const discoInfo = DISCO_LIST.find((d) => d.code === result.disco);
+  return {
+    ...result,
+    fullName: discoInfo ? discoInfo.name : result.disco,
+  };
+}
+
+/**
+ * Lookup DisCo from GPS coordinates
+ * 
+ * Point-in-polygon against the bundled service areas; same result format
+ * as lookupDisco, plus the band where the polygon data has one.
+ * 
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @return {Object} lookupDisco's result plus suggestedBand (or null), with
+ *   matchType 'gps', or { success: false, message } outside known areas
+ */
+function lookupDiscoByLocation(lat, lng) {
+  const result = resolveServiceArea(lat, lng);
+  if (!result.success) {
+    return result;
   }
-  
+
+  const discoInfo = DISCO_LIST.find((d) => d.code === result.disco);
   return {
-    success: false,
-    message: 'State not found. Please check spelling or select manually.',
+    ...result,
+    fullName: discoInfo ? discoInfo.name : result.disco,
   };
 }
 
@@ -331,7 +118,7 @@ function estimateBand(disco, area) {
     'Asokoro', 'Maitama', 'Wuse 2', 'Garki', 'Central Area',
   ];
   
-  if (highSupplyAreas.some(a => area.toLowerCase().includes(a.toLowerCase()))) {
+  if (highSupplyAreas.some((a) => area.toLowerCase().includes(a.toLowerCase()))) {
     return 'B'; // Assume Band B (16 hours)
   }
   
@@ -357,6 +144,46 @@ function getAllBands() {
   return TARIFF_BANDS;
 }
 
+/**
+ * Match a state name to its canonical spelling
+ * 
+ * @param {string} state - State name or alias, any case, optional " State"
+ *   suffix, small typos allowed
+ * @return {string|null} Canonical name (e.g. 'Akwa Ibom') or null if unknown
+ */
+function normalizeState(state) {
+  const match = findState(state);
+  return match ? match.state.name : null;
+}
+
+/**
+ * Get all states (36 + FCT) with the DisCos serving them
+ * 
+ * @return {Array} { name, discos, requiresArea, hasAreas }, sorted by name
+ */
+function getAllStates() {
+  return getCoverageStates()
+    .map((state) => ({
+      name: state.name,
+      discos: state.discos,
+      requiresArea: state.requiresArea,
+      hasAreas: state.areas.length > 0,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the known areas of a state
+ * 
+ * @param {string} state - Canonical state name (see normalizeState)
+ * @return {Array|null} { name, disco, lga, businessUnit } per area ([] if
+ *   the dataset lists none), or null if the state is unknown
+ */
+function getStateAreas(state) {
+  const entry = getCoverageStates().find((s) => s.name === state);
+  return entry ? entry.areas : null;
+}
+
 /**
  * Validate DisCo code
  * 
@@ -364,7 +191,7 @@ function getAllBands() {
  * @return {boolean} True if valid DisCo
  */
 function isValidDisco(disco) {
-  return DISCO_LIST.some(d => d.code === disco);
+  return DISCO_LIST.some((d) => d.code === disco);
 }
 
 /**
@@ -374,7 +201,7 @@ function isValidDisco(disco) {
  * @return {boolean} True if valid band
  */
 function isValidBand(band) {
-  return band in TARIFF_BANDS;
+  return Object.prototype.hasOwnProperty.call(TARIFF_BANDS, band);
 }
 
 /**
@@ -389,12 +216,17 @@ function getSupplyHours(band) {
 
 module.exports = {
   lookupDisco,
+  lookupDiscoByLocation,
   estimateBand,
   getAllDiscos,
   getAllBands,
+  getAllStates,
+  getStateAreas,
+  normalizeState,
   isValidDisco,
   isValidBand,
   getSupplyHours,
   DISCO_LIST,
   TARIFF_BANDS,
+  COVERAGE_VERSION,
 };
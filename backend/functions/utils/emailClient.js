@@ -1,8 +1,52 @@
 /**
- * EMAIL CLIENT - TEST MODE
- * This version doesn't crash if SendGrid credentials are missing
+ * EMAIL CLIENT
+ *
+ * Single entry point for transactional email. Callers name a template and
+ * a locale; the copy comes from utils/emailTemplates.js and the provider
+ * is picked from configuration, so adapters can be swapped without
+ * touching endpoints.
+ *
+ * CONFIGURATION:
+ * - EMAIL_PROVIDER      Provider name (default: sendgrid), e.g. "local" for
+ *                       the emulator
+ * - EMAIL_LOCAL_OUTBOX  Outbox file of the local provider
+ * Outside production, a missing or unconfigured provider falls back to the
+ * local stand-in.
+ *
+ * PROVIDER INTERFACE:
+ * {
+ *   name: string,
+ *   isConfigured(): boolean,
+ *   send({ to, subject, html, text, template, locale, uid }): Promise<SendResult>,
+ * }
+ *
+ * SendResult: { success, messageId?, provider, error?, message? }
+ *
+ * MAIL LOG:
+ * Every send attempt is recorded in mail_log (backend-only, see
+ * firestore.rules) with the provider message ID, template, locale, masked
+ * recipient and outcome. Email bodies are never stored.
  */
 
+const admin = require('../admin');
+const { renderTemplate, EMAIL_TEMPLATES } = require('./emailTemplates');
+const { sendgridEmailProvider } = require('./sendgridProvider');
+const { localEmailProvider } = require('./localEmailProvider');
+const { isProduction } = require('./testMode');
+const { DISCO_LIST } = require('./discoLookup');
+const { DEFAULT_OTP_POLICY } = require('./otpPolicy');
+
+const DEFAULT_PROVIDER = 'sendgrid';
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Mask an email address for logs
+ *
+ * @param {string} email - Email address
+ * @return {string} e.g. a***e@example.com
+ */
 function maskEmail(email) {
   if (!email || !email.includes('@')) {
     return '***INVALID***';
@@ -15,39 +59,225 @@ function maskEmail(email) {
   return `${maskedLocal}@${domain}`;
 }
 
-async function sendWelcomeEmail(toEmail, userName) {
-  const maskedEmail = maskEmail(toEmail);
-  
-  console.log(`[SendGrid] TEST MODE - Would send welcome email to ${maskedEmail}`);
-  console.log(`[SendGrid] TEST MODE - User: ${userName}`);
-  
-  return {
-    success: true,
-    messageId: `MSG_TEST_${Date.now()}`,
-  };
-}
-
-async function sendPasswordResetEmail(toEmail, userName, otp) {
-  const maskedEmail = maskEmail(toEmail);
-  
-  console.log(`[SendGrid] TEST MODE - Would send password reset email to ${maskedEmail}`);
-  console.log(`[SendGrid] TEST MODE - OTP: ${otp}`);
-  
-  return {
-    success: true,
-    messageId: `MSG_TEST_${Date.now()}`,
-  };
-}
-
-const EMAIL_TEMPLATES = {
-  welcome: {
-    subject: 'Welcome to UnitWise',
-  },
-};
+/**
+ * Register an email provider
+ *
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.send !== 'function') {
+    throw new Error('Email provider must have a name and send()');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider by name
+ *
+ * @param {string} name - Provider name
+ * @return {Object|null} Provider or null if not registered
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Resolve the configured email provider
+ *
+ * @return {Object|null} Provider or null if it is unknown or has no credentials
+ */
+function resolveProvider() {
+  const name = process.env.EMAIL_PROVIDER || DEFAULT_PROVIDER;
+  const provider = getProvider(name);
+
+  if (!provider) {
+    console.error(`[emailClient] Unknown provider "${name}"`);
+    return null;
+  }
+
+  // SECURITY: The local stand-in records email bodies
+  if (provider === localEmailProvider && isProduction()) {
+    console.error('[emailClient] Local provider cannot be used in production');
+    return null;
+  }
+
+  if (!provider.isConfigured()) {
+    console.warn(`[emailClient] Provider "${name}" is not configured`);
+    return null;
+  }
+
+  return provider;
+}
+
+/**
+ * Record a send attempt in mail_log
+ *
+ * Logging must never fail the send, so errors are only reported.
+ *
+ * @return {Promise<string|null>} Log document ID
+ */
+async function recordMailLog(entry) {
+  try {
+    const ref = admin.firestore().collection('mail_log').doc();
+    await ref.set({
+      ...entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return ref.id;
+  } catch (error) {
+    console.error('[emailClient] Failed to write mail log:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Render and send a templated email
+ *
+ * @param {string} to - Recipient email address
+ * @param {string} templateName - Key of EMAIL_TEMPLATES
+ * @param {Object} options - { locale, variables, uid }
+ * @return {Promise<Object>} SendResult plus locale and logId
+ */
+async function sendEmail(to, templateName, options = {}) {
+  const rendered = renderTemplate(templateName, options.locale, options.variables || {});
+  const maskedEmail = maskEmail(to);
+
+  let provider = resolveProvider();
+
+  if (!provider && !isProduction()) {
+    console.log('[emailClient] No configured provider, using local provider');
+    provider = localEmailProvider;
+  }
+
+  let result;
+  if (provider) {
+    result = await provider.send({
+      to: to,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      template: templateName,
+      locale: rendered.locale,
+      uid: options.uid || null,
+    });
+  } else {
+    result = {
+      success: false,
+      error: 'PROVIDER_NOT_CONFIGURED',
+      message: 'Unable to send email. Please try again later.',
+      provider: null,
+    };
+  }
+
+  const logId = await recordMailLog({
+    uid: options.uid || null,
+    to: maskedEmail,
+    template: templateName,
+    locale: rendered.locale,
+    provider: result.provider || null,
+    messageId: result.messageId || null,
+    status: result.success ? 'sent' : 'failed',
+    error: result.success ? null : String(result.error),
+  });
+
+  if (result.success) {
+    console.log(`[emailClient] ${templateName} email sent to ${maskedEmail} via ${result.provider}`);
+  } else {
+    console.error(`[emailClient] ${templateName} email to ${maskedEmail} failed: ${result.error}`);
+  }
+
+  return { ...result, locale: rendered.locale, logId: logId };
+}
+
+/**
+ * Display name of a DisCo code, or the value as given
+ */
+function discoName(disco) {
+  const match = DISCO_LIST.find((entry) => entry.code === disco);
+  return match ? match.name : disco;
+}
+
+/**
+ * Send the welcome email
+ *
+ * Callers must pass a verified address (see getVerifiedEmail in
+ * utils/emailVerification.js).
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {string} userName - User's name
+ * @param {Object} options - { locale, disco (code or name), band, uid }
+ * @return {Promise<Object>} SendResult
+ */
+async function sendWelcomeEmail(toEmail, userName, options = {}) {
+  return sendEmail(toEmail, 'welcome', {
+    locale: options.locale,
+    uid: options.uid,
+    variables: {
+      name: userName,
+      disco: options.disco ? discoName(options.disco) : null,
+      band: options.band || null,
+    },
+  });
+}
+
+/**
+ * Send a password reset code by email
+ *
+ * Callers must pass a verified address (see getVerifiedEmail in
+ * utils/emailVerification.js).
+ *
+ * @param {string} toEmail - Recipient email address
+ * @param {string} userName - User's name
+ * @param {string} otp - Reset code (NEVER logged here)
+ * @param {Object} options - { locale, uid, ttlMinutes }
+ * @return {Promise<Object>} SendResult
+ */
+async function sendPasswordResetEmail(toEmail, userName, otp, options = {}) {
+  return sendEmail(toEmail, 'password_reset', {
+    locale: options.locale,
+    uid: options.uid,
+    variables: {
+      name: userName,
+      otp: otp,
+      ttlMinutes: options.ttlMinutes || DEFAULT_OTP_POLICY.ttlMinutes,
+    },
+  });
+}
+
+/**
+ * Send an email verification code
+ *
+ * The only email sent to an address before it is verified.
+ *
+ * @param {string} toEmail - Address being verified
+ * @param {string} userName - User's name
+ * @param {string} otp - Verification code (NEVER logged here)
+ * @param {Object} options - { locale, uid, ttlMinutes }
+ * @return {Promise<Object>} SendResult
+ */
+async function sendVerificationEmail(toEmail, userName, otp, options = {}) {
+  return sendEmail(toEmail, 'email_verification', {
+    locale: options.locale,
+    uid: options.uid,
+    variables: {
+      name: userName,
+      otp: otp,
+      ttlMinutes: options.ttlMinutes || DEFAULT_OTP_POLICY.ttlMinutes,
+    },
+  });
+}
+
+registerProvider(sendgridEmailProvider);
+registerProvider(localEmailProvider);
 
 module.exports = {
+  sendEmail,
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendVerificationEmail,
+  registerProvider,
+  getProvider,
+  resolveProvider,
   maskEmail,
   EMAIL_TEMPLATES,
 };
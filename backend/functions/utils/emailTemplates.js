@@ -0,0 +1,345 @@
+/**
+ * EMAIL TEMPLATES
+ *
+ * Transactional email copy in every language the app supports, rendered to
+ * a subject, an HTML body and a plain-text body.
+ *
+ * LOCALES:
+ * - en   English (default, and the fallback for anything missing)
+ * - pcm  Nigerian Pidgin
+ * - yo   Yoruba
+ * - ha   Hausa
+ * - ig   Igbo
+ *
+ * TEMPLATE SHAPE (per locale):
+ * {
+ *   subject: string,
+ *   heading: string,
+ *   body: Array<string | { code: variableName }>,
+ *   footer: string,
+ * }
+ *
+ * VARIABLES:
+ * {{name}}, {{disco}}, {{band}}, {{otp}}, {{ttlMinutes}}. Values are HTML
+ * escaped in the HTML body. A body paragraph that uses a variable with no
+ * value is left out, so "Your meter is set up for {{disco}}" only appears
+ * when the DisCo is known.
+ */
+
+const LOCALES = ['en', 'pcm', 'yo', 'ha', 'ig'];
+const DEFAULT_LOCALE = 'en';
+
+const BRAND_COLOR = '#1565C0';
+
+const EMAIL_TEMPLATES = {
+  welcome: {
+    en: {
+      subject: 'Welcome to UnitWise, {{name}}',
+      heading: 'Welcome, {{name}}!',
+      body: [
+        'Thanks for joining UnitWise. You can now log your token purchases and see how long your units will last.',
+        'Your meter is set up for {{disco}}, Band {{band}}. You can change this any time in Settings.',
+        'Tip: log every token you buy so your estimates stay accurate.',
+      ],
+      footer: 'You are receiving this email because you created a UnitWise account.',
+    },
+    pcm: {
+      subject: 'Welcome to UnitWise, {{name}}',
+      heading: 'Welcome, {{name}}!',
+      body: [
+        'Thank you say you join UnitWise. Now you fit dey log the token wey you buy and see how long your units go last.',
+        'We don set your meter for {{disco}}, Band {{band}}. You fit change am anytime for Settings.',
+        'Tip: log every token wey you buy make your estimate dey correct.',
+      ],
+      footer: 'You dey get this email because you open UnitWise account.',
+    },
+    yo: {
+      subject: 'Ẹ kú àbọ̀ sí UnitWise, {{name}}',
+      heading: 'Ẹ kú àbọ̀, {{name}}!',
+      body: [
+        'A dúpẹ́ pé ẹ darapọ̀ mọ́ UnitWise. Ẹ lè máa ṣe àkọsílẹ̀ token tí ẹ rà báyìí, kí ẹ sì rí bí units yín ṣe máa pẹ́ tó.',
+        'A ti ṣètò mita yín fún {{disco}}, Band {{band}}. Ẹ lè yí i padà nígbàkigbà ní Settings.',
+        'Ìmọ̀ràn: ẹ máa ṣe àkọsílẹ̀ gbogbo token tí ẹ bá rà kí ìṣirò yín lè péye.',
+      ],
+      footer: 'Ẹ ń gba lẹ́tà yìí nítorí pé ẹ ṣí àkọọ́lẹ̀ UnitWise.',
+    },
+    ha: {
+      subject: 'Barka da zuwa UnitWise, {{name}}',
+      heading: 'Barka da zuwa, {{name}}!',
+      body: [
+        'Mun gode da shiga UnitWise. Yanzu za ku iya rubuta token da kuka saya kuma ku ga tsawon lokacin da units ɗinku za su ɗauka.',
+        'An saita mitar ku don {{disco}}, Band {{band}}. Kuna iya canza wannan a kowane lokaci a Settings.',
+        'Shawara: ku rubuta kowane token da kuka saya domin ƙididdigar ku ta kasance daidai.',
+      ],
+      footer: 'Kuna karɓar wannan imel ne saboda kun buɗe asusun UnitWise.',
+    },
+    ig: {
+      subject: 'Nnọọ na UnitWise, {{name}}',
+      heading: 'Nnọọ, {{name}}!',
+      body: [
+        'Daalụ maka isonyere UnitWise. Ugbu a ị nwere ike idebe token ị zụtara ma hụ ogologo oge units gị ga-adị.',
+        'Edoziela mita gị maka {{disco}}, Band {{band}}. Ị nwere ike ịgbanwe ya mgbe ọ bụla na Settings.',
+        'Ndụmọdụ: debe token ọ bụla ị zụtara ka atụmatụ gị bụrụ nke ziri ezi.',
+      ],
+      footer: 'Ị na-anata ozi-e a n\'ihi na ị mepere akaụntụ UnitWise.',
+    },
+  },
+
+  email_verification: {
+    en: {
+      subject: 'Confirm your email for UnitWise',
+      heading: 'Confirm your email',
+      body: [
+        'Hi {{name}}, enter this code in the UnitWise app to confirm this is your email address:',
+        { code: 'otp' },
+        'The code expires in {{ttlMinutes}} minutes. If you did not add this email to a UnitWise account, ignore this email.',
+      ],
+      footer: 'You are receiving this email because this address was added to a UnitWise account.',
+    },
+    pcm: {
+      subject: 'Confirm your email for UnitWise',
+      heading: 'Confirm your email',
+      body: [
+        'Hello {{name}}, put this code for UnitWise app make we know say na your email be this:',
+        { code: 'otp' },
+        'The code go expire after {{ttlMinutes}} minutes. If no be you add this email to UnitWise account, just ignore this email.',
+      ],
+      footer: 'You dey get this email because person add this address to UnitWise account.',
+    },
+    yo: {
+      subject: 'Ẹ jẹ́rìí sí ímeèlì yín fún UnitWise',
+      heading: 'Ẹ jẹ́rìí sí ímeèlì yín',
+      body: [
+        'Ẹ n lẹ́ o {{name}}, ẹ tẹ kóòdù yìí sínú áàpù UnitWise láti fi hàn pé ímeèlì yín ni èyí:',
+        { code: 'otp' },
+        'Kóòdù yìí yóò parí lẹ́yìn ìṣẹ́jú {{ttlMinutes}}. Tí kì í bá ṣe ẹ̀yin ló fi ímeèlì yìí kún àkọọ́lẹ̀ UnitWise, ẹ fojú fo lẹ́tà yìí.',
+      ],
+      footer: 'Ẹ ń gba lẹ́tà yìí nítorí pé wọ́n fi àdírẹ́sì yìí kún àkọọ́lẹ̀ UnitWise kan.',
+    },
+    ha: {
+      subject: 'Tabbatar da imel ɗinku don UnitWise',
+      heading: 'Tabbatar da imel ɗinku',
+      body: [
+        'Sannu {{name}}, shigar da wannan lambar a manhajar UnitWise don tabbatar da cewa wannan imel ɗinku ne:',
+        { code: 'otp' },
+        'Lambar za ta ƙare bayan minti {{ttlMinutes}}. Idan ba ku ne kuka ƙara wannan imel a asusun UnitWise ba, ku yi watsi da wannan imel.',
+      ],
+      footer: 'Kuna karɓar wannan imel ne saboda an ƙara wannan adireshin a asusun UnitWise.',
+    },
+    ig: {
+      subject: 'Kwado ozi-e gị maka UnitWise',
+      heading: 'Kwado ozi-e gị',
+      body: [
+        'Ndewo {{name}}, tinye koodu a n\'ime ngwa UnitWise iji gosi na nke a bụ adreesị ozi-e gị:',
+        { code: 'otp' },
+        'Koodu a ga-agwụ mgbe nkeji {{ttlMinutes}} gachara. Ọ bụrụ na ọ bụghị gị tinyere ozi-e a na akaụntụ UnitWise, leghara ozi-e a anya.',
+      ],
+      footer: 'Ị na-anata ozi-e a n\'ihi na etinyere adreesị a na akaụntụ UnitWise.',
+    },
+  },
+
+  password_reset: {
+    en: {
+      subject: 'Your UnitWise password reset code',
+      heading: 'Reset your password',
+      body: [
+        'Hi {{name}}, use this code to reset your UnitWise password:',
+        { code: 'otp' },
+        'The code expires in {{ttlMinutes}} minutes. If you did not ask to reset your password, ignore this email - your password will not change.',
+        'Never share this code with anyone. UnitWise staff will never ask for it.',
+      ],
+      footer: 'You are receiving this email because a password reset was requested for your UnitWise account.',
+    },
+    pcm: {
+      subject: 'Your UnitWise password reset code',
+      heading: 'Reset your password',
+      body: [
+        'Hello {{name}}, use this code take reset your UnitWise password:',
+        { code: 'otp' },
+        'The code go expire after {{ttlMinutes}} minutes. If no be you ask for password reset, just ignore this email - your password no go change.',
+        'No ever share this code with anybody. UnitWise staff no go ever ask you for am.',
+      ],
+      footer: 'You dey get this email because person ask make dem reset the password for your UnitWise account.',
+    },
+    yo: {
+      subject: 'Kóòdù àtúntò ọ̀rọ̀ aṣínà UnitWise yín',
+      heading: 'Ẹ tún ọ̀rọ̀ aṣínà yín ṣe',
+      body: [
+        'Ẹ n lẹ́ o {{name}}, ẹ lo kóòdù yìí láti tún ọ̀rọ̀ aṣínà UnitWise yín ṣe:',
+        { code: 'otp' },
+        'Kóòdù yìí yóò parí lẹ́yìn ìṣẹ́jú {{ttlMinutes}}. Tí kì í bá ṣe ẹ̀yin ló béèrè, ẹ fojú fo lẹ́tà yìí - ọ̀rọ̀ aṣínà yín kò ní yí padà.',
+        'Ẹ má ṣe fi kóòdù yìí han ẹnikẹ́ni. Òṣìṣẹ́ UnitWise kò ní béèrè fún un láé.',
+      ],
+      footer: 'Ẹ ń gba lẹ́tà yìí nítorí pé wọ́n béèrè àtúntò ọ̀rọ̀ aṣínà fún àkọọ́lẹ̀ UnitWise yín.',
+    },
+    ha: {
+      subject: 'Lambar sake saita kalmar sirri ta UnitWise',
+      heading: 'Sake saita kalmar sirrinku',
+      body: [
+        'Sannu {{name}}, yi amfani da wannan lambar don sake saita kalmar sirrin UnitWise ɗinku:',
+        { code: 'otp' },
+        'Lambar za ta ƙare bayan minti {{ttlMinutes}}. Idan ba ku ne kuka nemi wannan ba, ku yi watsi da wannan imel - kalmar sirrinku ba za ta canza ba.',
+        'Kada ku taɓa bayyana wannan lambar ga kowa. Ma\'aikatan UnitWise ba za su taɓa neman ta ba.',
+      ],
+      footer: 'Kuna karɓar wannan imel ne saboda an nemi sake saita kalmar sirri don asusun UnitWise ɗinku.',
+    },
+    ig: {
+      subject: 'Koodu maka ịtọgharị paswọọdụ UnitWise gị',
+      heading: 'Tọgharịa paswọọdụ gị',
+      body: [
+        'Ndewo {{name}}, jiri koodu a tọgharịa paswọọdụ UnitWise gị:',
+        { code: 'otp' },
+        'Koodu a ga-agwụ mgbe nkeji {{ttlMinutes}} gachara. Ọ bụrụ na ọ bụghị gị rịọrọ ya, leghara ozi-e a anya - paswọọdụ gị agaghị agbanwe.',
+        'Egosila onye ọ bụla koodu a. Ndị ọrụ UnitWise agaghị arịọ gị ya.',
+      ],
+      footer: 'Ị na-anata ozi-e a n\'ihi na a rịọrọ ịtọgharị paswọọdụ maka akaụntụ UnitWise gị.',
+    },
+  },
+};
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Normalise a language tag to a supported locale
+ *
+ * @param {string} locale - e.g. 'yo', 'yo-NG', 'en_NG'
+ * @return {string} Supported locale, DEFAULT_LOCALE when unknown
+ */
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return DEFAULT_LOCALE;
+  }
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Escape a value for HTML text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * True when a variable has something to show
+ */
+function hasValue(variables, key) {
+  const value = variables[key];
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Replace {{variables}} in a string
+ *
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable values
+ * @param {Function} encode - Applied to each value (escapeHtml or String)
+ * @return {string} Rendered text
+ */
+function interpolate(text, variables, encode) {
+  return text.replace(VARIABLE_PATTERN, (match, key) => (hasValue(variables, key) ? encode(variables[key]) : ''));
+}
+
+/**
+ * Body paragraphs whose variables all have values
+ */
+function visibleBody(body, variables) {
+  return body.filter((item) => {
+    if (typeof item !== 'string') {
+      return hasValue(variables, item.code);
+    }
+    const keys = Array.from(item.matchAll(VARIABLE_PATTERN), (match) => match[1]);
+    return keys.every((key) => hasValue(variables, key));
+  });
+}
+
+/**
+ * Wrap rendered content in the UnitWise email layout
+ */
+function buildHtml(locale, subject, heading, paragraphs, footer) {
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${locale}">`,
+    '<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${subject}</title></head>`,
+    '<body style="margin:0;padding:0;background:#f4f6f8;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">',
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0;">',
+    '<tr><td align="center">',
+    '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" ' +
+      'style="max-width:560px;background:#ffffff;border-radius:8px;padding:32px;">',
+    `<tr><td style="font-size:20px;font-weight:bold;color:${BRAND_COLOR};padding-bottom:16px;">UnitWise</td></tr>`,
+    `<tr><td style="font-size:18px;font-weight:bold;padding-bottom:16px;">${heading}</td></tr>`,
+    ...paragraphs.map((paragraph) => `<tr><td style="font-size:15px;line-height:22px;padding-bottom:12px;">${paragraph}</td></tr>`),
+    `<tr><td style="font-size:12px;line-height:18px;color:#6b7785;padding-top:16px;">${footer}</td></tr>`,
+    '</table>',
+    '</td></tr>',
+    '</table>',
+    '</body>',
+    '</html>',
+  ].join('\n');
+}
+
+/**
+ * Render a template
+ *
+ * @param {string} templateName - Key of EMAIL_TEMPLATES
+ * @param {string} locale - Language tag (see normalizeLocale)
+ * @param {Object} variables - { name, disco, band, otp, ttlMinutes, ... }
+ * @return {Object} { subject, html, text, locale }
+ */
+function renderTemplate(templateName, locale, variables = {}) {
+  const template = EMAIL_TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template "${templateName}"`);
+  }
+
+  const resolvedLocale = normalizeLocale(locale);
+  const copy = template[resolvedLocale] || template[DEFAULT_LOCALE];
+  const body = visibleBody(copy.body, variables);
+
+  const subject = interpolate(copy.subject, variables, String);
+
+  const htmlParagraphs = body.map((item) => {
+    if (typeof item === 'string') {
+      return interpolate(item, variables, escapeHtml);
+    }
+    return `<span style="display:inline-block;font-size:28px;font-weight:bold;letter-spacing:6px;` +
+      `padding:12px 20px;background:#eef3fb;border-radius:6px;">${escapeHtml(variables[item.code])}</span>`;
+  });
+
+  const textParagraphs = body.map((item) => (
+    typeof item === 'string' ? interpolate(item, variables, String) : `    ${variables[item.code]}`
+  ));
+
+  return {
+    subject: subject,
+    html: buildHtml(
+      resolvedLocale,
+      escapeHtml(subject),
+      interpolate(copy.heading, variables, escapeHtml),
+      htmlParagraphs,
+      escapeHtml(copy.footer)
+    ),
+    text: [
+      interpolate(copy.heading, variables, String),
+      ...textParagraphs,
+      '--',
+      copy.footer,
+    ].join('\n\n') + '\n',
+    locale: resolvedLocale,
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  normalizeLocale,
+  escapeHtml,
+  EMAIL_TEMPLATES,
+  LOCALES,
+  DEFAULT_LOCALE,
+};
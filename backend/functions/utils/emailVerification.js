@@ -0,0 +1,131 @@
+/**
+ * EMAIL VERIFICATION
+ *
+ * Proves a user controls the optional profile email before UnitWise sends
+ * anything else to it. A code is emailed through utils/emailClient.js and
+ * checked with the OTP session service (purpose email_verification, bound
+ * to the account's phone and uid).
+ *
+ * VERIFIED STATE (users/{uid}):
+ * - email_verified: true
+ * - email_verified_address: the address that was verified
+ * - email_verified_at: Timestamp
+ * Firebase Auth gets the same address with emailVerified: true.
+ *
+ * Clients may still edit users/{uid}.email (see firestore.rules) but not
+ * these fields, so an edited address counts as unverified until it is
+ * verified again. Always go through getVerifiedEmail() before sending
+ * welcome, reset or any other email.
+ */
+
+const admin = require('../admin');
+const { sendVerificationEmail } = require('./emailClient');
+const { getTestOtp, canExposeOtp, buildTestDeliveryResult } = require('./testMode');
+const { getOtpPolicy } = require('./otpPolicy');
+const { generateSecureOTP, createOtpSession } = require('./otpSessions');
+const { buildAuditEntry } = require('./auditLog');
+
+/**
+ * Compare-friendly form of an email address
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/**
+ * The profile email, if it has been verified
+ *
+ * @param {Object} profile - users/{uid} data
+ * @return {string|null} Verified address or null
+ */
+function getVerifiedEmail(profile) {
+  if (!profile || !profile.email || profile.email_verified !== true) {
+    return null;
+  }
+  return normalizeEmail(profile.email_verified_address) === normalizeEmail(profile.email) ? profile.email : null;
+}
+
+/**
+ * Generate, email and store an email_verification code
+ *
+ * @param {Object} params - { uid, phone, email, name, locale }
+ * @return {Promise<Object>} { success: true, sessionId, otp, exposeOtp, expiresIn } or
+ *   { success: false, error, message }
+ */
+async function startEmailVerification({ uid, phone, email, name, locale }) {
+  // SECURITY: Plaintext code only leaves this function for test numbers or the emulator
+  const testOtp = getTestOtp(phone);
+  const policy = await getOtpPolicy();
+  const otp = testOtp || generateSecureOTP(policy.length);
+  const session = await createOtpSession('email_verification', phone, otp, { uid: uid, email: email });
+
+  const deliveryResult = testOtp ?
+    buildTestDeliveryResult('email') :
+    await sendVerificationEmail(email, name, otp, { locale: locale, uid: uid, ttlMinutes: policy.ttlMinutes });
+
+  if (!deliveryResult.success) {
+    return { success: false, error: deliveryResult.error, message: deliveryResult.message };
+  }
+
+  await session.ref.set({
+    ...session.data,
+    messageSid: deliveryResult.messageSid || deliveryResult.messageId || null,
+    deliveryProvider: deliveryResult.provider,
+    deliveredChannel: 'email',
+  });
+
+  return {
+    success: true,
+    sessionId: session.id,
+    otp: otp,
+    exposeOtp: canExposeOtp(phone),
+    expiresIn: policy.ttlMinutes * 60,
+  };
+}
+
+/**
+ * Mark an address verified in Auth and users/{uid}, with an audit entry
+ *
+ * Auth cannot join a Firestore transaction, so Auth is updated first and
+ * restored if the Firestore write fails.
+ *
+ * @param {Object} req - Request (for the audit entry)
+ * @param {string} uid - Firebase Auth uid
+ * @param {string} email - Verified address
+ */
+async function markEmailVerified(req, uid, email) {
+  const previous = await admin.auth().getUser(uid);
+  await admin.auth().updateUser(uid, { email: email, emailVerified: true });
+
+  const db = admin.firestore();
+  const userRef = db.collection('users').doc(uid);
+  const audit = buildAuditEntry('email_verified', uid, { email: email }, req);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      await transaction.get(userRef);
+      transaction.update(userRef, {
+        email_verified: true,
+        email_verified_address: email,
+        email_verified_at: admin.firestore.Timestamp.now(),
+        updated_at: admin.firestore.Timestamp.now(),
+      });
+      transaction.set(audit.ref, audit.data);
+    });
+  } catch (error) {
+    console.error(`[emailVerification] Firestore update failed, restoring Auth email for UID: ${uid}`);
+    const restore = { emailVerified: Boolean(previous.emailVerified) };
+    if (previous.email) {
+      restore.email = previous.email;
+    }
+    await admin.auth().updateUser(uid, restore);
+    throw error;
+  }
+}
+
+module.exports = {
+  getVerifiedEmail,
+  normalizeEmail,
+  startEmailVerification,
+  markEmailVerified,
+};
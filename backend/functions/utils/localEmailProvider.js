@@ -0,0 +1,95 @@
+/**
+ * LOCAL EMAIL PROVIDER
+ *
+ * Stand-in email adapter for the emulator and unit tests. Nothing leaves
+ * the machine: each email is appended as a JSON line to an outbox file so
+ * scripts can read back what was "sent" (e.g. a password reset code).
+ *
+ * SECURITY: Never select this provider in production - it records email
+ * bodies, including reset codes, in plaintext by design.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isEmulator } = require('./testMode');
+
+// In-memory record of sent emails (most recent last)
+const outbox = [];
+
+/**
+ * Resolve the outbox file path
+ *
+ * @return {string} Absolute path of the JSON lines outbox
+ */
+function getOutboxPath() {
+  return process.env.EMAIL_LOCAL_OUTBOX || path.join(os.tmpdir(), 'unitwise-email-outbox.jsonl');
+}
+
+const localEmailProvider = {
+  name: 'local',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @param {Object} message - { to, subject, html, text, template, locale }
+   * @return {Promise<Object>} Send result
+   */
+  async send(message) {
+    const record = {
+      messageId: `LOCAL_EMAIL_${Date.now()}_${outbox.length}`,
+      to: message.to,
+      template: message.template,
+      locale: message.locale,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      sentAt: new Date().toISOString(),
+    };
+
+    outbox.push(record);
+
+    // SECURITY: Email text (may contain a reset code) only reaches the console in the emulator
+    if (isEmulator()) {
+      console.log(`[LocalEmail] "${message.subject}"\n${message.text}`);
+    } else {
+      console.log(`[LocalEmail] ${message.template} email written to outbox`);
+    }
+
+    try {
+      fs.appendFileSync(getOutboxPath(), `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      console.error('[LocalEmail] Failed to write outbox file:', error.message);
+    }
+
+    return {
+      success: true,
+      messageId: record.messageId,
+      provider: this.name,
+    };
+  },
+};
+
+/**
+ * Get emails recorded by the local provider
+ *
+ * @return {Array} Sent email records
+ */
+function getSentEmails() {
+  return outbox.slice();
+}
+
+/**
+ * Clear the in-memory outbox (tests)
+ */
+function clearSentEmails() {
+  outbox.length = 0;
+}
+
+module.exports = {
+  localEmailProvider,
+  getSentEmails,
+  clearSentEmails,
+};
@@ -0,0 +1,110 @@
+/**
+ * LOCAL OTP PROVIDER
+ *
+ * Stand-in delivery adapter for the emulator and unit tests. Nothing leaves
+ * the machine: each message is printed to the console and appended as a JSON
+ * line to an outbox file so scripts can read back the code that was "sent".
+ *
+ * SECURITY: Never select this provider in production - it records OTPs
+ * in plaintext by design.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { maskPhoneNumber } = require('./twilioClient');
+const { isEmulator } = require('./testMode');
+
+// In-memory record of sent messages (most recent last)
+const outbox = [];
+
+/**
+ * Resolve the outbox file path
+ *
+ * @return {string} Absolute path of the JSON lines outbox
+ */
+function getOutboxPath() {
+  return process.env.OTP_LOCAL_OUTBOX || path.join(os.tmpdir(), 'unitwise-otp-outbox.jsonl');
+}
+
+const localOtpProvider = {
+  name: 'local',
+  capabilities: {
+    channels: ['sms', 'whatsapp'],
+    deliveryReceipts: false,
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * @param {string} toPhoneNumber - Recipient phone number (E.164 format)
+   * @param {string} otp - OTP code
+   * @param {Object} options - { channel: string, body: string }
+   * @return {Promise<Object>} Send result
+   */
+  async send(toPhoneNumber, otp, options) {
+    const channel = options.channel || 'sms';
+    const record = {
+      messageSid: `LOCAL_${Date.now()}_${outbox.length}`,
+      to: toPhoneNumber,
+      channel: channel,
+      otp: otp,
+      body: options.body,
+      sentAt: new Date().toISOString(),
+    };
+
+    outbox.push(record);
+
+    // SECURITY: Message body (contains the OTP) only reaches the console in the emulator
+    if (isEmulator()) {
+      console.log(`[LocalOtp] ${channel} message to ${maskPhoneNumber(toPhoneNumber)}: ${options.body}`);
+    } else {
+      console.log(`[LocalOtp] ${channel} message to ${maskPhoneNumber(toPhoneNumber)} written to outbox`);
+    }
+
+    try {
+      fs.appendFileSync(getOutboxPath(), `${JSON.stringify(record)}\n`);
+    } catch (error) {
+      console.error('[LocalOtp] Failed to write outbox file:', error.message);
+    }
+
+    return {
+      success: true,
+      messageSid: record.messageSid,
+      status: 'delivered',
+      channel: channel,
+      provider: this.name,
+    };
+  },
+
+  async status(messageSid) {
+    const found = outbox.some((record) => record.messageSid === messageSid);
+    return found ?
+      { success: true, status: 'delivered', errorCode: null } :
+      { success: false, error: 'MESSAGE_NOT_FOUND' };
+  },
+};
+
+/**
+ * Get messages recorded by the local provider
+ *
+ * @return {Array} Sent message records
+ */
+function getSentMessages() {
+  return outbox.slice();
+}
+
+/**
+ * Clear the in-memory outbox (tests)
+ */
+function clearSentMessages() {
+  outbox.length = 0;
+}
+
+module.exports = {
+  localOtpProvider,
+  getSentMessages,
+  clearSentMessages,
+};
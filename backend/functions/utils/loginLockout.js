@@ -0,0 +1,131 @@
+/**
+ * LOGIN LOCKOUT
+ *
+ * Progressive lockout for password login, per phone number. Every
+ * LOGIN_MAX_FAILURES wrong passwords in a row lock the number for the next
+ * step of LOCKOUT_STEPS_MINUTES; the steps reset after a successful login
+ * or a quiet day. Works alongside the rate limiter, which caps requests
+ * per IP and device across many numbers.
+ *
+ * STORAGE:
+ * - Collection: login_lockouts (backend-only, see firestore.rules)
+ * - Document ID: sha256(phone) (no raw phone stored)
+ * - Fields: failures, lockouts, lockedUntil (epoch millis), updatedAt,
+ *   expiresAt (Firestore TTL)
+ *
+ * CONFIGURATION:
+ * - LOGIN_MAX_FAILURES  Wrong passwords before a lockout (default 5)
+ */
+
+const crypto = require('crypto');
+const admin = require('../admin');
+
+const COLLECTION = 'login_lockouts';
+
+// Lockout length for the 1st, 2nd, 3rd... lockout; the last step repeats
+const LOCKOUT_STEPS_MINUTES = [1, 5, 15, 60, 240];
+
+// Failure history is forgotten after this long without a failure
+const HISTORY_HOURS = 24;
+
+/**
+ * Wrong passwords allowed before a lockout
+ */
+function getMaxFailures() {
+  const max = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+  return max > 0 ? max : 5;
+}
+
+/**
+ * Check whether stored history is past its expiry (TTL deletion can lag)
+ */
+function isExpired(data, now) {
+  if (!data.expiresAt) {
+    return false;
+  }
+  const expiresAt = data.expiresAt.toMillis ? data.expiresAt.toMillis() : new Date(data.expiresAt).getTime();
+  return expiresAt <= now;
+}
+
+/**
+ * Lockout document for a phone number
+ */
+function lockoutRef(phone) {
+  const digest = crypto.createHash('sha256').update(phone).digest('hex').slice(0, 32);
+  return admin.firestore().collection(COLLECTION).doc(digest);
+}
+
+/**
+ * Check whether a phone number is currently locked out
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {Promise<Object>} { locked: boolean, retryAfterSeconds? }
+ */
+async function getLockout(phone) {
+  const doc = await lockoutRef(phone).get();
+  const lockedUntil = doc.exists ? doc.data().lockedUntil || 0 : 0;
+  const now = Date.now();
+
+  if (lockedUntil > now) {
+    return { locked: true, retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+  }
+  return { locked: false };
+}
+
+/**
+ * Record a wrong password, locking the number when the limit is reached
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {Promise<Object>} { locked: true, retryAfterSeconds } or { locked: false, attemptsRemaining }
+ */
+async function recordFailure(phone) {
+  const db = admin.firestore();
+  const ref = lockoutRef(phone);
+  const maxFailures = getMaxFailures();
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    const now = Date.now();
+    const data = doc.exists && !isExpired(doc.data(), now) ? doc.data() : {};
+
+    const failures = (data.failures || 0) + 1;
+    let lockouts = data.lockouts || 0;
+    let lockedUntil = null;
+
+    if (failures >= maxFailures) {
+      const step = Math.min(lockouts, LOCKOUT_STEPS_MINUTES.length - 1);
+      lockedUntil = now + LOCKOUT_STEPS_MINUTES[step] * 60 * 1000;
+      lockouts += 1;
+    }
+
+    transaction.set(ref, {
+      failures: lockedUntil ? 0 : failures,
+      lockouts: lockouts,
+      lockedUntil: lockedUntil,
+      updatedAt: new Date(now),
+      expiresAt: new Date(Math.max(lockedUntil || 0, now) + HISTORY_HOURS * 60 * 60 * 1000),
+    });
+
+    if (lockedUntil) {
+      return { locked: true, retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000) };
+    }
+    return { locked: false, attemptsRemaining: maxFailures - failures };
+  });
+}
+
+/**
+ * Forget failures after a successful login
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {Promise<void>}
+ */
+async function clearLockout(phone) {
+  await lockoutRef(phone).delete();
+}
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  clearLockout,
+  LOCKOUT_STEPS_MINUTES,
+};
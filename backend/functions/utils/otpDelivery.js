@@ -0,0 +1,289 @@
+/**
+ * OTP DELIVERY LAYER
+ *
+ * Single entry point for sending OTP messages. Endpoints ask for a channel
+ * ('sms' or 'whatsapp'); the provider serving each channel is picked from
+ * configuration, so adapters can be swapped without touching endpoints.
+ *
+ * CONFIGURATION:
+ * - OTP_SMS_PROVIDER       Provider for the sms channel (default: twilio_sms)
+ * - OTP_WHATSAPP_PROVIDER  Provider for the whatsapp channel (default: twilio_whatsapp)
+ * - OTP_DELIVERY_PROVIDER  Overrides both, e.g. "local" for the emulator
+ *
+ * An unconfigured provider is a delivery failure (PROVIDER_NOT_CONFIGURED)
+ * everywhere except the emulator, which falls back to the local stand-in.
+ * Anywhere else the local provider must be chosen explicitly, so a
+ * misconfigured deployment never "delivers" codes to a file on disk.
+ *
+ * PROVIDER INTERFACE:
+ * {
+ *   name: string,
+ *   capabilities: { channels: string[], deliveryReceipts: boolean },
+ *   isConfigured(): boolean,
+ *   send(phone, otp, { channel, body }): Promise<SendResult>,
+ *   status(messageSid): Promise<{ success, status?, errorCode?, error? }>,
+ * }
+ *
+ * SendResult: { success, messageSid?, status?, channel, provider, error?, message? }
+ */
+
+const { twilioSmsProvider, twilioWhatsAppProvider, maskPhoneNumber } = require('./twilioClient');
+const { localOtpProvider } = require('./localOtpProvider');
+const { isProduction, isEmulator } = require('./testMode');
+const { DEFAULT_OTP_POLICY } = require('./otpPolicy');
+
+const CHANNELS = ['sms', 'whatsapp'];
+
+const DELIVERED_STATUSES = ['delivered', 'read'];
+const FAILED_STATUSES = ['failed', 'undelivered', 'canceled'];
+
+// Order of provider statuses; callbacks can arrive out of order, so a status
+// only replaces one that ranks lower. Final outcomes share a rank.
+const STATUS_RANKS = {
+  accepted: 0,
+  scheduled: 0,
+  queued: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+  canceled: 3,
+  read: 4,
+};
+
+const DEFAULT_PROVIDERS = {
+  sms: 'twilio_sms',
+  whatsapp: 'twilio_whatsapp',
+};
+
+// Registered providers by name
+const providers = new Map();
+
+/**
+ * Register a delivery provider
+ *
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.name || typeof provider.send !== 'function' ||
+      typeof provider.status !== 'function') {
+    throw new Error('Delivery provider must have a name, send() and status()');
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider by name
+ *
+ * @param {string} name - Provider name
+ * @return {Object|null} Provider or null if not registered
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Resolve the configured provider serving a channel
+ *
+ * @param {string} channel - 'sms' or 'whatsapp'
+ * @return {Object|null} Provider or null if it is unknown or has no credentials
+ */
+function resolveProvider(channel) {
+  const envKey = `OTP_${channel.toUpperCase()}_PROVIDER`;
+  const name = process.env.OTP_DELIVERY_PROVIDER || process.env[envKey] || DEFAULT_PROVIDERS[channel];
+  const provider = getProvider(name);
+
+  if (!provider) {
+    console.error(`[otpDelivery] Unknown provider "${name}" for ${channel}`);
+    return null;
+  }
+
+  if (!provider.capabilities.channels.includes(channel)) {
+    console.error(`[otpDelivery] Provider "${name}" does not support ${channel}`);
+    return null;
+  }
+
+  // SECURITY: The local stand-in records plaintext OTPs
+  if (provider === localOtpProvider && isProduction()) {
+    console.error('[otpDelivery] Local provider cannot be used in production');
+    return null;
+  }
+
+  if (!provider.isConfigured()) {
+    console.warn(`[otpDelivery] Provider "${name}" is not configured`);
+    return null;
+  }
+
+  return provider;
+}
+
+/**
+ * Build the OTP message body
+ *
+ * @param {string} otp - OTP code
+ * @param {number} ttlMinutes - Code lifetime from the OTP policy
+ * @return {string} Message text
+ */
+function buildOtpMessage(otp, ttlMinutes) {
+  const validity = `${ttlMinutes} minute${ttlMinutes !== 1 ? 's' : ''}`;
+  return `${otp} is your UnitWise verification code. Valid for ${validity}. Do not share this code with anyone.`;
+}
+
+/**
+ * Send an OTP over a channel
+ *
+ * @param {string} phone - Recipient phone number (E.164 format)
+ * @param {string} otp - OTP code (NEVER logged here)
+ * @param {string} channel - 'sms' or 'whatsapp' (default: whatsapp)
+ * @param {Object} options - { ttlMinutes } from the OTP policy
+ * @return {Promise<Object>} SendResult
+ */
+async function deliverOtp(phone, otp, channel = 'whatsapp', options = {}) {
+  if (!CHANNELS.includes(channel)) {
+    return {
+      success: false,
+      error: 'INVALID_CHANNEL',
+      message: `Channel must be one of: ${CHANNELS.join(', ')}`,
+      channel: channel,
+    };
+  }
+
+  let provider = resolveProvider(channel);
+
+  // WhatsApp is optional - keep onboarding working over SMS until it is set up
+  if (!provider && channel === 'whatsapp') {
+    console.log(`[otpDelivery] WhatsApp unavailable for ${maskPhoneNumber(phone)}, using SMS`);
+    channel = 'sms';
+    provider = resolveProvider(channel);
+  }
+
+  // Only the emulator falls back to the local stand-in for missing credentials
+  if (!provider && isEmulator()) {
+    console.log('[otpDelivery] No configured provider, using local provider');
+    provider = localOtpProvider;
+  }
+
+  if (!provider) {
+    return {
+      success: false,
+      error: 'PROVIDER_NOT_CONFIGURED',
+      message: 'Unable to send verification code. Please try again later.',
+      channel: channel,
+    };
+  }
+
+  return provider.send(phone, otp, {
+    channel: channel,
+    body: buildOtpMessage(otp, options.ttlMinutes || DEFAULT_OTP_POLICY.ttlMinutes),
+  });
+}
+
+/**
+ * Send an OTP, retrying over SMS when WhatsApp delivery fails
+ *
+ * Many users register a SIM without WhatsApp (Twilio 21408/21614), so a
+ * failed WhatsApp send is retried once on SMS. Every attempt is returned
+ * so callers can persist it alongside the session.
+ *
+ * @param {string} phone - Recipient phone number (E.164 format)
+ * @param {string} otp - OTP code (NEVER logged here)
+ * @param {string} channel - Preferred channel: 'sms' or 'whatsapp'
+ * @param {Object} options - { ttlMinutes } from the OTP policy
+ * @return {Promise<Object>} Final SendResult plus attempts array
+ */
+async function deliverOtpWithFallback(phone, otp, channel = 'whatsapp', options = {}) {
+  const attempts = [];
+
+  let result = await deliverOtp(phone, otp, channel, options);
+  attempts.push(toAttempt(result));
+
+  if (!result.success && result.channel === 'whatsapp') {
+    console.warn(`[otpDelivery] WhatsApp failed for ${maskPhoneNumber(phone)} (${result.error}), retrying via SMS`);
+    result = await deliverOtp(phone, otp, 'sms', options);
+    attempts.push(toAttempt(result));
+  }
+
+  return { ...result, attempts: attempts };
+}
+
+/**
+ * Convert a SendResult into an attempt record
+ *
+ * @param {Object} result - SendResult
+ * @return {Object} { channel, provider, messageSid, errorCode, timestamp }
+ */
+function toAttempt(result) {
+  return {
+    channel: result.channel,
+    provider: result.provider || null,
+    messageSid: result.messageSid || null,
+    errorCode: result.success ? null : String(result.error),
+    timestamp: new Date(),
+  };
+}
+
+/**
+ * Normalize a provider message status to the state the app understands
+ *
+ * @param {string} providerStatus - e.g. queued, sent, delivered, read, undelivered, failed
+ * @return {string} 'pending', 'delivered' or 'failed'
+ */
+function normalizeDeliveryStatus(providerStatus) {
+  if (DELIVERED_STATUSES.includes(providerStatus)) {
+    return 'delivered';
+  }
+  if (FAILED_STATUSES.includes(providerStatus)) {
+    return 'failed';
+  }
+  return 'pending';
+}
+
+/**
+ * Whether a provider status is newer than the one already stored
+ *
+ * Unknown statuses rank lowest, so they only fill an empty slot.
+ *
+ * @param {string|null} currentStatus - Stored provider status
+ * @param {string} nextStatus - Incoming provider status
+ * @return {boolean} True if nextStatus should replace currentStatus
+ */
+function isLaterDeliveryStatus(currentStatus, nextStatus) {
+  if (!currentStatus) {
+    return true;
+  }
+  const rank = (status) => (Object.prototype.hasOwnProperty.call(STATUS_RANKS, status) ? STATUS_RANKS[status] : -1);
+  return rank(nextStatus) > rank(currentStatus);
+}
+
+/**
+ * Look up delivery status of a message with the provider that sent it
+ *
+ * @param {string} providerName - Provider name stored with the message
+ * @param {string} messageSid - Provider message ID
+ * @return {Promise<Object>} { success, status?, errorCode?, error? }
+ */
+async function getDeliveryStatus(providerName, messageSid) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return { success: false, error: 'UNKNOWN_PROVIDER' };
+  }
+  return provider.status(messageSid);
+}
+
+registerProvider(twilioSmsProvider);
+registerProvider(twilioWhatsAppProvider);
+registerProvider(localOtpProvider);
+
+module.exports = {
+  deliverOtp,
+  deliverOtpWithFallback,
+  getDeliveryStatus,
+  normalizeDeliveryStatus,
+  isLaterDeliveryStatus,
+  registerProvider,
+  getProvider,
+  resolveProvider,
+  buildOtpMessage,
+  CHANNELS,
+};
@@ -0,0 +1,144 @@
+/**
+ * OTP POLICY
+ *
+ * Single source for OTP length, lifetime, attempt cap, hashing cost, resend
+ * rules and the per-phone request limit. Every endpoint and message
+ * template reads these values through getOtpPolicy().
+ *
+ * PRECEDENCE (later wins):
+ * 1. DEFAULT_OTP_POLICY below
+ * 2. Environment: OTP_LENGTH, OTP_EXPIRY_MINUTES, OTP_MAX_ATTEMPTS,
+ *    BCRYPT_SALT_ROUNDS, OTP_RESEND_COOLDOWN_SECONDS, OTP_MAX_RESENDS,
+ *    OTP_RATE_LIMIT_MAX_REQUESTS, OTP_RATE_LIMIT_WINDOW_MINUTES
+ * 3. Firestore document config/otp_policy (same field names as the policy
+ *    object), so ops can change policy without a redeploy
+ *
+ * Out-of-range values are ignored with a warning rather than weakening the
+ * policy. The Firestore document is cached for POLICY_CACHE_SECONDS.
+ */
+
+const admin = require('../admin');
+
+const CONFIG_COLLECTION = 'config';
+const CONFIG_DOC = 'otp_policy';
+
+const POLICY_CACHE_SECONDS = 60;
+
+const DEFAULT_OTP_POLICY = {
+  length: 6,
+  ttlMinutes: 5,
+  maxAttempts: 5,
+  bcryptRounds: 10,
+  resendCooldownSeconds: 60,
+  maxResends: 3,
+  requestLimitMax: 3,
+  requestLimitWindowMinutes: 15,
+};
+
+/**
+ * Allowed range and environment variable for each policy field
+ */
+const POLICY_FIELDS = {
+  length: { env: 'OTP_LENGTH', min: 4, max: 10 },
+  ttlMinutes: { env: 'OTP_EXPIRY_MINUTES', min: 1, max: 30 },
+  maxAttempts: { env: 'OTP_MAX_ATTEMPTS', min: 1, max: 10 },
+  bcryptRounds: { env: 'BCRYPT_SALT_ROUNDS', min: 4, max: 14 },
+  resendCooldownSeconds: { env: 'OTP_RESEND_COOLDOWN_SECONDS', min: 0, max: 600 },
+  maxResends: { env: 'OTP_MAX_RESENDS', min: 0, max: 10 },
+  requestLimitMax: { env: 'OTP_RATE_LIMIT_MAX_REQUESTS', min: 1, max: 100 },
+  requestLimitWindowMinutes: { env: 'OTP_RATE_LIMIT_WINDOW_MINUTES', min: 1, max: 24 * 60 },
+};
+
+let cachedOverrides = null;
+let cachedAt = 0;
+
+/**
+ * Apply overrides to a policy, skipping invalid values
+ *
+ * @param {Object} policy - Base policy
+ * @param {Object} overrides - Field → raw value
+ * @param {string} source - Where the overrides came from (for warnings)
+ * @return {Object} New policy
+ */
+function applyOverrides(policy, overrides, source) {
+  const next = { ...policy };
+
+  Object.keys(POLICY_FIELDS).forEach((field) => {
+    const raw = overrides[field];
+    if (raw === undefined || raw === null || raw === '') {
+      return;
+    }
+
+    const { min, max } = POLICY_FIELDS[field];
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      console.warn(`[otpPolicy] Ignoring invalid ${field} from ${source}: ${raw} (allowed ${min}-${max})`);
+      return;
+    }
+
+    next[field] = value;
+  });
+
+  return next;
+}
+
+/**
+ * Read policy overrides from the environment
+ *
+ * @return {Object} Field → raw value
+ */
+function getEnvOverrides() {
+  const overrides = {};
+  Object.keys(POLICY_FIELDS).forEach((field) => {
+    overrides[field] = process.env[POLICY_FIELDS[field].env];
+  });
+  return overrides;
+}
+
+/**
+ * Read policy overrides from Firestore (cached)
+ *
+ * @return {Promise<Object>} Field → raw value (empty if unavailable)
+ */
+async function getFirestoreOverrides() {
+  if (cachedOverrides && Date.now() - cachedAt < POLICY_CACHE_SECONDS * 1000) {
+    return cachedOverrides;
+  }
+
+  try {
+    const db = admin.firestore();
+    const doc = await db.collection(CONFIG_COLLECTION).doc(CONFIG_DOC).get();
+    cachedOverrides = doc.exists ? doc.data() : {};
+    cachedAt = Date.now();
+  } catch (error) {
+    // Keep serving the last known (or environment) policy
+    console.error('[otpPolicy] Failed to load policy document:', error.message);
+    return cachedOverrides || {};
+  }
+
+  return cachedOverrides;
+}
+
+/**
+ * Get the effective OTP policy
+ *
+ * @return {Promise<Object>} Policy (see DEFAULT_OTP_POLICY for fields)
+ */
+async function getOtpPolicy() {
+  const fromEnv = applyOverrides(DEFAULT_OTP_POLICY, getEnvOverrides(), 'environment');
+  return applyOverrides(fromEnv, await getFirestoreOverrides(), `${CONFIG_COLLECTION}/${CONFIG_DOC}`);
+}
+
+/**
+ * Drop the cached Firestore policy (tests, or after an admin update)
+ */
+function clearOtpPolicyCache() {
+  cachedOverrides = null;
+  cachedAt = 0;
+}
+
+module.exports = {
+  getOtpPolicy,
+  clearOtpPolicyCache,
+  DEFAULT_OTP_POLICY,
+};
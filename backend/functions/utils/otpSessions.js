@@ -0,0 +1,433 @@
+/**
+ * OTP SESSION SERVICE
+ *
+ * One place for creating and verifying OTP sessions, whatever they are for.
+ * Every session lives in otp_sessions and carries a purpose:
+ * login, signup, password_reset, phone_change or email_verification.
+ *
+ * SECURITY FEATURES:
+ * - OTPs generated with crypto.randomInt and stored as bcrypt hashes only
+ * - Verification runs in a Firestore transaction, so two concurrent
+ *   verifies of the same code cannot both succeed
+ * - Length, expiry, attempt and resend limits come from the OTP policy
+ * - The hash is removed as soon as a session is used; used and expired
+ *   sessions are swept by the scheduled cleanup and the purgeAt TTL policy
+ *
+ * Sessions are tagged with the mobile network (carrier) detected from the
+ * phone prefix, for delivery reporting per network.
+ *
+ * USAGE:
+ * const session = await createOtpSession('login', phone, otp, { source });
+ * await session.ref.set({ ...session.data, messageSid });
+ *
+ * const result = await verifyOtpSession({ sessionId, phone, otp, purpose: 'login' });
+ * if (!result.success) return res.status(result.status).json(result.error);
+ *
+ * const both = await verifyOtpSessions([oldPhoneCheck, newPhoneCheck]);
+ *
+ * const rotated = await rotateOtpSession({ sessionId, phone, otp: newOtp, purpose: ['login', 'signup'] });
+ * if (deliveryFailed) await restoreOtpSession(sessionId, rotated);
+ */
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const admin = require('../admin');
+const { getOtpPolicy } = require('./otpPolicy');
+const { detectCarrier } = require('./phoneNumber');
+
+const COLLECTION = 'otp_sessions';
+
+const PURPOSES = ['login', 'signup', 'password_reset', 'phone_change', 'email_verification'];
+
+// TTL backstop: purge used/expired sessions even if the scheduled sweep stops running
+const PURGE_GRACE_MINUTES = 60;
+
+// Fields a resend replaces, restored if the new code cannot be delivered
+const ROTATED_FIELDS = [
+  'otpHash', 'attempts', 'expiresAt', 'purgeAt', 'resendCount', 'lastSentAt',
+  'deliveryStatus', 'providerStatus', 'deliveryErrorCode', 'deliveryUpdatedAt',
+];
+
+/**
+ * Generate a cryptographically secure numeric OTP
+ *
+ * @param {number} length - Number of digits (policy length)
+ * @return {string} OTP code
+ */
+function generateSecureOTP(length) {
+  const otp = crypto.randomInt(10 ** (length - 1), 10 ** length);
+  return otp.toString();
+}
+
+/**
+ * Prepare a new OTP session
+ *
+ * The document is not written here: callers add delivery details once the
+ * message has been sent and then call session.ref.set(session.data).
+ *
+ * @param {string} purpose - One of PURPOSES
+ * @param {string} phone - Phone number (E.164 format)
+ * @param {string} otp - Plaintext OTP (hashed before storage)
+ * @param {Object} fields - Extra fields stored on the session
+ * @return {Promise<Object>} { ref, id, data }
+ */
+async function createOtpSession(purpose, phone, otp, fields = {}) {
+  if (!PURPOSES.includes(purpose)) {
+    throw new Error(`Invalid OTP session purpose: ${purpose}`);
+  }
+
+  const policy = await getOtpPolicy();
+  const otpHash = await bcrypt.hash(otp, policy.bcryptRounds);
+
+  const db = admin.firestore();
+  const ref = db.collection(COLLECTION).doc();
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + policy.ttlMinutes * 60 * 1000);
+
+  return {
+    ref: ref,
+    id: ref.id,
+    data: {
+      ...fields,
+      purpose: purpose,
+      phone: phone,
+      carrier: detectCarrier(phone),
+      otpHash: otpHash,
+      createdAt: now,
+      expiresAt: expiresAt,
+      purgeAt: new Date(expiresAt.getTime() + PURGE_GRACE_MINUTES * 60 * 1000),
+      attempts: 0,
+      used: false,
+    },
+  };
+}
+
+/**
+ * Build a verification failure
+ *
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - User-facing message
+ * @param {Object} extra - Extra response fields
+ * @return {Object} { success: false, status, error }
+ */
+function failure(status, code, message, extra = {}) {
+  return {
+    success: false,
+    status: status,
+    error: {
+      success: false,
+      code: code,
+      message: message,
+      ...extra,
+    },
+  };
+}
+
+/**
+ * Check one session inside a verification transaction
+ *
+ * Returns the result for the caller and the write it implies: a failed
+ * guess bumps the attempt counter, an expired or locked session is
+ * deleted, and a correct code marks the session used.
+ *
+ * @return {Promise<Object>} { result, write } where write is null,
+ *   { type: 'delete' } or { type: 'update', data }
+ */
+async function checkSession(sessionDoc, { sessionId, phone, otp, purpose, check }, maxAttempts) {
+  const accepted = Array.isArray(purpose) ? purpose : [purpose];
+
+  // A session for another purpose is treated as not found
+  if (!sessionDoc.exists || !accepted.includes(sessionDoc.data().purpose)) {
+    return {
+      result: failure(404, 'SESSION_NOT_FOUND', 'Invalid or expired session. Please request a new OTP.'),
+      write: null,
+    };
+  }
+
+  const sessionData = sessionDoc.data();
+
+  if (sessionData.phone !== phone) {
+    return { result: failure(403, 'PHONE_MISMATCH', 'Phone number does not match the session.'), write: null };
+  }
+
+  if (check) {
+    const rejection = check(sessionData);
+    if (rejection) {
+      return { result: failure(rejection.status, rejection.code, rejection.message), write: null };
+    }
+  }
+
+  if (sessionData.used) {
+    return {
+      result: failure(403, 'OTP_ALREADY_USED', 'This OTP has already been used. Please request a new one.'),
+      write: null,
+    };
+  }
+
+  if (Date.now() > sessionData.expiresAt.toMillis()) {
+    return {
+      result: failure(403, 'EXPIRED_OTP', 'OTP has expired. Please request a new one.'),
+      write: { type: 'delete' },
+    };
+  }
+
+  if (sessionData.attempts >= maxAttempts) {
+    return {
+      result: failure(403, 'MAX_ATTEMPTS_EXCEEDED', 'Too many failed attempts. Please request a new OTP.'),
+      write: { type: 'delete' },
+    };
+  }
+
+  // Timing-safe comparison
+  const isValid = await bcrypt.compare(otp, sessionData.otpHash);
+
+  if (!isValid) {
+    const newAttempts = sessionData.attempts + 1;
+    const attemptsRemaining = maxAttempts - newAttempts;
+
+    return {
+      result: failure(
+        403,
+        'INVALID_OTP',
+        `Incorrect OTP. ${attemptsRemaining} attempt${attemptsRemaining !== 1 ? 's' : ''} remaining.`,
+        { attemptsRemaining: attemptsRemaining }
+      ),
+      write: { type: 'update', data: { attempts: newAttempts } },
+    };
+  }
+
+  // SECURITY: Drop the hash immediately; the document itself is purged later
+  const now = new Date();
+  return {
+    result: { success: true, sessionId: sessionId, session: sessionData },
+    write: {
+      type: 'update',
+      data: {
+        used: true,
+        usedAt: now,
+        otpHash: admin.firestore.FieldValue.delete(),
+        purgeAt: new Date(now.getTime() + PURGE_GRACE_MINUTES * 60 * 1000),
+      },
+    },
+  };
+}
+
+/**
+ * Verify several OTPs that only count together (e.g. old and new number
+ * for a phone change)
+ *
+ * Every session is checked in one transaction. Sessions are marked used
+ * only when every code is correct; otherwise only the failures are
+ * recorded (attempt counts, deletion of expired or locked sessions), so a
+ * correct code is not spent on a request that is refused.
+ *
+ * @param {Array<Object>} checks - { sessionId, phone, otp, purpose, check }
+ *   where purpose is one purpose or an array of accepted purposes, and
+ *   check (optional) is (session) => null or { status, code, message } to
+ *   refuse a session before its code is compared
+ * @return {Promise<Object>} { success: true, sessions } or
+ *   { success: false, status, error, sessionId } for the first failure
+ */
+async function verifyOtpSessions(checks) {
+  const db = admin.firestore();
+  const refs = checks.map((entry) => db.collection(COLLECTION).doc(entry.sessionId));
+  const { maxAttempts } = await getOtpPolicy();
+
+  return db.runTransaction(async (transaction) => {
+    // Firestore transactions need every read before the first write
+    const docs = [];
+    for (const ref of refs) {
+      docs.push(await transaction.get(ref));
+    }
+
+    const outcomes = [];
+    for (let i = 0; i < checks.length; i++) {
+      outcomes.push(await checkSession(docs[i], checks[i], maxAttempts));
+    }
+
+    const failed = outcomes.findIndex((outcome) => !outcome.result.success);
+
+    outcomes.forEach((outcome, i) => {
+      if (!outcome.write || (failed !== -1 && outcome.result.success)) {
+        return;
+      }
+      if (outcome.write.type === 'delete') {
+        transaction.delete(refs[i]);
+      } else {
+        transaction.update(refs[i], outcome.write.data);
+      }
+    });
+
+    if (failed !== -1) {
+      return { ...outcomes[failed].result, sessionId: checks[failed].sessionId };
+    }
+
+    return {
+      success: true,
+      sessions: outcomes.map((outcome) => outcome.result.session),
+    };
+  });
+}
+
+/**
+ * Verify an OTP against its session
+ *
+ * Checks, in order: existence and purpose, phone match, the optional
+ * check, reuse, expiry, attempt limit, then a timing-safe bcrypt
+ * comparison. All reads and writes happen in one transaction.
+ *
+ * @param {Object} params - { sessionId, phone, otp, purpose, check } (see verifyOtpSessions)
+ * @return {Promise<Object>} { success: true, session } or { success: false, status, error }
+ */
+async function verifyOtpSession(params) {
+  const result = await verifyOtpSessions([params]);
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    sessionId: params.sessionId,
+    session: result.sessions[0],
+  };
+}
+
+/**
+ * Replace a session's code for a resend
+ *
+ * Only sessions for the accepted purposes can be rotated (others are
+ * treated as not found), so a code meant for one destination cannot be
+ * resent somewhere else. Enforces the resend cooldown and cap, then stores
+ * the new hash, resets the attempt counter and restarts the expiry window.
+ * Delivery fields from the previous message are cleared so status lookups
+ * follow the new one. An expired session cannot be revived by a resend.
+ *
+ * Call restoreOtpSession with the result if the new code is not delivered,
+ * so the previous code keeps working and the resend is not used up.
+ *
+ * @param {Object} params - { sessionId, phone, otp, purpose, check }
+ *   purpose: accepted purpose or array of purposes
+ *   check: optional (session) => null or { status, code, message }
+ * @return {Promise<Object>} { success: true, session, resendCount, otpHash, previous } or
+ *   { success: false, status, error }
+ */
+async function rotateOtpSession({ sessionId, phone, otp, purpose, check }) {
+  const accepted = Array.isArray(purpose) ? purpose : [purpose];
+  const policy = await getOtpPolicy();
+  const otpHash = await bcrypt.hash(otp, policy.bcryptRounds);
+
+  const db = admin.firestore();
+  const sessionRef = db.collection(COLLECTION).doc(sessionId);
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+
+    if (!sessionDoc.exists || !accepted.includes(sessionDoc.data().purpose)) {
+      return failure(404, 'SESSION_NOT_FOUND', 'Invalid or expired session. Please request a new OTP.');
+    }
+
+    const sessionData = sessionDoc.data();
+
+    if (sessionData.phone !== phone) {
+      return failure(403, 'PHONE_MISMATCH', 'Phone number does not match the session.');
+    }
+
+    if (check) {
+      const rejection = check(sessionData);
+      if (rejection) {
+        return failure(rejection.status, rejection.code, rejection.message);
+      }
+    }
+
+    if (sessionData.used) {
+      return failure(403, 'OTP_ALREADY_USED', 'This OTP has already been used. Please request a new one.');
+    }
+
+    if (Date.now() > sessionData.expiresAt.toMillis()) {
+      return failure(403, 'SESSION_EXPIRED', 'This session has expired. Please request a new OTP.');
+    }
+
+    const resendCount = sessionData.resendCount || 0;
+    if (resendCount >= policy.maxResends) {
+      return failure(403, 'MAX_RESENDS_EXCEEDED', 'Too many resend requests. Please start again.');
+    }
+
+    const lastSentAt = (sessionData.lastSentAt || sessionData.createdAt).toMillis();
+    const retryAfter = Math.ceil((lastSentAt + policy.resendCooldownSeconds * 1000 - Date.now()) / 1000);
+    if (retryAfter > 0) {
+      return failure(
+        429,
+        'RESEND_COOLDOWN',
+        `Please wait ${retryAfter} seconds before requesting another code.`,
+        { retryAfter: retryAfter }
+      );
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + policy.ttlMinutes * 60 * 1000);
+    const deleteField = admin.firestore.FieldValue.delete();
+
+    transaction.update(sessionRef, {
+      otpHash: otpHash,
+      attempts: 0,
+      expiresAt: expiresAt,
+      purgeAt: new Date(expiresAt.getTime() + PURGE_GRACE_MINUTES * 60 * 1000),
+      resendCount: resendCount + 1,
+      lastSentAt: now,
+      deliveryStatus: deleteField,
+      providerStatus: deleteField,
+      deliveryErrorCode: deleteField,
+      deliveryUpdatedAt: deleteField,
+    });
+
+    const previous = {};
+    ROTATED_FIELDS.forEach((field) => {
+      previous[field] = sessionData[field] === undefined ? deleteField : sessionData[field];
+    });
+
+    return {
+      success: true,
+      session: sessionData,
+      resendCount: resendCount + 1,
+      otpHash: otpHash,
+      previous: previous,
+    };
+  });
+}
+
+/**
+ * Undo a rotation whose code could not be delivered
+ *
+ * Skipped if the session has changed since (verified, or rotated again).
+ *
+ * @param {string} sessionId - Session ID
+ * @param {Object} rotation - Successful rotateOtpSession result
+ * @return {Promise<boolean>} True if the previous code was restored
+ */
+async function restoreOtpSession(sessionId, rotation) {
+  const db = admin.firestore();
+  const sessionRef = db.collection(COLLECTION).doc(sessionId);
+
+  return db.runTransaction(async (transaction) => {
+    const sessionDoc = await transaction.get(sessionRef);
+
+    if (!sessionDoc.exists || sessionDoc.data().otpHash !== rotation.otpHash) {
+      return false;
+    }
+
+    transaction.update(sessionRef, rotation.previous);
+    return true;
+  });
+}
+
+module.exports = {
+  generateSecureOTP,
+  createOtpSession,
+  verifyOtpSession,
+  verifyOtpSessions,
+  rotateOtpSession,
+  restoreOtpSession,
+  PURPOSES,
+};
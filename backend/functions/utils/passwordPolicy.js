@@ -0,0 +1,175 @@
+/**
+ * PASSWORD POLICY
+ *
+ * Server-side strength rules for every password we accept (set, reset).
+ * The app may check the same rules for instant feedback, but only this
+ * module decides.
+ *
+ * RULES:
+ * - Length between PASSWORD_MIN_LENGTH (default 8) and 128 characters
+ * - Character classes: at least PASSWORD_MIN_CHARACTER_CLASSES (default 2)
+ *   of lowercase, uppercase, digits and symbols, plus any class made
+ *   mandatory by PASSWORD_REQUIRE_UPPERCASE / _NUMBERS / _SPECIAL_CHARS
+ * - Not on the bundled common-password list (commonPasswords.txt),
+ *   ignoring case and trailing digits/symbols ("Password123!" is common)
+ * - Does not contain the account's phone number
+ *
+ * ERROR CODES:
+ * PASSWORD_TOO_SHORT, PASSWORD_TOO_LONG, PASSWORD_MISSING_UPPERCASE,
+ * PASSWORD_MISSING_NUMBER, PASSWORD_MISSING_SPECIAL, PASSWORD_TOO_SIMPLE,
+ * PASSWORD_TOO_COMMON, PASSWORD_CONTAINS_PHONE
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_LENGTH = 128;
+
+const CHARACTER_CLASSES = {
+  lowercase: /[a-z]/,
+  uppercase: /[A-Z]/,
+  number: /\d/,
+  special: /[^A-Za-z0-9]/,
+};
+
+let commonPasswords = null;
+
+/**
+ * Load the bundled blocklist once per instance
+ *
+ * @return {Set<string>} Lowercased common passwords
+ */
+function getCommonPasswords() {
+  if (!commonPasswords) {
+    const raw = fs.readFileSync(path.join(__dirname, 'commonPasswords.txt'), 'utf8');
+    commonPasswords = new Set(
+      raw.split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+}
+
+/**
+ * Read a boolean environment flag
+ */
+function envFlag(name) {
+  return process.env[name] === 'true';
+}
+
+/**
+ * Current password policy from the environment
+ *
+ * @return {Object} { minLength, maxLength, minCharacterClasses, requireUppercase, requireNumbers, requireSpecialChars }
+ */
+function getPasswordPolicy() {
+  const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+  const minClasses = parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2', 10);
+
+  return {
+    minLength: minLength > 0 ? Math.min(minLength, MAX_LENGTH) : 8,
+    maxLength: MAX_LENGTH,
+    minCharacterClasses: minClasses >= 1 && minClasses <= 4 ? minClasses : 2,
+    requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE'),
+    requireNumbers: envFlag('PASSWORD_REQUIRE_NUMBERS'),
+    requireSpecialChars: envFlag('PASSWORD_REQUIRE_SPECIAL_CHARS'),
+  };
+}
+
+/**
+ * Check whether a password is (a variant of) a common password
+ *
+ * @param {string} password - Candidate password
+ * @return {boolean} True if blocklisted
+ */
+function isCommonPassword(password) {
+  const list = getCommonPasswords();
+  const lower = password.toLowerCase();
+  const stem = lower.replace(/[\d\W_]+$/, '');
+  return list.has(lower) || (stem.length >= 4 && list.has(stem));
+}
+
+/**
+ * Check whether a password contains the phone number
+ *
+ * Matches the national number in either local (0803...) or international
+ * (803...) form.
+ *
+ * @param {string} password - Candidate password
+ * @param {string} phone - Phone number (any format)
+ * @return {boolean} True if the password contains the number
+ */
+function containsPhoneNumber(password, phone) {
+  if (typeof phone !== 'string') {
+    return false;
+  }
+  const digits = phone.replace(/\D/g, '');
+  const national = digits.slice(-10);
+  return national.length === 10 && password.includes(national);
+}
+
+/**
+ * Check a password against the policy
+ *
+ * @param {string} password - Candidate password
+ * @param {Object} context - { phone } of the account, if known
+ * @return {Object} { valid: boolean, errors: Array<{ code, message }> }
+ */
+function checkPassword(password, context = {}) {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push({
+      code: 'PASSWORD_TOO_SHORT',
+      message: `Password must be at least ${policy.minLength} characters long`,
+    });
+    return { valid: false, errors: errors };
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push({
+      code: 'PASSWORD_TOO_LONG',
+      message: `Password must be at most ${policy.maxLength} characters long`,
+    });
+    return { valid: false, errors: errors };
+  }
+
+  if (policy.requireUppercase && !CHARACTER_CLASSES.uppercase.test(password)) {
+    errors.push({ code: 'PASSWORD_MISSING_UPPERCASE', message: 'Password must contain an uppercase letter' });
+  }
+  if (policy.requireNumbers && !CHARACTER_CLASSES.number.test(password)) {
+    errors.push({ code: 'PASSWORD_MISSING_NUMBER', message: 'Password must contain a number' });
+  }
+  if (policy.requireSpecialChars && !CHARACTER_CLASSES.special.test(password)) {
+    errors.push({ code: 'PASSWORD_MISSING_SPECIAL', message: 'Password must contain a symbol' });
+  }
+
+  const classes = Object.values(CHARACTER_CLASSES).filter((regex) => regex.test(password)).length;
+  if (classes < policy.minCharacterClasses) {
+    errors.push({
+      code: 'PASSWORD_TOO_SIMPLE',
+      message: `Password must mix at least ${policy.minCharacterClasses} of: lowercase, uppercase, numbers, symbols`,
+    });
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push({ code: 'PASSWORD_TOO_COMMON', message: 'This password is too common. Choose another.' });
+  }
+
+  if (containsPhoneNumber(password, context.phone)) {
+    errors.push({ code: 'PASSWORD_CONTAINS_PHONE', message: 'Password must not contain your phone number' });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+  };
+}
+
+module.exports = {
+  checkPassword,
+  getPasswordPolicy,
+  isCommonPassword,
+};
@@ -0,0 +1,199 @@
+/**
+ * PHONE NUMBER UTILITY
+ *
+ * Normalises phone numbers the way Nigerian users actually type them and
+ * tags the mobile network from the number prefix.
+ *
+ * ACCEPTED INPUT (all become +2348031234567):
+ * - 08031234567        Local format with trunk 0
+ * - 8031234567         Local format without trunk 0
+ * - 2348031234567      Country code without +
+ * - +2348031234567     E.164
+ * - +234 0803 123 4567 Spaces, dashes, dots, brackets and a stray trunk 0
+ * - 002348031234567    International dialling prefix
+ *
+ * Other countries are accepted in E.164 format (no network detection).
+ * Nigerian numbers must use an allocated mobile prefix; numbers listed in
+ * OTP_TEST_NUMBERS are exempt so test fixtures keep working.
+ *
+ * NOTE: Prefixes are the original allocations. Numbers ported between
+ * networks (MNP) keep their prefix, so the network is a best guess.
+ */
+
+const { isTestNumber } = require('./testMode');
+
+const NG_COUNTRY_CODE = '234';
+
+/**
+ * NCC mobile prefixes (national number without the trunk 0)
+ * Four-digit entries are sub-allocations and win over three-digit ones.
+ */
+const NG_MOBILE_PREFIXES = {
+  'MTN': ['703', '704', '706', '707', '803', '806', '810', '813', '814', '816', '903', '906', '913', '916', '7025', '7026'],
+  'Airtel': ['701', '708', '802', '808', '812', '901', '902', '904', '907', '911', '912'],
+  'Glo': ['705', '805', '807', '811', '815', '905', '915'],
+  '9mobile': ['809', '817', '818', '908', '909'],
+};
+
+const PREFIX_TO_CARRIER = new Map(
+  Object.entries(NG_MOBILE_PREFIXES)
+    .flatMap(([carrier, prefixes]) => prefixes.map((prefix) => [prefix, carrier]))
+);
+
+const CARRIERS = Object.keys(NG_MOBILE_PREFIXES);
+
+/**
+ * Find the allocated prefix of a Nigerian national number
+ *
+ * @param {string} nationalNumber - 10-digit number without trunk 0 (e.g. 8031234567)
+ * @return {Object|null} { prefix, carrier } or null if not a mobile prefix
+ */
+function lookupPrefix(nationalNumber) {
+  for (const length of [4, 3]) {
+    const prefix = nationalNumber.slice(0, length);
+    if (PREFIX_TO_CARRIER.has(prefix)) {
+      return { prefix: prefix, carrier: PREFIX_TO_CARRIER.get(prefix) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reduce input to "+<digits>" when it is recognisably Nigerian or E.164
+ *
+ * @param {string} input - Raw phone number
+ * @return {string|null} Candidate E.164 string or null
+ */
+function toCandidate(input) {
+  const compact = input.trim().replace(/[\s\-.()]/g, '');
+
+  if (/^\+\d+$/.test(compact)) {
+    return compact;
+  }
+  if (/^00\d+$/.test(compact)) {
+    return `+${compact.slice(2)}`;
+  }
+  if (/^234\d{10,11}$/.test(compact)) {
+    return `+${compact}`;
+  }
+  if (/^0[789]\d{9}$/.test(compact)) {
+    return `+${NG_COUNTRY_CODE}${compact.slice(1)}`;
+  }
+  if (/^[789]\d{9}$/.test(compact)) {
+    return `+${NG_COUNTRY_CODE}${compact}`;
+  }
+  return null;
+}
+
+/**
+ * Normalise a phone number to E.164 and detect the Nigerian network
+ *
+ * @param {string} input - Phone number as typed
+ * @return {Object} { success: true, phone, country, carrier, prefix }
+ *                  or { success: false, code, message }
+ */
+function normalizePhoneNumber(input) {
+  const invalid = {
+    success: false,
+    code: 'INVALID_PHONE',
+    message: 'Enter a valid phone number (e.g., 08031234567 or +2348031234567)',
+  };
+
+  if (typeof input !== 'string') {
+    return invalid;
+  }
+
+  let phone = toCandidate(input);
+  if (!phone) {
+    return invalid;
+  }
+
+  if (!phone.startsWith(`+${NG_COUNTRY_CODE}`)) {
+    if (!/^\+[1-9]\d{1,14}$/.test(phone)) {
+      return invalid;
+    }
+    return { success: true, phone: phone, country: null, carrier: null, prefix: null };
+  }
+
+  // "+234 0803..." - drop the trunk 0 typed after the country code
+  let nationalNumber = phone.slice(1 + NG_COUNTRY_CODE.length);
+  if (nationalNumber.length === 11 && nationalNumber.startsWith('0')) {
+    nationalNumber = nationalNumber.slice(1);
+    phone = `+${NG_COUNTRY_CODE}${nationalNumber}`;
+  }
+
+  if (!/^\d{10}$/.test(nationalNumber)) {
+    return invalid;
+  }
+
+  const match = lookupPrefix(nationalNumber);
+  if (!match) {
+    if (isTestNumber(phone)) {
+      return { success: true, phone: phone, country: 'NG', carrier: null, prefix: null };
+    }
+    return {
+      success: false,
+      code: 'UNSUPPORTED_NETWORK',
+      message: 'Enter a Nigerian mobile number (MTN, Airtel, Glo or 9mobile)',
+    };
+  }
+
+  return {
+    success: true,
+    phone: phone,
+    country: 'NG',
+    carrier: match.carrier,
+    prefix: match.prefix,
+  };
+}
+
+/**
+ * Detect the network of an E.164 Nigerian number
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {string|null} MTN, Airtel, Glo, 9mobile or null
+ */
+function detectCarrier(phone) {
+  if (typeof phone !== 'string' || !phone.startsWith(`+${NG_COUNTRY_CODE}`)) {
+    return null;
+  }
+  const match = lookupPrefix(phone.slice(1 + NG_COUNTRY_CODE.length));
+  return match ? match.carrier : null;
+}
+
+/**
+ * Mask phone number for logging
+ *
+ * SECURITY: Never log full phone numbers. Nigerian numbers keep the
+ * network prefix visible so delivery issues can be traced per network.
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {string} Masked phone number (e.g. +234803****567)
+ */
+function maskPhoneNumber(phone) {
+  if (!phone || phone.length < 8) {
+    return '***INVALID***';
+  }
+
+  const lastDigits = phone.slice(-3);
+
+  if (phone.startsWith(`+${NG_COUNTRY_CODE}`) && phone.length === 14) {
+    const match = lookupPrefix(phone.slice(4));
+    if (match) {
+      const visible = `+${NG_COUNTRY_CODE}${match.prefix}`;
+      return `${visible}${'*'.repeat(phone.length - visible.length - 3)}${lastDigits}`;
+    }
+  }
+
+  const countryCode = phone.slice(0, 4);
+  const maskedMiddle = '*'.repeat(phone.length - 7);
+  return `${countryCode}${maskedMiddle}${lastDigits}`;
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  detectCarrier,
+  maskPhoneNumber,
+  CARRIERS,
+  NG_MOBILE_PREFIXES,
+};
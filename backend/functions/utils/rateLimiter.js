@@ -0,0 +1,275 @@
+/**
+ * RATE LIMITER UTILITY
+ *
+ * Sliding-window rate limiting shared by all auth endpoints. Each request is
+ * keyed on phone number, client IP and device ID (X-Device-Id header); every
+ * key has its own window and must be under its limit for the request to pass.
+ *
+ * STORAGE:
+ * - Collection: rate_limits (backend-only, see firestore.rules)
+ * - Document ID: <scope>_<keyType>_<sha256(key)> (no raw phone/IP stored)
+ * - Fields: scope, keyType, hits (epoch millis), expiresAt (Firestore TTL)
+ *
+ * CONFIGURATION:
+ * Limits default to RATE_LIMITS below. The per-phone OTP request limit
+ * (sendOtp, resetPassword, phoneChange) comes from the OTP policy. Any key can be
+ * overridden with RATE_LIMIT_<SCOPE>_<KEYTYPE>="<max>/<windowSeconds>", e.g.
+ * RATE_LIMIT_SENDOTP_IP="20/900"
+ *
+ * SECURITY:
+ * - Checks run in a Firestore transaction (no lost updates under load)
+ * - Fails closed: if the counters cannot be read the request is refused
+ */
+
+const crypto = require('crypto');
+const admin = require('../admin');
+const { getOtpPolicy } = require('./otpPolicy');
+
+const COLLECTION = 'rate_limits';
+
+// Scopes whose per-phone limit is the OTP policy request limit
+const OTP_REQUEST_SCOPES = ['sendOtp', 'resetPassword', 'phoneChange'];
+
+/**
+ * Default limits per endpoint scope and key type
+ * { max: requests allowed, windowSeconds: sliding window length }
+ *
+ * No phone entry for OTP_REQUEST_SCOPES: that limit is the OTP policy's
+ * requestLimitMax / requestLimitWindowMinutes.
+ */
+const RATE_LIMITS = {
+  sendOtp: {
+    ip: { max: 10, windowSeconds: 15 * 60 },
+    device: { max: 5, windowSeconds: 15 * 60 },
+  },
+  verifyOtp: {
+    phone: { max: 10, windowSeconds: 15 * 60 },
+    ip: { max: 30, windowSeconds: 15 * 60 },
+    device: { max: 15, windowSeconds: 15 * 60 },
+  },
+  resendOtp: {
+    phone: { max: 5, windowSeconds: 15 * 60 },
+    ip: { max: 20, windowSeconds: 15 * 60 },
+    device: { max: 10, windowSeconds: 15 * 60 },
+  },
+  resetPassword: {
+    ip: { max: 10, windowSeconds: 15 * 60 },
+    device: { max: 5, windowSeconds: 15 * 60 },
+  },
+  createUserProfile: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    device: { max: 5, windowSeconds: 60 * 60 },
+  },
+  passwordLogin: {
+    phone: { max: 10, windowSeconds: 15 * 60 },
+    ip: { max: 30, windowSeconds: 15 * 60 },
+    device: { max: 15, windowSeconds: 15 * 60 },
+  },
+  setPassword: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    device: { max: 5, windowSeconds: 60 * 60 },
+  },
+  phoneChange: {
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    device: { max: 5, windowSeconds: 60 * 60 },
+  },
+  emailVerification: {
+    phone: { max: 3, windowSeconds: 15 * 60 },
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    device: { max: 5, windowSeconds: 60 * 60 },
+  },
+  exportUserData: {
+    phone: { max: 3, windowSeconds: 24 * 60 * 60 },
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    device: { max: 5, windowSeconds: 60 * 60 },
+  },
+  deleteAccount: {
+    ip: { max: 5, windowSeconds: 60 * 60 },
+    device: { max: 3, windowSeconds: 60 * 60 },
+  },
+  signOutDevices: {
+    ip: { max: 20, windowSeconds: 60 * 60 },
+    device: { max: 10, windowSeconds: 60 * 60 },
+  },
+};
+
+/**
+ * Resolve the limit for a scope/key type, applying env overrides
+ *
+ * @param {string} scope - Endpoint scope (key of RATE_LIMITS)
+ * @param {string} keyType - 'phone', 'ip' or 'device'
+ * @param {Object} policy - OTP policy
+ * @return {Object|null} { max, windowSeconds } or null if not limited
+ */
+function getLimit(scope, keyType, policy) {
+  const override = process.env[`RATE_LIMIT_${scope.toUpperCase()}_${keyType.toUpperCase()}`];
+  if (override) {
+    const [max, windowSeconds] = override.split('/').map((part) => parseInt(part, 10));
+    if (max > 0 && windowSeconds > 0) {
+      return { max, windowSeconds };
+    }
+    console.warn(`[rateLimiter] Ignoring invalid override for ${scope}.${keyType}: ${override}`);
+  }
+  if (keyType === 'phone' && OTP_REQUEST_SCOPES.includes(scope)) {
+    return { max: policy.requestLimitMax, windowSeconds: policy.requestLimitWindowMinutes * 60 };
+  }
+  return (RATE_LIMITS[scope] && RATE_LIMITS[scope][keyType]) || null;
+}
+
+/**
+ * Get the client IP address of a request
+ *
+ * @param {Object} req - HTTP request
+ * @return {string|null} Client IP
+ */
+function getClientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || null;
+}
+
+/**
+ * Get the device ID a client sent with a request
+ *
+ * @param {Object} req - HTTP request
+ * @return {string|null} Device ID (X-Device-Id header)
+ */
+function getDeviceId(req) {
+  const deviceId = req.get ? req.get('X-Device-Id') : req.headers && req.headers['x-device-id'];
+  return deviceId ? String(deviceId).slice(0, 128) : null;
+}
+
+/**
+ * Build a counter document ID without storing the raw key
+ *
+ * @param {string} scope - Endpoint scope
+ * @param {string} keyType - Key type
+ * @param {string} key - Raw key value
+ * @return {string} Document ID
+ */
+function counterId(scope, keyType, key) {
+  const digest = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+  return `${scope}_${keyType}_${digest}`;
+}
+
+/**
+ * Check and record a request against every applicable limit
+ *
+ * A hit is only recorded when all keys are under their limit, so retrying
+ * while blocked does not push the window further out.
+ *
+ * @param {string} scope - Endpoint scope (key of RATE_LIMITS)
+ * @param {Object} keys - { phone?, ip?, device? } raw key values
+ * @return {Promise<Object>} { allowed, retryAfterSeconds?, limitedBy?, error? }
+ */
+async function checkRateLimit(scope, keys) {
+  const db = admin.firestore();
+  const now = Date.now();
+  const policy = await getOtpPolicy();
+
+  const checks = Object.keys(keys)
+    .filter((keyType) => keys[keyType])
+    .map((keyType) => ({
+      keyType: keyType,
+      limit: getLimit(scope, keyType, policy),
+      ref: db.collection(COLLECTION).doc(counterId(scope, keyType, String(keys[keyType]))),
+    }))
+    .filter((check) => check.limit);
+
+  if (checks.length === 0) {
+    return { allowed: true };
+  }
+
+  try {
+    return await db.runTransaction(async (transaction) => {
+      const docs = await Promise.all(checks.map((check) => transaction.get(check.ref)));
+
+      const windows = checks.map((check, index) => {
+        const windowStart = now - check.limit.windowSeconds * 1000;
+        const hits = docs[index].exists ? (docs[index].data().hits || []) : [];
+        return { ...check, hits: hits.filter((hit) => hit > windowStart) };
+      });
+
+      const blocked = windows.filter((window) => window.hits.length >= window.limit.max);
+      if (blocked.length > 0) {
+        const retryAfterSeconds = Math.max(...blocked.map((window) => {
+          const oldest = Math.min(...window.hits);
+          return Math.ceil((oldest + window.limit.windowSeconds * 1000 - now) / 1000);
+        }));
+        return {
+          allowed: false,
+          retryAfterSeconds: Math.max(retryAfterSeconds, 1),
+          limitedBy: blocked.map((window) => window.keyType),
+        };
+      }
+
+      windows.forEach((window) => {
+        transaction.set(window.ref, {
+          scope: scope,
+          keyType: window.keyType,
+          hits: [...window.hits, now],
+          updatedAt: new Date(now),
+          expiresAt: new Date(now + window.limit.windowSeconds * 1000),
+        });
+      });
+
+      return { allowed: true };
+    });
+  } catch (error) {
+    // SECURITY: Fail closed - an unreadable counter must not disable limiting
+    console.error(`[rateLimiter] Rate limit check failed for ${scope}:`, error.message);
+    return { allowed: false, retryAfterSeconds: 60, error: 'RATE_LIMIT_UNAVAILABLE' };
+  }
+}
+
+/**
+ * Enforce a scope's limits for a request, responding when blocked
+ *
+ * @param {string} scope - Endpoint scope (key of RATE_LIMITS)
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} options - { phone?: string, message?: string }
+ * @return {Promise<boolean>} True if the request may proceed
+ */
+async function enforceRateLimit(scope, req, res, options = {}) {
+  const result = await checkRateLimit(scope, {
+    phone: options.phone,
+    ip: getClientIp(req),
+    device: getDeviceId(req),
+  });
+
+  if (result.allowed) {
+    return true;
+  }
+
+  res.set('Retry-After', String(result.retryAfterSeconds));
+
+  if (result.error) {
+    res.status(503).json({
+      success: false,
+      code: result.error,
+      message: 'Service temporarily unavailable. Please try again shortly.',
+      retryAfter: result.retryAfterSeconds,
+    });
+    return false;
+  }
+
+  const waitMinutes = Math.ceil(result.retryAfterSeconds / 60);
+  console.warn(`[rateLimiter] ${scope} limited by ${result.limitedBy.join(', ')}`);
+
+  res.status(429).json({
+    success: false,
+    code: 'RATE_LIMIT_EXCEEDED',
+    message: options.message ?
+      `${options.message} Please try again in ${waitMinutes} minutes.` :
+      `Too many requests. Please try again in ${waitMinutes} minutes.`,
+    retryAfter: result.retryAfterSeconds,
+  });
+  return false;
+}
+
+module.exports = {
+  checkRateLimit,
+  enforceRateLimit,
+  getClientIp,
+  getDeviceId,
+  RATE_LIMITS,
+};
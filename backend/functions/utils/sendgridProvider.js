@@ -0,0 +1,99 @@
+/**
+ * SENDGRID EMAIL PROVIDER
+ *
+ * Email adapter for SendGrid. Registered with utils/emailClient.js, which
+ * is what endpoints should call - never this adapter directly.
+ *
+ * CONFIGURATION:
+ * - SENDGRID_API_KEY  API key (starts with "SG.")
+ * - EMAIL_FROM        Verified sender address
+ * - EMAIL_FROM_NAME   Sender display name (default: UnitWise)
+ * - EMAIL_REPLY_TO    Optional reply-to address
+ *
+ * SECURITY FEATURES:
+ * - Credentials loaded from environment variables only
+ * - Email bodies (may contain reset codes) are never logged
+ * - Click tracking disabled so links are not rewritten through SendGrid
+ * - Error sanitization (SendGrid response bodies are not returned)
+ */
+
+const sgMail = require('@sendgrid/mail');
+
+/**
+ * Convert a SendGrid HTTP status to an error code
+ *
+ * @param {Error} error - SendGrid ResponseError
+ * @return {string} Error code
+ */
+function getSendGridErrorCode(error) {
+  const statusCode = error.code || (error.response && error.response.statusCode);
+  const errorMap = {
+    400: 'EMAIL_REJECTED',
+    401: 'EMAIL_AUTH_FAILED',
+    403: 'EMAIL_AUTH_FAILED',
+    413: 'EMAIL_TOO_LARGE',
+    429: 'EMAIL_RATE_LIMITED',
+  };
+
+  return errorMap[statusCode] || 'SENDGRID_ERROR';
+}
+
+const sendgridEmailProvider = {
+  name: 'sendgrid',
+
+  isConfigured() {
+    return Boolean(process.env.SENDGRID_API_KEY && process.env.EMAIL_FROM);
+  },
+
+  /**
+   * @param {Object} message - { to, subject, html, text, template, locale, uid }
+   * @return {Promise<Object>} Send result
+   */
+  async send(message) {
+    sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+    const payload = {
+      to: message.to,
+      from: {
+        email: process.env.EMAIL_FROM,
+        name: process.env.EMAIL_FROM_NAME || 'UnitWise',
+      },
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      categories: [message.template],
+      trackingSettings: {
+        clickTracking: { enable: false, enableText: false },
+      },
+    };
+
+    if (process.env.EMAIL_REPLY_TO) {
+      payload.replyTo = process.env.EMAIL_REPLY_TO;
+    }
+
+    try {
+      const [response] = await sgMail.send(payload);
+      const messageId = response && response.headers ? response.headers['x-message-id'] : null;
+
+      return {
+        success: true,
+        messageId: messageId || null,
+        provider: this.name,
+      };
+    } catch (error) {
+      const errorCode = getSendGridErrorCode(error);
+      console.error(`[SendGrid] Send failed (${error.code || 'no status'}): ${errorCode}`);
+
+      return {
+        success: false,
+        error: errorCode,
+        message: 'Unable to send email. Please try again later.',
+        provider: this.name,
+      };
+    }
+  },
+};
+
+module.exports = {
+  sendgridEmailProvider,
+};
@@ -0,0 +1,314 @@
+/**
+ * DISCO SERVICE AREAS
+ *
+ * Resolves GPS coordinates to a DisCo with point-in-polygon tests against
+ * the service-area polygons in data/locations/discoServiceAreas.geojson,
+ * so onboarding can use the phone's location instead of an area list.
+ *
+ * DATASET (GeoJSON FeatureCollection, Polygon or MultiPolygon features):
+ * properties: {
+ *   state: 'Lagos',              // Required, as in the coverage dataset
+ *   disco: 'EKEDP',              // Required, DisCo code
+ *   area: 'Victoria Island',     // Optional
+ *   lga: 'Eti-Osa',              // Optional, else taken from the coverage dataset
+ *   businessUnit: 'Islands',     // Optional, else taken from the coverage dataset
+ *   band: 'A',                   // Optional, feeder band where known
+ *   confidence: 0.7,             // Optional (default 1), how exact the outline is
+ * }
+ * When polygons overlap, the smallest one containing the point wins (e.g. a
+ * feeder inside a business unit). Coordinates are [lng, lat] as GeoJSON
+ * requires. The bundled outlines are approximate (see the file's
+ * description) until DisCo boundary data is available.
+ *
+ * STATE BOUNDARIES (data/locations/stateBoundaries.geojson):
+ * One feature with properties { country: 'Nigeria' } outlining the
+ * country, and one per state with { state, confidence }. A point outside
+ * the country is refused (OUTSIDE_NIGERIA). A point in no service area
+ * falls back to its state: the coverage dataset's DisCo for single-DisCo
+ * states (and states with a default), or AREA_REQUIRED where the user must
+ * pick an area.
+ *
+ * USAGE:
+ * const result = resolveServiceArea(6.4281, 3.4219);
+ * // { success: true, disco: 'EKEDP', area: 'Victoria Island', matchType: 'gps', ... }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveCoverage } = require('./discoCoverage');
+
+const DATASET_PATH = path.join(__dirname, '..', 'data', 'locations', 'discoServiceAreas.geojson');
+const BOUNDARIES_PATH = path.join(__dirname, '..', 'data', 'locations', 'stateBoundaries.geojson');
+
+/**
+ * Whether a point is inside a ring (ray casting)
+ *
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array} ring - [[lng, lat], ...], closed
+ */
+function insideRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point is inside a polygon (outer ring, minus holes)
+ */
+function insidePolygon(lng, lat, polygon) {
+  const [outer, ...holes] = polygon;
+  return insideRing(lng, lat, outer) && !holes.some((hole) => insideRing(lng, lat, hole));
+}
+
+/**
+ * Area of a ring in square degrees (shoelace); only used to rank overlaps
+ */
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+  }
+  return Math.abs(sum / 2);
+}
+
+/**
+ * Check that a dataset is a FeatureCollection
+ *
+ * @throws {Error} If it is not
+ */
+function checkFeatureCollection(geojson) {
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    throw new Error('[serviceAreas] Dataset must be a GeoJSON FeatureCollection');
+  }
+}
+
+/**
+ * Index one Polygon or MultiPolygon feature
+ *
+ * @param {Object} feature - GeoJSON feature
+ * @param {number} index - Position in the dataset, for errors
+ * @return {Object} { properties, polygons, bbox, size }
+ * @throws {Error} If the geometry is not a polygon
+ */
+function indexFeature(feature, index) {
+  const geometry = feature.geometry || {};
+
+  let polygons;
+  if (geometry.type === 'Polygon') {
+    polygons = [geometry.coordinates];
+  } else if (geometry.type === 'MultiPolygon') {
+    polygons = geometry.coordinates;
+  } else {
+    throw new Error(`[serviceAreas] Feature ${index} must be a Polygon or MultiPolygon`);
+  }
+
+  const points = polygons.flatMap((polygon) => polygon[0]);
+  return {
+    properties: feature.properties || {},
+    polygons: polygons,
+    bbox: {
+      minLng: Math.min(...points.map((point) => point[0])),
+      maxLng: Math.max(...points.map((point) => point[0])),
+      minLat: Math.min(...points.map((point) => point[1])),
+      maxLat: Math.max(...points.map((point) => point[1])),
+    },
+    size: polygons.reduce((total, polygon) => total + ringArea(polygon[0]), 0),
+  };
+}
+
+/**
+ * Whether an indexed feature contains a point
+ */
+function containsPoint(entry, lat, lng) {
+  const { bbox } = entry;
+  return lng >= bbox.minLng && lng <= bbox.maxLng && lat >= bbox.minLat && lat <= bbox.maxLat &&
+    entry.polygons.some((polygon) => insidePolygon(lng, lat, polygon));
+}
+
+/**
+ * Check a FeatureCollection and index its polygons
+ *
+ * @param {Object} geojson - Parsed dataset
+ * @return {Object} { version, areas: [{ properties, polygons, bbox, size }] }
+ * @throws {Error} If a feature is not a usable polygon (fails at cold start)
+ */
+function buildServiceAreaIndex(geojson) {
+  checkFeatureCollection(geojson);
+
+  const areas = geojson.features.map((feature, index) => {
+    const properties = feature.properties || {};
+    if (!properties.state || !properties.disco) {
+      throw new Error(`[serviceAreas] Feature ${index} needs state and disco properties`);
+    }
+    return indexFeature(feature, index);
+  });
+
+  return { version: geojson.version || null, areas: areas };
+}
+
+/**
+ * Check the state boundaries dataset and index its polygons
+ *
+ * @param {Object} geojson - Parsed dataset
+ * @return {Object} { version, country, states: [{ properties, polygons, bbox, size }] }
+ * @throws {Error} If the country outline is missing or a feature is unusable
+ */
+function buildBoundaryIndex(geojson) {
+  checkFeatureCollection(geojson);
+
+  let country = null;
+  const states = [];
+  geojson.features.forEach((feature, index) => {
+    const properties = feature.properties || {};
+    if (properties.country) {
+      country = indexFeature(feature, index);
+    } else if (properties.state) {
+      states.push(indexFeature(feature, index));
+    } else {
+      throw new Error(`[serviceAreas] Feature ${index} needs a country or state property`);
+    }
+  });
+
+  if (!country) {
+    throw new Error('[serviceAreas] Boundaries need a country outline');
+  }
+
+  return { version: geojson.version || null, country: country, states: states };
+}
+
+let defaultIndex = null;
+let defaultBoundaries = null;
+
+/**
+ * Bundled dataset, loaded on first use
+ */
+function getDefaultIndex() {
+  if (!defaultIndex) {
+    defaultIndex = buildServiceAreaIndex(JSON.parse(fs.readFileSync(DATASET_PATH, 'utf8')));
+  }
+  return defaultIndex;
+}
+
+/**
+ * Bundled state boundaries, loaded on first use
+ */
+function getDefaultBoundaries() {
+  if (!defaultBoundaries) {
+    defaultBoundaries = buildBoundaryIndex(JSON.parse(fs.readFileSync(BOUNDARIES_PATH, 'utf8')));
+  }
+  return defaultBoundaries;
+}
+
+/**
+ * Smallest service area containing a point
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} index - Output of buildServiceAreaIndex (default: bundled dataset)
+ * @return {Object|null} Feature properties
+ */
+function findServiceArea(lat, lng, index = getDefaultIndex()) {
+  const match = index.areas
+    .filter((area) => containsPoint(area, lat, lng))
+    .sort((a, b) => a.size - b.size)[0];
+
+  return match ? match.properties : null;
+}
+
+/**
+ * Resolve a point in no service area from its state's coverage
+ *
+ * @return {Object} resolveServiceArea result
+ */
+function resolveByState(lat, lng, boundaries) {
+  const match = boundaries.states.find((state) => containsPoint(state, lat, lng));
+  if (!match) {
+    return {
+      success: false,
+      code: 'NO_COVERAGE',
+      message: 'No DisCo coverage data for this location. Please select your state and area.',
+    };
+  }
+
+  const coverage = resolveCoverage(match.properties.state);
+  if (!coverage.success) {
+    return {
+      success: false,
+      code: 'AREA_REQUIRED',
+      state: coverage.state,
+      message: coverage.message,
+    };
+  }
+
+  const outlineConfidence = typeof match.properties.confidence === 'number' ? match.properties.confidence : 1;
+  return {
+    success: true,
+    state: coverage.state,
+    disco: coverage.disco,
+    area: null,
+    lga: null,
+    businessUnit: null,
+    suggestedBand: null,
+    confidence: Math.round(coverage.confidence * outlineConfidence * 100) / 100,
+    matchType: 'gps_state',
+    assumed: coverage.assumed,
+  };
+}
+
+/**
+ * Resolve coordinates to a DisCo, in lookupDisco's result format
+ *
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Object} index - Output of buildServiceAreaIndex (default: bundled dataset)
+ * @param {Object} boundaries - Output of buildBoundaryIndex (default: bundled dataset)
+ * @return {Object} { success: true, state, disco, area, lga, businessUnit,
+ *   suggestedBand, confidence, matchType: 'gps' | 'gps_state', assumed } or
+ *   { success: false, code, message } where code is OUTSIDE_NIGERIA,
+ *   AREA_REQUIRED (with state) or NO_COVERAGE
+ */
+function resolveServiceArea(lat, lng, index = getDefaultIndex(), boundaries = getDefaultBoundaries()) {
+  if (!containsPoint(boundaries.country, lat, lng)) {
+    return {
+      success: false,
+      code: 'OUTSIDE_NIGERIA',
+      message: 'This location is outside Nigeria. UnitWise only covers Nigerian DisCos.',
+    };
+  }
+
+  const properties = findServiceArea(lat, lng, index);
+  if (!properties) {
+    return resolveByState(lat, lng, boundaries);
+  }
+
+  // Fill LGA and business unit from the coverage dataset when the polygon has none
+  const coverage = properties.area ? resolveCoverage(properties.state, properties.area) : null;
+  const known = coverage && coverage.success && coverage.disco === properties.disco ? coverage : {};
+
+  return {
+    success: true,
+    state: properties.state,
+    disco: properties.disco,
+    area: properties.area || null,
+    lga: properties.lga || known.lga || null,
+    businessUnit: properties.businessUnit || known.businessUnit || null,
+    suggestedBand: properties.band || null,
+    confidence: typeof properties.confidence === 'number' ? properties.confidence : 1,
+    matchType: 'gps',
+    assumed: false,
+  };
+}
+
+module.exports = {
+  resolveServiceArea,
+  findServiceArea,
+  buildServiceAreaIndex,
+  buildBoundaryIndex,
+};
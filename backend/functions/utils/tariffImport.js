@@ -0,0 +1,359 @@
+/**
+ * TARIFF SCHEDULE IMPORT
+ *
+ * Loads a NERC tariff order (per-DisCo, per-band ₦/kWh rates with one
+ * effective date) into tariff_rates, so updating rates no longer means
+ * editing code. Used by scripts/importTariffs.js.
+ *
+ * SCHEDULE FORMATS:
+ * JSON:
+ * {
+ *   "effectiveFrom": "2025-07-01",
+ *   "order": "NERC July 2025 Supplementary Order",
+ *   "rates": [{ "disco": "IE", "band": "A", "ratePerKwh": 209.5 }]
+ * }
+ * CSV (effective date and order name passed separately):
+ * disco,band,rate_per_kwh
+ * IE,A,209.5
+ *
+ * FLOW:
+ * 1. parseSchedule + validateSchedule: DisCo codes (isValidDisco), bands
+ *    (isValidBand), rates, date, no duplicate DisCo/band rows
+ * 2. diffSchedule: compares each rate with the one in force on the
+ *    effective date (added, changed, unchanged) and lists DisCo/bands the
+ *    schedule leaves out, which keep their current rate (carried)
+ * 3. applySchedule: one transaction writes the added and changed rate
+ *    records, bumps the schedule version in config/tariff_schedule and
+ *    adds the changelog entry tariff_changelog/{version}. If another import
+ *    landed since the diff, nothing is written (SCHEDULE_CHANGED).
+ *
+ * Importing the same effective date again overwrites those records (a
+ * correction); rates from earlier orders are never touched.
+ */
+
+const admin = require('../admin');
+const { isValidDisco, isValidBand, DISCO_LIST, TARIFF_BANDS } = require('./discoLookup');
+const {
+  getRateHistory,
+  findRateAt,
+  toTariffDate,
+  rateDocId,
+  clearTariffCache,
+  TARIFF_COLLECTION,
+} = require('./tariffs');
+
+const CONFIG_COLLECTION = 'config';
+const CONFIG_DOC = 'tariff_schedule';
+const CHANGELOG_COLLECTION = 'tariff_changelog';
+
+// Well above any NERC band rate; catches kobo entered as naira
+const MAX_RATE_PER_KWH = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split CSV text into rows of trimmed fields (quoted fields may contain
+ * commas and "" escapes)
+ */
+function parseCsvRows(content) {
+  return content
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '' && !line.trim().startsWith('#'))
+    .map((line) => {
+      const fields = [];
+      let field = '';
+      let quoted = false;
+
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+          if (char === '"' && line[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            field += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          fields.push(field.trim());
+          field = '';
+        } else {
+          field += char;
+        }
+      }
+
+      fields.push(field.trim());
+      return fields;
+    });
+}
+
+/**
+ * Parse a schedule file
+ *
+ * @param {string} content - File contents
+ * @param {string} format - 'json' or 'csv'
+ * @param {Object} overrides - { effectiveFrom, order } taking precedence
+ *   over the file (required for CSV)
+ * @return {Object} { success, schedule } or { success: false, code, message }
+ */
+function parseSchedule(content, format, overrides = {}) {
+  let schedule;
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      return { success: false, code: 'INVALID_JSON', message: `Schedule is not valid JSON: ${error.message}` };
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.rates)) {
+      return { success: false, code: 'INVALID_SCHEDULE', message: 'Schedule must be an object with a rates array' };
+    }
+    schedule = {
+      effectiveFrom: data.effectiveFrom,
+      order: data.order,
+      rates: data.rates.map((rate) => ({
+        disco: rate && rate.disco,
+        band: rate && rate.band,
+        ratePerKwh: rate && rate.ratePerKwh,
+      })),
+    };
+  } else if (format === 'csv') {
+    const [header, ...rows] = parseCsvRows(content);
+    const columns = (header || []).map((column) => column.toLowerCase());
+    const discoIndex = columns.indexOf('disco');
+    const bandIndex = columns.indexOf('band');
+    const rateIndex = columns.findIndex((column) => column === 'rate_per_kwh' || column === 'rateperkwh');
+    if (discoIndex === -1 || bandIndex === -1 || rateIndex === -1) {
+      return { success: false, code: 'INVALID_SCHEDULE', message: 'CSV header must have disco, band and rate_per_kwh columns' };
+    }
+    schedule = {
+      effectiveFrom: undefined,
+      order: undefined,
+      rates: rows.map((row) => ({
+        disco: row[discoIndex],
+        band: row[bandIndex],
+        ratePerKwh: row[rateIndex] === undefined || row[rateIndex] === '' ? null : Number(row[rateIndex]),
+      })),
+    };
+  } else {
+    return { success: false, code: 'INVALID_FORMAT', message: `Unsupported schedule format: ${format}` };
+  }
+
+  if (overrides.effectiveFrom) {
+    schedule.effectiveFrom = overrides.effectiveFrom;
+  }
+  if (overrides.order) {
+    schedule.order = overrides.order;
+  }
+
+  return { success: true, schedule: schedule };
+}
+
+/**
+ * Check a parsed schedule
+ *
+ * @param {Object} schedule - Output of parseSchedule
+ * @return {Array<Object>} Errors { row, code, message }; row is 1-based
+ *   within rates, or null for the whole schedule. Empty when valid.
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+
+  if (typeof schedule.effectiveFrom !== 'string' || !DATE_PATTERN.test(schedule.effectiveFrom) ||
+      toTariffDate(schedule.effectiveFrom) !== schedule.effectiveFrom) {
+    errors.push({ row: null, code: 'INVALID_DATE', message: 'effectiveFrom must be a date (YYYY-MM-DD)' });
+  }
+  if (typeof schedule.order !== 'string' || schedule.order.trim() === '') {
+    errors.push({ row: null, code: 'MISSING_ORDER', message: 'order must name the NERC tariff order' });
+  }
+  if (schedule.rates.length === 0) {
+    errors.push({ row: null, code: 'EMPTY_SCHEDULE', message: 'Schedule has no rates' });
+  }
+
+  const seen = new Set();
+  schedule.rates.forEach((rate, index) => {
+    const row = index + 1;
+
+    if (!isValidDisco(rate.disco)) {
+      errors.push({ row: row, code: 'INVALID_DISCO', message: `Unknown DisCo code: ${rate.disco}` });
+    }
+    if (!isValidBand(rate.band)) {
+      errors.push({ row: row, code: 'INVALID_BAND', message: `Unknown band: ${rate.band}` });
+    }
+    if (typeof rate.ratePerKwh !== 'number' || !Number.isFinite(rate.ratePerKwh) ||
+        rate.ratePerKwh <= 0 || rate.ratePerKwh > MAX_RATE_PER_KWH) {
+      errors.push({
+        row: row,
+        code: 'INVALID_RATE',
+        message: `ratePerKwh must be a number above 0 and at most ${MAX_RATE_PER_KWH}: ${rate.ratePerKwh}`,
+      });
+    }
+
+    const key = `${rate.disco}_${rate.band}`;
+    if (seen.has(key)) {
+      errors.push({ row: row, code: 'DUPLICATE_RATE', message: `${rate.disco} Band ${rate.band} appears more than once` });
+    }
+    seen.add(key);
+  });
+
+  return errors;
+}
+
+/**
+ * Current schedule version (0 before the first import)
+ */
+async function getScheduleVersion(transaction) {
+  const ref = admin.firestore().collection(CONFIG_COLLECTION).doc(CONFIG_DOC);
+  const doc = transaction ? await transaction.get(ref) : await ref.get();
+  return doc.exists && Number.isInteger(doc.data().version) ? doc.data().version : 0;
+}
+
+/**
+ * Compare a valid schedule with the rates in force on its effective date
+ *
+ * @param {Object} schedule - Validated schedule
+ * @return {Promise<Object>} {
+ *   baseVersion,                     // Version the diff was taken against
+ *   changes: [{ disco, band, status, from, to, effectiveTo }],
+ *   summary: { added, changed, unchanged, carried }
+ * }
+ * status is added, changed, unchanged or carried (not in the schedule,
+ * current rate stays). effectiveTo is set when a later order already
+ * exists, i.e. the imported rate only applies until then.
+ */
+async function diffSchedule(schedule) {
+  // Always diff against what is stored now
+  clearTariffCache();
+  const baseVersion = await getScheduleVersion();
+
+  const imported = new Map(schedule.rates.map((rate) => [`${rate.disco}_${rate.band}`, rate]));
+  const changes = [];
+
+  for (const { code: disco } of DISCO_LIST) {
+    for (const band of Object.keys(TARIFF_BANDS)) {
+      const rate = imported.get(`${disco}_${band}`);
+      const history = await getRateHistory(disco, band);
+      const current = findRateAt(history, schedule.effectiveFrom);
+      const from = current ? current.ratePerKwh : null;
+
+      if (!rate) {
+        if (current) {
+          changes.push({ disco, band, status: 'carried', from: from, to: from, effectiveTo: current.effectiveTo });
+        }
+        continue;
+      }
+
+      let status = 'changed';
+      if (!current) {
+        status = 'added';
+      } else if (current.ratePerKwh === rate.ratePerKwh) {
+        status = 'unchanged';
+      }
+
+      // Without a record on this exact day, the next one bounds the new rate
+      const next = history.find((record) => record.effectiveFrom > schedule.effectiveFrom);
+      changes.push({
+        disco,
+        band,
+        status: status,
+        from: from,
+        to: rate.ratePerKwh,
+        effectiveTo: next ? next.effectiveFrom : null,
+      });
+    }
+  }
+
+  const summary = { added: 0, changed: 0, unchanged: 0, carried: 0 };
+  changes.forEach((change) => {
+    summary[change.status]++;
+  });
+
+  return { baseVersion: baseVersion, changes: changes, summary: summary };
+}
+
+/**
+ * Write the added and changed rates as a new schedule version
+ *
+ * @param {Object} schedule - Validated schedule
+ * @param {Object} diff - Output of diffSchedule for the same schedule
+ * @param {Object} options - { importedBy, source, sourceHash }
+ * @return {Promise<Object>} { success, version, written } or
+ *   { success: false, code, message }
+ */
+async function applySchedule(schedule, diff, options = {}) {
+  const writes = diff.changes.filter((change) => change.status === 'added' || change.status === 'changed');
+  if (writes.length === 0) {
+    return { success: false, code: 'NO_CHANGES', message: 'Schedule matches the current rates; nothing to import' };
+  }
+
+  const db = admin.firestore();
+  const result = await db.runTransaction(async (transaction) => {
+    const currentVersion = await getScheduleVersion(transaction);
+    if (currentVersion !== diff.baseVersion) {
+      return {
+        success: false,
+        code: 'SCHEDULE_CHANGED',
+        message: `Schedule moved from version ${diff.baseVersion} to ${currentVersion} since the diff; run the import again`,
+      };
+    }
+
+    const version = currentVersion + 1;
+    const now = admin.firestore.Timestamp.now();
+
+    writes.forEach((change) => {
+      transaction.set(db.collection(TARIFF_COLLECTION).doc(rateDocId(change.disco, change.band, schedule.effectiveFrom)), {
+        disco: change.disco,
+        band: change.band,
+        ratePerKwh: change.to,
+        effectiveFrom: schedule.effectiveFrom,
+        order: schedule.order,
+        version: version,
+        importedAt: now,
+      });
+    });
+
+    transaction.set(db.collection(CHANGELOG_COLLECTION).doc(String(version)), {
+      version: version,
+      effectiveFrom: schedule.effectiveFrom,
+      order: schedule.order,
+      importedBy: options.importedBy || null,
+      source: options.source || null,
+      sourceHash: options.sourceHash || null,
+      summary: diff.summary,
+      changes: writes.map((change) => ({
+        disco: change.disco,
+        band: change.band,
+        status: change.status,
+        from: change.from,
+        to: change.to,
+      })),
+      importedAt: now,
+    });
+
+    transaction.set(db.collection(CONFIG_COLLECTION).doc(CONFIG_DOC), {
+      version: version,
+      effectiveFrom: schedule.effectiveFrom,
+      order: schedule.order,
+      updatedAt: now,
+    });
+
+    return { success: true, version: version, written: writes.length };
+  });
+
+  clearTariffCache();
+  return result;
+}
+
+module.exports = {
+  parseSchedule,
+  validateSchedule,
+  diffSchedule,
+  applySchedule,
+  getScheduleVersion,
+  MAX_RATE_PER_KWH,
+  CHANGELOG_COLLECTION,
+};
@@ -0,0 +1,182 @@
+/**
+ * TARIFF RATES
+ *
+ * ₦/kWh rates per DisCo and band from NERC tariff orders. Rates are stored
+ * as effective-dated records, so a token bought on any date can be priced
+ * with the rate that applied on that day, and a new order is added without
+ * touching the old ones.
+ *
+ * COLLECTION: tariff_rates/{disco}_{band}_{effectiveFrom}
+ * {
+ *   disco: 'IE',                 // DisCo code (see utils/discoLookup)
+ *   band: 'A',                   // A-E
+ *   ratePerKwh: 209.5,           // Naira per kWh, non-MD customers
+ *   effectiveFrom: '2025-07-01', // First day the rate applies (Nigerian date)
+ *   order: 'NERC July 2025 Supplementary Order',
+ * }
+ * A rate applies until the next record for the same DisCo and band takes
+ * effect. A band a DisCo does not offer (e.g. Band E at EEDC) simply has no
+ * records.
+ *
+ * DATES:
+ * Days are calendar dates in Africa/Lagos (UTC+1, no daylight saving) and
+ * are compared as 'YYYY-MM-DD' strings.
+ *
+ * USAGE:
+ * const rate = await getRate('IE', 'A', '2025-08-01');
+ *
+ * // Re-pricing many token logs: one read per DisCo/band
+ * const history = await getRateHistory('IE', 'A');
+ * logs.forEach((log) => { log.rate = findRateAt(history, log.purchase_date); });
+ *
+ * Rate histories are cached for RATE_CACHE_SECONDS.
+ */
+
+const admin = require('../admin');
+
+const COLLECTION = 'tariff_rates';
+
+const RATE_CACHE_SECONDS = 300;
+
+// West Africa Time
+const LAGOS_OFFSET_MINUTES = 60;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// DisCo/band key → { history, cachedAt }
+const cache = new Map();
+
+/**
+ * Normalise a date to a Nigerian calendar date
+ *
+ * @param {string|Date|Object} value - 'YYYY-MM-DD', ISO timestamp, Date or
+ *   Firestore Timestamp
+ * @return {string|null} 'YYYY-MM-DD' or null if not a valid date
+ */
+function toTariffDate(value) {
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value ? value : null;
+  }
+
+  let date = null;
+  if (value instanceof Date) {
+    date = value;
+  } else if (value && typeof value.toDate === 'function') {
+    date = value.toDate();
+  } else if (typeof value === 'string' && value !== '') {
+    date = new Date(value);
+  }
+
+  if (!date || isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(date.getTime() + LAGOS_OFFSET_MINUTES * 60 * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Today's date in Nigeria
+ */
+function today() {
+  return toTariffDate(new Date());
+}
+
+/**
+ * Document ID of a rate record
+ */
+function rateDocId(disco, band, effectiveFrom) {
+  return `${disco}_${band}_${effectiveFrom}`;
+}
+
+/**
+ * All rate records for a DisCo and band, oldest first (cached)
+ *
+ * @param {string} disco - DisCo code
+ * @param {string} band - Band letter
+ * @return {Promise<Array<Object>>} { disco, band, ratePerKwh, effectiveFrom, order }
+ */
+async function getRateHistory(disco, band) {
+  const key = `${disco}_${band}`;
+  const cached = cache.get(key);
+  if (cached && Date.now() - cached.cachedAt < RATE_CACHE_SECONDS * 1000) {
+    return cached.history;
+  }
+
+  const snapshot = await admin.firestore().collection(COLLECTION)
+    .where('disco', '==', disco)
+    .where('band', '==', band)
+    .get();
+
+  const history = snapshot.docs
+    .map((doc) => doc.data())
+    .filter((record) => DATE_PATTERN.test(record.effectiveFrom) && typeof record.ratePerKwh === 'number')
+    .map((record) => ({
+      disco: record.disco,
+      band: record.band,
+      ratePerKwh: record.ratePerKwh,
+      effectiveFrom: record.effectiveFrom,
+      order: record.order || null,
+    }))
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+
+  cache.set(key, { history: history, cachedAt: Date.now() });
+  return history;
+}
+
+/**
+ * Pick the rate in force on a date from a rate history
+ *
+ * @param {Array<Object>} history - Output of getRateHistory
+ * @param {string|Date|Object} date - Any value toTariffDate accepts
+ * @return {Object|null} Record plus effectiveTo (day the next rate starts,
+ *   or null), or null if no rate applied that day
+ */
+function findRateAt(history, date) {
+  const day = toTariffDate(date);
+  if (!day) {
+    return null;
+  }
+
+  let index = -1;
+  history.forEach((record, i) => {
+    if (record.effectiveFrom <= day) {
+      index = i;
+    }
+  });
+
+  if (index === -1) {
+    return null;
+  }
+
+  const next = history[index + 1];
+  return { ...history[index], effectiveTo: next ? next.effectiveFrom : null };
+}
+
+/**
+ * Rate for a DisCo and band on a date
+ *
+ * @param {string} disco - DisCo code
+ * @param {string} band - Band letter
+ * @param {string|Date|Object} date - Defaults to today
+ * @return {Promise<Object|null>} See findRateAt
+ */
+async function getRate(disco, band, date = today()) {
+  return findRateAt(await getRateHistory(disco, band), date);
+}
+
+/**
+ * Drop cached rate histories (tests, or after an import)
+ */
+function clearTariffCache() {
+  cache.clear();
+}
+
+module.exports = {
+  getRate,
+  getRateHistory,
+  findRateAt,
+  toTariffDate,
+  rateDocId,
+  clearTariffCache,
+  TARIFF_COLLECTION: COLLECTION,
+};
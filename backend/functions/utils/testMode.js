@@ -0,0 +1,137 @@
+/**
+ * OTP TEST MODE
+ *
+ * The only place that decides whether a plaintext OTP may be logged or
+ * returned to the client. Modelled on Firebase Auth test phone numbers.
+ *
+ * CONFIGURATION:
+ * - APP_ENV            "production" disables test mode unconditionally
+ * - OTP_TEST_MODE      "true" enables test mode outside production
+ * - OTP_TEST_NUMBERS   Allowlist with fixed codes:
+ *                      "+2348000000001:123456,+2348000000002:654321"
+ *
+ * RULES:
+ * - Production: no fixed codes, no OTP logging, no testOtp in responses
+ * - Emulator (FUNCTIONS_EMULATOR=true): OTPs may be logged and returned
+ * - Test mode: allowlisted numbers receive their fixed code, nothing is
+ *   sent to the provider, and the code may be logged and returned
+ */
+
+/**
+ * Check if running in production
+ *
+ * @return {boolean} True if APP_ENV is production
+ */
+function isProduction() {
+  return process.env.APP_ENV === 'production';
+}
+
+/**
+ * Check if running inside the Firebase emulator
+ *
+ * @return {boolean} True outside production when FUNCTIONS_EMULATOR is set
+ */
+function isEmulator() {
+  return !isProduction() && process.env.FUNCTIONS_EMULATOR === 'true';
+}
+
+/**
+ * Check if OTP test mode is enabled
+ *
+ * @return {boolean} True if test mode is on and not in production
+ */
+function isTestModeEnabled() {
+  return !isProduction() && process.env.OTP_TEST_MODE === 'true';
+}
+
+/**
+ * Parse OTP_TEST_NUMBERS into a phone → code map
+ *
+ * @return {Map<string, string>} Allowlisted numbers and their fixed codes
+ */
+function getTestNumbers() {
+  const numbers = new Map();
+  const raw = process.env.OTP_TEST_NUMBERS || '';
+
+  raw.split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [phone, code] = entry.split(':').map((part) => part.trim());
+      if (phone && /^\d+$/.test(code || '')) {
+        numbers.set(phone, code);
+      }
+    });
+
+  return numbers;
+}
+
+/**
+ * Check if a number is on the test allowlist (regardless of test mode)
+ *
+ * Lets fixtures use unallocated ranges such as +234800... without
+ * failing phone validation.
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {boolean} True if listed in OTP_TEST_NUMBERS
+ */
+function isTestNumber(phone) {
+  return getTestNumbers().has(phone);
+}
+
+/**
+ * Get the fixed OTP for an allowlisted test number
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {string|null} Fixed code or null if not a test number
+ */
+function getTestOtp(phone) {
+  if (!isTestModeEnabled()) {
+    return null;
+  }
+  return getTestNumbers().get(phone) || null;
+}
+
+/**
+ * Check if a plaintext OTP may be logged or returned for this phone
+ *
+ * @param {string} phone - Phone number (E.164 format)
+ * @return {boolean} True for the emulator or allowlisted test numbers
+ */
+function canExposeOtp(phone) {
+  return isEmulator() || getTestOtp(phone) !== null;
+}
+
+/**
+ * Build a delivery result for a test number (nothing is sent)
+ *
+ * @param {string} channel - Requested channel
+ * @return {Object} SendResult with a single attempt
+ */
+function buildTestDeliveryResult(channel) {
+  const messageSid = `TEST_${Date.now()}`;
+  return {
+    success: true,
+    messageSid: messageSid,
+    status: 'delivered',
+    channel: channel,
+    provider: 'test_number',
+    attempts: [{
+      channel: channel,
+      provider: 'test_number',
+      messageSid: messageSid,
+      errorCode: null,
+      timestamp: new Date(),
+    }],
+  };
+}
+
+module.exports = {
+  isProduction,
+  isEmulator,
+  isTestModeEnabled,
+  isTestNumber,
+  getTestOtp,
+  canExposeOtp,
+  buildTestDeliveryResult,
+};
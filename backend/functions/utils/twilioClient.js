@@ -1,123 +1,257 @@
 /**
- * TWILIO CLIENT - SMS MODE (Production Ready)
- * 
- * This version uses SMS for OTP delivery.
- * WhatsApp support can be added later without changing the interface.
+ * TWILIO CLIENT UTILITY
+ *
+ * Shared Twilio plumbing plus the two Twilio OTP delivery adapters
+ * (SMS and WhatsApp). Adapters are registered with utils/otpDelivery.js,
+ * which is what endpoints should call - never these adapters directly.
+ *
+ * SECURITY FEATURES:
+ * - Credentials loaded from environment variables only
+ * - Masked logging (phone numbers redacted in logs)
+ * - OTP codes are never logged by the Twilio adapters
+ * - Error sanitization (no sensitive data in error messages)
  */
 
 const twilio = require('twilio');
+const { maskPhoneNumber } = require('./phoneNumber');
+const { isEmulator } = require('./testMode');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
-const fromPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
-// Initialize Twilio client
+// Initialize Twilio client (null when credentials are missing)
 let client = null;
 if (accountSid && authToken) {
   client = twilio(accountSid, authToken);
-  console.log('[Twilio] SMS client initialized successfully');
-  console.log('[Twilio] From number:', fromPhoneNumber ? 'Configured' : 'MISSING');
+  console.log('[Twilio] Client initialized successfully');
 } else {
-  console.log('[Twilio] Running in TEST MODE - no credentials provided');
+  console.log('[Twilio] No credentials provided - Twilio adapters disabled');
   console.log('[Twilio] Set TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN in .env');
 }
 
 /**
- * Mask phone number for secure logging
+ * Convert Twilio error codes to user-friendly messages
+ *
+ * SECURITY: Sanitizes technical error details
+ *
+ * @param {Error} error - Twilio error object
+ * @return {string} User-friendly error message
  */
-function maskPhoneNumber(phone) {
-  if (!phone || phone.length < 8) {
-    return '***INVALID***';
-  }
-  const countryCode = phone.slice(0, 4);
-  const lastDigits = phone.slice(-3);
-  const maskedMiddle = '*'.repeat(phone.length - 7);
-  return `${countryCode}${maskedMiddle}${lastDigits}`;
+function getTwilioErrorMessage(error) {
+  const errorMap = {
+    21211: 'Invalid phone number. Please check and try again.',
+    21408: 'Phone number not eligible for WhatsApp. Try SMS instead.',
+    21606: 'Phone number is not a mobile number.',
+    21608: 'This phone number is not SMS-capable.',
+    21610: 'Message blocked by carrier. Contact support.',
+    21614: 'Invalid WhatsApp recipient. Ensure number is registered on WhatsApp.',
+    30007: 'Message filtering blocked delivery. Contact support.',
+    30008: 'Unknown error occurred. Please try again later.',
+  };
+
+  return errorMap[error.code] || 'Unable to send verification code. Please try again later.';
 }
 
 /**
- * Send OTP via WhatsApp
- * Currently redirects to SMS - will be implemented when WhatsApp is set up
+ * Build a failed send result from a Twilio error
+ *
+ * @param {Error} error - Twilio error object
+ * @param {string} channel - Delivery channel
+ * @param {string} provider - Provider name
+ * @return {Object} Send result
  */
-async function sendWhatsAppOTP(toPhoneNumber, otp) {
-  console.log('[Twilio] WhatsApp not yet configured, using SMS');
-  return await sendSMSOTP(toPhoneNumber, otp);
+function toFailureResult(error, channel, provider) {
+  return {
+    success: false,
+    error: error.code || 'TWILIO_ERROR',
+    message: getTwilioErrorMessage(error),
+    channel: channel,
+    provider: provider,
+  };
 }
 
 /**
- * Send OTP via SMS
+ * Status callback parameters for outgoing messages
+ *
+ * TWILIO_STATUS_CALLBACK_URL points at the twilioStatusCallback function
+ *
+ * @return {Object} { statusCallback } or empty object when not configured
  */
-async function sendSMSOTP(toPhoneNumber, otp) {
-  const maskedPhone = maskPhoneNumber(toPhoneNumber);
-  
-  // TEST MODE - no actual SMS sent
-  if (!client || !fromPhoneNumber) {
-    console.log(`[Twilio] TEST MODE - Would send SMS to ${maskedPhone}`);
-    console.log(`[Twilio] TEST MODE - OTP: ${otp}`);
-    console.log(`[Twilio] TEST MODE - Configure credentials in .env to send real SMS`);
-    
-    return {
-      success: true,
-      messageSid: `SM_TEST_${Date.now()}`,
-      status: 'queued',
-      channel: 'sms-test',
-    };
+function statusCallbackParams() {
+  const url = process.env.TWILIO_STATUS_CALLBACK_URL;
+  return url ? { statusCallback: url } : {};
+}
+
+/**
+ * Fetch the current status of a Twilio message
+ *
+ * @param {string} messageSid - Twilio message SID
+ * @return {Promise<Object>} { success: boolean, status?: string, errorCode?: number }
+ */
+async function fetchMessageStatus(messageSid) {
+  if (!client) {
+    return { success: false, error: 'PROVIDER_NOT_CONFIGURED' };
   }
-  
-  // PRODUCTION MODE - send real SMS
+
   try {
-    console.log(`[Twilio] Sending SMS OTP to ${maskedPhone}`);
-    
-    const message = await client.messages.create({
-      to: toPhoneNumber,
-      from: fromPhoneNumber,
-      body: `${otp} is your UnitWise verification code. Valid for 5 minutes. Do not share this code with anyone.`,
-    });
-    
-    console.log(`[Twilio] ✓ SMS sent successfully to ${maskedPhone}`);
-    console.log(`[Twilio] Message SID: ${message.sid}`);
-    console.log(`[Twilio] Status: ${message.status}`);
-    
+    const message = await client.messages(messageSid).fetch();
     return {
       success: true,
-      messageSid: message.sid,
       status: message.status,
-      channel: 'sms',
+      errorCode: message.errorCode || null,
     };
-    
   } catch (error) {
-    console.error(`[Twilio] ✗ Failed to send SMS to ${maskedPhone}`);
-    console.error(`[Twilio] Error code: ${error.code}`);
-    console.error(`[Twilio] Error message: ${error.message}`);
-    
-    // User-friendly error messages
-    const errorMessages = {
-      21211: 'Invalid phone number format. Please check and try again.',
-      21408: 'Permission denied for this phone number.',
-      21610: 'Message blocked by carrier. Number may be on do-not-contact list.',
-      21614: 'This is not a valid mobile number.',
-      21608: 'This phone number is not SMS-capable.',
-      30007: 'Message filtered as spam. Contact support.',
-    };
-    
-    return {
-      success: false,
-      error: error.code || 'TWILIO_ERROR',
-      message: errorMessages[error.code] || 'Failed to send verification code. Please try again.',
-      channel: 'sms',
-    };
+    console.error(`[Twilio] Failed to fetch status for ${messageSid}:`, error.message);
+    return { success: false, error: error.code || 'TWILIO_ERROR' };
   }
 }
 
 /**
- * Validate Twilio webhook signature (for future webhook support)
+ * Twilio SMS delivery adapter
+ */
+const twilioSmsProvider = {
+  name: 'twilio_sms',
+  capabilities: {
+    channels: ['sms'],
+    deliveryReceipts: true,
+  },
+
+  isConfigured() {
+    return Boolean(client && (process.env.TWILIO_MESSAGING_SERVICE_SID || process.env.TWILIO_PHONE_NUMBER));
+  },
+
+  /**
+   * @param {string} toPhoneNumber - Recipient phone number (E.164 format)
+   * @param {string} otp - OTP code (NEVER logged)
+   * @param {Object} options - { body: string }
+   * @return {Promise<Object>} Send result
+   */
+  async send(toPhoneNumber, otp, options) {
+    const maskedPhone = maskPhoneNumber(toPhoneNumber);
+    const messagingServiceSid = process.env.TWILIO_MESSAGING_SERVICE_SID;
+
+    try {
+      console.log(`[Twilio] Sending SMS OTP to ${maskedPhone}`);
+
+      const params = {
+        to: toPhoneNumber,
+        body: options.body,
+        ...statusCallbackParams(),
+      };
+      if (messagingServiceSid) {
+        params.messagingServiceSid = messagingServiceSid;
+      } else {
+        params.from = process.env.TWILIO_PHONE_NUMBER;
+      }
+
+      const message = await client.messages.create(params);
+
+      console.log(`[Twilio] SMS sent to ${maskedPhone}. MessageSID: ${message.sid}`);
+
+      return {
+        success: true,
+        messageSid: message.sid,
+        status: message.status,
+        channel: 'sms',
+        provider: this.name,
+      };
+    } catch (error) {
+      console.error(`[Twilio] Failed to send SMS to ${maskedPhone}:`, {
+        code: error.code,
+        status: error.status,
+        message: error.message,
+      });
+      return toFailureResult(error, 'sms', this.name);
+    }
+  },
+
+  status(messageSid) {
+    return fetchMessageStatus(messageSid);
+  },
+};
+
+/**
+ * Twilio WhatsApp delivery adapter (Content API template)
+ */
+const twilioWhatsAppProvider = {
+  name: 'twilio_whatsapp',
+  capabilities: {
+    channels: ['whatsapp'],
+    deliveryReceipts: true,
+  },
+
+  isConfigured() {
+    return Boolean(client && process.env.TWILIO_WHATSAPP_NUMBER && process.env.TWILIO_CONTENT_SID);
+  },
+
+  /**
+   * @param {string} toPhoneNumber - Recipient phone number (E.164 format)
+   * @param {string} otp - OTP code (NEVER logged)
+   * @return {Promise<Object>} Send result
+   */
+  async send(toPhoneNumber, otp) {
+    const maskedPhone = maskPhoneNumber(toPhoneNumber);
+
+    try {
+      console.log(`[Twilio] Sending WhatsApp OTP to ${maskedPhone}`);
+
+      // SECURITY: OTP passed in ContentVariables, not logged
+      const message = await client.messages.create({
+        from: process.env.TWILIO_WHATSAPP_NUMBER,
+        to: `whatsapp:${toPhoneNumber}`,
+        contentSid: process.env.TWILIO_CONTENT_SID,
+        contentVariables: JSON.stringify({
+          '1': otp,
+        }),
+        ...statusCallbackParams(),
+      });
+
+      console.log(`[Twilio] WhatsApp OTP sent to ${maskedPhone}. MessageSID: ${message.sid}`);
+
+      return {
+        success: true,
+        messageSid: message.sid,
+        status: message.status,
+        channel: 'whatsapp',
+        provider: this.name,
+      };
+    } catch (error) {
+      console.error(`[Twilio] Failed to send WhatsApp OTP to ${maskedPhone}:`, {
+        code: error.code,
+        status: error.status,
+        message: error.message,
+      });
+      return toFailureResult(error, 'whatsapp', this.name);
+    }
+  },
+
+  status(messageSid) {
+    return fetchMessageStatus(messageSid);
+  },
+};
+
+/**
+ * Validate Twilio webhook signature
+ *
+ * SECURITY: Ensures webhook requests are authentic. Without Twilio
+ * credentials nothing can be checked, so every callback is rejected except
+ * in the emulator.
+ *
+ * @param {string} signature - X-Twilio-Signature header
+ * @param {string} url - Full webhook URL
+ * @param {Object} params - Request body parameters
+ * @return {boolean} True if signature is valid
  */
 function validateWebhookSignature(signature, url, params) {
   if (!client) {
-    console.log('[Twilio] Webhook validation skipped - TEST MODE');
-    return true;
+    if (isEmulator()) {
+      console.log('[Twilio] Webhook validation skipped - emulator');
+      return true;
+    }
+    console.error('[Twilio] Webhook rejected - no credentials configured');
+    return false;
   }
-  
+
   try {
     return twilio.validateRequest(authToken, signature, url, params);
   } catch (error) {
@@ -127,8 +261,9 @@ function validateWebhookSignature(signature, url, params) {
 }
 
 module.exports = {
-  sendWhatsAppOTP,
-  sendSMSOTP,
+  twilioSmsProvider,
+  twilioWhatsAppProvider,
   maskPhoneNumber,
+  getTwilioErrorMessage,
   validateWebhookSignature,
 };
@@ -0,0 +1,225 @@
+/**
+ * REQUEST VALIDATION
+ *
+ * Declarative body schemas for the API. Each endpoint declares the shape of
+ * its body; failures are collected per field so the app can show them on
+ * the matching form inputs.
+ *
+ * SCHEMA:
+ * {
+ *   phone: { type: 'phone', required: true },
+ *   name: { type: 'string', required: true, maxLength: 100 },
+ *   otp: { type: 'digits', required: true, length: 6 },
+ *   channel: { type: 'string', values: ['sms', 'whatsapp'] },
+ *   disco: { type: 'string', required: true, check: isValidDisco, code: 'INVALID_DISCO' },
+ * }
+ *
+ * TYPES: string, phone, email, digits, boolean, password
+ *
+ * Phone fields accept local Nigerian formats (08031234567) and are
+ * rewritten to E.164 in the validated body (see utils/phoneNumber).
+ * Password fields are checked against utils/passwordPolicy, using the
+ * rule's phone (e.g. the signed-in user's) or else the body's phone field
+ * as context.
+ *
+ * FIELD ERROR:
+ * { "field": "phone", "code": "INVALID_PHONE", "message": "phone must be a valid phone number (e.g., ...)" }
+ *
+ * FIELD CODES:
+ * REQUIRED, INVALID_TYPE, INVALID_PHONE, UNSUPPORTED_NETWORK, INVALID_EMAIL,
+ * INVALID_FORMAT, INVALID_LENGTH, TOO_SHORT, TOO_LONG, INVALID_VALUE, or a
+ * rule's own code, or a PASSWORD_* code from the password policy
+ */
+
+const { normalizePhoneNumber } = require('./phoneNumber');
+const { checkPassword } = require('./passwordPolicy');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Type checks - return a field error (without the field name) or null
+ */
+const TYPES = {
+  string: (field, value) => (typeof value === 'string' ? null : {
+    code: 'INVALID_TYPE',
+    message: `${field} must be a string`,
+  }),
+
+  phone: (field, value) => (typeof value === 'string' ? null : {
+    code: 'INVALID_PHONE',
+    message: `${field} must be a valid phone number (e.g., 08031234567 or +2348031234567)`,
+  }),
+
+  email: (field, value) => (typeof value === 'string' && EMAIL_REGEX.test(value) ? null : {
+    code: 'INVALID_EMAIL',
+    message: `${field} must be a valid email address`,
+  }),
+
+  digits: (field, value) => (typeof value === 'string' && /^\d+$/.test(value) ? null : {
+    code: 'INVALID_FORMAT',
+    message: `${field} must contain digits only`,
+  }),
+
+  boolean: (field, value) => (typeof value === 'boolean' ? null : {
+    code: 'INVALID_TYPE',
+    message: `${field} must be true or false`,
+  }),
+
+  password: (field, value) => (typeof value === 'string' ? null : {
+    code: 'INVALID_TYPE',
+    message: `${field} must be a string`,
+  }),
+};
+
+/**
+ * Type-specific checks that need more than a predicate - return { value }
+ * (possibly rewritten) or { error }
+ */
+const NORMALIZERS = {
+  phone: (field, value) => {
+    const result = normalizePhoneNumber(value);
+    if (result.success) {
+      return { value: result.phone };
+    }
+    return {
+      error: {
+        code: result.code,
+        message: result.code === 'UNSUPPORTED_NETWORK' ?
+          `${field} must be a Nigerian mobile number (MTN, Airtel, Glo or 9mobile)` :
+          `${field} must be a valid phone number (e.g., 08031234567 or +2348031234567)`,
+      },
+    };
+  },
+
+  password: (field, value, body, rule) => {
+    const result = checkPassword(value, { phone: rule.phone || body.phone });
+    return result.valid ? { value: value } : { error: result.errors[0] };
+  },
+};
+
+/**
+ * Treat missing, null and blank strings as absent
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate one field against its rule
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule
+ * @param {Object} body - Whole request body (context for cross-field checks)
+ * @return {Object} { value } (possibly normalised) or { error: { code, message } }
+ */
+function checkField(field, value, rule, body) {
+  if (isEmpty(value)) {
+    return rule.required ? { error: { code: 'REQUIRED', message: `${field} is required` } } : { value: value };
+  }
+
+  const type = rule.type || 'string';
+  const typeError = TYPES[type](field, value);
+  if (typeError) {
+    return { error: typeError };
+  }
+
+  if (NORMALIZERS[type]) {
+    const normalized = NORMALIZERS[type](field, value, body, rule);
+    if (normalized.error) {
+      return normalized;
+    }
+    value = normalized.value;
+  }
+
+  const error = checkRules(field, value, rule);
+  return error ? { error: error } : { value: value };
+}
+
+/**
+ * Apply length, value and custom rules to a well-typed value
+ *
+ * @return {Object|null} { code, message } or null if valid
+ */
+function checkRules(field, value, rule) {
+  if (rule.length !== undefined && value.length !== rule.length) {
+    return {
+      code: 'INVALID_LENGTH',
+      message: rule.type === 'digits' ?
+        `${field} must be ${rule.length} digits` :
+        `${field} must be ${rule.length} characters`,
+    };
+  }
+
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return { code: 'TOO_SHORT', message: `${field} must be at least ${rule.minLength} characters long` };
+  }
+
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { code: 'TOO_LONG', message: `${field} must be at most ${rule.maxLength} characters long` };
+  }
+
+  if (rule.values && !rule.values.includes(value)) {
+    return { code: 'INVALID_VALUE', message: `${field} must be one of: ${rule.values.join(', ')}` };
+  }
+
+  if (rule.check && !rule.check(value)) {
+    return {
+      code: rule.code || 'INVALID_VALUE',
+      message: rule.message || `${field} is not valid`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a request body against a schema
+ *
+ * @param {Object} schema - Field name to rule
+ * @param {Object} body - Request body
+ * @return {Object} { valid: boolean, errors: Array<{ field, code, message }>, values }
+ *                  values holds the normalised value of every present field
+ */
+function validate(schema, body) {
+  const errors = [];
+  const values = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const result = checkField(field, body[field], rule, body);
+    if (result.error) {
+      errors.push({ field: field, code: result.error.code, message: result.error.message });
+    } else if (result.value !== undefined) {
+      values[field] = result.value;
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors,
+    values: values,
+  };
+}
+
+/**
+ * Build the VALIDATION_ERROR envelope
+ *
+ * The top-level message repeats the first field message so clients that
+ * only show a single message still say something useful.
+ *
+ * @param {Array<Object>} errors - Field errors from validate()
+ * @return {Object} Error response body
+ */
+function validationErrorBody(errors) {
+  return {
+    success: false,
+    code: 'VALIDATION_ERROR',
+    message: errors[0].message,
+    errors: errors,
+  };
+}
+
+module.exports = {
+  validate,
+  validationErrorBody,
+};
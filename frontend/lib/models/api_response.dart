@@ -73,6 +73,11 @@ class ApiResponse<T> {
   /// - 500: Server error
   final int? statusCode;
 
+  /// Per-field validation errors (code VALIDATION_ERROR)
+  /// 
+  /// Empty unless the server rejected individual request fields
+  final List<FieldError> errors;
+
   // ===========================================================================
   // CONSTRUCTORS
   // ===========================================================================
@@ -84,6 +89,7 @@ class ApiResponse<T> {
     this.code,
     required this.message,
     this.statusCode,
+    this.errors = const [],
   });
 
   /// Success response constructor
@@ -111,12 +117,38 @@ class ApiResponse<T> {
   String? code,              // ✅ Now optional
   required String message,
   int? statusCode,
+  List<FieldError> errors = const [],
   }) {
     return ApiResponse<T>(
       isSuccess: false,
       code: code,
       message: message,
       statusCode: statusCode ?? 500,
+      errors: errors,
+    );
+  }
+
+  /// Error response from a Cloud Function error body
+  /// 
+  /// Reads code, message and the field errors of a VALIDATION_ERROR
+  /// 
+  /// @param json - Decoded response body
+  /// @param statusCode - HTTP status code
+  factory ApiResponse.fromErrorJson(
+    Map<String, dynamic> json, {
+    int? statusCode,
+  }) {
+    final rawErrors = json['errors'];
+    return ApiResponse<T>.error(
+      code: json['code'] as String?,
+      message: json['message'] as String? ?? 'An error occurred. Please try again.',
+      statusCode: statusCode,
+      errors: rawErrors is List
+          ? rawErrors
+              .whereType<Map<String, dynamic>>()
+              .map(FieldError.fromJson)
+              .toList()
+          : const [],
     );
   }
 
@@ -172,6 +204,20 @@ class ApiResponse<T> {
   /// Check if error is rate limit
   bool get isRateLimit => code == 'RATE_LIMIT' || statusCode == 429;
 
+  /// Check if the server rejected individual fields
+  bool get isValidationError => code == 'VALIDATION_ERROR';
+
+  /// First error message per field, for showing under form inputs
+  /// 
+  /// Example: fieldErrors['phone'] → 'phone must be in E.164 format ...'
+  Map<String, String> get fieldErrors {
+    final map = <String, String>{};
+    for (final error in errors) {
+      map.putIfAbsent(error.field, () => error.message);
+    }
+    return map;
+  }
+
   /// Check if error is authentication-related
   bool get isAuthError => 
       statusCode == 401 || 
@@ -197,6 +243,50 @@ class ApiResponse<T> {
 // SPECIFIC API RESPONSE MODELS
 // =============================================================================
 
+/// Field Validation Error
+/// 
+/// One entry of the errors list in a VALIDATION_ERROR response
+class FieldError {
+  /// Request field name (e.g. phone, band)
+  final String field;
+
+  /// Field error code
+  /// 
+  /// Examples:
+  /// - REQUIRED: Field is missing or blank
+  /// - INVALID_PHONE: Not in E.164 format
+  /// - INVALID_EMAIL: Not a valid email address
+  /// - TOO_SHORT / TOO_LONG: Length out of range
+  /// - INVALID_VALUE: Not one of the allowed values
+  final String code;
+
+  /// Human-readable message for this field
+  final String message;
+
+  const FieldError({
+    required this.field,
+    required this.code,
+    required this.message,
+  });
+
+  /// Create from JSON response
+  factory FieldError.fromJson(Map<String, dynamic> json) {
+    return FieldError(
+      field: json['field'] as String? ?? '',
+      code: json['code'] as String? ?? 'INVALID_VALUE',
+      message: json['message'] as String? ?? 'Invalid value',
+    );
+  }
+
+  Map<String, dynamic> toJson() {
+    return {
+      'field': field,
+      'code': code,
+      'message': message,
+    };
+  }
+}
+
 /// Send OTP Response Data
 /// 
 /// Returned from /sendOtp Cloud Function
@@ -261,12 +351,17 @@ class VerifyOtpData {
   /// Phone number verified
   final String? phone;
 
+  /// Device ID recorded for this sign-in
+  /// Send as the X-Device-Id header on later requests
+  final String? deviceId;
+
   const VerifyOtpData({
     required this.verified,
     this.uid,
     this.customToken,
     this.newUser = false,
     this.phone,
+    this.deviceId,
   });
 
   /// Create from JSON response
@@ -277,6 +372,7 @@ class VerifyOtpData {
       customToken: json['customToken'] as String?,
       newUser: json['newUser'] as bool? ?? false,
       phone: json['phone'] as String?,
+      deviceId: json['deviceId'] as String?,
     );
   }
 
@@ -287,6 +383,7 @@ class VerifyOtpData {
       'customToken': customToken,
       'newUser': newUser,
       'phone': phone,
+      'deviceId': deviceId,
     };
   }
 }
@@ -301,13 +398,17 @@ class CreateProfileData {
   /// Profile data
   final Map<String, dynamic>? userData;
 
-  /// Welcome email sent status
-  final bool? welcomeEmailSent;
+  /// Whether a verification code was emailed to the profile email
+  final bool? emailVerificationSent;
+
+  /// Session for POST /verifyEmail (null when no code was sent)
+  final String? emailVerificationSessionId;
 
   const CreateProfileData({
     required this.uid,
     this.userData,
-    this.welcomeEmailSent,
+    this.emailVerificationSent,
+    this.emailVerificationSessionId,
   });
 
   /// Create from JSON response
@@ -315,7 +416,8 @@ class CreateProfileData {
     return CreateProfileData(
       uid: json['uid'] as String,
       userData: json['userData'] as Map<String, dynamic>?,
-      welcomeEmailSent: json['welcomeEmailSent'] as bool?,
+      emailVerificationSent: json['emailVerificationSent'] as bool?,
+      emailVerificationSessionId: json['emailVerificationSessionId'] as String?,
     );
   }
 
@@ -323,7 +425,8 @@ class CreateProfileData {
     return {
       'uid': uid,
       'userData': userData,
-      'welcomeEmailSent': welcomeEmailSent,
+      'emailVerificationSent': emailVerificationSent,
+      'emailVerificationSessionId': emailVerificationSessionId,
     };
   }
 }
@@ -448,6 +551,7 @@ class ApiErrorHandler {
       
       // Validation errors
       'MISSING_REQUIRED_FIELDS': 'Please fill in all required fields.',
+      'VALIDATION_ERROR': 'Please check the highlighted fields.',
       'INVALID_INPUT': 'Invalid input. Please check your information.',
       
       // Session errors